@@ -14,12 +14,96 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const COMMANDS = {
+  // Setup
+  init: {
+    alias: ["new", "create"],
+    description: "Scaffold a new site from a template",
+    usage: "nw-publisher init [dir] [--template=<name>]",
+    options: {
+      "--template=<name>": "Start from a named template (basic, examples)",
+      "--force": "Overwrite existing site files",
+      "--no-keypair": "Don't generate a site keypair",
+    },
+    examples: [
+      "nw-publisher init my-site",
+      "nw-publisher init my-blog --template=multi-page-blog",
+    ],
+  },
+
+  config: {
+    alias: ["cfg"],
+    description: "Manage project settings and the site keypair",
+    usage: "nw-publisher config <command> [options]",
+    subcommands: {
+      list: "Show all settings and their source",
+      get: "Print the effective value of a setting",
+      set: "Store a setting in .nweb.config.json",
+      unset: "Remove a setting from .nweb.config.json",
+      generate: "Generate a new site keypair",
+      import: "Import an existing private key (nsec or hex)",
+      encrypt: "Encrypt the keypair file with a passphrase (NIP-49)",
+      decrypt: "Store the keypair file unencrypted again",
+      "show-key": "Print the private key (only when asked for)",
+    },
+    examples: [
+      "nw-publisher config set relays wss://relay1.example.com,wss://relay2.example.com",
+      "nw-publisher config get relays",
+      "nw-publisher config list",
+      "nw-publisher config generate",
+      "nw-publisher config import nsec1...",
+      "nw-publisher config encrypt",
+    ],
+  },
+
   // Deployment
+  lint: {
+    alias: ["check"],
+    description: "Check a site for problems before deploying it",
+    usage: "nw-publisher lint [site-folder] [--site=<name> | --all]",
+    options: {
+      "--site=<name>": "Lint one site of the workspace",
+      "--all": "Lint every workspace site with a combined summary",
+      "--exclude=<glob>": "Skip matching files, as deploy would",
+      "--include=<glob>": "Check matching files even if ignored",
+    },
+    examples: [
+      "nw-publisher lint ./my-site",
+      "nw-publisher lint --site=blog",
+      "nw-publisher lint --all",
+    ],
+  },
+
   deploy: {
     alias: ["publish", "push"],
     description: "Deploy website to Nostr relays",
-    usage: "nw-publisher deploy [site-folder]",
-    examples: ["nw-publisher deploy ./my-site", "nw-publisher deploy"],
+    usage: "nw-publisher deploy [site-folder] [--site=<name> | --all]",
+    options: {
+      "--site=<name>": "Deploy one site of the workspace",
+      "--all": "Deploy every workspace site with a combined summary",
+      "--bump <type>": "Force a major, minor or patch version bump",
+      "--dry-run": "Show what would be published, without publishing",
+      "--json": "With --dry-run, print the plan as JSON",
+      "--out <file>": "Write signed events to a bundle, don't publish",
+      "--lint <mode>": "warn (default), error (errors stop it) or off",
+    },
+    examples: [
+      "nw-publisher deploy ./my-site",
+      "nw-publisher deploy",
+      "nw-publisher deploy --site=blog",
+      "nw-publisher deploy --all",
+      "nw-publisher deploy . --dry-run --json",
+      "nw-publisher deploy ./my-site --out site.jsonl",
+    ],
+  },
+
+  "publish-bundle": {
+    alias: ["push-bundle"],
+    description: "Publish a bundle written by deploy --out",
+    usage: "nw-publisher publish-bundle <bundle.jsonl> [--relays=<urls>]",
+    examples: [
+      "nw-publisher publish-bundle site.jsonl",
+      "nw-publisher publish-bundle site.jsonl --relays=wss://relay.example.com",
+    ],
   },
 
   // Version Control
@@ -32,12 +116,17 @@ const COMMANDS = {
       show: "Show version details",
       compare: "Compare two versions",
       current: "Show current version",
+      rollback: "Point the entrypoint back at an older version",
+      export: "Rebuild the files of a version in a directory",
     },
     examples: [
       "nw-publisher versions list",
       "nw-publisher versions show 1.0.0",
       "nw-publisher versions compare 0.9.0 1.0.0",
       "nw-publisher versions current",
+      "nw-publisher versions rollback 1.0.0",
+      "nw-publisher versions export 1.0.0 ./restored",
+      "nw-publisher versions list --site blog",
     ],
   },
 
@@ -74,11 +163,12 @@ const COMMANDS = {
   status: {
     alias: ["info", "stat"],
     description: "Show site status and relay connectivity",
-    usage: "nw-publisher status [npub|hex]",
+    usage: "nw-publisher status [npub|hex] [--site <name> | --all]",
     examples: [
       "nw-publisher status",
       "nw-publisher status npub1...",
       "nw-publisher status abc123...",
+      "nw-publisher status --all",
     ],
   },
 };
@@ -132,7 +222,11 @@ USAGE
   nw-publisher <command> [options]
 
 COMMANDS
+  init [dir]               Scaffold a new site from a template
+  config <cmd>             Manage settings and keys (list, get, set, generate, import)
+  lint [dir]               Check a site for broken links and other problems
   deploy <dir>             Deploy website to Nostr relays
+  publish-bundle <file>    Publish a bundle signed offline with deploy --out
   status [npub]            Check site and relay status
   versions <cmd>           Manage site versions (list, show, compare)
   sync                     Sync all versions across relays
@@ -143,9 +237,15 @@ OPTIONS
   --version, -v            Show CLI version
 
 EXAMPLES
+  # Create a site
+  nw-publisher init my-site
+  nw-publisher init my-blog --template=multi-page-blog
+
   # Deploy a site
+  nw-publisher lint ./my-site            # Check it first
   nw-publisher deploy ./my-site
   nw-publisher deploy examples/hello-world
+  nw-publisher deploy --all              # Every site in the workspace
 
   # Check status
   nw-publisher status
@@ -163,12 +263,10 @@ EXAMPLES
   nw-publisher cleanup --all             # Full reset
 
 SETUP
-  1. Create .env file with NOSTR_SK_HEX and RELAYS
-  2. Create your HTML/CSS/JS files
-  3. Run: nw-publisher deploy .
-
-  Need a keypair? Generate with:
-    node -e "const k = require('nostr-tools'); const sk = k.generateSecretKey(); console.log(Buffer.from(sk).toString('hex'));"
+  1. Run: nw-publisher init my-site
+     (creates site files, .env and a site keypair)
+  2. Edit your HTML/CSS/JS files and RELAYS in .env
+  3. Run: cd my-site && nw-publisher deploy .
 
 DOCUMENTATION
   https://github.com/Shugur-Network/nw-publisher
@@ -277,10 +375,26 @@ async function main() {
 
   // Route to appropriate handler
   switch (actualCommand) {
+    case "init":
+      runScript("init.mjs", args);
+      break;
+
+    case "config":
+      runScript("config.mjs", args);
+      break;
+
+    case "lint":
+      runScript("lint.mjs", args);
+      break;
+
     case "deploy":
       runScript("publish.mjs", args);
       break;
 
+    case "publish-bundle":
+      runScript("publish-bundle.mjs", args);
+      break;
+
     case "versions":
       runScript("versions.mjs", args);
       break;
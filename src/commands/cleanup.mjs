@@ -11,27 +11,26 @@ import { stdin as input, stdout as output } from "node:process";
 import * as readline from "node:readline/promises";
 
 // Import refactored utilities
-import { EVENT_KINDS, EXIT_CODES } from "../lib/constants.mjs";
-import { getPublicKeyFromPrivate } from "../lib/keypair.mjs";
+import { EVENT_KINDS, EXIT_CODES, FILES } from "../lib/constants.mjs";
+import { getSigner } from "../lib/signer.mjs";
 import {
   connectToRelay,
   closeRelay,
   queryEvents,
-  parseRelayUrls,
 } from "../lib/relay.mjs";
 import {
   createDeletionEvent,
   groupEventsByKind,
   getEventId,
 } from "../lib/events.mjs";
+import { getChunkIds, listAssetLabels } from "../lib/assets.mjs";
+import { getKeyOptions, loadConfig, requireRelays } from "../lib/config.mjs";
 import { logger } from "../utils/logger.mjs";
 import {
   handleError,
-  ConfigError,
   NetworkError,
   ValidationError,
 } from "../utils/errors.mjs";
-import { nip19 } from "nostr-tools";
 
 // Import shared cleanup utilities
 import {
@@ -99,7 +98,8 @@ function showHelpMessage() {
 🧹 Nostr Web Cleanup Tool
 
 Remove events from Nostr relays - clean up everything, orphaned data, or a specific version.
-Requires NOSTR_SK_HEX in .env to sign deletion events.
+Requires NOSTR_SK_HEX in .env, ${FILES.KEYPAIR} (hex or nsec) or a bunker URI
+(NWEB_BUNKER / --bunker) to sign deletion events.
 
 Usage: nw-publisher cleanup [options]
 
@@ -190,7 +190,7 @@ async function confirmDeletion(message) {
 /**
  * Delete all events from relays (full cleanup)
  */
-async function performFullCleanup(pubkey, relays, skHex, dryRun) {
+async function performFullCleanup(pubkey, relays, signer, dryRun) {
   logger.info("\n🔍 Querying events from all relays...\n");
 
   const allEvents = [];
@@ -256,7 +256,7 @@ async function performFullCleanup(pubkey, relays, skHex, dryRun) {
 
   for (const relayUrl of relays) {
     process.stdout.write(`   ${relayUrl}: `);
-    const result = await deleteEventsFromRelay(relayUrl, eventIds, skHex);
+    const result = await deleteEventsFromRelay(relayUrl, eventIds, signer);
     console.log(` ✓ ${result.published} deleted, ${result.failed} failed`);
     results[relayUrl] = result;
   }
@@ -287,7 +287,7 @@ async function performFullCleanup(pubkey, relays, skHex, dryRun) {
 /**
  * Delete only orphaned events (targeted cleanup)
  */
-async function performOrphanCleanup(pubkey, relays, skHex, dryRun) {
+async function performOrphanCleanup(pubkey, relays, signer, dryRun) {
   logger.info("\n🔍 Analyzing orphaned events...\n");
 
   const relayAnalysis = [];
@@ -328,6 +328,9 @@ async function performOrphanCleanup(pubkey, relays, skHex, dryRun) {
       logger.warn(`   ⚠️  Orphans found: ${orphanCount}`);
       if (relay.orphans.assets.length > 0) {
         logger.info(`      - Assets: ${relay.orphans.assets.length}`);
+        for (const label of listAssetLabels(relay.orphans.assets)) {
+          logger.info(`          ${label}`);
+        }
       }
       if (relay.orphans.manifests.length > 0) {
         logger.info(`      - Manifests: ${relay.orphans.manifests.length}`);
@@ -374,7 +377,7 @@ async function performOrphanCleanup(pubkey, relays, skHex, dryRun) {
     if (eventIds.length === 0) continue;
 
     process.stdout.write(`   ${relayUrl}: `);
-    const result = await deleteEventsFromRelay(relayUrl, eventIds, skHex);
+    const result = await deleteEventsFromRelay(relayUrl, eventIds, signer);
     console.log(` ✓ ${result.published} deleted, ${result.failed} failed`);
     results[relayUrl] = result;
   }
@@ -479,7 +482,7 @@ async function queryAssets(relay, pubkey, assetIds) {
 /**
  * Delete a specific version and its assets
  */
-async function performVersionCleanup(pubkey, relays, skHex, version, dryRun) {
+async function performVersionCleanup(pubkey, relays, signer, version, dryRun) {
   logger.info(`\n🔍 Locating version ${version}...\n`);
 
   // Query all site indexes and entrypoints from all relays
@@ -612,8 +615,35 @@ async function performVersionCleanup(pubkey, relays, skHex, version, dryRun) {
     }
   }
 
-  eventsToDelete.push(...assetEvents);
+  // Chunked assets keep their content in separate chunk events
+  const chunkIds = assetEvents.flatMap(getChunkIds);
+  const chunkEvents = [];
+
+  if (chunkIds.length > 0) {
+    logger.info(`\n   Fetching ${chunkIds.length} asset chunk(s)...`);
+
+    for (const relayUrl of relays) {
+      const relay = await connectToRelay(relayUrl);
+      try {
+        const chunks = await queryAssets(relay, pubkey, chunkIds);
+
+        for (const chunk of chunks) {
+          const chunkId = getEventId(chunk);
+          if (!chunkEvents.find((e) => getEventId(e) === chunkId)) {
+            chunkEvents.push(chunk);
+          }
+        }
+      } finally {
+        closeRelay(relay);
+      }
+    }
+  }
+
+  eventsToDelete.push(...assetEvents, ...chunkEvents);
   logger.info(`     Found ${assetEvents.length} asset(s)`);
+  if (chunkEvents.length > 0) {
+    logger.info(`     Found ${chunkEvents.length} asset chunk(s)`);
+  }
 
   // Display summary
   logger.info("\n📊 Events to be deleted:\n");
@@ -622,6 +652,9 @@ async function performVersionCleanup(pubkey, relays, skHex, version, dryRun) {
   logger.info(`   Entrypoint: ${entrypoint ? 1 : 0}`);
   logger.info(`   Manifests: ${manifestEvents.length}`);
   logger.info(`   Assets: ${assetEvents.length}`);
+  if (chunkEvents.length > 0) {
+    logger.info(`   Asset Chunks: ${chunkEvents.length}`);
+  }
   logger.info(`   Total: ${eventsToDelete.length}`);
 
   if (dryRun) {
@@ -647,7 +680,7 @@ async function performVersionCleanup(pubkey, relays, skHex, version, dryRun) {
 
   for (const relayUrl of relays) {
     process.stdout.write(`   ${relayUrl}: `);
-    const result = await deleteEventsFromRelay(relayUrl, eventIds, skHex);
+    const result = await deleteEventsFromRelay(relayUrl, eventIds, signer);
     console.log(` ✓ ${result.published} deleted, ${result.failed} failed`);
     results[relayUrl] = result;
   }
@@ -695,16 +728,14 @@ async function main() {
       return;
     }
 
-    // Get private key from environment
-    const skHex = process.env.NOSTR_SK_HEX;
-    if (!skHex) {
-      throw new ConfigError(
-        "NOSTR_SK_HEX not found. Set your private key in .env file"
-      );
-    }
+    // Get signer (local key or NIP-46 bunker)
+    const config = loadConfig();
+    const signer = await getSigner({
+      siteDir: process.cwd(),
+      ...getKeyOptions(),
+    });
 
-    const pubkey = getPublicKeyFromPrivate(skHex);
-    const npub = nip19.npubEncode(pubkey);
+    const { pubkey, npub } = signer;
 
     logger.info(
       "======================================================================"
@@ -714,6 +745,9 @@ async function main() {
       "======================================================================\n"
     );
     logger.info(`🔑 Identity: ${npub}`);
+    if (signer.type === "bunker") {
+      logger.info("✍️  Signing with remote signer (NIP-46)");
+    }
 
     // Determine target relays
     let relays;
@@ -721,14 +755,8 @@ async function main() {
       relays = targetRelays;
       logger.info(`📡 Target: ${relays.length} specific relay(s)`);
     } else {
-      // Use relays from environment
-      const envRelays = process.env.RELAYS || process.env.NOSTR_RELAYS;
-      if (!envRelays) {
-        throw new ConfigError(
-          "No relays configured. Set RELAYS in .env or use --relay option."
-        );
-      }
-      relays = parseRelayUrls(envRelays);
+      // Use configured relays (flag > env > .nweb.config.json)
+      relays = requireRelays(config);
       logger.info(`📡 Target: ${relays.length} configured relay(s)`);
     }
 
@@ -739,15 +767,21 @@ async function main() {
     // Perform cleanup based on mode
     if (targetVersion) {
       logger.info(`\n🎯 Mode: Version cleanup (delete specific version)`);
-      await performVersionCleanup(pubkey, relays, skHex, targetVersion, dryRun);
+      await performVersionCleanup(
+        pubkey,
+        relays,
+        signer,
+        targetVersion,
+        dryRun
+      );
     } else if (orphansOnly) {
       logger.info(
         `\n🎯 Mode: Orphan cleanup (delete unreferenced events only)`
       );
-      await performOrphanCleanup(pubkey, relays, skHex, dryRun);
+      await performOrphanCleanup(pubkey, relays, signer, dryRun);
     } else {
       logger.info(`\n🎯 Mode: Full cleanup (delete all events)`);
-      await performFullCleanup(pubkey, relays, skHex, dryRun);
+      await performFullCleanup(pubkey, relays, signer, dryRun);
     }
 
     logger.info(
@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+/**
+ * Config Command
+ *
+ * Manage project settings in .nweb.config.json and the site keypair,
+ * including NIP-49 encryption of the keypair file.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import dotenv from "dotenv";
+import { getPublicKey, nip19 } from "nostr-tools";
+
+import { FILES, KEY_ENCRYPTION } from "../lib/constants.mjs";
+import {
+  CONFIG_KEYS,
+  getKeyOptions,
+  parseConfigValue,
+  readProjectConfig,
+  writeProjectConfig,
+  resolveConfigValue,
+} from "../lib/config.mjs";
+import {
+  generateKeypair,
+  saveKeypair,
+  isValidPrivateKey,
+  normalizePrivateKey,
+  readKeypairFile,
+  isEncryptedKeypair,
+  resolvePrivateKey,
+  getNewPassphrase,
+} from "../lib/keypair.mjs";
+import { logger } from "../utils/logger.mjs";
+import {
+  handleError,
+  ConfigError,
+  ValidationError,
+  FileSystemError,
+} from "../utils/errors.mjs";
+
+// Load .env from current working directory
+dotenv.config({ path: process.cwd() + "/.env" });
+
+const SOURCE_LABELS = {
+  flag: "flag",
+  env: "env",
+  config: FILES.CONFIG,
+  default: "default",
+};
+
+/**
+ * Format a config value for display
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return "(not set)";
+  return Array.isArray(value) ? value.join(",") : String(value);
+}
+
+/**
+ * List all settings with their source
+ */
+function listConfig() {
+  const projectConfig = readProjectConfig();
+
+  logger.header("⚙️  Nostr Web Config");
+  logger.info(`Project config: ${path.resolve(FILES.CONFIG)}`);
+  logger.info(`Precedence: flag > env > ${FILES.CONFIG} > default\n`);
+
+  for (const [key, def] of Object.entries(CONFIG_KEYS)) {
+    const { value, source } = resolveConfigValue(key, { projectConfig });
+    const origin = source ? ` (${SOURCE_LABELS[source]})` : "";
+    console.log(`  ${key.padEnd(12)} ${formatValue(value)}${origin}`);
+    console.log(`  ${"".padEnd(12)} ${def.description}, env: ${def.env[0]}`);
+  }
+
+  // "sites" and "headers" are sections, not settings
+  const unknown = Object.keys(projectConfig).filter(
+    (k) => !CONFIG_KEYS[k] && !["sites", "headers"].includes(k)
+  );
+  if (unknown.length > 0) {
+    console.log("");
+    logger.warn(`Unknown keys in ${FILES.CONFIG}: ${unknown.join(", ")}`);
+  }
+  console.log("");
+}
+
+/**
+ * Print one setting (value only, for scripts)
+ */
+function getConfig(key) {
+  if (!key) {
+    throw new ValidationError("Usage: nw-publisher config get <key>");
+  }
+  const { value } = resolveConfigValue(key);
+  if (value === null) {
+    process.exitCode = 1;
+    return;
+  }
+  console.log(formatValue(value));
+}
+
+/**
+ * Store one setting in the project config
+ */
+function setConfig(key, rawValue) {
+  if (!key || rawValue === undefined) {
+    throw new ValidationError("Usage: nw-publisher config set <key> <value>");
+  }
+
+  const value = parseConfigValue(key, rawValue);
+  const config = readProjectConfig();
+  config[key] = value;
+  writeProjectConfig(config);
+
+  logger.success(`Set ${key} = ${formatValue(value)} in ${FILES.CONFIG}`);
+
+  const { source } = resolveConfigValue(key);
+  if (source === "env") {
+    logger.warn(
+      `${key} is currently overridden by ${CONFIG_KEYS[key].env[0]} in the environment`
+    );
+  }
+}
+
+/**
+ * Remove one setting from the project config
+ */
+function unsetConfig(key) {
+  if (!key) {
+    throw new ValidationError("Usage: nw-publisher config unset <key>");
+  }
+  if (!CONFIG_KEYS[key]) {
+    throw new ValidationError(`Unknown config key "${key}"`);
+  }
+
+  const config = readProjectConfig();
+  delete config[key];
+  writeProjectConfig(config);
+  logger.success(`Removed ${key} from ${FILES.CONFIG}`);
+}
+
+/**
+ * Get the path of the site keypair file (keyFile setting or .nweb-keypair.json)
+ */
+function getKeypairPath() {
+  const { value } = resolveConfigValue("keyFile");
+  return path.resolve(value || FILES.KEYPAIR);
+}
+
+/**
+ * Save a private key as the site keypair
+ */
+async function storeKeypair(skHex, { force, encrypt }) {
+  const keypairPath = getKeypairPath();
+  const name = path.relative(process.cwd(), keypairPath) || keypairPath;
+  if (fs.existsSync(keypairPath) && !force) {
+    throw new ConfigError(
+      `${name} already exists. Use --force to replace it (back it up first!)`
+    );
+  }
+
+  const publicKey = getPublicKey(Buffer.from(skHex, "hex"));
+  const passphrase = encrypt ? await getNewPassphrase() : null;
+  try {
+    saveKeypair({ privateKey: skHex, publicKey }, keypairPath, { passphrase });
+  } catch (error) {
+    throw new FileSystemError(`Failed to save keypair: ${error.message}`);
+  }
+
+  logger.success(`Saved ${passphrase ? "encrypted " : ""}keypair to ${name}`);
+  logger.info(`Public Key (npub): ${nip19.npubEncode(publicKey)}`);
+  if (!passphrase) {
+    logger.warn(
+      `The private key is stored unencrypted. Run 'nw-publisher config encrypt' to add a passphrase`
+    );
+  }
+  if (process.env.NOSTR_SK_HEX) {
+    logger.warn(
+      `NOSTR_SK_HEX is set in the environment and takes precedence over ${name}`
+    );
+  }
+}
+
+/**
+ * Generate a new site keypair
+ */
+async function generateConfigKeypair(options) {
+  const keypair = generateKeypair();
+  await storeKeypair(keypair.privateKey, options);
+  logger.warn(
+    `Back up ${FILES.KEYPAIR}: it is the only copy of this site's private key.`
+  );
+}
+
+/**
+ * Read a key from stdin (so it doesn't end up in shell history)
+ */
+function readStdin() {
+  try {
+    return fs.readFileSync(0, "utf8").trim();
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Import an existing private key (nsec or hex)
+ */
+async function importConfigKeypair(keyArg, options) {
+  const key = (keyArg && keyArg !== "-" ? keyArg : readStdin()).trim();
+  if (!key) {
+    throw new ValidationError(
+      "Usage: nw-publisher config import <nsec|hex> (or pipe the key on stdin)"
+    );
+  }
+  if (!isValidPrivateKey(key)) {
+    throw new ValidationError(
+      "Invalid private key. Expected nsec1... or 64-char hex"
+    );
+  }
+  await storeKeypair(normalizePrivateKey(key).toLowerCase(), options);
+}
+
+/**
+ * Load the site keypair file for encrypt/decrypt
+ *
+ * NOSTR_SK_HEX is ignored here: these commands work on the file itself.
+ */
+async function unlockKeypairFile() {
+  const keypairPath = getKeypairPath();
+  if (!fs.existsSync(keypairPath)) {
+    throw new ConfigError(
+      `No keypair file at ${keypairPath}. Create one with 'nw-publisher config generate'`
+    );
+  }
+
+  const data = readKeypairFile(keypairPath);
+  const keypair = await resolvePrivateKey({
+    keyFile: keypairPath,
+    env: { ...process.env, NOSTR_SK_HEX: "" },
+  });
+  return { keypairPath, encrypted: isEncryptedKeypair(data), keypair };
+}
+
+/**
+ * Encrypt a plaintext keypair file with a passphrase (NIP-49)
+ */
+async function encryptConfigKeypair() {
+  const keypairPath = getKeypairPath();
+  if (
+    fs.existsSync(keypairPath) &&
+    isEncryptedKeypair(readKeypairFile(keypairPath))
+  ) {
+    logger.info(`${path.basename(keypairPath)} is already encrypted`);
+    return;
+  }
+
+  const { keypair } = await unlockKeypairFile();
+  const passphrase = await getNewPassphrase();
+  if (!passphrase) {
+    throw new ConfigError(
+      `No passphrase given. Set ${KEY_ENCRYPTION.PASSPHRASE_ENV} or run in a terminal`
+    );
+  }
+
+  saveKeypair(keypair, keypairPath, { passphrase });
+  logger.success(`Encrypted ${path.basename(keypairPath)} (ncryptsec)`);
+  logger.info(
+    `Deploys now ask for the passphrase, or read it from ${KEY_ENCRYPTION.PASSPHRASE_ENV}`
+  );
+}
+
+/**
+ * Decrypt an encrypted keypair file back to plaintext
+ */
+async function decryptConfigKeypair() {
+  const { keypairPath, encrypted, keypair } = await unlockKeypairFile();
+  if (!encrypted) {
+    logger.info(`${path.basename(keypairPath)} is not encrypted`);
+    return;
+  }
+
+  saveKeypair(keypair, keypairPath);
+  logger.success(`Decrypted ${path.basename(keypairPath)}`);
+  logger.warn("The private key is now stored unencrypted");
+}
+
+/**
+ * Print the private key (only when explicitly asked for)
+ */
+async function showConfigKey(hex) {
+  const keypair = await resolvePrivateKey(getKeyOptions());
+  if (!keypair) {
+    throw new ConfigError(
+      `No private key found. Set NOSTR_SK_HEX or create ${FILES.KEYPAIR}`
+    );
+  }
+  console.log(
+    hex
+      ? keypair.privateKey
+      : nip19.nsecEncode(Buffer.from(keypair.privateKey, "hex"))
+  );
+}
+
+/**
+ * Show help
+ */
+function showHelp() {
+  console.log(`
+⚙️  Nostr Web Config
+
+Manage project settings and the site keypair.
+
+Usage: nw-publisher config <command> [options]
+
+Commands:
+  list                     Show all settings and where each value comes from
+  get <key>                Print the effective value of a setting
+  set <key> <value>        Store a setting in ${FILES.CONFIG}
+  unset <key>              Remove a setting from ${FILES.CONFIG}
+  generate                 Generate a new site keypair (${FILES.KEYPAIR})
+  import <nsec|hex>        Import an existing private key (or pipe it on stdin)
+  encrypt                  Encrypt the keypair file with a passphrase (NIP-49)
+  decrypt                  Store the keypair file unencrypted again
+  show-key                 Print the private key (nsec; --hex for hex)
+
+Options:
+  --force                  Replace an existing ${FILES.KEYPAIR}
+  --no-encrypt             Store a generated or imported key unencrypted
+  -h, --help               Show this help message
+
+Keys:
+${Object.entries(CONFIG_KEYS)
+  .map(
+    ([key, def]) =>
+      `  ${key.padEnd(24)} ${def.description} (env: ${def.env[0]}, flag: ${
+        def.flag
+      })`
+  )
+  .join("\n")}
+
+Precedence:
+  CLI flag > environment (.env) > ${FILES.CONFIG} > defaults
+
+Examples:
+  nw-publisher config set relays wss://relay1.example.com,wss://relay2.example.com
+  nw-publisher config set host example.com
+  nw-publisher config get relays
+  nw-publisher config list
+  nw-publisher config generate
+  echo "nsec1..." | nw-publisher config import
+  nw-publisher config encrypt
+
+Note: ${FILES.CONFIG} is meant to be committed and never holds keys.
+      Keys live in NOSTR_SK_HEX or ${FILES.KEYPAIR} (git-ignored).
+      New keys are encrypted with a passphrase, asked for on the terminal
+      or read from ${KEY_ENCRYPTION.PASSPHRASE_ENV}. Leave it empty to skip.
+`);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const positional = args.filter((a) => !a.startsWith("--") || a === "-");
+  const [subcommand, ...rest] = positional;
+  const keyOptions = {
+    force: args.includes("--force"),
+    encrypt: !args.includes("--no-encrypt"),
+  };
+
+  if (!subcommand || args.includes("--help") || args.includes("-h")) {
+    showHelp();
+    return;
+  }
+
+  switch (subcommand) {
+    case "list":
+      listConfig();
+      break;
+    case "get":
+      getConfig(rest[0]);
+      break;
+    case "set":
+      setConfig(rest[0], rest[1]);
+      break;
+    case "unset":
+      unsetConfig(rest[0]);
+      break;
+    case "generate":
+      await generateConfigKeypair(keyOptions);
+      break;
+    case "import":
+      await importConfigKeypair(rest[0], keyOptions);
+      break;
+    case "encrypt":
+      await encryptConfigKeypair();
+      break;
+    case "decrypt":
+      await decryptConfigKeypair();
+      break;
+    case "show-key":
+      await showConfigKey(args.includes("--hex"));
+      break;
+    default:
+      throw new ValidationError(
+        `Unknown config command: ${subcommand}. Run 'nw-publisher config --help'`
+      );
+  }
+}
+
+main().catch(handleError);
@@ -12,12 +12,13 @@ import * as readline from "node:readline/promises";
 
 // Import refactored utilities
 import { EVENT_KINDS } from "../lib/constants.mjs";
-import { getPrivateKey, getPublicKeyFromPrivate } from "../lib/keypair.mjs";
+import { getSigner } from "../lib/signer.mjs";
 import { connectToRelay, closeRelay, queryEvents } from "../lib/relay.mjs";
 import { createDeletionEvent, getEventId } from "../lib/events.mjs";
+import { expandChunkReferences, listAssetLabels } from "../lib/assets.mjs";
+import { getKeyOptions } from "../lib/config.mjs";
 import { logger } from "../utils/logger.mjs";
 import { handleError, ValidationError } from "../utils/errors.mjs";
-import { nip19 } from "nostr-tools";
 
 // Load .env from current working directory
 dotenv.config({ path: process.cwd() + '/.env' });
@@ -128,6 +129,15 @@ function analyzeOrphans(events) {
     }
   }
 
+  // Chunked assets reference their chunks
+  const assetLookup = new Map(
+    byKind[EVENT_KINDS.ASSET].map((e) => [getEventId(e), e])
+  );
+  const referencedAssetsWithChunks = expandChunkReferences(
+    referencedAssets,
+    assetLookup
+  );
+
   // Find orphans
   const orphans = {
     assets: [],
@@ -135,9 +145,9 @@ function analyzeOrphans(events) {
     indexes: [],
   };
 
-  // Orphaned assets (not referenced by any manifest)
+  // Orphaned assets (not referenced by any manifest or chunked parent)
   for (const asset of byKind[EVENT_KINDS.ASSET]) {
-    if (!referencedAssets.has(getEventId(asset))) {
+    if (!referencedAssetsWithChunks.has(getEventId(asset))) {
       orphans.assets.push(asset);
     }
   }
@@ -167,10 +177,10 @@ function analyzeOrphans(events) {
  *
  * @param {string} relayUrl - Relay URL
  * @param {Array<string>} eventIds - Event IDs to delete
- * @param {string} skHex - Private key
+ * @param {Object} signer - Signer for deletion events
  * @returns {Promise<Object>} Deletion results
  */
-async function deleteEventsFromRelay(relayUrl, eventIds, skHex) {
+async function deleteEventsFromRelay(relayUrl, eventIds, signer) {
   try {
     logger.info(`   Connecting to ${relayUrl}...`);
     const relay = await connectRelay(relayUrl);
@@ -179,13 +189,12 @@ async function deleteEventsFromRelay(relayUrl, eventIds, skHex) {
     let failed = 0;
 
     for (const eventId of eventIds) {
-      const deleteEvent = createDeletionEvent(
-        [eventId],
-        "Orphan cleanup",
-        skHex
-      );
-
       try {
+        const deleteEvent = await createDeletionEvent(
+          [eventId],
+          "Orphan cleanup",
+          signer
+        );
         await relay.publish(deleteEvent);
         published++;
         process.stdout.write(".");
@@ -262,6 +271,9 @@ function displayOrphanReport(relayAnalysis) {
       logger.warn(`   ⚠️  Orphans found: ${orphanCount}`);
       if (relay.orphans.assets.length > 0) {
         logger.info(`      - Assets: ${relay.orphans.assets.length}`);
+        for (const label of listAssetLabels(relay.orphans.assets)) {
+          logger.info(`          ${label}`);
+        }
       }
       if (relay.orphans.manifests.length > 0) {
         logger.info(`      - Manifests: ${relay.orphans.manifests.length}`);
@@ -291,6 +303,7 @@ function displayOrphanReport(relayAnalysis) {
  * @param {Array<string>} targetRelays - Target relay URLs
  */
 async function deleteOrphans(siteDir, targetRelays) {
+  let signer = null;
   try {
     // Validate inputs
     if (targetRelays.length === 0) {
@@ -300,9 +313,8 @@ async function deleteOrphans(siteDir, targetRelays) {
     }
 
     // Get credentials
-    const skHex = getPrivateKey(siteDir);
-    const pubkey = getPublicKeyFromPrivate(skHex);
-    const npub = nip19.npubEncode(pubkey);
+    signer = await getSigner({ siteDir, ...getKeyOptions() });
+    const { pubkey, npub } = signer;
 
     // Display header
     logger.header("🧹 Nostr Web Orphan Deletion Tool");
@@ -357,7 +369,7 @@ async function deleteOrphans(siteDir, targetRelays) {
 
     for (const [relayUrl, eventIds] of orphanEventIds) {
       logger.info(`Relay: ${relayUrl}`);
-      const result = await deleteEventsFromRelay(relayUrl, eventIds, skHex);
+      const result = await deleteEventsFromRelay(relayUrl, eventIds, signer);
       deletionResults.push({ url: relayUrl, ...result });
       logger.info(`   ✓ Deleted: ${result.published}/${eventIds.length}\n`);
     }
@@ -391,6 +403,8 @@ async function deleteOrphans(siteDir, targetRelays) {
     }
   } catch (error) {
     handleError(error);
+  } finally {
+    await signer?.close();
   }
 }
 
@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+/**
+ * Init Command
+ *
+ * Scaffold a new site directory with starter files, a .gitignore,
+ * environment files and a site keypair, ready for `nw-publisher deploy`.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { FILES, TEMPLATES } from "../lib/constants.mjs";
+import {
+  generateKeypair,
+  saveKeypair,
+  getNewPassphrase,
+} from "../lib/keypair.mjs";
+import { logger } from "../utils/logger.mjs";
+import {
+  handleError,
+  ValidationError,
+  FileSystemError,
+} from "../utils/errors.mjs";
+import { ensureDirectory, directoryExists } from "../utils/fs.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const EXAMPLES_DIR = path.join(__dirname, "..", "..", "examples");
+const DEFAULT_TEMPLATE = "basic";
+
+/**
+ * List available named templates (the example sites)
+ *
+ * @returns {Array<string>} Template names
+ */
+function listTemplates() {
+  if (!directoryExists(EXAMPLES_DIR)) {
+    return [DEFAULT_TEMPLATE];
+  }
+
+  const examples = fs
+    .readdirSync(EXAMPLES_DIR, { withFileTypes: true })
+    .filter((e) => e.isDirectory())
+    .map((e) => e.name)
+    .sort();
+
+  return [DEFAULT_TEMPLATE, ...examples];
+}
+
+/**
+ * Get the files of a template
+ *
+ * @param {string} name - Template name
+ * @returns {Array<Object>} Files as { relPath, content } or { relPath, source }
+ * @throws {ValidationError} If the template does not exist
+ */
+function getTemplateFiles(name) {
+  if (name === DEFAULT_TEMPLATE) {
+    return [
+      { relPath: "index.html", content: TEMPLATES.INDEX_HTML },
+      { relPath: "style.css", content: TEMPLATES.STYLE_CSS },
+      { relPath: "app.js", content: TEMPLATES.APP_JS },
+    ];
+  }
+
+  const templateDir = path.join(EXAMPLES_DIR, name);
+  if (!/^[\w-]+$/.test(name) || !directoryExists(templateDir)) {
+    throw new ValidationError(
+      `Unknown template "${name}". Available: ${listTemplates().join(", ")}`
+    );
+  }
+
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (entry.isFile()) {
+        files.push({
+          relPath: path.relative(templateDir, fullPath),
+          source: fullPath,
+        });
+      }
+    }
+  };
+  walk(templateDir);
+
+  return files;
+}
+
+/**
+ * Write a file unless it already exists (or force is set)
+ *
+ * @param {string} filePath - Destination path
+ * @param {Object} file - { content } or { source }
+ * @param {boolean} force - Overwrite existing files
+ * @returns {boolean} True if written
+ */
+function writeFile(filePath, file, force) {
+  const relPath = path.relative(process.cwd(), filePath) || filePath;
+
+  if (fs.existsSync(filePath) && !force) {
+    logger.warn(`  Skipped ${relPath} (already exists)`);
+    return false;
+  }
+
+  try {
+    ensureDirectory(path.dirname(filePath));
+    if (file.source) {
+      fs.copyFileSync(file.source, filePath);
+    } else {
+      fs.writeFileSync(filePath, file.content);
+    }
+  } catch (error) {
+    throw new FileSystemError(`Failed to write ${relPath}: ${error.message}`);
+  }
+
+  logger.info(`  Created ${relPath}`);
+  return true;
+}
+
+/**
+ * Scaffold a site
+ *
+ * @param {string} targetDir - Site directory
+ * @param {Object} options - { template, force, keypair, encrypt }
+ */
+async function initSite(targetDir, options) {
+  const siteDir = path.resolve(targetDir);
+
+  if (fs.existsSync(siteDir) && !directoryExists(siteDir)) {
+    throw new ValidationError(`Not a directory: ${siteDir}`);
+  }
+
+  const files = getTemplateFiles(options.template);
+
+  logger.header("🌱 Nostr Web - Init");
+  logger.info(`Directory: ${siteDir}`);
+  logger.info(`Template:  ${options.template}\n`);
+
+  if (!ensureDirectory(siteDir)) {
+    throw new FileSystemError(`Failed to create directory: ${siteDir}`);
+  }
+
+  // 1. Site files
+  logger.info("📄 Site files:");
+  for (const file of files) {
+    writeFile(path.join(siteDir, file.relPath), file, options.force);
+  }
+
+  // 2. Project files
+  console.log("");
+  logger.info("⚙️  Project files:");
+  writeFile(
+    path.join(siteDir, FILES.GITIGNORE),
+    { content: TEMPLATES.GITIGNORE },
+    options.force
+  );
+  writeFile(
+    path.join(siteDir, FILES.ENV_EXAMPLE),
+    { content: TEMPLATES.ENV_EXAMPLE },
+    options.force
+  );
+  // .env holds secrets and local settings: never overwrite it
+  writeFile(
+    path.join(siteDir, FILES.ENV),
+    { content: TEMPLATES.ENV_EXAMPLE },
+    false
+  );
+
+  // 3. Site keypair (never overwritten, even with --force)
+  let npub = null;
+  if (options.keypair) {
+    console.log("");
+    logger.info("🔑 Keypair:");
+    const keypairPath = path.join(siteDir, FILES.KEYPAIR);
+    if (fs.existsSync(keypairPath)) {
+      logger.warn(`  Kept existing ${FILES.KEYPAIR}`);
+    } else {
+      const keypair = generateKeypair();
+      const passphrase = options.encrypt ? await getNewPassphrase() : null;
+      try {
+        saveKeypair(keypair, keypairPath, { passphrase });
+      } catch (error) {
+        throw new FileSystemError(`Failed to save keypair: ${error.message}`);
+      }
+      npub = keypair.npub;
+      logger.info(
+        `  Created ${FILES.KEYPAIR}${passphrase ? " (encrypted)" : ""}`
+      );
+      logger.info(`  Public Key (npub): ${npub}`);
+      if (!passphrase) {
+        logger.warn(
+          "  Stored unencrypted: run 'nw-publisher config encrypt' to add a passphrase"
+        );
+      }
+    }
+  }
+
+  console.log("");
+  logger.success("Site ready!\n");
+  logger.info("Next steps:");
+  if (path.resolve(process.cwd()) !== siteDir) {
+    logger.info(`  1. cd ${path.relative(process.cwd(), siteDir) || "."}`);
+  } else {
+    logger.info("  1. (you're already in the site directory)");
+  }
+  logger.info(`  2. Review RELAYS and NWEB_HOST in ${FILES.ENV}`);
+  logger.info("  3. nw-publisher deploy .\n");
+  if (npub) {
+    logger.warn(
+      `Back up ${FILES.KEYPAIR}: it is the only copy of this site's private key.`
+    );
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes("--help") || args.includes("-h")) {
+    console.log(`
+🌱 Nostr Web Init
+
+Scaffold a new site that is ready to deploy.
+
+Usage: nw-publisher init [dir] [options]
+
+Arguments:
+  dir                  Site directory to create (default: current directory)
+
+Options:
+  --template=<name>    Start from a named template (default: ${DEFAULT_TEMPLATE})
+  --force              Overwrite existing site files (.env and keypair are kept)
+  --no-keypair         Don't generate ${FILES.KEYPAIR}
+  --no-encrypt         Store the generated key without a passphrase
+  -h, --help           Show this help message
+
+Templates:
+${listTemplates()
+  .map(
+    (t) =>
+      `  ${t}${t === DEFAULT_TEMPLATE ? " (index.html, style.css, app.js)" : ""}`
+  )
+  .join("\n")}
+
+Examples:
+  # Scaffold in a new folder
+  nw-publisher init my-site
+
+  # Start from the multi-page blog example
+  nw-publisher init my-blog --template=multi-page-blog
+
+What it creates:
+  - Site files from the template
+  - ${FILES.GITIGNORE}, ${FILES.ENV_EXAMPLE} and ${FILES.ENV}
+  - ${FILES.KEYPAIR} with a new site keypair, encrypted with a passphrase
+    (asked for on the terminal, or NWEB_PASSPHRASE)
+`);
+    return;
+  }
+
+  const templateArg = args.find((a) => a.startsWith("--template="));
+  const targetDir = args.find((a) => !a.startsWith("-")) || ".";
+
+  await initSite(targetDir, {
+    template: templateArg ? templateArg.split("=")[1] : DEFAULT_TEMPLATE,
+    force: args.includes("--force"),
+    keypair: !args.includes("--no-keypair"),
+    encrypt: !args.includes("--no-encrypt"),
+  });
+}
+
+main().catch(handleError);
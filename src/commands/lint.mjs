@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/**
+ * Lint Command
+ *
+ * Check a site for problems before it is deployed: HTML structure, broken
+ * links and references, mixed content and oversize files. Deploy runs the
+ * same checks (see the `lint` setting).
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+import { FILES, LIMITS } from "../lib/constants.mjs";
+import {
+  findFlagValues,
+  findPositionalArgs,
+  readProjectConfig,
+} from "../lib/config.mjs";
+import { readHeaderRules } from "../lib/headers.mjs";
+import { listSiteFiles, loadIgnoreMatcher } from "../lib/ignore.mjs";
+import { formatLintProblem, lintSite } from "../lib/lint.mjs";
+import { readRedirectRules } from "../lib/redirects.mjs";
+import {
+  getWorkspaceSite,
+  getWorkspaceSites,
+  parseWorkspaceArgs,
+  printWorkspaceSummary,
+} from "../lib/workspace.mjs";
+import { logger } from "../utils/logger.mjs";
+import { handleError, FileSystemError } from "../utils/errors.mjs";
+
+/**
+ * Lint the files a deploy of a site directory would publish
+ *
+ * @param {string} siteDir - Site directory
+ * @param {Object} options - { headers, include, exclude }
+ * @returns {Array<Object>} Problems from lintSite()
+ * @throws {FileSystemError} If the directory doesn't exist
+ * @throws {ConfigError|ValidationError} If _headers or _redirects is malformed
+ */
+function lintDirectory(siteDir, options) {
+  if (!fs.existsSync(siteDir) || !fs.statSync(siteDir).isDirectory()) {
+    throw new FileSystemError(`No such folder: ${siteDir}`);
+  }
+
+  const ignoreMatcher = loadIgnoreMatcher(siteDir, {
+    include: options.include,
+    exclude: options.exclude,
+  });
+  const { files } = listSiteFiles(siteDir, ignoreMatcher);
+
+  return lintSite({
+    files: files.map((file) =>
+      path.relative(siteDir, file).replace(/\\/g, "/")
+    ),
+    readFile: (relPath) => fs.readFileSync(path.join(siteDir, relPath)),
+    existsOnDisk: (relPath) => fs.existsSync(path.join(siteDir, relPath)),
+    headerRules: readHeaderRules(options.headers, siteDir),
+    routingRules: readRedirectRules(siteDir),
+  });
+}
+
+/**
+ * Print problems and their counts
+ *
+ * @param {Array<Object>} problems - From lintSite()
+ * @returns {string} "N error(s), M warning(s)"
+ */
+function printProblems(problems) {
+  problems.forEach((problem) => console.warn(formatLintProblem(problem)));
+  const errorCount = problems.filter((p) => p.level === "error").length;
+  const summary = `${errorCount} error(s), ${
+    problems.length - errorCount
+  } warning(s)`;
+  console.log(`\n   ${summary}`);
+  return summary;
+}
+
+/**
+ * Lint every site of the workspace and print a combined summary
+ *
+ * @param {Object} options - { include, exclude }
+ * @returns {boolean} True if no site has errors
+ */
+function lintAllSites(options) {
+  logger.header("🔍 Nostr Web Lint (workspace)");
+
+  const results = [];
+  for (const site of getWorkspaceSites()) {
+    logger.info(`🌐 Site: ${site.name} (${site.dir})\n`);
+    try {
+      const problems = lintDirectory(site.dir, {
+        ...options,
+        headers: site.headers ?? readProjectConfig().headers,
+      });
+      results.push({
+        name: site.name,
+        ok: !problems.some((p) => p.level === "error"),
+        detail: printProblems(problems),
+      });
+    } catch (error) {
+      logger.error(`   ${error.message}`);
+      results.push({ name: site.name, ok: false, detail: error.message });
+    }
+    logger.info("");
+  }
+
+  printWorkspaceSummary("📋 Workspace lint summary", results);
+  return results.every((result) => result.ok);
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const argv = process.argv.slice(2);
+
+  if (argv.includes("--help") || argv.includes("-h")) {
+    console.log(`
+🔍 Nostr Web Lint
+
+Check a site for problems before deploying it.
+
+Usage: nw-publisher lint [site-folder] [options]
+       nw-publisher lint --site=<name> | --all [options]
+
+Arguments:
+  site-folder       Path to your website directory (default: current directory)
+
+Options:
+  --site=<name>     Lint one site of the workspace ("sites" in ${FILES.CONFIG})
+  --all             Lint every workspace site and print a combined summary
+  --exclude=<glob>  Skip matching files, as deploy would (repeatable)
+  --include=<glob>  Check matching files even if ignored (repeatable)
+
+Errors:
+  - References to files that are missing or ignored by ${FILES.IGNORE}
+  - Links to routes that are not pages, files, aliases or redirects (${FILES.REDIRECTS})
+  - Scripts, stylesheets, frames and embeds loaded over http://
+  - Empty HTML pages
+
+Warnings:
+  - Missing <html>, <head>, <body>, <title> or <meta charset>, unclosed tags
+  - Inline scripts the route's Content-Security-Policy blocks (${FILES.HEADERS})
+  - Other http:// content (images, media, CSS url())
+  - Files above ${LIMITS.MAX_FILE_SIZE / 1024} KB, which are published in chunks
+
+Exits with 1 if there are errors. Deploy runs the same checks; set the
+"lint" setting (--lint=error, NWEB_LINT) to make errors stop a deploy.
+
+Examples:
+  nw-publisher lint ./site
+  nw-publisher lint --all
+`);
+    return;
+  }
+
+  const { site: siteName, all, args } = parseWorkspaceArgs(argv);
+  const options = {
+    include: findFlagValues(args, "--include"),
+    exclude: findFlagValues(args, "--exclude"),
+  };
+
+  if (all) {
+    process.exit(lintAllSites(options) ? 0 : 1);
+  }
+
+  const site = siteName ? getWorkspaceSite(siteName) : null;
+  const siteDir = path.resolve(
+    site
+      ? site.dir
+      : findPositionalArgs(args, ["--include", "--exclude"])[0] || "."
+  );
+
+  logger.header("🔍 Nostr Web Lint");
+  logger.info(`Site: ${siteDir}\n`);
+  const problems = lintDirectory(siteDir, {
+    ...options,
+    headers: site?.headers ?? readProjectConfig().headers,
+  });
+  printProblems(problems);
+  process.exit(problems.some((p) => p.level === "error") ? 1 : 0);
+}
+
+// Run with error handling
+main().catch((error) => {
+  handleError(error);
+  process.exit(1);
+});
@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+/**
+ * Publish Bundle Command
+ *
+ * Publish a bundle written by `deploy --out` to relays. The events are
+ * already signed, so no key is needed. Relays that end up with only part of
+ * the bundle get the bundle's pre-signed rollback event.
+ */
+
+import path from "node:path";
+import dotenv from "dotenv";
+import { nip19 } from "nostr-tools";
+import { connectToRelay, closeRelay } from "../lib/relay.mjs";
+import { loadConfig } from "../lib/config.mjs";
+import { getPublishStages, readBundle } from "../lib/bundle.mjs";
+import { createPublishQueue, formatProgress } from "../lib/publish-queue.mjs";
+import { EVENT_KINDS, FILES, NETWORK } from "../lib/constants.mjs";
+import { logger } from "../utils/logger.mjs";
+import { handleError, ConfigError, NetworkError } from "../utils/errors.mjs";
+
+// Load .env from current working directory
+dotenv.config({ path: process.cwd() + "/.env" });
+
+const STAGE_LABELS = {
+  [EVENT_KINDS.ASSET]: "assets",
+  [EVENT_KINDS.MANIFEST]: "manifests",
+  [EVENT_KINDS.SITE_INDEX]: "site index",
+  [EVENT_KINDS.ENTRYPOINT]: "entrypoint",
+};
+
+/**
+ * Connect to relays, keeping failed ones as disconnected entries
+ *
+ * @param {Array<string>} urls - Relay URLs
+ * @returns {Promise<Array<Object>>} Connections ({ relay, url, connected })
+ */
+async function connectRelays(urls) {
+  logger.info(`Connecting to ${urls.length} relay(s)...`);
+  const conns = [];
+  for (const url of urls) {
+    try {
+      const relay = await connectToRelay(url);
+      conns.push({ relay, url, connected: true });
+      logger.success(`   Connected to ${url}`);
+    } catch (error) {
+      logger.warn(`   Failed to connect to ${url}: ${error.message}`);
+      conns.push({ relay: null, url, connected: false });
+    }
+  }
+  return conns;
+}
+
+/**
+ * Publish the bundle events stage by stage, then roll back partial relays
+ *
+ * A stage (assets, manifests, site index, entrypoint) only starts once the
+ * previous one is on at least one relay. If some event reaches no relay,
+ * publishing stops and every relay that received events is rolled back.
+ *
+ * @param {Object} bundle - Bundle from readBundle()
+ * @param {Array<Object>} conns - Relay connections
+ * @param {number} concurrency - Events in flight per relay
+ * @returns {Promise<Array<Object>>} Per relay { url, connected, published, failed, rolledBack }
+ */
+async function publishBundle(bundle, conns, concurrency) {
+  const relayStats = {};
+  const publishLog = {};
+  for (const conn of conns) {
+    relayStats[conn.url] = { published: 0, failed: 0 };
+    publishLog[conn.url] = [];
+  }
+
+  const queue = createPublishQueue(conns, {
+    concurrency,
+    relayStats,
+    publishLog,
+    onProgress: (progress) =>
+      logger.info(`   Published: ${formatProgress(progress)}`),
+  });
+
+  let complete = true;
+  for (const stage of getPublishStages(bundle.events)) {
+    logger.info(`Publishing ${stage.length} ${STAGE_LABELS[stage[0].kind]}...`);
+    for (const event of stage) {
+      queue.publish(event);
+    }
+
+    const rejected = await queue.drain();
+    if (rejected.length > 0) {
+      logger.error(
+        `${rejected.length} event(s) were rejected by every relay: ${rejected
+          .map((id) => id.substring(0, 8))
+          .join(", ")}`
+      );
+      complete = false;
+      break;
+    }
+  }
+
+  const results = [];
+  for (const conn of conns) {
+    const stats = relayStats[conn.url];
+    const partial = !complete || stats.published < bundle.events.length;
+    let rolledBack = false;
+
+    // Relays without the full site get the pre-signed deletion
+    if (conn.connected && partial && publishLog[conn.url].length > 0) {
+      try {
+        await conn.relay.publish(bundle.rollback);
+        rolledBack = true;
+      } catch (error) {
+        logger.warn(`   Rollback failed on ${conn.url}: ${error.message}`);
+      }
+    }
+
+    results.push({
+      url: conn.url,
+      connected: conn.connected,
+      published: stats.published,
+      failed: stats.failed,
+      rolledBack,
+    });
+  }
+  return results;
+}
+
+/**
+ * Print the per-relay result of a bundle publish
+ *
+ * @param {Object} bundle - Bundle from readBundle()
+ * @param {Array<Object>} results - Results from publishBundle()
+ */
+function printResults(bundle, results) {
+  const total = bundle.events.length;
+
+  logger.info("");
+  logger.separator();
+  logger.info("Relay results\n");
+  for (const result of results) {
+    if (!result.connected) {
+      logger.error(`${result.url}: not connected`);
+    } else if (result.published === total && !result.rolledBack) {
+      logger.success(`${result.url}: ${total}/${total} event(s)`);
+    } else {
+      logger.error(
+        `${result.url}: ${result.published}/${total} event(s)${
+          result.rolledBack ? ", rolled back" : ""
+        }`
+      );
+    }
+  }
+  logger.separator();
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  // Show help
+  if (args.length === 0 || args.includes("--help") || args.includes("-h")) {
+    console.log(`
+📦 Nostr Web Publish Bundle
+
+Publish a bundle written by 'nw-publisher deploy <dir> --out <file>'.
+The events in a bundle are already signed, so no key is needed here.
+
+Usage: nw-publisher publish-bundle <bundle.jsonl> [options]
+
+Options:
+  --relays=<urls>   Relays to publish to (default: RELAYS, ${FILES.CONFIG},
+                    then the relays the bundle was built with)
+  --concurrency=N   Events in flight per relay (default: ${NETWORK.PUBLISH_CONCURRENCY})
+
+Examples:
+  # On the signing machine (no network needed)
+  nw-publisher deploy ./my-site --out site.jsonl
+
+  # On a connected machine
+  nw-publisher publish-bundle site.jsonl
+  nw-publisher publish-bundle site.jsonl --relays=wss://relay.example.com
+
+What it does:
+  1. Verifies every event signature and the bundle's rollback event
+  2. Publishes assets, manifests, the site index and the entrypoint in order,
+     retrying failed and rate-limited events
+  3. Publishes the pre-signed rollback event to relays that missed events
+`);
+    process.exit(args.length === 0 ? 1 : 0);
+  }
+
+  const bundlePath = path.resolve(args.find((arg) => !arg.startsWith("-")));
+  const bundle = readBundle(bundlePath);
+  const { header } = bundle;
+
+  logger.info(`Bundle: ${path.basename(bundlePath)}`);
+  logger.info(`   Site: ${nip19.npubEncode(header.pubkey)}`);
+  logger.info(`   Version: ${header.version}`);
+  logger.info(
+    `   Events: ${bundle.events.length} (built ${header.createdAt})\n`
+  );
+
+  const config = loadConfig();
+  const relayUrls = config.relays?.length ? config.relays : header.relays;
+  if (!relayUrls || relayUrls.length === 0) {
+    throw new ConfigError(
+      "No relays to publish to. Set RELAYS in .env or use --relays"
+    );
+  }
+
+  const conns = await connectRelays(relayUrls);
+  if (!conns.some((conn) => conn.connected)) {
+    throw new NetworkError("Could not connect to any relay");
+  }
+
+  const results = await publishBundle(bundle, conns, config.concurrency);
+  for (const conn of conns) {
+    closeRelay(conn.relay);
+  }
+  printResults(bundle, results);
+
+  const complete = results.filter(
+    (result) => result.published === bundle.events.length && !result.rolledBack
+  ).length;
+  if (complete === 0) {
+    logger.error("The bundle was not published to any relay\n");
+    process.exit(1);
+  }
+
+  logger.success(
+    `Published v${header.version} to ${complete}/${results.length} relay(s)\n`
+  );
+  process.exit(0);
+}
+
+// Run with error handling
+main().catch((error) => {
+  handleError(error);
+  process.exit(1);
+});
@@ -2,22 +2,99 @@
 import fs from "node:fs";
 import path from "node:path";
 import crypto from "node:crypto";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
 import dotenv from "dotenv";
 import { fetch } from "undici";
 import mime from "mime";
-import {
-  nip19,
-  getEventHash,
-  finalizeEvent,
-  Relay,
-  getPublicKey,
-  generateSecretKey,
-} from "nostr-tools";
+import { getEventHash, Relay } from "nostr-tools";
 import {
   rebuildCacheFromRelays,
   queryVersionHistory,
 } from "../lib/relay-query.mjs";
 import { parseRelayUrls } from "../lib/relay.mjs";
+import {
+  encodeAssetContent,
+  exceedsSizeLimit,
+  splitIntoChunks,
+} from "../lib/assets.mjs";
+import { LIMITS, FILES, NETWORK } from "../lib/constants.mjs";
+import { createPublishQueue, formatProgress } from "../lib/publish-queue.mjs";
+import {
+  findFlagValue,
+  findFlagValues,
+  findPositionalArgs,
+  getKeyOptions,
+  loadConfig,
+  readProjectConfig,
+  requireRelays,
+} from "../lib/config.mjs";
+import {
+  loadDeployState,
+  saveDeployState,
+  verifyDeployState,
+  lookupAssetsByHash,
+} from "../lib/deploy-state.mjs";
+import {
+  resolvePrivateKey,
+  resolvePublicKey,
+  generateKeypair,
+  getNewPassphrase,
+  saveKeypair,
+} from "../lib/keypair.mjs";
+import {
+  createLocalSigner,
+  createBunkerSigner,
+  createPlanningSigner,
+} from "../lib/signer.mjs";
+import {
+  describeIgnoreRule,
+  listSiteFiles,
+  loadIgnoreMatcher,
+} from "../lib/ignore.mjs";
+import { writeBundle } from "../lib/bundle.mjs";
+import {
+  buildDependencyGraph,
+  htmlPathToRoute,
+  planPageAssets,
+} from "../lib/dependencies.mjs";
+import { extractPageMetadata } from "../lib/page-metadata.mjs";
+import { formatLintProblem, lintSite } from "../lib/lint.mjs";
+import {
+  getHeaderTags,
+  readHeaderRules,
+  resolveRouteHeaders,
+} from "../lib/headers.mjs";
+import {
+  checkRoutingRules,
+  findRoutingRule,
+  getRoutingFields,
+  readRedirectRules,
+} from "../lib/redirects.mjs";
+import {
+  computeNextVersion,
+  parseVersion,
+  validateVersionOptions,
+} from "../lib/versioning.mjs";
+import {
+  assetCacheKey,
+  createAssetEvent,
+  createChunkEvent,
+  createChunkedAssetEvent,
+  createDeletionEvent,
+  createEntrypointEvent,
+  createManifestEvent,
+  createSiteIndexEvent,
+} from "../lib/events.mjs";
+import {
+  findKeyFlags,
+  getSiteKeyOptions,
+  getWorkspaceSite,
+  getWorkspaceSites,
+  loadSiteConfig,
+  parseWorkspaceArgs,
+  printWorkspaceSummary,
+} from "../lib/workspace.mjs";
 
 // Load .env from current working directory
 dotenv.config({ path: process.cwd() + "/.env" });
@@ -25,106 +102,354 @@ dotenv.config({ path: process.cwd() + "/.env" });
 const now = () => Math.floor(Date.now() / 1000);
 const sha256Hex = (buf) =>
   crypto.createHash("sha256").update(buf).digest("hex");
-const okHex64 = (s) => typeof s === "string" && /^[0-9a-f]{64}$/i.test(s);
+
+// Deploy flags that take a value (besides the config flags)
+const DEPLOY_VALUE_FLAGS = ["--out", "--bump", "--include", "--exclude"];
+
+// Signer of the current deploy, used for rollback deletions
+let activeSigner = null;
 
 /**
- * Load or generate keypair for the site
- * Priority: 1) NOSTR_SK_HEX env var, 2) .nweb-keypair.json in site dir, 3) Generate new
+ * Load the signer for the site, generating a keypair if nothing is configured
+ * Priority: 1) bunker URI (NIP-46), 2) --key-file flag or site keyFile,
+ * 3) NOSTR_SK_HEX env var, 4) keyFile config / .nweb-keypair.json,
+ * 5) Generate new
+ *
+ * A key that is configured but unreadable is an error: generating a fresh
+ * keypair in that case would silently publish the site under a new identity.
+ * Secrets are never printed; use `nw-publisher config show-key` to see them.
+ *
+ * @param {string} siteDir - Site directory path
+ * @param {Object} keyOptions - { keyFile, keyFileSource, bunker, env, siteOnly, keyEnv }
+ * @returns {Promise<Object>} Signer
  */
-function loadOrGenerateKeypair(siteDir) {
-  const keypairPath = path.join(siteDir, ".nweb-keypair.json");
-
-  // 1. Check environment variable first (for CI/CD or manual override)
-  const envSK = process.env.NOSTR_SK_HEX;
-  if (envSK && okHex64(envSK)) {
-    console.log("✓ Using keypair from NOSTR_SK_HEX environment variable");
-    const pubkey = getPublicKey(envSK);
-    const npub = nip19.npubEncode(pubkey);
-    return { SK: envSK, pubkey, npub, source: "env" };
+async function loadOrCreateSigner(siteDir, keyOptions) {
+  const { bunker, keyEnv = "NOSTR_SK_HEX" } = keyOptions;
+  const keypairPath = path.join(siteDir, FILES.KEYPAIR);
+
+  // 1. Remote signer: the site key never touches this machine
+  if (bunker) {
+    console.log("✍️  Connecting to remote signer (NIP-46)...");
+    const signer = await createBunkerSigner(bunker);
+    console.log("✓ Signing with remote signer");
+    console.log(`  Public Key (npub): ${signer.npub}`);
+    return signer;
   }
 
-  // 2. Check for existing keypair file
-  if (fs.existsSync(keypairPath)) {
-    try {
-      const data = JSON.parse(fs.readFileSync(keypairPath, "utf8"));
-      if (data.privateKey && okHex64(data.privateKey)) {
-        console.log(`✓ Using existing keypair from .nweb-keypair.json`);
-        const SK = data.privateKey;
-        const pubkey = getPublicKey(SK);
-        const npub = nip19.npubEncode(pubkey);
-        const nsec = nip19.nsecEncode(SK);
-
-        console.log(`  Public Key (npub): ${npub}`);
-        console.log(`  Private Key (nsec): ${nsec}`);
-
-        return { SK, pubkey, npub, source: "file" };
+  // 2-4. Environment variable or keypair file (hex, nsec or ncryptsec)
+  const existing = await resolvePrivateKey({ ...keyOptions, siteDir });
+  if (existing) {
+    if (existing.source === "env") {
+      console.log(`✓ Using keypair from ${keyEnv} environment variable`);
+    } else {
+      const name = path.relative(process.cwd(), existing.path) || existing.path;
+      console.log(
+        `✓ Using ${existing.encrypted ? "encrypted" : "existing"} keypair from ${name}`
+      );
+      if (!existing.encrypted) {
+        console.warn(
+          `⚠ ${name} stores the private key unencrypted. Run 'nw-publisher config encrypt' to protect it with a passphrase.`
+        );
       }
-    } catch (e) {
-      console.warn(`⚠ Failed to read keypair file: ${e.message}`);
     }
+    console.log(`  Public Key (npub): ${existing.npub}`);
+    return createLocalSigner(existing.privateKey);
   }
 
-  // 3. Generate new keypair
+  // 5. Generate new keypair
   console.log("🔑 No keypair found. Generating new keypair...");
-  const secretKeyBytes = generateSecretKey();
-  const SK = Buffer.from(secretKeyBytes).toString("hex");
-  const pubkey = getPublicKey(SK);
-  const npub = nip19.npubEncode(pubkey);
-  const nsec = nip19.nsecEncode(SK);
-
-  // Save keypair to file
-  const keypairData = {
-    privateKey: SK,
-    publicKey: pubkey,
-    npub: npub,
-    nsec: nsec,
-    createdAt: new Date().toISOString(),
-    note: "Keep this file secure! Anyone with the private key can publish to your site.",
-  };
+  const keypair = generateKeypair();
+  const passphrase = await getNewPassphrase();
+  saveKeypair(keypair, keypairPath, { passphrase });
 
-  fs.writeFileSync(keypairPath, JSON.stringify(keypairData, null, 2));
-  console.log(`✓ New keypair saved to .nweb-keypair.json`);
-  console.log(`\n⚠️  Important: Secure your private key`);
+  console.log(
+    `✓ New keypair saved to ${FILES.KEYPAIR}${passphrase ? " (encrypted)" : ""}`
+  );
+  console.log(`\n  Public Key (npub): ${keypair.npub}`);
+  console.log(`\n⚠️  Important: Back up ${FILES.KEYPAIR}`);
   console.log(`   Anyone with access to this key can publish content as you.`);
-  console.log(`\n  Public Key (npub):  ${npub}`);
-  console.log(`  Private Key (nsec): ${nsec}`);
-  console.log(`\n  Keypair Storage Options:`);
+  if (!passphrase) {
+    console.log(
+      `   It is stored unencrypted: run 'nw-publisher config encrypt' to add a passphrase.`
+    );
+  }
+  console.log("");
+
+  return createLocalSigner(keypair.privateKey);
+}
+
+/**
+ * Load a signer for --dry-run: the public key is enough to compute event IDs
+ *
+ * A bunker is only asked for its public key and local keys stay locked, so
+ * planning never needs a passphrase. Without any key, deploy would generate
+ * one, so the plan uses a temporary key.
+ *
+ * @param {string} siteDir - Site directory path
+ * @param {Object} keyOptions - { keyFile, bunker, env, siteOnly }
+ * @returns {Promise<Object>} Planning signer ({ temporary: true } without a key)
+ */
+async function loadPlanningSigner(siteDir, keyOptions) {
+  if (keyOptions.bunker) {
+    const remote = await createBunkerSigner(keyOptions.bunker);
+    await remote.close();
+    return createPlanningSigner(remote.pubkey);
+  }
+
+  const keypair = resolvePublicKey({ ...keyOptions, siteDir });
+  if (keypair) {
+    return createPlanningSigner(keypair.publicKey);
+  }
+
+  console.log("🔑 No keypair found. Deploy would generate one.");
+  return {
+    ...createPlanningSigner(generateKeypair().publicKey),
+    temporary: true,
+  };
+}
+
+/**
+ * Create a stand-in relay connection that keeps events instead of sending them
+ *
+ * With --dry-run the deploy flow runs unchanged against this connection,
+ * and the events it "published" end up in `events`, in publish order.
+ *
+ * @returns {Object} Connection { url, connected, relay, events }
+ */
+function createCollectingConnection() {
+  const events = [];
+  return {
+    url: "local",
+    connected: true,
+    events,
+    relay: {
+      publish: async (ev) => {
+        events.push(ev);
+        return "";
+      },
+    },
+  };
+}
+
+/**
+ * Print the plan of a dry run
+ *
+ * @param {Object} plan - Plan built by main()
+ */
+function printDeployPlan(plan) {
+  const count = (items, action) =>
+    items.filter((item) => item.action === action).length;
+
+  console.log(`\n${"=".repeat(70)}`);
+  console.log("📋 DEPLOY PLAN (dry run, nothing was published)");
+  console.log(`${"=".repeat(70)}\n`);
+  console.log(
+    `🔑 Identity: ${plan.npub}${plan.newKeypair ? " (new keypair)" : ""}`
+  );
+  console.log(
+    `📌 Version: ${plan.version.current} → ${plan.version.next} (${plan.version.changeType})`
+  );
   console.log(
-    `   • Keep the .nweb-keypair.json file in your site directory, or`
+    `📝 Assets: ${count(plan.assets, "publish")} new, ${count(
+      plan.assets,
+      "reuse"
+    )} reused`
   );
-  console.log(`   • Set NOSTR_SK_HEX=${SK} in your .env file\n`);
+  console.log(
+    `📋 Manifests: ${count(plan.manifests, "publish")} new, ${count(
+      plan.manifests,
+      "reuse"
+    )} reused`
+  );
+  console.log(
+    `🗂️  Site index: ${plan.siteIndex.action} (d=${plan.siteIndex.d})`
+  );
+  console.log(`🔗 Entrypoint: ${plan.entrypoint.action}`);
+  console.log(`📤 Events to publish: ${plan.events.length}\n`);
+
+  console.log("Routes:");
+  for (const manifest of plan.manifests) {
+    console.log(`  ${manifest.route} (manifest: ${manifest.action})`);
+    for (const asset of manifest.assets) {
+      console.log(`     ${asset.path} (${asset.action})`);
+    }
+  }
+  console.log("");
+}
 
-  return { SK, pubkey, npub, source: "generated" };
+/**
+ * Read deploy settings (flag > env > .nweb.config.json > defaults)
+ *
+ * For a workspace site, the site's entry sits between flag and env, and the
+ * key options only come from the site (see lib/workspace.mjs). Route headers
+ * come from the site's "headers", else from the project's.
+ *
+ * @param {Object|null} site - Workspace site, or null for a plain deploy
+ * @param {Object} options - { offline } to allow a deploy without relays
+ */
+function readEnv(site = null, options = {}) {
+  const config = site ? loadSiteConfig(site) : loadConfig();
+  const relays = options.offline ? config.relays || [] : requireRelays(config);
+  const host = config.host || "";
+  return {
+    relays,
+    host,
+    concurrency: config.concurrency,
+    versionStrategy: config.versionStrategy,
+    trailingSlash: config.trailingSlash,
+    lint: config.lint,
+    keyOptions: site
+      ? { ...getSiteKeyOptions(site, config), keyEnv: site.keyEnv || undefined }
+      : getKeyOptions(),
+    headers: site?.headers ?? readProjectConfig().headers,
+  };
 }
 
-function readEnv() {
-  const relays = (process.env.RELAYS || "")
-    .split(",")
-    .map((s) => s.trim())
-    .filter(Boolean);
-  if (!relays.length) throw new Error("RELAYS is required (comma-separated)");
-  const host = (process.env.NWEB_HOST || "").trim();
-  return { relays, host };
+/**
+ * Run a deploy in a child process and wait for its exit code
+ *
+ * @param {Array<string>} args - Deploy arguments
+ * @returns {Promise<number>} Exit code
+ */
+function runDeployProcess(args) {
+  return new Promise((resolve) => {
+    const child = spawn(
+      process.execPath,
+      [fileURLToPath(import.meta.url), ...args],
+      { stdio: "inherit" }
+    );
+    child.on("exit", (code) => resolve(code ?? 1));
+    child.on("error", () => resolve(1));
+  });
+}
+
+/**
+ * Deploy every site of the workspace, one after another
+ *
+ * Each site runs in its own process (as `deploy --site=<name>`), so one
+ * failing site doesn't stop the others or leave its signer and relay
+ * connections behind. Remaining options are passed to every site.
+ *
+ * @param {Array<string>} args - Deploy options without --all
+ */
+async function deployAllSites(args) {
+  if (findPositionalArgs(args, DEPLOY_VALUE_FLAGS).length > 0) {
+    console.error("❌ --all deploys the workspace sites; don't pass a folder");
+    process.exit(1);
+  }
+
+  const keyFlags = findKeyFlags(args);
+  if (keyFlags.length > 0) {
+    console.error(
+      `❌ ${keyFlags.join(
+        " and "
+      )} would sign every site with one key; set keyFile or bunker per site in ${
+        FILES.CONFIG
+      }, or use --site=<name>`
+    );
+    process.exit(1);
+  }
+
+  if (args.includes("--json")) {
+    console.error(
+      "❌ --json prints one plan; use --site=<name> instead of --all"
+    );
+    process.exit(1);
+  }
+  if (args.some((arg) => arg === "--out" || arg.startsWith("--out="))) {
+    console.error(
+      "❌ --out writes one bundle; use --site=<name> instead of --all"
+    );
+    process.exit(1);
+  }
+
+  const sites = getWorkspaceSites();
+  const action = args.includes("--list-files")
+    ? "listed"
+    : args.includes("--dry-run")
+    ? "planned"
+    : "deployed";
+  const results = [];
+
+  for (const site of sites) {
+    const dir = path.relative(process.cwd(), site.dir) || ".";
+    console.log(`\n${"=".repeat(70)}`);
+    console.log(`🌐 Site ${site.name} (${dir})`);
+    console.log(`${"=".repeat(70)}`);
+
+    const started = Date.now();
+    const code = await runDeployProcess([`--site=${site.name}`, ...args]);
+    const seconds = ((Date.now() - started) / 1000).toFixed(1);
+    results.push({
+      name: site.name,
+      ok: code === 0,
+      detail:
+        code === 0
+          ? `${action} in ${seconds}s`
+          : `failed with exit code ${code} after ${seconds}s`,
+    });
+  }
+
+  printWorkspaceSummary("📋 Workspace deploy summary", results);
+  process.exit(results.every((result) => result.ok) ? 0 : 1);
 }
 
 /**
  * Load cached event mappings (content hash -> event ID)
- * Always queries relays - no local cache file used
  *
- * @param {string} siteDir - Site directory path (unused, kept for compatibility)
+ * Uses the local deploy state (.nweb-cache.json) when present, verified
+ * against relays with ID / hash filters. Falls back to a full relay scan
+ * when there is no usable state or a rebuild is forced.
+ *
+ * @param {string} siteDir - Site directory path
  * @param {Array} relays - Array of relay URLs
  * @param {string} pubkey - Public key
- * @param {boolean} forceRebuild - Unused, kept for compatibility
- * @returns {Promise<Object>} Cache object built from relay data
+ * @param {boolean} forceRebuild - Ignore local state and rebuild from relays
+ * @param {boolean} useState - Whether to use the local deploy state
+ * @param {Array<Object>} siteAssets - { hash, path } of the site files,
+ *   looked up on relays when missing from the local state
+ * @returns {Promise<Object>} Cache object
  */
 async function loadEventCache(
   siteDir,
   relays = null,
   pubkey = null,
-  forceRebuild = false
+  forceRebuild = false,
+  useState = true,
+  siteAssets = []
 ) {
-  // Always query relays - no local cache file
   if (relays && relays.length > 0 && pubkey) {
+    if (useState && !forceRebuild) {
+      const state = loadDeployState(siteDir, pubkey);
+      if (state) {
+        console.log(
+          `📦 Found local deploy state (${FILES.CACHE}, ${
+            Object.keys(state.assets).length
+          } asset(s))`
+        );
+        try {
+          const cache = await verifyDeployState(state, relays, pubkey);
+          if (cache) {
+            const missing = siteAssets.filter(
+              (file) => !cache.assets[assetCacheKey(file.hash, file.path)]
+            );
+            if (missing.length > 0) {
+              console.log(
+                `🔍 Looking up ${missing.length} new or changed file(s) on relays...`
+              );
+              const found = await lookupAssetsByHash(relays, pubkey, missing);
+              Object.assign(cache.assets, found);
+              console.log(`✓ ${Object.keys(found).length} already published\n`);
+            }
+            return cache;
+          }
+        } catch (e) {
+          console.warn(`⚠ Failed to verify local deploy state: ${e.message}`);
+        }
+        console.log("🔄 Local deploy state is stale, rebuilding from relays\n");
+      }
+    }
+
     console.log("📡 Querying Nostr relays for existing events...\n");
     try {
       const cache = await rebuildCacheFromRelays(relays, pubkey);
@@ -147,7 +472,8 @@ async function loadEventCache(
 
 /**
  * Load version history
- * Always queries relays - no local cache file used
+ * Always queries relays - no local cache file used. The current version is
+ * the one the live entrypoint points at; without one, deploys start at 0.1.0.
  *
  * @param {string} siteDir - Site directory path (unused, kept for compatibility)
  * @param {Array} relays - Array of relay URLs
@@ -166,7 +492,7 @@ async function loadVersionHistory(
     console.log("📡 Querying Nostr relays for version history...\n");
     try {
       const history = await queryVersionHistory(relays, pubkey);
-      return history;
+      return { ...history, current: history.current || "0.1.0" };
     } catch (e) {
       console.warn(
         `⚠ Failed to query version history from relays: ${e.message}`
@@ -191,186 +517,45 @@ function saveVersionHistory(siteDir, history) {
 }
 
 /**
- * Parse and validate semantic version string
- * @param {string} versionStr - Version string in format X.Y.Z
- * @returns {string|null} - Valid version string or null if invalid
- */
-function parseVersion(versionStr) {
-  if (!versionStr || typeof versionStr !== "string") {
-    return null;
-  }
-
-  const parts = versionStr.split(".");
-  if (parts.length !== 3) {
-    return null;
-  }
-
-  const [major, minor, patch] = parts;
-
-  // Check if all parts are valid numbers
-  if (!/^\d+$/.test(major) || !/^\d+$/.test(minor) || !/^\d+$/.test(patch)) {
-    return null;
-  }
-
-  // Return normalized version
-  return `${parseInt(major)}.${parseInt(minor)}.${parseInt(patch)}`;
-}
-
-/**
- * Increment version based on change type
- */
-function incrementVersion(currentVersion, changeType = "patch") {
-  const [major, minor, patch] = currentVersion.split(".").map(Number);
-
-  switch (changeType) {
-    case "major":
-      return `${major + 1}.0.0`;
-    case "minor":
-      return `${major}.${minor + 1}.0`;
-    case "patch":
-    default:
-      return `${major}.${minor}.${patch + 1}`;
-  }
-}
-
-/**
- * Determine version change type based on what changed
+ * Save event cache to the local deploy state file
+ *
+ * @param {string} siteDir - Site directory path
+ * @param {string} pubkey - Public key
+ * @param {Object} cache - Cache object
  */
-function detectChangeType(cache, newManifests, newSiteIndexContent) {
-  // Major: Routes added/removed (breaking change)
-  // Minor: New assets/manifests (new features)
-  // Patch: Asset content changed (bug fixes)
-
-  const oldRoutes = cache.siteIndex?.routes || {};
-  const newRoutes = JSON.parse(newSiteIndexContent).routes;
-
-  const oldRouteKeys = Object.keys(oldRoutes).sort();
-  const newRouteKeys = Object.keys(newRoutes).sort();
-
-  // Check if routes changed
-  if (JSON.stringify(oldRouteKeys) !== JSON.stringify(newRouteKeys)) {
-    return "minor"; // Routes added/removed = new feature
-  }
-
-  // Check if manifests changed (new assets)
-  const manifestChanged = newManifests.some((m) => {
-    const route = m.tags?.find((t) => t[0] === "route")?.[1] || "/";
-    const cachedManifest = cache.manifests[route];
-    return !cachedManifest || cachedManifest.id !== m.id;
-  });
-
-  if (manifestChanged) {
-    return "patch"; // Content changed = bug fix/update
+function saveEventCache(siteDir, pubkey, cache) {
+  if (saveDeployState(siteDir, pubkey, cache)) {
+    console.log(`\n💾 Saved deploy state to ${FILES.CACHE}`);
+  } else {
+    console.warn(`\n⚠ Failed to save deploy state to ${FILES.CACHE}`);
   }
-
-  return "patch"; // Default to patch
 }
 
 /**
- * Save event cache to disk (DISABLED - we rely 100% on relay data)
- */
-function saveEventCache(siteDir, cache) {
-  // No-op: We no longer save cache files locally
-  // Always query relays for the source of truth
-}
-
-/**
- * Check if directory should be ignored during scanning
- */
-function shouldIgnoreDir(name) {
-  return (
-    name.startsWith(".") ||
-    name === "node_modules" ||
-    name === "dist" ||
-    name === "build" ||
-    name === "out" ||
-    name === "_site"
-  );
-}
-
-/**
- * Recursively find all HTML files in directory
+ * Find the HTML files among the site files
  * Returns array of { path: string, route: string }
  */
-function findHTMLFiles(dir, baseDir = dir) {
-  const files = [];
-  const entries = fs.readdirSync(dir, { withFileTypes: true });
-
-  for (const entry of entries) {
-    const fullPath = path.join(dir, entry.name);
-
-    if (entry.isDirectory()) {
-      if (!shouldIgnoreDir(entry.name)) {
-        files.push(...findHTMLFiles(fullPath, baseDir));
-      }
-    } else if (entry.isFile() && entry.name.endsWith(".html")) {
-      const relativePath = path.relative(baseDir, fullPath);
-      const route = htmlPathToRoute(relativePath);
-      files.push({ path: fullPath, route });
-    }
-  }
-
-  return files;
-}
-
-/**
- * Convert HTML file path to route
- * Examples:
- *   index.html → /
- *   about.html → /about
- *   blog/index.html → /blog
- *   blog/post-1.html → /blog/post-1
- *   docs/api/intro.html → /docs/api/intro
- */
-function htmlPathToRoute(htmlPath) {
-  // Normalize path separators
-  let route = "/" + htmlPath.replace(/\\/g, "/");
-
-  // Strip trailing /index.html to get directory route
-  route = route.replace(/\/index\.html$/, "") || "/";
-
-  // Strip .html extension
-  route = route.replace(/\.html$/, "");
-
-  return route;
-}
-
-async function* walk(dir) {
-  for (const e of fs.readdirSync(dir, { withFileTypes: true })) {
-    // Skip ignored directories
-    if (e.isDirectory() && shouldIgnoreDir(e.name)) {
-      continue;
-    }
-
-    const p = path.join(dir, e.name);
-    if (e.isDirectory()) yield* walk(p);
-    else yield p;
-  }
+function findHTMLFiles(siteFiles, baseDir) {
+  return siteFiles
+    .filter((file) => file.endsWith(".html"))
+    .map((file) => ({
+      path: file,
+      route: htmlPathToRoute(path.relative(baseDir, file)),
+    }));
 }
 
 function routeForFile(root, file) {
   const rel = path.relative(root, file).replace(/\\/g, "/");
   // For HTML files, use the route directly
   if (rel.endsWith(".html")) {
-    return rel === "index.html" ? "/" : "/" + rel.replace(/\.html$/, "");
+    return htmlPathToRoute(rel);
   }
-  // For CSS/JS/other assets, associate with the HTML in the same directory
+  // For CSS/JS/other assets, the route of their directory (shown in logs and
+  // plans; manifests list the assets each page references)
   const dir = path.dirname(rel);
   return dir === "." ? "/" : "/" + dir;
 }
 
-function isText(m) {
-  return /^text\/|^application\/(javascript|json|xml)/.test(m);
-}
-
-function signEvent(skHex, pubkey, draft) {
-  const event = {
-    ...draft,
-    pubkey,
-  };
-  return finalizeEvent(event, skHex);
-}
-
 async function connectRelays(urls) {
   const conns = [];
   console.log(`\n🔌 Connecting to ${urls.length} relay(s)...`);
@@ -398,14 +583,12 @@ async function deleteEventFromRelays(
   eventId,
   reason = "Rollback due to incomplete publish"
 ) {
-  const SK = process.env._CURRENT_SK; // Set during main()
-
-  if (!SK) {
+  if (!activeSigner) {
     console.warn(
       `   ⚠️  Cannot delete event ${eventId.substring(
         0,
         8
-      )} - no private key available`
+      )} - no signer available`
     );
     return;
   }
@@ -421,7 +604,7 @@ async function deleteEventFromRelays(
     content: reason,
   };
 
-  const signedDelete = signEvent(SK, getPublicKey(SK), deleteEvent);
+  const signedDelete = await activeSigner.signEvent(deleteEvent);
 
   const results = await Promise.allSettled(
     conns
@@ -442,128 +625,45 @@ async function deleteEventFromRelays(
   return successful;
 }
 
-async function publishToRelays(
-  conns,
-  ev,
-  relayStats = null,
-  retryCount = 2,
-  publishLog = null
-) {
-  const connectedRelays = conns.filter((c) => c.connected);
-
-  if (connectedRelays.length === 0) {
-    throw new Error(`No connected relays available for event ${ev.id}`);
-  }
-
-  let results = [];
-
-  // Try publishing to all relays with retries
-  for (let attempt = 0; attempt <= retryCount; attempt++) {
-    const relaysToTry =
-      attempt === 0
-        ? connectedRelays
-        : connectedRelays.filter(
-            (c, idx) => results[idx]?.status !== "success"
-          );
-
-    if (relaysToTry.length === 0) break; // All succeeded
-
-    if (attempt > 0) {
-      console.log(
-        `   🔄 Retrying ${relaysToTry.length} relay(s) (attempt ${
-          attempt + 1
-        }/${retryCount + 1})...`
-      );
-      // Wait a bit before retrying
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-    }
-
-    const attemptResults = await Promise.allSettled(
-      relaysToTry.map(async (c) => {
-        try {
-          await c.relay.publish(ev);
-          return { url: c.url, status: "success" };
-        } catch (e) {
-          return { url: c.url, status: "failed", reason: e.message };
-        }
-      })
-    );
-
-    // Update results
-    if (attempt === 0) {
-      results = attemptResults.map((r) =>
-        r.status === "fulfilled"
-          ? r.value
-          : { status: "failed", reason: "rejected" }
-      );
-    } else {
-      let retryIdx = 0;
-      for (let i = 0; i < results.length; i++) {
-        if (
-          results[i].status !== "success" &&
-          retryIdx < attemptResults.length
-        ) {
-          if (attemptResults[retryIdx].status === "fulfilled") {
-            results[i] = attemptResults[retryIdx].value;
-          }
-          retryIdx++;
-        }
-      }
-    }
-  }
-
-  // Update stats and track successful publishes per relay
-  const successful = [];
-  const failed = [];
-
-  connectedRelays.forEach((c, idx) => {
-    if (results[idx]?.status === "success") {
-      successful.push(c.url);
-      if (relayStats && relayStats[c.url]) {
-        relayStats[c.url].published++;
-      }
-      // Track for potential rollback
-      if (publishLog) {
-        if (!publishLog[c.url]) publishLog[c.url] = [];
-        publishLog[c.url].push(ev.id);
-      }
-    } else {
-      failed.push({ url: c.url, reason: results[idx]?.reason || "unknown" });
-      if (relayStats && relayStats[c.url]) {
-        relayStats[c.url].failed++;
-      }
-    }
-  });
-
-  if (successful.length === 0) {
+/**
+ * Publish a single event through the queue and wait for all relays
+ *
+ * @throws {Error} If no relay accepted the event
+ */
+async function publishToRelays(queue, ev) {
+  const summary = await queue.publish(ev);
+  if (summary.successful === 0) {
     throw new Error(`All relays failed to accept event ${ev.id}`);
   }
+  return summary;
+}
 
-  // Warn if not all relays succeeded
+/**
+ * Wait for queued events to finish publishing
+ *
+ * @throws {Error} If any event was rejected by every relay
+ */
+async function drainQueue(queue, label) {
+  const failed = await queue.drain();
   if (failed.length > 0) {
-    console.warn(
-      `   ⚠️  Warning: ${failed.length}/${
-        connectedRelays.length
-      } relay(s) failed for event ${ev.id.substring(0, 8)}...`
+    throw new Error(
+      `All relays failed to accept ${failed.length} ${label} event(s): ${failed
+        .map((id) => id.substring(0, 8))
+        .join(", ")}`
     );
-    failed.forEach((f) => console.warn(`      - ${f.url}: ${f.reason}`));
   }
-
-  // Return summary
-  return {
-    successful: successful.length,
-    failed: failed.length,
-    total: connectedRelays.length,
-    failedRelays: failed.map((f) => f.url),
-    successfulRelays: successful,
-  };
 }
 
 async function main() {
-  const [, , siteDirArg] = process.argv;
+  const {
+    site: siteName,
+    all,
+    args,
+  } = parseWorkspaceArgs(process.argv.slice(2));
+  const [firstArg] = args;
 
   // Show help
-  if (siteDirArg === "--help" || siteDirArg === "-h") {
+  if (firstArg === "--help" || firstArg === "-h") {
     console.log(`
 🚀 Nostr Web Deploy
 
@@ -571,13 +671,34 @@ Deploy your website to Nostr relays.
 Publishes HTML, CSS, JS, and media files as Nostr events.
 
 Usage: nw-publisher deploy <site-folder> [options]
+       nw-publisher deploy --site=<name> | --all [options]
 
 Arguments:
-  site-folder       Path to your website directory (required)
+  site-folder       Path to your website directory (required without --site/--all)
 
 Options:
+  --site=<name>     Deploy one site of the workspace ("sites" in ${FILES.CONFIG})
+  --all             Deploy every workspace site and print a combined summary
   --version=X.Y.Z   Set a custom version (e.g., --version=2.0.0)
-  --rebuild-cache   Query relays to rebuild cache (ignore local files)
+  --bump=<type>     Force a major, minor or patch bump
+  --version-strategy=<name>
+                    semver (default), conventional, timestamp or manual
+  --trailing-slash=<mode>
+                    Tell clients to strip or add trailing slashes on routes
+  --lint=<mode>     Check the site first: warn (default), error (errors stop
+                    the deploy) or off
+  --rebuild-cache   Ignore ${FILES.CACHE} and rebuild it from a full relay scan
+  --no-cache        Don't read or write ${FILES.CACHE}
+  --exclude=<glob>  Don't publish matching files (repeatable, after ${FILES.IGNORE})
+  --include=<glob>  Publish matching files even if ignored (repeatable)
+  --list-files      List the files that would be published, then exit
+  --dry-run         Build every event and show what would be published or reused
+  --json            With --dry-run, print the plan as JSON on stdout
+  --out <file>      Sign every event into a bundle file, without relays
+                    (publish it later with: nw-publisher publish-bundle <file>)
+  --concurrency=N   Events in flight per relay (default: ${NETWORK.PUBLISH_CONCURRENCY}, env: PUBLISH_CONCURRENCY)
+  --relays=<urls>   Override configured relays (comma-separated)
+  --host=<domain>   Override NWEB_HOST for the DNS TXT record
   -h, --help        Show this help message
 
 Examples:
@@ -588,28 +709,59 @@ Examples:
   nw-publisher deploy ./my-site
   nw-publisher deploy examples/hello-world
   
-  # Set a custom version
+  # Set a custom version, or force a bump
   nw-publisher deploy . --version=2.0.0
+  nw-publisher deploy . --bump=major
   
   # Force rebuild cache from relays
   nw-publisher deploy . --rebuild-cache
 
+  # Always scan relays, without a local state file
+  nw-publisher deploy . --no-cache
+
+  # Skip drafts, but publish the .well-known directory
+  nw-publisher deploy . --exclude=drafts/ --include=.well-known/
+
+  # Check what a build output folder would publish
+  nw-publisher deploy ./dist --list-files
+
+  # Preview the publish plan, or get it as JSON for CI
+  nw-publisher deploy . --dry-run
+  nw-publisher deploy . --dry-run --json > plan.json
+
+  # Sign offline, publish from another machine
+  nw-publisher deploy . --out ../site.jsonl
+
+  # Deploy one or all sites of a workspace
+  nw-publisher deploy --site=blog
+  nw-publisher deploy --all
+
 Requirements:
-  - NOSTR_SK_HEX in .env (or generates new keypair)
-  - RELAYS in .env (comma-separated relay URLs)
+  - NOSTR_SK_HEX in .env or ${FILES.KEYPAIR}, hex or nsec (or generates new keypair),
+    or a NIP-46 remote signer via NWEB_BUNKER / --bunker=bunker://...
+  - RELAYS in .env or .nweb.config.json (comma-separated relay URLs)
   - Site directory with index.html
 
 What it does:
-  1. Loads/generates keypair
-  2. Processes all site files (HTML, CSS, JS)
-  3. Creates and publishes Nostr events for assets
-  4. Creates manifest and site index events
-  5. Generates DNS TXT record instructions
-  6. Caches events for future updates
+  1. Lints the site (see: nw-publisher lint --help)
+  2. Loads/generates keypair
+  3. Processes all site files (HTML, CSS, JS), skipping ${FILES.IGNORE} matches
+  4. Creates and publishes Nostr events for assets
+  5. Creates manifest and site index events (with ${FILES.REDIRECTS} rules)
+  6. Generates DNS TXT record instructions
+  7. Saves event IDs to ${FILES.CACHE} for fast future updates
 `);
     process.exit(0);
   }
 
+  if (all) {
+    return deployAllSites(args);
+  }
+
+  const site = siteName ? getWorkspaceSite(siteName) : null;
+  const siteDirArg = site
+    ? site.dir
+    : findPositionalArgs(args, DEPLOY_VALUE_FLAGS)[0];
   if (!siteDirArg) {
     console.error("Usage: nw-publisher deploy <site-folder>");
     process.exit(1);
@@ -618,21 +770,51 @@ What it does:
   if (!fs.existsSync(siteDir) || !fs.statSync(siteDir).isDirectory())
     throw new Error(`No such folder: ${siteDir}`);
 
-  // Load keypair (from env, file, or generate new)
-  const { SK, pubkey, npub } = loadOrGenerateKeypair(siteDir);
+  // Ignore rules: defaults, .nwebignore, then --exclude / --include flags
+  const ignoreMatcher = loadIgnoreMatcher(siteDir, {
+    include: findFlagValues(args, "--include"),
+    exclude: findFlagValues(args, "--exclude"),
+  });
 
-  // Store SK globally for delete operations
-  process.env._CURRENT_SK = SK;
+  // Collect site files (ignore rules always skip cache and keypair files)
+  const { files: siteFiles, skippedDirs } = listSiteFiles(
+    siteDir,
+    ignoreMatcher
+  );
+  for (const { path: dir, rule } of skippedDirs) {
+    console.warn(`⚠ Skipping directory ${dir}/ (${describeIgnoreRule(rule)})`);
+  }
 
-  // Load other configuration
-  const { relays, host } = readEnv();
-  const relayUrls = parseRelayUrls(relays);
-  const conns = await connectRelays(relayUrls);
+  // Preview what would be published, without keys or relays
+  if (process.argv.includes("--list-files")) {
+    console.log(`\n📄 ${siteFiles.length} file(s) to publish from ${siteDir}:`);
+    for (const file of siteFiles) {
+      const rel = path.relative(siteDir, file).replace(/\\/g, "/");
+      console.log(`   ${rel} (${fs.statSync(file).size} bytes)`);
+    }
+    process.exit(0);
+  }
 
-  // Check for --rebuild-cache flag
-  const forceRebuild = process.argv.includes("--rebuild-cache");
-  if (forceRebuild) {
-    console.log("🔄 Rebuilding cache from relays...\n");
+  // --dry-run builds every event but only reads from relays
+  const dryRun = process.argv.includes("--dry-run");
+
+  // --out signs every event into a bundle file without touching relays
+  const bundlePath = findFlagValue(process.argv.slice(2), "--out");
+  if (bundlePath && dryRun) {
+    console.error("❌ Use either --dry-run or --out, not both");
+    process.exit(1);
+  }
+
+  // Load configuration
+  const settings = readEnv(site, { offline: Boolean(bundlePath) });
+  const { relays, host, concurrency, versionStrategy, keyOptions } = settings;
+  const planAsJson = dryRun && process.argv.includes("--json");
+  if (planAsJson) {
+    // Keep stdout for the JSON plan, progress goes to stderr
+    console.log = (...args) => console.error(...args);
+  }
+  if (dryRun) {
+    console.log("🧪 Dry run: building events without publishing them\n");
   }
 
   // Check for --version flag
@@ -649,8 +831,97 @@ What it does:
     console.log(`\n📌 Using custom version: ${customVersion}`);
   }
 
+  // --bump forces a bump; the strategy decides whether version flags are needed
+  const bump = findFlagValue(process.argv.slice(2), "--bump") || null;
+  try {
+    validateVersionOptions({
+      strategy: versionStrategy,
+      custom: customVersion,
+      bump,
+    });
+  } catch (e) {
+    console.error(`\n❌ Error: ${e.message}\n`);
+    process.exit(1);
+  }
+
+  // Response headers per route (config "headers", then the _headers file)
+  // and redirects and aliases from the _redirects file
+  let headerRules;
+  let routingRules;
+  try {
+    headerRules = readHeaderRules(settings.headers, siteDir);
+    routingRules = readRedirectRules(siteDir);
+  } catch (e) {
+    console.error(`\n❌ Error: ${e.message}\n`);
+    process.exit(1);
+  }
+
+  // Lint before anything is signed; with --lint=error, errors stop here
+  if (settings.lint !== "off") {
+    console.log("\n🔍 Linting site files...");
+    const problems = lintSite({
+      files: siteFiles.map((file) =>
+        path.relative(siteDir, file).replace(/\\/g, "/")
+      ),
+      readFile: (relPath) => fs.readFileSync(path.join(siteDir, relPath)),
+      existsOnDisk: (relPath) => fs.existsSync(path.join(siteDir, relPath)),
+      headerRules,
+      routingRules,
+    });
+    problems.forEach((problem) => console.warn(formatLintProblem(problem)));
+    const errorCount = problems.filter((p) => p.level === "error").length;
+    console.log(
+      `   ${errorCount} error(s), ${problems.length - errorCount} warning(s)`
+    );
+    if (errorCount > 0 && settings.lint === "error") {
+      console.error(
+        `\n❌ Lint found ${errorCount} error(s); fix them or deploy with --lint=warn\n`
+      );
+      process.exit(1);
+    }
+  }
+
+  // Load signer (bunker, env, file, or generate new keypair)
+  const signer = dryRun
+    ? await loadPlanningSigner(siteDir, keyOptions)
+    : await loadOrCreateSigner(siteDir, keyOptions);
+  const { pubkey, npub } = signer;
+
+  // Keep the signer for rollback deletions
+  activeSigner = signer;
+
+  const relayUrls = parseRelayUrls(relays);
+  const collector = dryRun || bundlePath ? createCollectingConnection() : null;
+  const conns = collector ? [collector] : await connectRelays(relayUrls);
+
+  // Check for --rebuild-cache / --no-cache flags
+  const forceRebuild = process.argv.includes("--rebuild-cache");
+  const useState = !process.argv.includes("--no-cache");
+  if (forceRebuild) {
+    console.log("🔄 Rebuilding cache from relays...\n");
+  }
+
+  // A bundle is published elsewhere, so it includes every event
+  if (bundlePath) {
+    console.log(`\n📦 Building a complete bundle for ${bundlePath}`);
+  }
+
   // Load cache from previous publish (or query relays)
-  const cache = await loadEventCache(siteDir, relayUrls, pubkey, forceRebuild);
+  const siteAssets =
+    useState && !forceRebuild
+      ? siteFiles.map((file) => ({
+          hash: sha256Hex(fs.readFileSync(file)),
+          path: path.relative(siteDir, file).replace(/\\/g, "/"),
+        }))
+      : [];
+  const cache = await loadEventCache(
+    siteDir,
+    bundlePath ? null : relayUrls,
+    pubkey,
+    forceRebuild,
+    useState,
+    siteAssets
+  );
   let assetsReused = 0;
   let assetsPublished = 0;
 
@@ -666,48 +937,153 @@ What it does:
     publishLog[conn.url] = [];
   }
 
-  const assetBuckets = {}; // route -> { html, css:[], js:[], comps:[] }
+  // Events are published in parallel, a few at a time per relay
+  const queue = createPublishQueue(conns, {
+    concurrency,
+    relayStats,
+    publishLog,
+    onProgress: collector
+      ? null
+      : (progress) =>
+          console.log(`   📤 Published: ${formatProgress(progress)}`),
+  });
+
+  const assetIdsByPath = {}; // relative path -> asset event ID
   const immutableEvents = [];
   const manifestEvents = [];
 
+  // What this deploy publishes or reuses (reported by --dry-run)
+  const plan = { pubkey, npub, assets: [], manifests: [] };
+  const assetPlans = {}; // event ID -> asset plan entry
+
+  // Work out which assets each page uses from its HTML and CSS references
+  console.log("\n🔗 Resolving page dependencies...");
+  const toRelPath = (file) => path.relative(siteDir, file).replace(/\\/g, "/");
+  const htmlFiles = findHTMLFiles(siteFiles, siteDir);
+  const graph = buildDependencyGraph(siteFiles.map(toRelPath), (relPath) =>
+    fs.readFileSync(path.join(siteDir, relPath))
+  );
+  const pageAssets = planPageAssets(
+    htmlFiles.map(({ path: file, route }) => ({
+      path: toRelPath(file),
+      route,
+    })),
+    siteFiles.map(toRelPath),
+    graph
+  );
+  const placedByDirectory = pageAssets.unreferenced.filter((u) => u.page);
+  if (placedByDirectory.length > 0) {
+    console.log(
+      `   ${placedByDirectory.length} file(s) not referenced by any page, added to the page of their directory or the root page`
+    );
+  }
+  // Without any page there is no manifest to put them in, and a published
+  // asset outside every manifest would be deleted by cleanup --orphans
+  const unowned = new Set(
+    pageAssets.unreferenced.filter((u) => !u.page).map((u) => u.file)
+  );
+  for (const file of unowned) {
+    console.warn(`⚠ ${file} is not used by any page and won't be published`);
+  }
+
+  // Response headers of each page, written into its manifest
+  const routeHeaders = new Map(
+    htmlFiles.map(({ route }) => [
+      route,
+      resolveRouteHeaders(headerRules, route),
+    ])
+  );
+  for (const problem of checkRoutingRules(
+    routingRules,
+    htmlFiles.map(({ route }) => route)
+  )) {
+    console.warn(`⚠ ${FILES.REDIRECTS}: ${problem}`);
+  }
+
   // 1) Upload media / publish text assets
   console.log("\n📝 Processing assets...");
-  for await (const file of walk(siteDir)) {
-    // Skip cache and keypair files
-    const fileName = path.basename(file);
-    if (fileName === ".nweb-cache.json" || fileName === ".nweb-keypair.json") {
-      continue;
-    }
-
+  for (const file of siteFiles) {
+    const relPath = toRelPath(file);
+    if (unowned.has(relPath)) continue;
     const buf = fs.readFileSync(file);
     const mtype = mime.getType(file) || "application/octet-stream";
     const route = routeForFile(siteDir, file);
 
-    const content = isText(mtype) ? buf.toString("utf8") : buf.toString("utf8");
+    // Binary files are base64-encoded; 'x' is always the hash of the raw bytes
+    const { content, tags: encodingTags } = encodeAssetContent(buf, mtype);
     const contentHash = sha256Hex(buf);
     const kind = 1125; // All assets use kind 1125 (Regular Assets)
-    const tags = [
-      ["m", mtype], // MIME type
-      ["x", contentHash], // Content hash (required for all assets)
-    ];
 
-    // Check if we already have this content published
-    const cacheKey = `${kind}:${contentHash}`;
+    // Check if we already have this file published (same content and path)
+    const cacheKey = assetCacheKey(contentHash, relPath);
     let eventId = cache.assets[cacheKey];
+    const assetPlan = {
+      path: relPath,
+      route,
+      mime: mtype,
+      hash: contentHash,
+      size: buf.length,
+      action: eventId ? "reuse" : "publish",
+    };
 
     if (eventId) {
       // Reuse existing event
       console.log(`[CACHED] ${route} kind=${kind} id=${eventId} (unchanged)`);
       assetsReused++;
+    } else if (exceedsSizeLimit(content)) {
+      // Too large for a single event: publish chunks, then a parent that lists them
+      const chunks = splitIntoChunks(buf, LIMITS.CHUNK_SIZE);
+      const chunkIds = [];
+
+      for (let i = 0; i < chunks.length; i++) {
+        const chunk = encodeAssetContent(chunks[i], mtype);
+        const chunkEv = await createChunkEvent(
+          chunk.content,
+          sha256Hex(chunks[i]),
+          i,
+          chunks.length,
+          mtype,
+          signer,
+          chunk.tags
+        );
+        queue.publish(chunkEv);
+        immutableEvents.push(chunkEv);
+        chunkIds.push(chunkEv.id);
+        console.log(
+          `[CHUNK] ${route} ${i + 1}/${chunks.length} id=${chunkEv.id}`
+        );
+      }
+
+      const ev = await createChunkedAssetEvent(
+        contentHash,
+        relPath,
+        mtype,
+        buf.length,
+        chunkIds,
+        relays[0],
+        signer
+      );
+      queue.publish(ev);
+      immutableEvents.push(ev);
+      eventId = ev.id;
+
+      cache.assets[cacheKey] = eventId;
+      console.log(
+        `[ASSET] ${route} kind=${kind} id=${eventId} (new, ${chunks.length} chunks)`
+      );
+      assetPlan.chunks = chunks.length;
+      assetsPublished++;
     } else {
-      // Publish new event
-      const ev = signEvent(SK, pubkey, {
-        kind,
-        created_at: now(),
-        tags,
+      // Publish new event; binary assets carry ["encoding", "base64"]
+      const ev = await createAssetEvent(
         content,
-      });
-      await publishToRelays(conns, ev, relayStats, 2, publishLog);
+        contentHash,
+        relPath,
+        mtype,
+        signer,
+        encodingTags
+      );
+      queue.publish(ev);
       immutableEvents.push(ev);
       eventId = ev.id;
 
@@ -717,28 +1093,16 @@ What it does:
       assetsPublished++;
     }
 
-    // Store event ID in bucket by MIME type
-    const bucket = (assetBuckets[route] ||= {
-      html: null,
-      css: [],
-      js: [],
-      comps: [],
-    });
+    assetPlan.id = eventId;
+    plan.assets.push(assetPlan);
+    assetPlans[eventId] = assetPlan;
 
-    if (mtype === "text/html") {
-      bucket.html = eventId;
-    } else if (mtype === "text/css") {
-      bucket.css.push(eventId);
-    } else if (
-      mtype === "application/javascript" ||
-      mtype === "text/javascript"
-    ) {
-      bucket.js.push(eventId);
-    } else {
-      bucket.comps.push(eventId);
-    }
+    assetIdsByPath[relPath] = eventId;
   }
 
+  console.log(`\n⏳ Waiting for ${assetsPublished} new asset(s) to publish...`);
+  await drainQueue(queue, "asset");
+
   console.log(
     `\n✅ Assets: ${assetsReused} reused, ${assetsPublished} published`
   );
@@ -746,72 +1110,55 @@ What it does:
   // 2) Manifests (1126 - Regular events)
   console.log("\n📋 Processing manifests...");
 
-  // Find all HTML files to ensure we create manifests for all routes
-  console.log("🔍 Scanning for HTML files...");
-  const htmlFiles = findHTMLFiles(siteDir);
+  // Every HTML file is a route with its own manifest
   console.log(`   Found ${htmlFiles.length} HTML file(s)`);
   for (const { route } of htmlFiles) {
     console.log(`   - ${route}`);
   }
 
-  // First, collect global CSS/JS from root route
-  const globalCSS = assetBuckets["/"]?.css || [];
-  const globalJS = assetBuckets["/"]?.js || [];
-
   // Create manifests for all HTML routes found
-  for (const { route } of htmlFiles) {
-    const ids = assetBuckets[route] || {
-      html: null,
-      css: [],
-      js: [],
-      comps: [],
-    };
+  for (const { path: htmlFile, route } of htmlFiles) {
+    const htmlPath = toRelPath(htmlFile);
+    const htmlId = assetIdsByPath[htmlPath];
 
-    if (!ids.html) {
+    if (!htmlId) {
       console.warn(`[SKIP] manifest for ${route} (HTML not found in assets)`);
       continue;
     }
 
     // According to NIP-YY: Page Manifest (1126) is a regular event
     // Required tags: 'e' tags with asset event IDs (kind 1125)
-    // Optional tags: title, description, route, csp
-    const tags = [
-      ["route", route], // For reference
+    // Optional tags: title, description, lang, og:*, route, csp
+
+    // The page HTML, then the assets it references (CSS, JS, then others)
+    const manifestAssets = [
+      ...new Set([
+        htmlId,
+        ...pageAssets.assets
+          .get(htmlPath)
+          .map((relPath) => assetIdsByPath[relPath]),
+      ]),
     ];
 
-    // Add asset references using 'e' tags with relay hint
-    tags.push(["e", ids.html, relays[0] || ""]);
-
-    // Include route-specific CSS plus global CSS from root
-    const allCSS = route === "/" ? ids.css : [...globalCSS, ...ids.css];
-    const allJS = route === "/" ? ids.js : [...globalJS, ...ids.js];
-
-    for (const c of allCSS) tags.push(["e", c, relays[0] || ""]);
-    for (const j of allJS) tags.push(["e", j, relays[0] || ""]);
-    for (const c of ids.comps) tags.push(["e", c, relays[0] || ""]);
-
-    // Extract title from route (e.g., /about -> About, /posts/welcome -> Welcome)
-    const routeParts = route.split("/").filter(Boolean);
-    const title =
-      routeParts.length === 0
-        ? "Home"
-        : routeParts[routeParts.length - 1]
-            .split("-")
-            .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
-            .join(" ");
-
-    tags.push(["title", title]);
-    tags.push(["description", `Page: ${title}`]);
-
-    // Page manifests now use empty content (metadata in tags)
-    const content = "";
+    // Title, description, lang and Open Graph tags from the page itself
+    const metadata = extractPageMetadata(fs.readFileSync(htmlFile, "utf8"));
+    if (!metadata.title) {
+      // Fall back to the route (e.g., /about -> About, /posts/welcome -> Welcome)
+      const routeParts = route.split("/").filter(Boolean);
+      metadata.title =
+        routeParts.length === 0
+          ? "Home"
+          : routeParts[routeParts.length - 1]
+              .split("-")
+              .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+              .join(" ");
+    }
+    metadata.headers = getHeaderTags(routeHeaders.get(route));
 
-    // Check if manifest changed by comparing asset IDs
+    // Check if manifest changed by comparing asset IDs and metadata
     const manifestKey = `manifest:${route}`;
-    const assetIds = [ids.html, ...allCSS, ...allJS, ...ids.comps]
-      .filter(Boolean)
-      .sort()
-      .join(",");
+    const assetIds = manifestAssets.filter(Boolean).sort().join(",");
+    const metadataKey = JSON.stringify(metadata);
 
     const cachedManifestData = cache.manifests[manifestKey];
 
@@ -820,22 +1167,27 @@ What it does:
     // The site index will reference these manifest event IDs.
 
     let manifestId;
+    const manifestReused =
+      cachedManifestData &&
+      cachedManifestData.assetIds === assetIds &&
+      cachedManifestData.metadata === metadataKey;
 
-    if (cachedManifestData && cachedManifestData.assetIds === assetIds) {
+    if (manifestReused) {
       // Reuse existing manifest (assets unchanged)
       manifestId = cachedManifestData.id;
       console.log(
         `[MANIF] ${route} -> ${manifestId} (reused, content unchanged)`
       );
     } else {
-      // Publish new manifest
-      const ev = signEvent(SK, pubkey, {
-        kind: 1126, // Regular event (not addressable)
-        created_at: now(),
-        tags,
-        content,
-      });
-      await publishToRelays(conns, ev, relayStats, 2, publishLog);
+      // Publish new manifest (metadata in tags, empty content)
+      const ev = await createManifestEvent(
+        route,
+        manifestAssets,
+        metadata,
+        relays[0],
+        signer
+      );
+      queue.publish(ev);
       manifestEvents.push(ev);
       manifestId = ev.id;
 
@@ -843,18 +1195,32 @@ What it does:
       cache.manifests[manifestKey] = {
         id: manifestId,
         assetIds: assetIds,
+        metadata: metadataKey,
       };
 
       console.log(`[MANIF] ${route} -> ${manifestId} (new/updated)`);
     }
 
+    plan.manifests.push({
+      route,
+      id: manifestId,
+      action: manifestReused ? "reuse" : "publish",
+      assets: manifestAssets.filter(Boolean).map((id) => ({
+        path: assetPlans[id]?.path || null,
+        id,
+        action: assetPlans[id]?.action || "reuse",
+      })),
+    });
+
     // Keep track of manifest for site index
-    if (cachedManifestData && cachedManifestData.assetIds === assetIds) {
+    if (manifestReused) {
       // Even when reusing, we need to track the manifest ID
       manifestEvents.push({ id: manifestId, tags: [["route", route]] });
     }
   }
 
+  await drainQueue(queue, "manifest");
+
   // 3) Site index (31126 - Addressable event)
   console.log("\n🗂️  Updating site index...");
 
@@ -876,70 +1242,97 @@ What it does:
   // Load version history (or query relays)
   const versionHistory = await loadVersionHistory(
     siteDir,
-    relayUrls,
+    bundlePath ? null : relayUrls,
     pubkey,
     forceRebuild
   );
 
-  // Build preliminary site index content to check for changes
-  const preliminarySiteIndexContent = JSON.stringify({
-    routes,
-    defaultRoute: routes["/"] ? "/" : Object.keys(routes).sort()[0] || "/",
-    notFoundRoute: routes["/404"] || null,
-  });
+  // Offline bundles continue from the last deploy recorded in the local state
+  const versionBase = (bundlePath && loadDeployState(siteDir, pubkey)) || cache;
+  if (bundlePath && versionBase.siteIndex?.version) {
+    versionHistory.current = versionBase.siteIndex.version;
+  }
 
-  // Determine version: use custom if provided, otherwise auto-increment
-  let newVersion;
-  let changeType;
+  // Build site index content with version
+  // IMPORTANT: Only include content-addressable data (routes, routing rules)
+  // DO NOT include timestamps or other dynamic data that would change the hash
+  const buildSiteIndexContent = (version, indexRoutes = routes) =>
+    JSON.stringify({
+      routes: indexRoutes,
+      defaultRoute: indexRoutes["/"]
+        ? "/"
+        : Object.keys(indexRoutes).sort()[0] || "/",
+      notFoundRoute: indexRoutes["/404"] || null,
+      ...getRoutingFields(routingRules, settings.trailingSlash),
+      version,
+    });
 
-  if (customVersion) {
-    // User specified custom version
-    newVersion = customVersion;
-    changeType = "manual";
-    console.log(
-      `   Version: ${versionHistory.current} → ${newVersion} (custom)`
-    );
+  // Rebuilding the previous site index from its own routes with this
+  // deploy's routing rules tells whether the rules (redirects, aliases,
+  // trailing slash) changed, whatever happened to the routes
+  const previousIndex = versionBase.siteIndex;
+  const routingChanged = Boolean(
+    previousIndex?.contentHash &&
+    previousIndex.version &&
+    previousIndex.routes &&
+    sha256Hex(
+      Buffer.from(
+        buildSiteIndexContent(previousIndex.version, previousIndex.routes),
+        "utf8"
+      )
+    ) !== previousIndex.contentHash
+  );
+
+  // Determine version from --version / --bump or the version strategy
+  const previousVersion = versionHistory.current;
+  const {
+    version: newVersion,
+    changeType,
+    changes,
+  } = computeNextVersion({
+    current: versionHistory.current,
+    published: versionHistory.versions.map((entry) => entry.version),
+    previousRoutes: versionBase.siteIndex?.routes || null,
+    nextRoutes: routes,
+    routingChanged,
+    strategy: versionStrategy,
+    custom: customVersion,
+    bump,
+  });
+
+  if (changeType === "initial") {
+    console.log(`   Version: ${newVersion} (initial deployment)`);
+  } else if (changeType === "none") {
+    console.log(`   Version: ${newVersion} (no changes)`);
   } else {
-    // Auto-increment version based on changes
-    changeType = detectChangeType(
-      cache,
-      manifestEvents,
-      preliminarySiteIndexContent
+    const summary = [
+      ...["added", "removed", "changed"]
+        .filter((key) => changes[key].length > 0)
+        .map((key) => `${changes[key].length} route(s) ${key}`),
+      ...(changes.routing ? ["routing rules changed"] : []),
+    ].join(", ");
+    console.log(
+      `   Version: ${previousVersion} → ${newVersion} (${changeType}${
+        summary ? `: ${summary}` : ""
+      })`
     );
+  }
 
-    // If no cached site index, this is first deployment - use current version as-is
-    // Otherwise, increment based on change type
-    if (!cache.siteIndex) {
-      newVersion = versionHistory.current;
-      console.log(`   Version: ${newVersion} (initial deployment)`);
-    } else {
-      newVersion = incrementVersion(versionHistory.current, changeType);
-      console.log(
-        `   Version: ${versionHistory.current} → ${newVersion} (${changeType} update)`
+  // Old links to removed pages break unless a redirect or alias covers them
+  for (const route of changes.removed) {
+    if (!findRoutingRule(routingRules, route)) {
+      console.warn(
+        `⚠ ${route} was removed; add a redirect to ${FILES.REDIRECTS} to keep its links working`
       );
     }
   }
 
-  // Build site index content with version
-  // IMPORTANT: Only include content-addressable data (routes)
-  // DO NOT include timestamps or other dynamic data that would change the hash
-  const siteIndexContent = JSON.stringify({
-    routes,
-    defaultRoute: routes["/"] ? "/" : Object.keys(routes).sort()[0] || "/",
-    notFoundRoute: routes["/404"] || null,
-    version: newVersion,
-  });
+  const siteIndexContent = buildSiteIndexContent(newVersion);
 
   // Compute content hash for the 'd' tag
   const contentHash = sha256Hex(Buffer.from(siteIndexContent, "utf8"));
   const truncatedHash = contentHash.substring(0, 8); // Use first 8 characters (like Git short hash)
 
-  const indexTags = [
-    ["d", truncatedHash], // Truncated hash for addressable event
-    ["x", contentHash], // Full hash for verification
-    ["alt", "main"], // Human-readable identifier
-  ];
-
   // Check if site index changed
   const cachedSiteIndex = cache.siteIndex;
 
@@ -958,13 +1351,12 @@ What it does:
     );
   } else {
     // Content changed, publish new site index
-    const siteIndex = signEvent(SK, pubkey, {
-      kind: 31126, // Addressable event
-      created_at: now(),
-      tags: indexTags,
-      content: siteIndexContent,
-    });
-    await publishToRelays(conns, siteIndex, relayStats, 2, publishLog);
+    const siteIndex = await createSiteIndexEvent(
+      siteIndexContent,
+      contentHash,
+      signer
+    );
+    await publishToRelays(queue, siteIndex);
     siteIndexId = siteIndex.id;
     siteIndexUpdated = true; // Mark that we published a new site index
 
@@ -1027,17 +1419,13 @@ What it does:
     // Site index changed or entrypoint doesn't exist, publish new entrypoint
     // Entrypoint points to the current site index using 'a' tag
     // Format: ["a", "31126:<pubkey>:<d-tag>", "<relay-url>"]
-    const entrypointTags = [
-      ["a", `31126:${pubkey}:${truncatedHash}`, relays[0] || ""],
-    ];
-
-    const entrypoint = signEvent(SK, pubkey, {
-      kind: 11126, // Replaceable event
-      created_at: now(),
-      tags: entrypointTags,
-      content: "",
-    });
-    await publishToRelays(conns, entrypoint, relayStats, 2, publishLog);
+    const entrypoint = await createEntrypointEvent(
+      pubkey,
+      truncatedHash,
+      relays[0],
+      signer
+    );
+    await publishToRelays(queue, entrypoint);
     entrypointId = entrypoint.id;
 
     console.log(
@@ -1058,7 +1446,56 @@ What it does:
     }
   }
 
-  // Note: We no longer save local cache files - we query relays for source of truth
+  if (bundlePath) {
+    const events = collector.events;
+    const rollback = await createDeletionEvent(
+      events.map((ev) => ev.id),
+      "Rollback: Relay failed to publish all events for this site",
+      signer
+    );
+    writeBundle(bundlePath, {
+      pubkey,
+      version: newVersion,
+      relays: relayUrls,
+      events,
+      rollback,
+    });
+
+    console.log(
+      `\n📦 Wrote ${events.length} signed event(s) for v${newVersion} to ${bundlePath}`
+    );
+    console.log(
+      `   Publish it with: nw-publisher publish-bundle ${bundlePath}\n`
+    );
+    process.exit(0);
+  }
+
+  if (dryRun) {
+    plan.version = {
+      current: previousVersion,
+      next: newVersion,
+      changeType,
+      changes,
+    };
+    plan.siteIndex = {
+      d: truncatedHash,
+      id: siteIndexId,
+      action: siteIndexUpdated ? "publish" : "reuse",
+    };
+    plan.entrypoint = {
+      id: entrypointId,
+      action: needsEntrypointUpdate ? "publish" : "reuse",
+    };
+    plan.events = collector.events.map((ev) => ({ id: ev.id, kind: ev.kind }));
+    plan.newKeypair = Boolean(signer.temporary);
+
+    if (planAsJson) {
+      process.stdout.write(`${JSON.stringify(plan, null, 2)}\n`);
+    } else {
+      printDeployPlan(plan);
+    }
+    process.exit(0);
+  }
 
   // Rollback orphaned events from failed relays
   console.log("\n🧹 Cleaning up orphaned events from failed relays...");
@@ -1121,6 +1558,20 @@ What it does:
     );
   }
 
+  // Remember what was published so the next deploy can skip the relay scan.
+  // Saved only after the rollback deletions, and only if some relay kept the
+  // version, so the state never claims events that were retracted everywhere.
+  const keptByRelay = Object.values(relayStats).some(
+    (stats) => stats.connected && !stats.rolledBack
+  );
+  if (useState && keptByRelay) {
+    saveEventCache(siteDir, pubkey, cache);
+  } else if (useState) {
+    console.warn(
+      `\n⚠ Every relay was rolled back; ${FILES.CACHE} was left unchanged`
+    );
+  }
+
   // 5) DNS helper - only include relays with 100% success
   if (host) {
     // Filter to only include relays that successfully published all events
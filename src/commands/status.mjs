@@ -8,14 +8,23 @@
 import dotenv from "dotenv";
 
 // Import refactored utilities
-import { EVENT_KINDS } from "../lib/constants.mjs";
-import { getPublicKeyFromPrivate } from "../lib/keypair.mjs";
+import { EVENT_KINDS, FILES } from "../lib/constants.mjs";
+import { resolvePublicKey } from "../lib/keypair.mjs";
 import {
   connectToRelay,
   closeRelay,
   testRelayConnectivity,
-  parseRelayUrls,
 } from "../lib/relay.mjs";
+import { getKeyOptions, loadConfig, requireRelays } from "../lib/config.mjs";
+import {
+  findKeyFlags,
+  getWorkspaceSite,
+  getWorkspaceSites,
+  loadSiteConfig,
+  parseWorkspaceArgs,
+  printWorkspaceSummary,
+  resolveSitePublicKey,
+} from "../lib/workspace.mjs";
 import { logger } from "../utils/logger.mjs";
 import { handleError, ConfigError, ValidationError } from "../utils/errors.mjs";
 import { nip19 } from "nostr-tools";
@@ -55,14 +64,14 @@ function getPublicKey(pubkeyArg = null) {
       );
     }
 
-    // 2. Try from environment (NOSTR_SK_HEX from .env or system env)
-    if (process.env.NOSTR_SK_HEX) {
-      const pubkey = getPublicKeyFromPrivate(process.env.NOSTR_SK_HEX);
-      return { pubkey, npub: nip19.npubEncode(pubkey) };
+    // 2. Try from the site key (NOSTR_SK_HEX or keypair file)
+    const keypair = resolvePublicKey(getKeyOptions());
+    if (keypair) {
+      return { pubkey: keypair.publicKey, npub: keypair.npub };
     }
 
     throw new ConfigError(
-      "No pubkey found. Provide npub/hex as argument or set NOSTR_SK_HEX in .env"
+      `No pubkey found. Provide npub/hex as argument, set NOSTR_SK_HEX in .env or create ${FILES.KEYPAIR}`
     );
   } catch (error) {
     if (error instanceof ValidationError || error instanceof ConfigError) {
@@ -139,85 +148,118 @@ async function checkDns(domain) {
 }
 
 /**
- * Main status check function
+ * Check relays, published events and DNS for one identity
+ *
+ * @param {string} pubkey - Public key (hex)
+ * @param {Object} config - Config from loadConfig / loadSiteConfig
+ * @returns {Promise<Object>} { onlineCount, relayCount, eventCount, dnsConfigured }
  */
-async function checkStatus(pubkeyArg = null) {
-  try {
-    // Display header
-    logger.header("📊 Nostr Web Status Check");
+async function inspectSite(pubkey, config) {
+  const relays = requireRelays(config);
+
+  logger.info("🔌 Relay Connectivity:\n");
 
-    // Get public key
-    const { pubkey, npub } = getPublicKey(pubkeyArg);
-    logger.info(`🔑 Identity: ${npub}\n`);
+  const relayResults = await Promise.all(
+    relays.map((url) => testRelayConnectivity(url))
+  );
 
-    // Check relay connectivity
-    const relayList = process.env.RELAYS || process.env.NOSTR_RELAYS;
-    if (!relayList) {
-      throw new ConfigError("RELAYS not configured in .env");
+  for (const result of relayResults) {
+    if (result.connected) {
+      logger.success(`   ${result.url}: ✓ ${result.latency}ms`);
+    } else {
+      logger.error(`   ${result.url}: ✗ ${result.error}`);
     }
-    const relays = parseRelayUrls(relayList);
+  }
 
-    logger.info("🔌 Relay Connectivity:\n");
+  const onlineCount = relayResults.filter((r) => r.connected).length;
+  logger.info(`\n   ${onlineCount}/${relays.length} relays online\n`);
 
-    const relayResults = await Promise.all(
-      relays.map((url) => testRelayConnectivity(url))
-    );
+  // Query events from online relays
+  let eventCount = 0;
+  if (onlineCount > 0) {
+    logger.info("📦 Published Events:\n");
 
     for (const result of relayResults) {
       if (result.connected) {
-        logger.success(`   ${result.url}: ✓ ${result.latency}ms`);
-      } else {
-        logger.error(`   ${result.url}: ✗ ${result.error}`);
+        try {
+          const relay = await connectToRelay(result.url);
+          const count = await queryEventCount(relay, pubkey);
+          logger.info(`   ${result.url}: ${count} events`);
+          eventCount = Math.max(eventCount, count);
+          closeRelay(relay);
+        } catch (error) {
+          logger.warn(`   ${result.url}: query failed`);
+        }
       }
     }
+  }
 
-    const onlineCount = relayResults.filter((r) => r.connected).length;
-    logger.info(`\n   ${onlineCount}/${relays.length} relays online\n`);
-
-    // Query events from online relays
-    if (onlineCount > 0) {
-      logger.info("📦 Published Events:\n");
-
-      for (const result of relayResults) {
-        if (result.connected) {
-          try {
-            const relay = await connectToRelay(result.url);
-            const count = await queryEventCount(relay, pubkey);
-            logger.info(`   ${result.url}: ${count} events`);
-            closeRelay(relay);
-          } catch (error) {
-            logger.warn(`   ${result.url}: query failed`);
-          }
-        }
-      }
+  // DNS check
+  const domain = config.host;
+  let dnsConfigured = null;
+  if (domain) {
+    logger.info("\n🌐 DNS Configuration:\n");
+    const dnsResult = await checkDns(domain);
+    dnsConfigured = Boolean(dnsResult.configured && dnsResult.record);
+
+    if (dnsResult.configured && dnsResult.record) {
+      logger.success(`   ✓ TXT record found for _nweb.${domain}`);
+      logger.info(`   Pubkey: ${dnsResult.record.pk || "not set"}`);
+      logger.info(`   Relays: ${dnsResult.record.relays?.length || 0}`);
+    } else if (dnsResult.configured && !dnsResult.record) {
+      logger.warn(`   ⚠️  TXT record found but invalid: ${dnsResult.error}`);
+    } else {
+      logger.error(`   ✗ No TXT record found for _nweb.${domain}`);
+      logger.info(`   Run 'nw-publisher deploy' to generate DNS instructions`);
     }
+  }
 
-    // DNS check
-    const domain = process.env.NWEB_HOST;
-    if (domain) {
-      logger.info("\n🌐 DNS Configuration:\n");
-      const dnsResult = await checkDns(domain);
-
-      if (dnsResult.configured && dnsResult.record) {
-        logger.success(`   ✓ TXT record found for _nweb.${domain}`);
-        logger.info(`   Pubkey: ${dnsResult.record.pk || "not set"}`);
-        logger.info(`   Relays: ${dnsResult.record.relays?.length || 0}`);
-      } else if (dnsResult.configured && !dnsResult.record) {
-        logger.warn(`   ⚠️  TXT record found but invalid: ${dnsResult.error}`);
-      } else {
-        logger.error(`   ✗ No TXT record found for _nweb.${domain}`);
-        logger.info(`   Run 'nw-publisher deploy' to generate DNS instructions`);
-      }
+  return {
+    onlineCount,
+    relayCount: relays.length,
+    eventCount,
+    dnsConfigured,
+  };
+}
+
+/**
+ * Main status check function
+ *
+ * @param {string|null} pubkeyArg - npub or hex pubkey from the command line
+ * @param {string|null} siteName - Workspace site to check instead
+ */
+async function checkStatus(pubkeyArg = null, siteName = null) {
+  try {
+    // Display header
+    logger.header("📊 Nostr Web Status Check");
+
+    // Get public key and settings
+    let identity;
+    let config;
+    if (siteName && !pubkeyArg) {
+      const site = getWorkspaceSite(siteName);
+      identity = resolveSitePublicKey(site);
+      config = loadSiteConfig(site);
+      logger.info(`🌐 Site: ${site.name}`);
+    } else {
+      identity = getPublicKey(pubkeyArg);
+      config = loadConfig();
     }
+    logger.info(`🔑 Identity: ${identity.npub}\n`);
+
+    const { onlineCount, relayCount } = await inspectSite(
+      identity.pubkey,
+      config
+    );
 
     // Overall status
     logger.info("");
     logger.separator();
 
-    if (onlineCount === relays.length) {
+    if (onlineCount === relayCount) {
       logger.success("\n✅ All systems operational!\n");
     } else if (onlineCount > 0) {
-      logger.warn(`\n⚠️  ${relays.length - onlineCount} relay(s) offline\n`);
+      logger.warn(`\n⚠️  ${relayCount - onlineCount} relay(s) offline\n`);
     } else {
       logger.error("\n❌ All relays offline!\n");
     }
@@ -226,6 +268,50 @@ async function checkStatus(pubkeyArg = null) {
   }
 }
 
+/**
+ * Check every site of the workspace and print a combined summary
+ *
+ * A site with a broken config is reported in the summary instead of
+ * stopping the remaining checks.
+ *
+ * @returns {Promise<boolean>} True if every site was checked and has a relay online
+ */
+async function checkAllStatus() {
+  logger.header("📊 Nostr Web Status Check (workspace)");
+
+  const sites = getWorkspaceSites();
+  const results = [];
+
+  for (const site of sites) {
+    logger.info(`🌐 Site: ${site.name}`);
+    try {
+      const { pubkey, npub } = resolveSitePublicKey(site);
+      logger.info(`🔑 Identity: ${npub}\n`);
+
+      const status = await inspectSite(pubkey, loadSiteConfig(site));
+      const details = [
+        `${status.onlineCount}/${status.relayCount} relays online`,
+        `${status.eventCount} events`,
+      ];
+      if (status.dnsConfigured !== null) {
+        details.push(status.dnsConfigured ? "DNS ok" : "DNS missing");
+      }
+      results.push({
+        name: site.name,
+        ok: status.onlineCount > 0,
+        detail: details.join(", "),
+      });
+    } catch (error) {
+      logger.error(`   ${error.message}`);
+      results.push({ name: site.name, ok: false, detail: error.message });
+    }
+    logger.info("");
+  }
+
+  printWorkspaceSummary("📋 Workspace status summary", results);
+  return results.every((result) => result.ok);
+}
+
 /**
  * Main entry point
  */
@@ -239,12 +325,16 @@ async function main() {
 
 Check relay connectivity and deployment status for any Nostr site.
 
-Usage: nw-publisher status [npub|hex]
+Usage: nw-publisher status [npub|hex] [--site <name> | --all]
 
 Arguments:
   npub              Query status by npub (e.g., npub1...)
   hex               Query status by hex pubkey (64 characters)
 
+Options:
+  --site <name>     Check one site of the workspace ("sites" in ${FILES.CONFIG})
+  --all             Check every workspace site and print a combined summary
+
 Examples:
   # Use .env configuration
   nw-publisher status
@@ -255,6 +345,10 @@ Examples:
   # Query by hex pubkey
   nw-publisher status a1b2c3d4e5f6...
 
+  # Check one or all sites of a workspace
+  nw-publisher status --site blog
+  nw-publisher status --all
+
 What it checks:
   - Relay connectivity and latency
   - Published events count per relay
@@ -263,9 +357,22 @@ What it checks:
     return;
   }
 
-  const pubkeyArg = args[0] || null;
+  const { site, all, args: rest } = parseWorkspaceArgs(args);
+
+  if (all) {
+    const keyFlags = findKeyFlags(args);
+    if (keyFlags.length > 0) {
+      throw new ConfigError(
+        `${keyFlags.join(" and ")} can't be used with --all: each site uses its own key`
+      );
+    }
+    const ok = await checkAllStatus();
+    process.exit(ok ? 0 : 1);
+  }
+
+  const pubkeyArg = rest[0] || null;
 
-  await checkStatus(pubkeyArg);
+  await checkStatus(pubkeyArg, site);
 
   // Explicitly exit to prevent hanging connections
   process.exit(0);
@@ -12,18 +12,25 @@ import * as readline from "node:readline/promises";
 
 // Import refactored utilities
 import { EVENT_KINDS } from "../lib/constants.mjs";
-import { getPublicKeyFromPrivate } from "../lib/keypair.mjs";
+import { getSigner } from "../lib/signer.mjs";
 import {
   connectToRelay,
   closeRelay,
   queryEvents,
-  parseRelayUrls,
   publishEvent,
 } from "../lib/relay.mjs";
-import { groupEventsByKind, getEventId, createDeletionEvent } from "../lib/events.mjs";
+import { groupEventsByKind, getEventId, getAssetPath, createDeletionEvent } from "../lib/events.mjs";
+import {
+  verifyAssetIntegrity,
+  getAssetEncoding,
+  isChunkedAsset,
+  getChunkIds,
+  expandChunkReferences,
+  listAssetLabels,
+} from "../lib/assets.mjs";
+import { getKeyOptions, loadConfig, requireRelays } from "../lib/config.mjs";
 import { logger } from "../utils/logger.mjs";
 import { handleError, ConfigError } from "../utils/errors.mjs";
-import { nip19 } from "nostr-tools";
 
 // Load .env from current working directory
 dotenv.config({ path: process.cwd() + '/.env' });
@@ -56,6 +63,44 @@ async function queryAllEvents(relayUrl, pubkey) {
   }
 }
 
+/**
+ * Find asset events whose decoded content does not match their 'x' hash
+ * (e.g. binary files published as UTF-8 text by older versions)
+ *
+ * @param {Map} relayEvents - Map of relay URL to events array
+ * @returns {Map} Map of asset event ID to { event, relays }
+ */
+function findCorruptedAssets(relayEvents) {
+  const corrupted = new Map();
+
+  for (const [relayUrl, events] of relayEvents.entries()) {
+    const assetLookup = new Map(
+      events
+        .filter((e) => e.kind === EVENT_KINDS.ASSET)
+        .map((e) => [getEventId(e), e])
+    );
+
+    for (const event of assetLookup.values()) {
+      // Chunked parents with missing chunks are incomplete, not corrupted
+      if (
+        isChunkedAsset(event) &&
+        !getChunkIds(event).every((id) => assetLookup.has(id))
+      ) {
+        continue;
+      }
+      if (verifyAssetIntegrity(event, assetLookup)) continue;
+
+      const id = getEventId(event);
+      if (!corrupted.has(id)) {
+        corrupted.set(id, { event, relays: [] });
+      }
+      corrupted.get(id).relays.push(relayUrl);
+    }
+  }
+
+  return corrupted;
+}
+
 /**
  * STEP A: Analyze entrypoints across all relays
  * Find the newest entrypoint and which site index it points to
@@ -170,6 +215,14 @@ function analyzeVersionCompleteness(relayEvents, versionMap, relays) {
     });
   }
   
+  // Asset events from all relays, so chunk lists are known even where a parent is missing
+  const allAssets = new Map();
+  for (const events of relayEvents.values()) {
+    for (const e of events) {
+      if (e.kind === EVENT_KINDS.ASSET) allAssets.set(getEventId(e), e);
+    }
+  }
+  
   // Check each version on each relay
   for (const [version, versionInfo] of versionMap.entries()) {
     for (const relay of relays) {
@@ -205,13 +258,14 @@ function analyzeVersionCompleteness(relayEvents, versionMap, relays) {
         }
       }
       
-      // Check assets (from manifests)
-      const requiredAssets = new Set();
+      // Check assets (from manifests, including chunks of chunked assets)
+      const manifestAssets = new Set();
       for (const manifest of presentManifests.values()) {
         manifest.tags.filter(t => t[0] === 'e').forEach(t => {
-          requiredAssets.add(t[1]);
+          manifestAssets.add(t[1]);
         });
       }
+      const requiredAssets = expandChunkReferences(manifestAssets, allAssets);
       
       status.assets.required = requiredAssets.size;
       
@@ -279,10 +333,10 @@ function identifySourceRelays(versionCompleteness) {
  * @param {Object} entrypointAnalysis - Entrypoint analysis
  * @param {Map} relayVersionStatus - Status of each version on each relay
  * @param {Array} relays - List of all relays
- * @param {string} skHex - Private key for signing deletion events
- * @returns {Map} Sync plan for each relay
+ * @param {Object} signer - Signer for deletion events (see signer.mjs)
+ * @returns {Promise<Map>} Sync plan for each relay
  */
-function buildSyncPlan(relayEvents, versionMap, sourceRelays, entrypointAnalysis, relayVersionStatus, relays, skHex) {
+async function buildSyncPlan(relayEvents, versionMap, sourceRelays, entrypointAnalysis, relayVersionStatus, relays, signer) {
   const syncPlan = new Map();
   
   for (const relay of relays) {
@@ -345,6 +399,15 @@ function buildSyncPlan(relayEvents, versionMap, sourceRelays, entrypointAnalysis
             e.kind === EVENT_KINDS.ASSET && getEventId(e) === assetId
           );
           if (asset) {
+            // Chunks go before their parent so the parent never points at missing events
+            for (const chunkId of getChunkIds(asset)) {
+              const chunk = sourceEvents.find(e => 
+                e.kind === EVENT_KINDS.ASSET && getEventId(e) === chunkId
+              );
+              if (chunk && !versionAssets.some(a => getEventId(a) === chunkId)) {
+                versionAssets.push(chunk);
+              }
+            }
             // Avoid duplicates
             if (!versionAssets.some(a => getEventId(a) === assetId)) {
               versionAssets.push(asset);
@@ -399,10 +462,10 @@ function buildSyncPlan(relayEvents, versionMap, sourceRelays, entrypointAnalysis
       
       // Create a single deletion event for all old entrypoints on this relay
       if (oldEntrypoints.length > 0) {
-        const deletionEvent = createDeletionEvent(
+        const deletionEvent = await createDeletionEvent(
           oldEntrypoints,
           "Replacing old entrypoint with updated version",
-          skHex
+          signer
         );
         plan.deleteOldEntrypoints.push(deletionEvent);
       }
@@ -429,10 +492,10 @@ function buildSyncPlan(relayEvents, versionMap, sourceRelays, entrypointAnalysis
  *
  * @param {Array<string>} relays - List of relay URLs
  * @param {string} pubkey - Author public key
- * @param {string} skHex - Private key for signing events
+ * @param {Object} signer - Signer for events (see signer.mjs)
  * @returns {Promise<Object>} Sync results
  */
-async function buildEventMap(relays, pubkey, skHex) {
+async function buildEventMap(relays, pubkey, signer) {
   const relayEvents = new Map();
 
   logger.info("\n🔍 Scanning relays for events...\n");
@@ -445,6 +508,22 @@ async function buildEventMap(relays, pubkey, skHex) {
     relayEvents.set(relayUrl, events);
   }
 
+  // Integrity check: decoded asset bytes must match the 'x' hash
+  const corruptedAssets = findCorruptedAssets(relayEvents);
+  if (corruptedAssets.size > 0) {
+    logger.warn(
+      `\n   ${corruptedAssets.size} asset(s) fail integrity check (content does not match 'x' hash):`
+    );
+    for (const [id, { event }] of corruptedAssets.entries()) {
+      const mimeType = event.tags.find((t) => t[0] === "m")?.[1] || "unknown";
+      const label = getAssetPath(event) || `${id.substring(0, 8)}...`;
+      logger.warn(
+        `      - ${label} (${mimeType}, ${getAssetEncoding(event)})`
+      );
+    }
+    logger.warn(`   Redeploy the site to republish these assets correctly.`);
+  }
+
   // STEP A: Analyze entrypoints
   logger.info(`\n📍 Step A: Analyzing entrypoints...`);
   const entrypointAnalysis = analyzeEntrypoints(relayEvents);
@@ -495,14 +574,14 @@ async function buildEventMap(relays, pubkey, skHex) {
   
   // STEP E & F: Build sync plan
   logger.info(`\n🔄 Step E & F: Building sync plan...\n`);
-  const syncPlan = buildSyncPlan(
+  const syncPlan = await buildSyncPlan(
     relayEvents,
     versionMap,
     sourceRelays,
     entrypointAnalysis,
     relayVersionStatus,
     relays,
-    skHex
+    signer
   );
   
   return {
@@ -793,6 +872,9 @@ function displaySyncPlan(syncPlan, versionMap) {
       }
       if (plan.syncAssets.length > 0) {
         logger.info(`         - ${plan.syncAssets.length} asset(s)`);
+        for (const label of listAssetLabels(plan.syncAssets)) {
+          logger.info(`             ${label}`);
+        }
       }
     }
   }
@@ -955,26 +1037,19 @@ async function executeSyncPlan(syncPlan, relays) {
 
 /**
  * Main sync function
- * Requires NOSTR_SK_HEX in .env to sign and publish events.
+ * Requires NOSTR_SK_HEX in .env, a keypair file or a bunker URI to sign events.
  */
 async function sync() {
   try {
-    // Load private key from environment
-    const skHex = process.env.NOSTR_SK_HEX;
-    if (!skHex) {
-      throw new ConfigError(
-        "NOSTR_SK_HEX not found. Set your private key in .env file"
-      );
-    }
-
-    const pubkey = getPublicKeyFromPrivate(skHex);
-    const npub = nip19.npubEncode(pubkey);
+    // Get signer (local key or NIP-46 bunker)
+    const config = loadConfig();
+    const signer = await getSigner({
+      siteDir: process.cwd(),
+      ...getKeyOptions(),
+    });
+    const { pubkey, npub } = signer;
 
-    const relayList = process.env.RELAYS || process.env.NOSTR_RELAYS;
-    if (!relayList) {
-      throw new ConfigError("RELAYS not configured in .env");
-    }
-    const relays = parseRelayUrls(relayList);
+    const relays = requireRelays(config);
 
     if (relays.length === 0) {
       throw new ConfigError("No valid relay URLs found");
@@ -987,7 +1062,7 @@ async function sync() {
 
     // Build sync plan using new architecture
     logger.info("\n📊 Analyzing relay states...");
-    const { syncPlan, versionMap, entrypointAnalysis, sourceRelays } = await buildEventMap(relays, pubkey, skHex);
+    const { syncPlan, versionMap, entrypointAnalysis, sourceRelays } = await buildEventMap(relays, pubkey, signer);
 
     // Display version information
     if (versionMap.size === 0) {
@@ -1102,7 +1177,8 @@ async function main() {
 
 Ensures all versions exist on all configured relays.
 Identifies missing events and republishes them.
-Requires NOSTR_SK_HEX in .env to sign and publish events.
+Requires NOSTR_SK_HEX in .env, a keypair file or a bunker URI
+(NWEB_BUNKER / --bunker) to sign and publish events.
 
 Usage: nw-publisher sync
 
@@ -5,25 +5,73 @@
  * Manage site versions - list, show, compare, and track version history.
  */
 
+import fs from "node:fs";
+import path from "node:path";
 import dotenv from "dotenv";
+import { stdin as input, stdout as output } from "node:process";
+import * as readline from "node:readline/promises";
 import { nip19 } from "nostr-tools";
 
 // Import refactored utilities
-import { EVENT_KINDS } from "../lib/constants.mjs";
-import { getPublicKeyFromPrivate } from "../lib/keypair.mjs";
+import { EVENT_KINDS, FILES } from "../lib/constants.mjs";
+import { resolvePublicKey } from "../lib/keypair.mjs";
+import { getSigner } from "../lib/signer.mjs";
 import {
   connectToRelay,
   closeRelay,
   queryEvents,
-  parseRelayUrls,
+  publishEvent,
 } from "../lib/relay.mjs";
-import { groupEventsByKind, getEventId } from "../lib/events.mjs";
+import {
+  groupEventsByKind,
+  getEventId,
+  getEventReferences,
+  getAssetPath,
+  createEntrypointEvent,
+} from "../lib/events.mjs";
+import {
+  buildVersionHistory,
+  findVersion,
+  formatVersionLabel,
+  getVersionEventIds,
+} from "../lib/version-history.mjs";
+import {
+  decodeAssetContent,
+  getAssetSize,
+  getChunkIds,
+  isChunkedAsset,
+  verifyAssetIntegrity,
+} from "../lib/assets.mjs";
+import {
+  DIFFABLE_TYPES,
+  describeAsset,
+  diffRouteAssets,
+  unifiedDiff,
+} from "../lib/version-diff.mjs";
+import { planExport, writeExport } from "../lib/export.mjs";
+import { diffRoutingRules } from "../lib/redirects.mjs";
+import { getKeyOptions, loadConfig, requireRelays } from "../lib/config.mjs";
+import {
+  getSiteKeyOptions,
+  getWorkspaceSite,
+  loadSiteConfig,
+  parseWorkspaceArgs,
+  resolveSitePublicKey,
+} from "../lib/workspace.mjs";
 import { logger } from "../utils/logger.mjs";
-import { handleError, ConfigError, ValidationError } from "../utils/errors.mjs";
+import {
+  handleError,
+  ConfigError,
+  NetworkError,
+  ValidationError,
+} from "../utils/errors.mjs";
 
 // Load .env from current working directory
 dotenv.config({ path: process.cwd() + '/.env' });
 
+// Workspace site selected with --site, if any
+let selectedSite = null;
+
 /**
  * Get pubkey from CLI argument or environment
  * Read-only command - only accepts npub/hex, not site directory
@@ -51,21 +99,19 @@ function getPubkey(pubkeyArg) {
     );
   }
 
-  // 2. Try from environment (NOSTR_SK_HEX from .env or system env)
-  if (process.env.NOSTR_SK_HEX) {
-    try {
-      const pubkey = getPublicKeyFromPrivate(process.env.NOSTR_SK_HEX);
-      const npub = nip19.npubEncode(pubkey);
-      return { pubkey, npub };
-    } catch (error) {
-      throw new ConfigError(
-        `Failed to derive pubkey from NOSTR_SK_HEX: ${error.message}`
-      );
-    }
+  // 2. Workspace site selected with --site
+  if (selectedSite) {
+    return resolveSitePublicKey(selectedSite);
+  }
+
+  // 3. Try from the site key (NOSTR_SK_HEX or keypair file)
+  const keypair = resolvePublicKey(getKeyOptions());
+  if (keypair) {
+    return { pubkey: keypair.publicKey, npub: keypair.npub };
   }
 
   throw new ConfigError(
-    "No pubkey found. Provide npub/hex as argument or set NOSTR_SK_HEX in .env"
+    `No pubkey found. Provide npub/hex as argument, set NOSTR_SK_HEX in .env or create ${FILES.KEYPAIR}`
   );
 }
 
@@ -106,66 +152,19 @@ async function queryEntrypoints(relay, pubkey) {
 }
 
 /**
- * Build version history from relay events
+ * Get configured relay URLs
  */
-function buildVersionHistory(siteIndexEvents, entrypointEvents) {
-  // Sort site indexes by creation time (oldest first)
-  const sortedIndexes = [...siteIndexEvents].sort(
-    (a, b) => a.created_at - b.created_at
+function getRelays() {
+  return requireRelays(
+    selectedSite ? loadSiteConfig(selectedSite) : loadConfig()
   );
-
-  const versions = sortedIndexes
-    .map((event, index) => {
-      try {
-        const content = JSON.parse(event.content);
-        const dTag = event.tags.find((t) => t[0] === "d")?.[1];
-        const xTag = event.tags.find((t) => t[0] === "x")?.[1];
-
-        // Find corresponding entrypoint
-        const entrypoint = entrypointEvents.find((ep) => {
-          const aTag = ep.tags.find((t) => t[0] === "a")?.[1];
-          return aTag && aTag.includes(`:${dTag}`);
-        });
-
-        return {
-          version: content.version || `${index + 1}.0.0`,
-          siteIndexId: getEventId(event),
-          entrypointId: entrypoint ? getEventId(entrypoint) : null,
-          contentHash: dTag,
-          fullHash: xTag,
-          timestamp: new Date(event.created_at * 1000).toISOString(),
-          created_at: event.created_at,
-          routes: Object.keys(content.routes || {}),
-          defaultRoute: content.defaultRoute,
-          notFoundRoute: content.notFoundRoute,
-          routeManifests: content.routes || {},
-        };
-      } catch (error) {
-        logger.debug(`Failed to parse site index event: ${error.message}`);
-        return null;
-      }
-    })
-    .filter(Boolean);
-
-  const current =
-    versions.length > 0 ? versions[versions.length - 1].version : "0.0.0";
-
-  return {
-    current,
-    versions,
-    totalVersions: versions.length,
-  };
 }
 
 /**
  * Fetch version history from relays
  */
 async function fetchVersionHistory(pubkey, npub) {
-  const relayList = process.env.RELAYS || process.env.NOSTR_RELAYS;
-  if (!relayList) {
-    throw new ConfigError("RELAYS not configured in .env");
-  }
-  const relays = parseRelayUrls(relayList);
+  const relays = getRelays();
 
   logger.info("\n🔍 Fetching version history from relays...");
   logger.info(`   Site: ${npub}\n`);
@@ -217,6 +216,109 @@ async function fetchVersionHistory(pubkey, npub) {
   return buildVersionHistory(allSiteIndexes, allEntrypoints);
 }
 
+/**
+ * Fetch the manifest and asset events referenced by a version
+ *
+ * @param {string} pubkey - Author public key
+ * @param {Object} versionEntry - Version entry from buildVersionHistory
+ * @returns {Promise<Object>} { manifests: Map, assets: Map } keyed by event ID
+ */
+async function fetchVersionContent(pubkey, versionEntry) {
+  const relays = getRelays();
+  const manifestIds = Object.values(versionEntry.routeManifests).filter(
+    Boolean
+  );
+  const manifests = new Map();
+  const assets = new Map();
+
+  for (const relayUrl of relays) {
+    try {
+      const relay = await connectToRelay(relayUrl);
+
+      const missingManifests = manifestIds.filter((id) => !manifests.has(id));
+      if (missingManifests.length > 0) {
+        const events = await queryEvents(relay, [
+          {
+            kinds: [EVENT_KINDS.MANIFEST],
+            authors: [pubkey],
+            ids: missingManifests,
+          },
+        ]);
+        for (const event of events) {
+          manifests.set(getEventId(event), event);
+        }
+      }
+
+      const assetIds = new Set();
+      for (const manifest of manifests.values()) {
+        manifest.tags
+          .filter((t) => t[0] === "e")
+          .forEach((t) => assetIds.add(t[1]));
+      }
+      const missingAssets = [...assetIds].filter((id) => !assets.has(id));
+      if (missingAssets.length > 0) {
+        const events = await queryEvents(relay, [
+          { kinds: [EVENT_KINDS.ASSET], authors: [pubkey], ids: missingAssets },
+        ]);
+        for (const event of events) {
+          assets.set(getEventId(event), event);
+        }
+      }
+
+      // Chunked assets keep their content in separate chunk events
+      const missingChunks = [...assets.values()]
+        .flatMap(getChunkIds)
+        .filter((id) => !assets.has(id));
+      if (missingChunks.length > 0) {
+        const events = await queryEvents(relay, [
+          { kinds: [EVENT_KINDS.ASSET], authors: [pubkey], ids: missingChunks },
+        ]);
+        for (const event of events) {
+          assets.set(getEventId(event), event);
+        }
+      }
+
+      closeRelay(relay);
+    } catch (error) {
+      logger.debug(
+        `Failed to fetch version content from ${relayUrl}: ${error.message}`
+      );
+    }
+  }
+
+  return { manifests, assets };
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Print the version the entrypoint points at
+ */
+function logCurrentVersion(history) {
+  if (history.currentEntry) {
+    logger.info(
+      `Current Version: ${
+        history.current || formatVersionLabel(history.currentEntry)
+      }\n`
+    );
+  } else if (history.liveDTag) {
+    logger.warn(
+      `Current Version: unknown (entrypoint points to site index d=${history.liveDTag}, which no relay has)\n`
+    );
+  } else {
+    logger.warn(
+      "Current Version: none (no entrypoint found, site is not live)\n"
+    );
+  }
+}
+
 /**
  * List all versions
  */
@@ -224,7 +326,7 @@ async function listVersions(pubkey, npub) {
   const history = await fetchVersionHistory(pubkey, npub);
 
   logger.header("📚 Version History");
-  logger.info(`Current Version: ${history.current}\n`);
+  logCurrentVersion(history);
 
   if (history.versions.length === 0) {
     logger.info("No versions available.\n");
@@ -238,13 +340,14 @@ async function listVersions(pubkey, npub) {
 
   for (let i = 0; i < versions.length; i++) {
     const v = versions[i];
-    const isCurrent = i === 0;
-    const marker = isCurrent ? "→ " : "  ";
+    const label = formatVersionLabel(v);
 
-    if (isCurrent) {
-      logger.success(`${marker}v${v.version} (current)`);
+    if (v.live) {
+      logger.success(`→ ${label} (current)`);
+    } else if (v.neverLive) {
+      logger.warn(`  ${label} (never live)`);
     } else {
-      logger.info(`${marker}v${v.version}`);
+      logger.info(`  ${label}`);
     }
     logger.info(`  Date: ${new Date(v.timestamp).toLocaleString()}`);
     logger.info(`  Hash: ${v.contentHash}`);
@@ -270,17 +373,28 @@ async function listVersions(pubkey, npub) {
 async function showVersion(pubkey, npub, version) {
   const history = await fetchVersionHistory(pubkey, npub);
 
-  const versionEntry = history.versions.find((v) => v.version === version);
+  const versionEntry = findVersion(history, version);
 
   if (!versionEntry) {
     logger.error(`❌ Version ${version} not found`);
     logger.info("\nAvailable versions:");
-    history.versions.forEach((v) => logger.info(`  - ${v.version}`));
+    history.versions.forEach((v) =>
+      logger.info(`  - ${formatVersionLabel(v)}`)
+    );
     process.exit(1);
   }
 
   logger.header("📖 Version Details");
-  logger.info(`Version: ${versionEntry.version}`);
+  logger.info(`Version: ${versionEntry.version || "unversioned"}`);
+  logger.info(
+    `Status: ${
+      versionEntry.live
+        ? "current"
+        : versionEntry.neverLive
+        ? "never live"
+        : "previous"
+    }`
+  );
   logger.info(`Date: ${new Date(versionEntry.timestamp).toLocaleString()}`);
   logger.info(`Content Hash: ${versionEntry.contentHash}`);
   logger.info(`Full Hash: ${versionEntry.fullHash}`);
@@ -289,14 +403,58 @@ async function showVersion(pubkey, npub, version) {
     logger.info(`Entrypoint ID: ${versionEntry.entrypointId}`);
   }
   logger.info(`Default Route: ${versionEntry.defaultRoute}`);
-  if (versionEntry.notFoundRoute) {
-    logger.info(`404 Route: ${versionEntry.notFoundRoute}`);
+  if (versionEntry.notFoundPage) {
+    logger.info(`404 Page: ${versionEntry.notFoundPage}`);
+  }
+  if (versionEntry.trailingSlash) {
+    logger.info(`Trailing Slash: ${versionEntry.trailingSlash}`);
+  }
+  const aliases = Object.entries(versionEntry.aliases);
+  if (aliases.length > 0) {
+    logger.info(`\nAliases (${aliases.length}):`);
+    aliases.forEach(([from, to]) => logger.info(`  ${from} → ${to}`));
+  }
+  if (versionEntry.redirects.length > 0) {
+    logger.info(`\nRedirects (${versionEntry.redirects.length}):`);
+    versionEntry.redirects.forEach(({ from, to, status }) =>
+      logger.info(`  ${from} → ${to} (${status})`)
+    );
   }
   logger.info(`\nRoutes (${versionEntry.routes.length}):`);
 
+  const { manifests, assets } = await fetchVersionContent(pubkey, versionEntry);
+
   for (const route of versionEntry.routes) {
     const manifestId = versionEntry.routeManifests[route];
     logger.info(`  ${route} → ${manifestId.substring(0, 16)}...`);
+
+    const manifest = manifests.get(manifestId);
+    if (!manifest) {
+      logger.warn(`     Manifest not found on any relay`);
+      continue;
+    }
+
+    for (const tag of manifest.tags.filter((t) => t[0] === "e")) {
+      const asset = assets.get(tag[1]);
+      if (!asset) {
+        logger.warn(`     ${tag[1].substring(0, 8)}... (missing)`);
+        continue;
+      }
+      const mimeType = asset.tags.find((t) => t[0] === "m")?.[1] || "unknown";
+      const size = getAssetSize(asset, assets);
+      const chunks = isChunkedAsset(asset)
+        ? `, ${getChunkIds(asset).length} chunks`
+        : "";
+      const integrity = verifyAssetIntegrity(asset, assets)
+        ? "✓"
+        : "✗ hash mismatch or missing chunks";
+      const label = getAssetPath(asset) || `${tag[1].substring(0, 8)}...`;
+      logger.info(
+        `     ${label} ${mimeType} (${
+          size === null ? "unknown size" : formatBytes(size)
+        }${chunks}) ${integrity}`
+      );
+    }
   }
 
   logger.info("");
@@ -304,14 +462,88 @@ async function showVersion(pubkey, npub, version) {
   logger.info("");
 }
 
+/**
+ * Describe the files of a route in a version
+ *
+ * @returns {Array<Object>|null} Described assets, or null if the manifest is
+ *   on no relay
+ */
+function getRouteFiles(version, route, manifests, assets) {
+  const manifest = manifests.get(version.routeManifests[route]);
+  if (!manifest) {
+    return null;
+  }
+  return getEventReferences(manifest).map((id) => describeAsset(id, assets));
+}
+
+/**
+ * Format a described asset for display
+ */
+function formatFile(file) {
+  const name = file.name ? `${file.name} ` : "";
+  if (file.missing) {
+    return `${name}${file.id.substring(0, 8)}... (missing)`;
+  }
+  const size = file.size === null ? "unknown size" : formatBytes(file.size);
+  return `${name}${file.mime} ${(file.hash || file.id).substring(
+    0,
+    8
+  )}... (${size})`;
+}
+
+/**
+ * Print the files of an added or removed route
+ */
+function logRouteFiles(files, marker) {
+  if (!files) {
+    logger.warn("     Manifest not found on any relay");
+    return;
+  }
+  files.forEach((file) => logger.info(`     ${marker} ${formatFile(file)}`));
+}
+
+/**
+ * Print a unified diff of a changed text file
+ */
+function logFileDiff(route, change, labels, assets) {
+  const { before, after } = change;
+  if (
+    before.missing ||
+    after.missing ||
+    !DIFFABLE_TYPES.includes(before.mime) ||
+    !DIFFABLE_TYPES.includes(after.mime)
+  ) {
+    return;
+  }
+
+  try {
+    const decode = (file) =>
+      decodeAssetContent(assets.get(file.id), assets).toString("utf8");
+    const file = after.name || after.mime;
+    console.log(
+      unifiedDiff(decode(before), decode(after), {
+        oldLabel: `${labels[0]} ${route} (${file})`,
+        newLabel: `${labels[1]} ${route} (${file})`,
+      })
+    );
+    console.log("");
+  } catch (error) {
+    logger.warn(`     Can't diff ${formatFile(after)}: ${error.message}`);
+  }
+}
+
 /**
  * Compare two versions
+ *
+ * Routes are compared by manifest, then the files of each modified route
+ * by content hash. With --diff, changed HTML, CSS and JS files are printed
+ * as unified diffs.
  */
-async function compareVersions(pubkey, npub, version1, version2) {
+async function compareVersions(pubkey, npub, version1, version2, options = {}) {
   const history = await fetchVersionHistory(pubkey, npub);
 
-  const v1 = history.versions.find((v) => v.version === version1);
-  const v2 = history.versions.find((v) => v.version === version2);
+  const v1 = findVersion(history, version1);
+  const v2 = findVersion(history, version2);
 
   if (!v1 || !v2) {
     logger.error("❌ Version not found");
@@ -320,17 +552,22 @@ async function compareVersions(pubkey, npub, version1, version2) {
     process.exit(1);
   }
 
+  const labels = [formatVersionLabel(v1), formatVersionLabel(v2)];
   logger.header("🔍 Version Comparison");
   logger.info(
-    `${version1} (${new Date(
-      v1.timestamp
-    ).toLocaleDateString()}) ↔️ ${version2} (${new Date(
-      v2.timestamp
-    ).toLocaleDateString()})`
+    `${labels[0]} (${new Date(v1.timestamp).toLocaleDateString()}) ↔️ ${
+      labels[1]
+    } (${new Date(v2.timestamp).toLocaleDateString()})`
   );
   logger.separator();
   logger.info("");
 
+  // Manifests and assets of both versions, for file-level changes
+  const content1 = await fetchVersionContent(pubkey, v1);
+  const content2 = await fetchVersionContent(pubkey, v2);
+  const manifests = new Map([...content1.manifests, ...content2.manifests]);
+  const assets = new Map([...content1.assets, ...content2.assets]);
+
   // Compare routes
   const routes1 = new Set(v1.routes);
   const routes2 = new Set(v2.routes);
@@ -344,11 +581,17 @@ async function compareVersions(pubkey, npub, version1, version2) {
     return v1.routeManifests[route] !== v2.routeManifests[route];
   });
 
+  const fileStats = { added: 0, removed: 0, changed: 0, bytes: 0 };
+  const countBytes = (file, sign) => {
+    fileStats.bytes += sign * (file?.size || 0);
+  };
+
   if (added.length > 0) {
     logger.success(`✅ Routes Added (${added.length}):`);
     added.forEach((r) => {
       const manifestId = v2.routeManifests[r];
       logger.info(`   + ${r} (${manifestId.substring(0, 8)}...)`);
+      logRouteFiles(getRouteFiles(v2, r, manifests, assets), "+");
     });
     logger.info("");
   }
@@ -358,18 +601,70 @@ async function compareVersions(pubkey, npub, version1, version2) {
     removed.forEach((r) => {
       const manifestId = v1.routeManifests[r];
       logger.info(`   - ${r} (${manifestId.substring(0, 8)}...)`);
+      logRouteFiles(getRouteFiles(v1, r, manifests, assets), "-");
     });
     logger.info("");
   }
 
   if (modified.length > 0) {
     logger.warn(`🔄 Routes Modified (${modified.length}):`);
-    modified.forEach((r) => {
+    for (const r of modified) {
       const oldManifest = v1.routeManifests[r].substring(0, 8);
       const newManifest = v2.routeManifests[r].substring(0, 8);
       logger.info(`   ≈ ${r}`);
       logger.info(`     ${oldManifest}... → ${newManifest}...`);
-    });
+
+      const before = getRouteFiles(v1, r, manifests, assets);
+      const after = getRouteFiles(v2, r, manifests, assets);
+      if (!before || !after) {
+        logger.warn("     Manifest not found on any relay");
+        continue;
+      }
+
+      const changes = diffRouteAssets(before, after);
+      const same = changes.filter((c) => c.status === "unchanged").length;
+      for (const change of changes) {
+        if (change.status === "added") {
+          logger.info(`     + ${formatFile(change.after)}`);
+          countBytes(change.after, 1);
+          fileStats.added++;
+        } else if (change.status === "removed") {
+          logger.info(`     - ${formatFile(change.before)}`);
+          countBytes(change.before, -1);
+          fileStats.removed++;
+        } else if (change.status === "changed") {
+          logger.info(
+            `     ~ ${formatFile(change.before)} → ${formatFile(change.after)}`
+          );
+          countBytes(change.before, -1);
+          countBytes(change.after, 1);
+          fileStats.changed++;
+          if (options.diff) {
+            logFileDiff(r, change, labels, assets);
+          }
+        }
+      }
+      logger.info(
+        same === changes.length
+          ? "     Same files (page metadata changed)"
+          : `     ${same} file(s) unchanged`
+      );
+    }
+    logger.info("");
+  }
+
+  const routingChanges = diffRoutingRules(v1, v2);
+  if (routingChanges.length > 0) {
+    logger.warn(`🔀 Routing Changes (${routingChanges.length}):`);
+    for (const change of routingChanges) {
+      if (change.status === "added") {
+        logger.info(`   + ${change.label} → ${change.after}`);
+      } else if (change.status === "removed") {
+        logger.info(`   - ${change.label} → ${change.before}`);
+      } else {
+        logger.info(`   ~ ${change.label}: ${change.before} → ${change.after}`);
+      }
+    }
     logger.info("");
   }
 
@@ -389,6 +684,15 @@ async function compareVersions(pubkey, npub, version1, version2) {
   logger.info(`  Removed: ${removed.length}`);
   logger.info(`  Modified: ${modified.length}`);
   logger.info(`  Unchanged: ${trulyUnchanged.length}`);
+  logger.info(`  Routing rules changed: ${routingChanges.length}`);
+  logger.info(
+    `  Files in modified routes: ${fileStats.changed} changed, ${fileStats.added} added, ${fileStats.removed} removed`
+  );
+  logger.info(
+    `  Size change in modified routes: ${fileStats.bytes < 0 ? "-" : "+"}${formatBytes(
+      Math.abs(fileStats.bytes)
+    )}`
+  );
   logger.info(
     `  Time elapsed: ${Math.abs(v2.created_at - v1.created_at)} seconds`
   );
@@ -397,6 +701,369 @@ async function compareVersions(pubkey, npub, version1, version2) {
   logger.info("");
 }
 
+/**
+ * Export a version to a local directory
+ *
+ * Every file is checked against its `x` hash before it is written. The
+ * directory must be empty or missing unless --force is given.
+ */
+async function exportVersion(pubkey, npub, version, outDir, options = {}) {
+  const target = path.resolve(outDir);
+  if (
+    fs.existsSync(target) &&
+    fs.readdirSync(target).length > 0 &&
+    !options.force
+  ) {
+    throw new ValidationError(
+      `${outDir} is not empty. Use --force to export into it anyway`
+    );
+  }
+
+  const history = await fetchVersionHistory(pubkey, npub);
+  const versionEntry = findVersion(history, version);
+  if (!versionEntry) {
+    throw new ValidationError(
+      `Version ${version} not found. Use 'nw-publisher versions list' to see the available versions`
+    );
+  }
+
+  const label = formatVersionLabel(versionEntry);
+  logger.header("📦 Version Export");
+  logger.info(`Version: ${label} (d=${versionEntry.contentHash})`);
+  logger.info(`Target: ${target}\n`);
+
+  const { manifests, assets } = await fetchVersionContent(pubkey, versionEntry);
+  const { files, problems } = planExport(versionEntry, manifests, assets);
+  const results = writeExport(files, assets, target);
+
+  for (const result of results) {
+    if (result.verified) {
+      logger.success(`${result.path} (${formatBytes(result.size)})`);
+    } else {
+      logger.error(`${result.path}: hash mismatch or missing chunks, skipped`);
+    }
+  }
+
+  const untagged = files.filter((file) => !file.tagged).length;
+  if (untagged > 0) {
+    logger.warn(
+      `${untagged} file(s) have no path tag (published before paths were recorded) and were placed by route or in _unnamed/`
+    );
+  }
+  problems.forEach((problem) => logger.error(problem));
+
+  const written = results.filter((result) => result.verified).length;
+  const failed = results.length - written + problems.length;
+  logger.info("");
+  logger.separator();
+  if (failed > 0) {
+    logger.error(
+      `Exported ${written}/${results.length} file(s) of ${label}; ${failed} problem(s)\n`
+    );
+    process.exit(1);
+  }
+  logger.success(`Exported ${written} file(s) of ${label} to ${target}\n`);
+}
+
+/**
+ * Find which relays hold the events a version needs
+ *
+ * Manifests, assets and chunks are fetched in rounds, since each level is
+ * only known once the one above it is.
+ *
+ * @param {string} pubkey - Author public key
+ * @param {Object} entry - Version entry
+ * @param {Array<Object>} conns - Connected relays ({ relay, url })
+ * @returns {Promise<Object>} { events, ids, unresolved, missing } where
+ *   missing maps each relay URL to the IDs it lacks
+ */
+async function checkVersionOnRelays(pubkey, entry, conns) {
+  const events = new Map();
+  const held = new Map(conns.map((conn) => [conn.url, new Set()]));
+  const queried = new Map(conns.map((conn) => [conn.url, new Set()]));
+
+  // The site index is addressable: any event with its d tag serves it
+  for (const conn of conns) {
+    queried.get(conn.url).add(entry.siteIndexId);
+    try {
+      const found = await queryEvents(conn.relay, [
+        {
+          kinds: [EVENT_KINDS.SITE_INDEX],
+          authors: [pubkey],
+          "#d": [entry.contentHash],
+        },
+      ]);
+      if (found.length > 0) {
+        held.get(conn.url).add(entry.siteIndexId);
+        events.set(
+          entry.siteIndexId,
+          found.find((e) => e.id === entry.siteIndexId) || found[0]
+        );
+      }
+    } catch (error) {
+      logger.debug(`Site index query failed on ${conn.url}: ${error.message}`);
+    }
+  }
+
+  let fetched = true;
+  while (fetched) {
+    fetched = false;
+    const { ids } = getVersionEventIds(entry, events);
+    for (const conn of conns) {
+      const pending = ids.filter((id) => !queried.get(conn.url).has(id));
+      if (pending.length === 0) continue;
+
+      pending.forEach((id) => queried.get(conn.url).add(id));
+      fetched = true;
+      try {
+        const found = await queryEvents(conn.relay, [
+          { authors: [pubkey], ids: pending },
+        ]);
+        for (const event of found) {
+          held.get(conn.url).add(event.id);
+          events.set(event.id, event);
+        }
+      } catch (error) {
+        logger.debug(`Event query failed on ${conn.url}: ${error.message}`);
+      }
+    }
+  }
+
+  const { ids, unresolved } = getVersionEventIds(entry, events);
+  const missing = new Map(
+    conns.map((conn) => [
+      conn.url,
+      ids.filter((id) => !held.get(conn.url).has(id)),
+    ])
+  );
+  return { events, ids, unresolved, missing };
+}
+
+/**
+ * Re-publish the events a relay is missing, assets first
+ *
+ * @param {Object} conn - Connected relay ({ relay, url })
+ * @param {Array<Object>} events - Missing events
+ * @returns {Promise<number>} Number of events that failed
+ */
+async function resyncEvents(conn, events) {
+  const order = [
+    EVENT_KINDS.ASSET,
+    EVENT_KINDS.MANIFEST,
+    EVENT_KINDS.SITE_INDEX,
+  ];
+  const sorted = [...events].sort(
+    (a, b) => order.indexOf(a.kind) - order.indexOf(b.kind)
+  );
+
+  let failed = 0;
+  for (const event of sorted) {
+    try {
+      await publishEvent(conn.relay, event);
+    } catch (error) {
+      logger.debug(`Re-sync of ${event.id} failed: ${error.message}`);
+      failed++;
+    }
+  }
+  return failed;
+}
+
+/**
+ * Roll back to an older version
+ *
+ * Publishes a new entrypoint pointing at the old site index. The version's
+ * site index, manifests and assets are checked on every relay first, and
+ * relays missing some of them get copies from relays that have them.
+ *
+ * @param {string} version - Version or site index d tag
+ * @param {Object} options - { yes, sync }
+ */
+async function rollbackVersion(version, options = {}) {
+  const config = selectedSite ? loadSiteConfig(selectedSite) : loadConfig();
+  const relays = requireRelays(config);
+  const signer = await getSigner(
+    selectedSite
+      ? getSiteKeyOptions(selectedSite, config)
+      : { siteDir: process.cwd(), ...getKeyOptions() }
+  );
+
+  try {
+    await rollbackWithSigner(signer, relays, version, options);
+  } finally {
+    await signer.close();
+  }
+}
+
+/**
+ * Check, re-sync and re-point the entrypoint (see rollbackVersion)
+ */
+async function rollbackWithSigner(signer, relays, version, options) {
+  const { pubkey, npub } = signer;
+
+  if (!options.yes && !process.stdin.isTTY) {
+    throw new ValidationError(
+      "Rollback asks for confirmation, but stdin is not a terminal; use --yes"
+    );
+  }
+
+  const history = await fetchVersionHistory(pubkey, npub);
+  const target = findVersion(history, version);
+  if (!target) {
+    throw new ValidationError(
+      `Version ${version} not found. Use 'nw-publisher versions list' to see the available versions`
+    );
+  }
+
+  const label = formatVersionLabel(target);
+  if (target.live) {
+    logger.success(`${label} is already the current version\n`);
+    return;
+  }
+
+  logger.header("⏪ Version Rollback");
+  logger.info(
+    `From: ${
+      history.currentEntry ? formatVersionLabel(history.currentEntry) : "none"
+    }`
+  );
+  logger.info(
+    `To:   ${label} (d=${target.contentHash}, ${new Date(
+      target.timestamp
+    ).toLocaleString()})`
+  );
+  if (target.neverLive) {
+    logger.warn(`${label} was never live`);
+  }
+  logger.info(
+    `A new entrypoint will point at site index d=${target.contentHash}.`
+  );
+
+  // Ask before connecting, so no relay connection waits on the answer
+  if (!options.yes) {
+    const rl = readline.createInterface({ input, output });
+    let answer;
+    try {
+      answer = await rl.question('Type "ROLLBACK" to continue: ');
+    } finally {
+      rl.close();
+    }
+    if (answer.trim() !== "ROLLBACK") {
+      logger.info("\n❌ Rollback cancelled.\n");
+      return;
+    }
+  }
+
+  logger.info(`\nChecking ${label} on ${relays.length} relay(s)...`);
+  const conns = [];
+  for (const url of relays) {
+    try {
+      conns.push({ relay: await connectToRelay(url), url });
+    } catch (error) {
+      logger.warn(`   ${url}: not connected (${error.message}), skipped`);
+    }
+  }
+  if (conns.length === 0) {
+    throw new NetworkError("Could not connect to any relay");
+  }
+
+  try {
+    const check = await checkVersionOnRelays(pubkey, target, conns);
+    if (check.unresolved.length > 0) {
+      throw new ValidationError(
+        `${check.unresolved.length} event(s) of ${label} are on no relay (${check.unresolved
+          .slice(0, 3)
+          .map((id) => id.substring(0, 8))
+          .join(", ")}...). Re-deploy this version instead`
+      );
+    }
+
+    let missingTotal = 0;
+    for (const conn of conns) {
+      const missing = check.missing.get(conn.url);
+      missingTotal += missing.length;
+      if (missing.length === 0) {
+        logger.success(
+          `   ${conn.url}: ${check.ids.length} event(s), complete`
+        );
+      } else {
+        logger.warn(
+          `   ${conn.url}: missing ${missing.length}/${check.ids.length} event(s)`
+        );
+      }
+    }
+
+    logger.info("");
+    if (missingTotal > 0 && options.sync) {
+      logger.info(
+        `${missingTotal} missing event(s) will be re-synced from the relays that have them.`
+      );
+    } else if (missingTotal > 0) {
+      logger.warn(
+        "--no-sync: relays missing events keep the current entrypoint."
+      );
+    }
+
+    const ready = [];
+    for (const conn of conns) {
+      const missing = check.missing.get(conn.url);
+      if (missing.length === 0) {
+        ready.push(conn);
+        continue;
+      }
+      if (!options.sync) continue;
+
+      logger.info(`Re-syncing ${missing.length} event(s) to ${conn.url}...`);
+      const failed = await resyncEvents(
+        conn,
+        missing.map((id) => check.events.get(id))
+      );
+      if (failed === 0) {
+        ready.push(conn);
+      } else {
+        logger.warn(
+          `   ${failed} event(s) failed, keeping the current entrypoint there`
+        );
+      }
+    }
+
+    if (ready.length === 0) {
+      throw new NetworkError(
+        `No relay has all events of ${label}; the entrypoint was not changed`
+      );
+    }
+
+    const entrypoint = await createEntrypointEvent(
+      pubkey,
+      target.contentHash,
+      relays[0],
+      signer
+    );
+    let published = 0;
+    for (const conn of ready) {
+      try {
+        await publishEvent(conn.relay, entrypoint);
+        published++;
+        logger.success(`   Entrypoint published to ${conn.url}`);
+      } catch (error) {
+        logger.error(`   ${conn.url}: ${error.message}`);
+      }
+    }
+
+    if (published === 0) {
+      throw new NetworkError("The new entrypoint was rejected by every relay");
+    }
+
+    logger.info("");
+    logger.success(
+      `Rolled back to ${label} on ${published}/${relays.length} relay(s)\n`
+    );
+  } finally {
+    for (const conn of conns) {
+      closeRelay(conn.relay);
+    }
+  }
+}
+
 /**
  * Main function
  */
@@ -417,37 +1084,87 @@ Commands:
   list                           List all versions from relays
   show <version>                 Show details for a specific version
   compare <version1> <version2>  Compare two versions
-  current                        Show current version
+  current                        Show the version the entrypoint points at
+  rollback <version>             Point the entrypoint back at an older version
+  export <version> <dir>         Rebuild the files of a version in <dir>
+
+Versions can also be given by site index hash (d tag), e.g. for site
+indexes published without a version.
 
 Arguments:
   npub              Query by npub (e.g., npub1...)
   hex               Query by hex pubkey (64 characters)
 
+Options:
+  --site <name>     Use a site of the workspace ("sites" in ${FILES.CONFIG})
+  --diff            compare: print unified diffs of changed HTML, CSS and JS
+  --force           export: write into a directory that isn't empty
+  --yes, -y         rollback: don't ask for confirmation (required when
+                    stdin is not a terminal)
+  --no-sync         rollback: don't re-sync missing events; relays missing
+                    some keep the current entrypoint
+
 Examples:
   # Use .env configuration
  nw-publisher versions list
  nw-publisher versions show 0.2.0
  nw-publisher versions compare 0.1.0 0.2.0
+ nw-publisher versions compare 0.1.0 0.2.0 --diff
  nw-publisher versions current
+ nw-publisher versions rollback 0.1.0
+ nw-publisher versions export 0.1.0 ./restored
   
   # Query any site by npub (no private key needed!)
  nw-publisher versions list npub1...
  nw-publisher versions show npub1... 0.2.0
  nw-publisher versions compare npub1... 0.1.0 0.2.0
   
+  # Export any site's version (no private key needed)
+ nw-publisher versions export npub1... 0.2.0 ./restored
+
   # Query by hex pubkey
  nw-publisher versions list a1b2c3d4e5f6...
+
+  # Query a site of the workspace
+ nw-publisher versions list --site blog
 `);
       return;
     }
 
-    const [command, pubkeyArg, ...commandArgs] = args;
+    const { site, args: workspaceRest } = parseWorkspaceArgs(args);
+    const flags = workspaceRest.filter((arg) => arg.startsWith("-"));
+    const rest = workspaceRest.filter((arg) => !arg.startsWith("-"));
+    const rollbackOptions = {
+      yes: flags.includes("--yes") || flags.includes("-y"),
+      sync: !flags.includes("--no-sync"),
+    };
+    if (site) {
+      selectedSite = getWorkspaceSite(site);
+    }
+
+    const [command, pubkeyArg, ...commandArgs] = rest;
 
     if (!command) {
       console.log("Use --help for usage information");
       return;
     }
 
+    // Rollback signs with the site key, so it takes no npub/hex
+    if (command === "rollback") {
+      if (pubkeyArg?.startsWith("npub1") || /^[0-9a-f]{64}$/i.test(pubkeyArg)) {
+        throw new ValidationError(
+          "rollback signs with the site key and can't take an npub/hex"
+        );
+      }
+      if (!pubkeyArg) {
+        throw new ValidationError(
+          "Please specify a version. Usage: nw-publisher versions rollback <version>"
+        );
+      }
+      await rollbackVersion(pubkeyArg, rollbackOptions);
+      process.exit(0);
+    }
+
     // Get pubkey (from arg or environment)
     let pubkey, npub;
     let identifierProvided = false;
@@ -498,13 +1215,28 @@ Examples:
             "Please specify two versions. Usage: nw-publisher versions compare [npub|hex|site] <version1> <version2>"
           );
         }
-        await compareVersions(pubkey, npub, adjustedArgs[0], adjustedArgs[1]);
+        await compareVersions(pubkey, npub, adjustedArgs[0], adjustedArgs[1], {
+          diff: flags.includes("--diff"),
+        });
         break;
 
-      case "current":
+      case "export":
+        if (adjustedArgs.length < 2) {
+          throw new ValidationError(
+            "Please specify a version and a directory. Usage: nw-publisher versions export [npub|hex] <version> <dir>"
+          );
+        }
+        await exportVersion(pubkey, npub, adjustedArgs[0], adjustedArgs[1], {
+          force: flags.includes("--force"),
+        });
+        break;
+
+      case "current": {
         const history = await fetchVersionHistory(pubkey, npub);
-        logger.info(`\nCurrent version: ${history.current}\n`);
+        logger.info("");
+        logCurrentVersion(history);
         break;
+      }
 
       default:
         throw new ValidationError(
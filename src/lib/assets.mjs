@@ -0,0 +1,272 @@
+/**
+ * Asset Content Utilities
+ *
+ * Encoding and decoding of asset event (kind 1125) content.
+ * Text assets are stored as UTF-8, everything else as base64 with an
+ * ["encoding", "base64"] tag so the original bytes can be recovered.
+ *
+ * Every asset records its path relative to the site directory in a
+ * ["path", "<relative path>"] tag.
+ *
+ * Assets larger than the relay size limit are split into chunk events.
+ * The parent asset event has empty content, holds the overall 'x' hash and
+ * lists its chunks in order via 'e' tags:
+ *
+ *   ["m", "<mime>"], ["x", "<hash of whole file>"], ["path", "<path>"],
+ *   ["size", "<bytes>"], ["chunks", "<n>"], ["e", "<chunk 0 id>", "<relay>"], ...
+ *
+ * Each chunk is a regular asset event with its own 'x' hash and a
+ * ["chunk", "<index>", "<total>"] tag.
+ */
+
+import crypto from "node:crypto";
+import { LIMITS } from "./constants.mjs";
+import { getAssetPath } from "./events.mjs";
+
+export const ASSET_ENCODINGS = {
+  UTF8: "utf8",
+  BASE64: "base64",
+};
+
+/**
+ * Check whether a MIME type is stored as plain text
+ *
+ * @param {string} mimeType - MIME type
+ * @returns {boolean} True if the type is text-like
+ */
+export function isTextMimeType(mimeType) {
+  if (!mimeType || typeof mimeType !== "string") {
+    return false;
+  }
+
+  return (
+    /^text\//.test(mimeType) ||
+    /^application\/(javascript|json|xml)/.test(mimeType) ||
+    /\+(xml|json)$/.test(mimeType)
+  );
+}
+
+/**
+ * Compute SHA256 hash of raw bytes
+ *
+ * @param {Buffer|Uint8Array} buf - Raw bytes
+ * @returns {string} Hex-encoded hash
+ */
+export function sha256Bytes(buf) {
+  return crypto.createHash("sha256").update(buf).digest("hex");
+}
+
+/**
+ * Encode raw file bytes for an asset event
+ *
+ * Text types are kept as UTF-8 unless the bytes are not valid UTF-8,
+ * in which case they fall back to base64 like any binary file.
+ *
+ * @param {Buffer} buf - Raw file bytes
+ * @param {string} mimeType - MIME type
+ * @returns {Object} { content, encoding, tags }
+ */
+export function encodeAssetContent(buf, mimeType) {
+  if (isTextMimeType(mimeType)) {
+    const text = buf.toString("utf8");
+    if (Buffer.from(text, "utf8").equals(buf)) {
+      return { content: text, encoding: ASSET_ENCODINGS.UTF8, tags: [] };
+    }
+  }
+
+  return {
+    content: buf.toString("base64"),
+    encoding: ASSET_ENCODINGS.BASE64,
+    tags: [["encoding", ASSET_ENCODINGS.BASE64]],
+  };
+}
+
+/**
+ * Get the content encoding of an asset event
+ *
+ * @param {Object} event - Asset event
+ * @returns {string} Encoding (utf8 if no encoding tag)
+ */
+export function getAssetEncoding(event) {
+  const tag = event.tags?.find((t) => t[0] === "encoding");
+  return tag && tag[1] === ASSET_ENCODINGS.BASE64
+    ? ASSET_ENCODINGS.BASE64
+    : ASSET_ENCODINGS.UTF8;
+}
+
+/**
+ * Check whether encoded asset content exceeds the relay size limit
+ *
+ * @param {string} content - Encoded event content
+ * @param {number} maxSize - Maximum size in bytes
+ * @returns {boolean} True if the content must be chunked
+ */
+export function exceedsSizeLimit(content, maxSize = LIMITS.MAX_FILE_SIZE) {
+  return Buffer.byteLength(content, "utf8") > maxSize;
+}
+
+/**
+ * Split raw bytes into fixed-size chunks
+ *
+ * @param {Buffer} buf - Raw file bytes
+ * @param {number} chunkSize - Chunk size in bytes
+ * @returns {Array<Buffer>} Chunks in order
+ */
+export function splitIntoChunks(buf, chunkSize = LIMITS.CHUNK_SIZE) {
+  const chunks = [];
+  for (let offset = 0; offset < buf.length; offset += chunkSize) {
+    chunks.push(buf.subarray(offset, offset + chunkSize));
+  }
+  return chunks;
+}
+
+/**
+ * Check whether an asset event is a chunked parent
+ *
+ * @param {Object} event - Asset event
+ * @returns {boolean} True if the asset content lives in chunk events
+ */
+export function isChunkedAsset(event) {
+  return Boolean(event?.tags?.some((t) => t[0] === "chunks"));
+}
+
+/**
+ * Get ordered chunk event IDs of a chunked parent asset
+ *
+ * @param {Object} event - Parent asset event
+ * @returns {Array<string>} Chunk event IDs in order
+ */
+export function getChunkIds(event) {
+  if (!isChunkedAsset(event)) {
+    return [];
+  }
+  return event.tags.filter((t) => t[0] === "e").map((t) => t[1]);
+}
+
+/**
+ * Expand a set of asset IDs with the chunks of any chunked parents
+ *
+ * @param {Iterable<string>} assetIds - Asset event IDs
+ * @param {Map<string, Object>} assetLookup - Map of event ID to asset event
+ * @returns {Set<string>} Asset IDs including chunk IDs
+ */
+export function expandChunkReferences(assetIds, assetLookup) {
+  const expanded = new Set(assetIds);
+  for (const id of [...expanded]) {
+    const event = assetLookup.get(id);
+    if (event) {
+      getChunkIds(event).forEach((chunkId) => expanded.add(chunkId));
+    }
+  }
+  return expanded;
+}
+
+/**
+ * Decode asset event content back to the original bytes
+ *
+ * @param {Object} event - Asset event
+ * @param {Map<string, Object>} chunkLookup - Map of event ID to chunk event
+ *   (required for chunked assets)
+ * @returns {Buffer} Original file bytes
+ * @throws {Error} If a chunk of a chunked asset is missing
+ */
+export function decodeAssetContent(event, chunkLookup = null) {
+  if (isChunkedAsset(event)) {
+    const parts = getChunkIds(event).map((id) => {
+      const chunk = chunkLookup?.get(id);
+      if (!chunk) {
+        throw new Error(`Missing chunk ${id.substring(0, 8)}...`);
+      }
+      return decodeAssetContent(chunk);
+    });
+    return Buffer.concat(parts);
+  }
+
+  const content = event.content || "";
+  return getAssetEncoding(event) === ASSET_ENCODINGS.BASE64
+    ? Buffer.from(content, "base64")
+    : Buffer.from(content, "utf8");
+}
+
+/**
+ * Get the original byte size of an asset
+ *
+ * @param {Object} event - Asset event
+ * @param {Map<string, Object>} chunkLookup - Map of event ID to chunk event
+ * @returns {number|null} Size in bytes, or null if unknown
+ */
+export function getAssetSize(event, chunkLookup = null) {
+  const sizeTag = event.tags?.find((t) => t[0] === "size");
+  if (sizeTag && /^\d+$/.test(sizeTag[1])) {
+    return parseInt(sizeTag[1]);
+  }
+  try {
+    return decodeAssetContent(event, chunkLookup).length;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Verify that decoded asset content matches its 'x' tag
+ *
+ * @param {Object} event - Asset event
+ * @param {Map<string, Object>} chunkLookup - Map of event ID to chunk event
+ * @returns {boolean} True if the hash matches
+ */
+export function verifyAssetIntegrity(event, chunkLookup = null) {
+  const xTag = event.tags?.find((t) => t[0] === "x");
+  if (!xTag || !xTag[1]) {
+    return false;
+  }
+  try {
+    const bytes = decodeAssetContent(event, chunkLookup);
+    return sha256Bytes(bytes) === xTag[1].toLowerCase();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Describe an asset event for reports
+ *
+ * Uses the file path when the event records one. Chunks and assets published
+ * without a path fall back to the short event ID and MIME type.
+ *
+ * @param {Object} event - Asset event
+ * @returns {string} Human-readable label
+ */
+export function formatAssetLabel(event) {
+  const filePath = getAssetPath(event);
+  if (filePath) {
+    return filePath;
+  }
+  const mimeType = event.tags.find((t) => t[0] === "m")?.[1] || "unknown";
+  const chunkTag = event.tags.find((t) => t[0] === "chunk");
+  const chunk = chunkTag
+    ? `, chunk ${parseInt(chunkTag[1]) + 1}/${chunkTag[2]}`
+    : "";
+  return `${event.id.substring(0, 8)}... (${mimeType}${chunk})`;
+}
+
+/**
+ * List labels of asset events for reports
+ *
+ * Chunks whose parent is in the list are left out, as are labels beyond
+ * the limit.
+ *
+ * @param {Array<Object>} events - Asset events
+ * @param {number} limit - Maximum number of labels
+ * @returns {Array<string>} Labels, sorted, plus a "... and N more" line
+ */
+export function listAssetLabels(events, limit = 10) {
+  const covered = new Set(events.flatMap(getChunkIds));
+  const labels = events
+    .filter((event) => !covered.has(event.id))
+    .map(formatAssetLabel)
+    .sort();
+  if (labels.length <= limit) {
+    return labels;
+  }
+  return [...labels.slice(0, limit), `... and ${labels.length - limit} more`];
+}
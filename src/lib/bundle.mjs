@@ -0,0 +1,174 @@
+/**
+ * Deploy Bundles
+ *
+ * A bundle holds every signed event of a deploy so that a site can be built
+ * and signed on one machine (`deploy --out`) and published from another
+ * (`publish-bundle`). It is a JSON Lines file:
+ *
+ *   1. Header: { type, format, pubkey, version, relays, createdAt, events, rollback }
+ *   2. One signed event per line, in publish order (assets, manifests,
+ *      site index, entrypoint)
+ *   3. A signed kind 5 deletion of all events above, used to roll back
+ *      relays that only received part of the bundle
+ *
+ * Signatures are made when the bundle is written, so publishing needs no key.
+ */
+
+import fs from "node:fs";
+import { verifyEvent } from "nostr-tools";
+import { EVENT_KINDS } from "./constants.mjs";
+import { FileSystemError, ValidationError } from "../utils/errors.mjs";
+
+const BUNDLE_TYPE = "nweb-bundle";
+const BUNDLE_FORMAT = 1;
+
+// Kinds in the order they are published; each stage waits for the previous
+const PUBLISH_ORDER = [
+  EVENT_KINDS.ASSET,
+  EVENT_KINDS.MANIFEST,
+  EVENT_KINDS.SITE_INDEX,
+  EVENT_KINDS.ENTRYPOINT,
+];
+
+/**
+ * Serialize a bundle to JSON Lines
+ *
+ * @param {Object} bundle - { pubkey, version, relays, events, rollback }
+ * @returns {string} Bundle file content
+ */
+export function serializeBundle(bundle) {
+  const { pubkey, version, relays = [], events, rollback } = bundle;
+  const header = {
+    type: BUNDLE_TYPE,
+    format: BUNDLE_FORMAT,
+    pubkey,
+    version,
+    relays,
+    createdAt: new Date().toISOString(),
+    events: events.length,
+    rollback: rollback.id,
+  };
+
+  return (
+    [header, ...events, rollback]
+      .map((line) => JSON.stringify(line))
+      .join("\n") + "\n"
+  );
+}
+
+/**
+ * Parse and verify a bundle
+ *
+ * Every event must carry a valid signature from the bundle's pubkey, and the
+ * rollback event must delete all of them.
+ *
+ * @param {string} content - Bundle file content
+ * @returns {Object} { header, events, rollback }
+ * @throws {ValidationError} If the bundle is malformed or an event is invalid
+ */
+export function parseBundle(content) {
+  const lines = content.split(/\r?\n/).filter((line) => line.trim() !== "");
+  const parsed = lines.map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new ValidationError(`Bundle line ${i + 1}: ${error.message}`);
+    }
+  });
+
+  const [header, ...rest] = parsed;
+  if (header?.type !== BUNDLE_TYPE) {
+    throw new ValidationError("Not a deploy bundle (missing bundle header)");
+  }
+  if (header.format !== BUNDLE_FORMAT) {
+    throw new ValidationError(
+      `Unsupported bundle format ${header.format} (expected ${BUNDLE_FORMAT})`
+    );
+  }
+
+  rest.forEach((event, i) => {
+    const line = i + 2;
+    if (!event || typeof event !== "object" || !verifyEvent(event)) {
+      throw new ValidationError(`Bundle line ${line}: invalid event signature`);
+    }
+    if (event.pubkey !== header.pubkey) {
+      throw new ValidationError(
+        `Bundle line ${line}: event is signed by ${event.pubkey}, not the bundle pubkey`
+      );
+    }
+  });
+
+  const rollback = rest.find((event) => event.id === header.rollback);
+  const events = rest.filter((event) => event !== rollback);
+  if (!rollback || rollback.kind !== EVENT_KINDS.DELETION) {
+    throw new ValidationError("Bundle has no rollback event");
+  }
+  if (events.length !== header.events) {
+    throw new ValidationError(
+      `Bundle lists ${header.events} event(s) but contains ${events.length}`
+    );
+  }
+
+  const deleted = new Set(
+    rollback.tags.filter((tag) => tag[0] === "e").map((tag) => tag[1])
+  );
+  for (const event of events) {
+    if (!PUBLISH_ORDER.includes(event.kind)) {
+      throw new ValidationError(
+        `Bundle event ${event.id} has unexpected kind ${event.kind}`
+      );
+    }
+    if (!deleted.has(event.id)) {
+      throw new ValidationError(
+        `Bundle rollback event does not cover event ${event.id}`
+      );
+    }
+  }
+
+  return { header, events, rollback };
+}
+
+/**
+ * Write a bundle file
+ *
+ * @param {string} filePath - Output path
+ * @param {Object} bundle - { pubkey, version, relays, events, rollback }
+ * @throws {FileSystemError} If the file can't be written
+ */
+export function writeBundle(filePath, bundle) {
+  try {
+    fs.writeFileSync(filePath, serializeBundle(bundle));
+  } catch (error) {
+    throw new FileSystemError(`Failed to write bundle: ${error.message}`);
+  }
+}
+
+/**
+ * Read and verify a bundle file
+ *
+ * @param {string} filePath - Bundle path
+ * @returns {Object} { header, events, rollback }
+ * @throws {FileSystemError} If the file can't be read
+ * @throws {ValidationError} If the bundle is invalid
+ */
+export function readBundle(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    throw new FileSystemError(`Failed to read bundle: ${error.message}`);
+  }
+  return parseBundle(content);
+}
+
+/**
+ * Group bundle events into publish stages
+ *
+ * @param {Array<Object>} events - Bundle events
+ * @returns {Array<Array<Object>>} Stages: assets, manifests, site index, entrypoint
+ */
+export function getPublishStages(events) {
+  return PUBLISH_ORDER.map((kind) =>
+    events.filter((event) => event.kind === kind)
+  ).filter((stage) => stage.length > 0);
+}
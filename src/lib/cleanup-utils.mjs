@@ -7,6 +7,7 @@
 import { EVENT_KINDS } from "./constants.mjs";
 import { connectToRelay, closeRelay, queryEvents } from "./relay.mjs";
 import { createDeletionEvent, getEventId } from "./events.mjs";
+import { expandChunkReferences } from "./assets.mjs";
 import { logger } from "../utils/logger.mjs";
 
 /**
@@ -115,9 +116,18 @@ export function analyzeOrphans(events) {
     }
   }
 
+  // Step 4: Chunked assets reference their chunks (via 'e' tags)
+  const assetLookup = new Map(
+    byKind[EVENT_KINDS.ASSET].map((e) => [getEventId(e), e])
+  );
+  const referencedAssetsWithChunks = expandChunkReferences(
+    referencedAssets,
+    assetLookup
+  );
+
   // Identify orphans (events not in the reference sets)
   const orphanedAssets = byKind[EVENT_KINDS.ASSET].filter(
-    (e) => !referencedAssets.has(getEventId(e))
+    (e) => !referencedAssetsWithChunks.has(getEventId(e))
   );
 
   const orphanedManifests = byKind[EVENT_KINDS.MANIFEST].filter(
@@ -151,10 +161,10 @@ export function analyzeOrphans(events) {
  *
  * @param {string} relayUrl - Relay URL
  * @param {Array<string>} eventIds - Event IDs to delete
- * @param {string} skHex - Private key for signing deletion events
+ * @param {Object} signer - Signer for deletion events (see signer.mjs)
  * @returns {Promise<Object>} Deletion results {published, failed}
  */
-export async function deleteEventsFromRelay(relayUrl, eventIds, skHex) {
+export async function deleteEventsFromRelay(relayUrl, eventIds, signer) {
   if (eventIds.length === 0) {
     return { published: 0, failed: 0 };
   }
@@ -169,9 +179,8 @@ export async function deleteEventsFromRelay(relayUrl, eventIds, skHex) {
     const batchSize = 10;
     for (let i = 0; i < eventIds.length; i += batchSize) {
       const batch = eventIds.slice(i, i + batchSize);
-      const deleteEvent = createDeletionEvent(batch, "Cleanup", skHex);
-
       try {
+        const deleteEvent = await createDeletionEvent(batch, "Cleanup", signer);
         await relay.publish(deleteEvent);
         published += batch.length;
         process.stdout.write(".");
@@ -0,0 +1,447 @@
+/**
+ * Project Configuration
+ *
+ * Settings shared by all commands, resolved with a fixed precedence:
+ * CLI flag > environment (.env) > project config (.nweb.config.json) > defaults.
+ * Sites of a workspace (see workspace.mjs) add their own entry between the
+ * flag and the environment.
+ *
+ * The project config file is meant to be committed, so it never holds
+ * secrets: private keys stay in NOSTR_SK_HEX or .nweb-keypair.json. A bunker
+ * URI with a connect secret belongs in NWEB_BUNKER rather than the file.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { FILES, NETWORK, VERSION } from "./constants.mjs";
+import { LINT_MODES } from "./lint.mjs";
+import { isValidRelayUrl } from "./relay.mjs";
+import { isBunkerUri } from "./signer.mjs";
+import { TRAILING_SLASH_MODES } from "./redirects.mjs";
+import { VERSION_STRATEGIES } from "./versioning.mjs";
+import { ConfigError, ValidationError } from "../utils/errors.mjs";
+
+/**
+ * Known configuration keys
+ *
+ * Each key lists the flag and environment variables it can be set with,
+ * a default (if any) and a parser that turns strings into stored values.
+ */
+export const CONFIG_KEYS = {
+  relays: {
+    description: "Relay URLs (comma-separated)",
+    flag: "--relays",
+    env: ["RELAYS", "NOSTR_RELAYS"],
+    parse: parseRelayList,
+  },
+  host: {
+    description: "Site domain for the DNS TXT record",
+    flag: "--host",
+    env: ["NWEB_HOST"],
+    parse: (value) => String(value).trim(),
+  },
+  concurrency: {
+    description: "Events in flight per relay during deploy",
+    flag: "--concurrency",
+    env: ["PUBLISH_CONCURRENCY"],
+    default: NETWORK.PUBLISH_CONCURRENCY,
+    parse: parsePositiveInteger,
+  },
+  keyFile: {
+    description: "Path to the site keypair file",
+    flag: "--key-file",
+    env: ["NWEB_KEY_FILE"],
+    parse: (value) => String(value).trim(),
+  },
+  bunker: {
+    description: "NIP-46 remote signer URI (bunker://...)",
+    flag: "--bunker",
+    env: ["NWEB_BUNKER"],
+    parse: parseBunkerUri,
+  },
+  versionStrategy: {
+    description:
+      "How deploy picks versions (semver, conventional, timestamp, manual)",
+    flag: "--version-strategy",
+    env: ["NWEB_VERSION_STRATEGY"],
+    default: VERSION.STRATEGY_SEMVER,
+    parse: parseVersionStrategy,
+  },
+  trailingSlash: {
+    description: "How clients normalize /page/ and /page (strip, add)",
+    flag: "--trailing-slash",
+    env: ["NWEB_TRAILING_SLASH"],
+    parse: parseTrailingSlash,
+  },
+  lint: {
+    description: "Pre-deploy checks (off, warn, error: errors stop the deploy)",
+    flag: "--lint",
+    env: ["NWEB_LINT"],
+    default: "warn",
+    parse: parseLintMode,
+  },
+};
+
+/**
+ * Parse a relay list from a comma-separated string or array
+ *
+ * @param {string|Array<string>} value - Relay URLs
+ * @returns {Array<string>} Relay URLs
+ * @throws {ValidationError} If a URL is not a ws:// or wss:// URL
+ */
+function parseRelayList(value) {
+  const urls = (Array.isArray(value) ? value : String(value).split(","))
+    .map((url) => String(url).trim())
+    .filter(Boolean);
+
+  const invalid = urls.filter((url) => !isValidRelayUrl(url));
+  if (invalid.length > 0) {
+    throw new ValidationError(`Invalid relay URL(s): ${invalid.join(", ")}`);
+  }
+
+  return urls;
+}
+
+/**
+ * Parse a NIP-46 bunker URI
+ *
+ * @param {string} value - bunker://<pubkey>?relay=...
+ * @returns {string} Trimmed URI
+ * @throws {ValidationError} If not a bunker:// URI
+ */
+function parseBunkerUri(value) {
+  const uri = String(value).trim();
+  if (!isBunkerUri(uri)) {
+    throw new ValidationError(
+      `Expected bunker://<pubkey>?relay=wss://..., got "${uri}"`
+    );
+  }
+  return uri;
+}
+
+/**
+ * Parse a positive integer
+ *
+ * @param {string|number} value - Value to parse
+ * @returns {number} Parsed integer
+ * @throws {ValidationError} If not a positive integer
+ */
+function parsePositiveInteger(value) {
+  const str = String(value).trim();
+  if (!/^[1-9]\d*$/.test(str)) {
+    throw new ValidationError(`Expected a positive integer, got "${value}"`);
+  }
+  return parseInt(str);
+}
+
+/**
+ * Parse a version strategy
+ *
+ * @param {string} value - Strategy name
+ * @returns {string} Strategy
+ * @throws {ValidationError} If the strategy is unknown
+ */
+function parseVersionStrategy(value) {
+  const strategy = String(value).trim().toLowerCase();
+  if (!VERSION_STRATEGIES.includes(strategy)) {
+    throw new ValidationError(
+      `Expected one of ${VERSION_STRATEGIES.join(", ")}, got "${value}"`
+    );
+  }
+  return strategy;
+}
+
+/**
+ * Parse a trailing-slash mode
+ *
+ * @param {string} value - Mode name
+ * @returns {string} Mode
+ * @throws {ValidationError} If the mode is unknown
+ */
+function parseTrailingSlash(value) {
+  const mode = String(value).trim().toLowerCase();
+  if (!TRAILING_SLASH_MODES.includes(mode)) {
+    throw new ValidationError(
+      `Expected one of ${TRAILING_SLASH_MODES.join(", ")}, got "${value}"`
+    );
+  }
+  return mode;
+}
+
+/**
+ * Parse a lint mode
+ *
+ * @param {string} value - Mode name
+ * @returns {string} Mode
+ * @throws {ValidationError} If the mode is unknown
+ */
+function parseLintMode(value) {
+  const mode = String(value).trim().toLowerCase();
+  if (!LINT_MODES.includes(mode)) {
+    throw new ValidationError(
+      `Expected one of ${LINT_MODES.join(", ")}, got "${value}"`
+    );
+  }
+  return mode;
+}
+
+/**
+ * Get a key definition
+ *
+ * @param {string} key - Config key
+ * @returns {Object} Key definition
+ * @throws {ValidationError} If the key is unknown
+ */
+function getKeyDefinition(key) {
+  const def = CONFIG_KEYS[key];
+  if (!def) {
+    throw new ValidationError(
+      `Unknown config key "${key}". Known keys: ${Object.keys(CONFIG_KEYS).join(
+        ", "
+      )}`
+    );
+  }
+  return def;
+}
+
+/**
+ * Parse and validate a value for a config key
+ *
+ * @param {string} key - Config key
+ * @param {any} value - Raw value
+ * @returns {any} Normalized value
+ * @throws {ValidationError} If the key is unknown or the value invalid
+ */
+export function parseConfigValue(key, value) {
+  const def = getKeyDefinition(key);
+  try {
+    return def.parse(value);
+  } catch (error) {
+    throw new ValidationError(`Invalid value for ${key}: ${error.message}`);
+  }
+}
+
+/**
+ * Get path of the project config file
+ *
+ * @param {string} dir - Project directory
+ * @returns {string} Config file path
+ */
+export function getProjectConfigPath(dir = process.cwd()) {
+  return path.join(dir, FILES.CONFIG);
+}
+
+/**
+ * Read the project config file
+ *
+ * @param {string} dir - Project directory
+ * @returns {Object} Stored settings (empty if there is no file)
+ * @throws {ConfigError} If the file exists but is not a JSON object
+ */
+export function readProjectConfig(dir = process.cwd()) {
+  const configPath = getProjectConfigPath(dir);
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw new ConfigError(`Failed to read ${FILES.CONFIG}: ${error.message}`);
+  }
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new ConfigError(`${FILES.CONFIG} must contain a JSON object`);
+  }
+
+  return data;
+}
+
+/**
+ * Write the project config file
+ *
+ * @param {Object} config - Settings to store
+ * @param {string} dir - Project directory
+ * @throws {ConfigError} If the file cannot be written
+ */
+export function writeProjectConfig(config, dir = process.cwd()) {
+  try {
+    fs.writeFileSync(
+      getProjectConfigPath(dir),
+      JSON.stringify(config, null, 2) + "\n"
+    );
+  } catch (error) {
+    throw new ConfigError(`Failed to write ${FILES.CONFIG}: ${error.message}`);
+  }
+}
+
+/**
+ * Find a `--flag=value` or `--flag value` argument
+ *
+ * @param {Array<string>} argv - Command line arguments
+ * @param {string} flag - Flag name (e.g. "--relays")
+ * @returns {string|undefined} Flag value
+ */
+export function findFlagValue(argv, flag) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith(`${flag}=`)) {
+      return argv[i].slice(flag.length + 1);
+    }
+    if (argv[i] === flag && argv[i + 1] && !argv[i + 1].startsWith("-")) {
+      return argv[i + 1];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Find every value of a repeatable flag, in both `--flag=value` and
+ * `--flag value` form
+ *
+ * @param {Array<string>} argv - Command line arguments
+ * @param {string} flag - Flag name (e.g. "--exclude")
+ * @returns {Array<string>} Values in order
+ */
+export function findFlagValues(argv, flag) {
+  const values = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith(`${flag}=`)) {
+      values.push(argv[i].slice(flag.length + 1));
+    } else if (
+      argv[i] === flag &&
+      argv[i + 1] &&
+      !argv[i + 1].startsWith("-")
+    ) {
+      values.push(argv[++i]);
+    }
+  }
+  return values;
+}
+
+/**
+ * Get the positional arguments
+ *
+ * Skips flags and the value after a `--flag value` argument, for the config
+ * flags and the given command flags, the same way findFlagValue() reads them.
+ *
+ * @param {Array<string>} argv - Command line arguments
+ * @param {Array<string>} valueFlags - Command flags that take a value
+ * @returns {Array<string>} Positional arguments in order
+ */
+export function findPositionalArgs(argv, valueFlags = []) {
+  const flags = [
+    ...Object.values(CONFIG_KEYS).map((def) => def.flag),
+    ...valueFlags,
+  ];
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("-")) {
+      positional.push(argv[i]);
+    } else if (
+      flags.includes(argv[i]) &&
+      argv[i + 1] &&
+      !argv[i + 1].startsWith("-")
+    ) {
+      i++;
+    }
+  }
+  return positional;
+}
+
+/**
+ * Resolve a config value and where it came from
+ *
+ * @param {string} key - Config key
+ * @param {Object} options - { argv, env, dir, projectConfig, site }
+ * @returns {Object} { value, source } where source is flag, site, env, config, default or null
+ * @throws {ValidationError} If the resolved value is invalid
+ */
+export function resolveConfigValue(key, options = {}) {
+  const {
+    argv = process.argv.slice(2),
+    env = process.env,
+    dir = process.cwd(),
+  } = options;
+  const def = getKeyDefinition(key);
+
+  const flagValue = findFlagValue(argv, def.flag);
+  if (flagValue !== undefined) {
+    return { value: parseConfigValue(key, flagValue), source: "flag" };
+  }
+
+  if (options.site && options.site[key] !== undefined) {
+    return { value: parseConfigValue(key, options.site[key]), source: "site" };
+  }
+
+  for (const name of def.env) {
+    if (env[name] !== undefined && env[name].trim() !== "") {
+      return { value: parseConfigValue(key, env[name]), source: "env" };
+    }
+  }
+
+  const projectConfig = options.projectConfig || readProjectConfig(dir);
+  if (projectConfig[key] !== undefined) {
+    return {
+      value: parseConfigValue(key, projectConfig[key]),
+      source: "config",
+    };
+  }
+
+  if (def.default !== undefined) {
+    return { value: def.default, source: "default" };
+  }
+
+  return { value: null, source: null };
+}
+
+/**
+ * Load all config values
+ *
+ * @param {Object} options - { argv, env, dir, projectConfig, site }
+ * @returns {Object} Map of key -> value (null if unset)
+ * @throws {ConfigError|ValidationError} If the config file or a value is invalid
+ */
+export function loadConfig(options = {}) {
+  const projectConfig = options.projectConfig || readProjectConfig(options.dir);
+  const config = {};
+  for (const key of Object.keys(CONFIG_KEYS)) {
+    config[key] = resolveConfigValue(key, { ...options, projectConfig }).value;
+  }
+  return config;
+}
+
+/**
+ * Get the key options for resolvePublicKey / resolvePrivateKey / getSigner
+ *
+ * Carries where keyFile came from, so a --key-file flag can take precedence
+ * over NOSTR_SK_HEX (see lib/keypair.mjs).
+ *
+ * @param {Object} options - { argv, env, dir, projectConfig, site }
+ * @returns {Object} { keyFile, keyFileSource, bunker }
+ * @throws {ConfigError|ValidationError} If the config file or a value is invalid
+ */
+export function getKeyOptions(options = {}) {
+  const keyFile = resolveConfigValue("keyFile", options);
+  return {
+    keyFile: keyFile.value,
+    keyFileSource: keyFile.source,
+    bunker: resolveConfigValue("bunker", options).value,
+  };
+}
+
+/**
+ * Get configured relays or throw
+ *
+ * @param {Object} config - Config from loadConfig
+ * @returns {Array<string>} Relay URLs
+ * @throws {ConfigError} If no relays are configured
+ */
+export function requireRelays(config) {
+  if (!config.relays || config.relays.length === 0) {
+    throw new ConfigError(
+      `RELAYS not configured. Set RELAYS in .env, use --relays, or run 'nw-publisher config set relays <urls>'`
+    );
+  }
+  return config.relays;
+}
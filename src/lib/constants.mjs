@@ -16,12 +16,16 @@ export const EVENT_KINDS = {
 // File System
 export const FILES = {
   KEYPAIR: ".nweb-keypair.json",
+  CACHE: ".nweb-cache.json",
   CONFIG: ".nweb.config.json",
   DNS_OUTPUT: "_nweb.txt",
   DNS_JSON: "_nweb.txt.json",
   ENV: ".env",
   ENV_EXAMPLE: ".env.example",
   GITIGNORE: ".gitignore",
+  IGNORE: ".nwebignore",
+  HEADERS: "_headers",
+  REDIRECTS: "_redirects",
 };
 
 // Network Configuration
@@ -31,25 +35,64 @@ export const NETWORK = {
   MAX_RETRIES: 3,
   RETRY_DELAY: 1000, // 1 second
   BACKOFF_MULTIPLIER: 2,
+  MAX_BACKOFF: 30000, // 30 seconds
+  RATE_LIMIT_RETRIES: 6,
+  PUBLISH_CONCURRENCY: 4, // Events in flight per relay
 };
 
 // Validation Limits
 export const LIMITS = {
   MAX_FILE_SIZE: 50 * 1024, // 50KB
+  CHUNK_SIZE: 36 * 1024, // 36KB raw bytes (48KB once base64-encoded)
   MAX_RELAY_COUNT: 10,
   MIN_RELAY_COUNT: 1,
 };
 
+// Key Encryption (NIP-49)
+export const KEY_ENCRYPTION = {
+  LOG_N: 16, // scrypt cost factor (2^16 rounds)
+  PASSPHRASE_ENV: "NWEB_PASSPHRASE",
+};
+
+// Deploy Ignore Rules (gitignore syntax, .nwebignore is applied after these)
+// Build output folders only match at the deploy root, so `deploy ./dist`
+// still publishes nested folders such as docs/build/
+export const IGNORE = {
+  DEFAULT_PATTERNS: [
+    ".*",
+    "node_modules/",
+    "/dist/",
+    "/build/",
+    "/out/",
+    "/_site/",
+    "package.json",
+    "package-lock.json",
+    "yarn.lock",
+    "pnpm-lock.yaml",
+    "README.md",
+    "*.map",
+    "/_headers",
+    "/_redirects",
+  ],
+  // Never published, even when a rule re-includes them
+  NEVER_PUBLISH: [FILES.KEYPAIR, FILES.CACHE, FILES.ENV, ".env.*"],
+};
+
 // Version Configuration
 export const VERSION = {
   STRATEGY_SEMVER: "semver",
+  STRATEGY_CONVENTIONAL: "conventional", // Major bump when routes are removed
   STRATEGY_TIMESTAMP: "timestamp",
   STRATEGY_MANUAL: "manual",
 };
 
-// HTTP Status Codes (for future use)
+// HTTP Status Codes
 export const HTTP_STATUS = {
   OK: 200,
+  MOVED_PERMANENTLY: 301,
+  FOUND: 302,
+  TEMPORARY_REDIRECT: 307,
+  PERMANENT_REDIRECT: 308,
   BAD_REQUEST: 400,
   NOT_FOUND: 404,
   SERVER_ERROR: 500,
@@ -144,11 +187,21 @@ Thumbs.db
 
   ENV_EXAMPLE: `# Nostr Web Configuration
 
-# Private key (hex format, 64 characters)
-# Generate with: nw-publisher config generate
+# Private key (64-char hex or nsec)
+# Optional: leave empty to use .nweb-keypair.json
+# (create one with: nw-publisher config generate)
 NOSTR_SK_HEX=
 
+# Passphrase for an encrypted .nweb-keypair.json (for CI)
+# Optional: you are prompted for it when running in a terminal
+# NWEB_PASSPHRASE=
+
+# NIP-46 remote signer (keeps the site key off this machine)
+# Optional: takes precedence over local keys
+# NWEB_BUNKER=bunker://<remote-signer-pubkey>?relay=wss://...
+
 # Relay URLs (comma-separated)
+# Shared settings can also go in .nweb.config.json (nw-publisher config set)
 RELAYS=wss://relay.nostr.band,wss://nos.lol,wss://relay.snort.social
 
 # Your domain (for DNS TXT record)
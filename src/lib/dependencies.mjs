@@ -0,0 +1,399 @@
+/**
+ * Asset Dependencies
+ *
+ * Builds the dependency graph of a site from the references in its HTML and
+ * CSS files, so each page manifest lists the assets that page actually uses:
+ *
+ *   HTML: <link href>, <script src>, <img src srcset>, <source src srcset>,
+ *         <video src poster>, <audio src>, <style> blocks, style attributes
+ *   CSS:  url(...), @import "..." and @import url(...)
+ *
+ * References are resolved relative to the file that contains them (or to
+ * the site root when they start with "/"). External URLs, data URIs and
+ * fragments are ignored, as are references to other pages. References to
+ * files that are not part of the deploy are reported as broken.
+ *
+ * <a href> and <area href> links count too when they point at a deployed
+ * file that isn't a page (downloads such as docs/guide.pdf). Other links
+ * are left to the lint link checks.
+ */
+
+import path from "node:path";
+import mime from "mime";
+
+// Elements and the attributes holding a single URL
+const URL_ATTRIBUTES = {
+  link: ["href"],
+  script: ["src"],
+  img: ["src"],
+  source: ["src"],
+  video: ["src", "poster"],
+  audio: ["src"],
+};
+
+// Elements whose href is a link the user follows
+const LINK_ELEMENTS = ["a", "area"];
+
+// Elements whose srcset lists candidate URLs
+const SRCSET_ELEMENTS = ["img", "source"];
+
+// Named character references decoded in attribute values and text
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+};
+
+/**
+ * Decode HTML character references
+ *
+ * @param {string} text - Attribute value or text content
+ * @returns {string} Decoded text (unknown references are kept as written)
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] === "#") {
+      const code =
+        name[1].toLowerCase() === "x"
+          ? parseInt(name.slice(2), 16)
+          : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[name.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Parse the attributes of an HTML start tag
+ *
+ * @param {string} source - Text between the tag name and ">"
+ * @returns {Object} Lowercased attribute names to values
+ */
+export function parseAttributes(source) {
+  const attributes = {};
+  const pattern =
+    /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  for (const match of source.matchAll(pattern)) {
+    const value = match[2] ?? match[3] ?? match[4] ?? "";
+    attributes[match[1].toLowerCase()] = decodeEntities(value);
+  }
+  return attributes;
+}
+
+/**
+ * Extract the URLs referenced by a CSS file
+ *
+ * @param {string} css - Stylesheet source
+ * @returns {Array<string>} Referenced URLs in order of appearance
+ */
+export function extractCssReferences(css) {
+  const refs = [];
+  const source = css.replace(/\/\*[\s\S]*?\*\//g, "");
+  const pattern =
+    /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)\s]*))\s*\)|@import\s+(?:"([^"]*)"|'([^']*)')/gi;
+  for (const match of source.matchAll(pattern)) {
+    const ref = match.slice(1).find((value) => value !== undefined);
+    if (ref) {
+      refs.push(ref);
+    }
+  }
+  return refs;
+}
+
+/**
+ * Extract the URLs referenced by an HTML page
+ *
+ * @param {string} html - Page source
+ * @returns {Array<string>} Referenced URLs in order of appearance
+ */
+export function extractHtmlReferences(html) {
+  const refs = [];
+  const source = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/(<script\b[^>]*>)[\s\S]*?<\/script>/gi, "$1");
+
+  for (const match of source.matchAll(/<([a-z]+)\b([^>]*)>/gi)) {
+    const tag = match[1].toLowerCase();
+    const attributes = parseAttributes(match[2]);
+
+    for (const name of URL_ATTRIBUTES[tag] || []) {
+      if (attributes[name]) {
+        refs.push(attributes[name].trim());
+      }
+    }
+    if (SRCSET_ELEMENTS.includes(tag) && attributes.srcset) {
+      for (const candidate of attributes.srcset.split(",")) {
+        const url = candidate.trim().split(/\s+/)[0];
+        if (url) {
+          refs.push(url);
+        }
+      }
+    }
+    if (attributes.style) {
+      refs.push(...extractCssReferences(attributes.style));
+    }
+  }
+
+  for (const match of source.matchAll(/<style\b[^>]*>([\s\S]*?)<\/style>/gi)) {
+    refs.push(...extractCssReferences(match[1]));
+  }
+
+  return refs;
+}
+
+/**
+ * Extract the <a> and <area> links of an HTML page
+ *
+ * @param {string} html - Page source
+ * @returns {Array<string>} Link URLs in order of appearance
+ */
+export function extractHtmlLinks(html) {
+  const links = [];
+  const source = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/(<script\b[^>]*>)[\s\S]*?<\/script>/gi, "$1");
+
+  for (const match of source.matchAll(/<([a-z]+)\b([^>]*)>/gi)) {
+    if (!LINK_ELEMENTS.includes(match[1].toLowerCase())) {
+      continue;
+    }
+    const href = parseAttributes(match[2]).href?.trim();
+    if (href) {
+      links.push(href);
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Resolve a reference to a path relative to the site root
+ *
+ * @param {string} ref - URL as written in the file
+ * @param {string} fromPath - Site-relative path of the referencing file
+ * @returns {string|null} Site-relative path (may start with "../" if it
+ *   leaves the site), or null for external URLs, data URIs and fragments
+ */
+export function resolveReference(ref, fromPath) {
+  if (!ref || ref.startsWith("#") || ref.startsWith("//")) {
+    return null;
+  }
+  if (/^[a-z][a-z0-9+.-]*:/i.test(ref)) {
+    return null;
+  }
+
+  let target = ref.split(/[?#]/)[0];
+  try {
+    target = decodeURIComponent(target);
+  } catch {
+    // Keep malformed escapes as written
+  }
+  if (target === "") {
+    return null;
+  }
+
+  const base = target.startsWith("/") ? "" : path.posix.dirname(fromPath);
+  const resolved = path.posix.normalize(
+    path.posix.join(base, target.replace(/^\/+/, ""))
+  );
+  return target.endsWith("/") && !resolved.endsWith("/")
+    ? `${resolved}/`
+    : resolved;
+}
+
+/**
+ * Convert HTML file path to route
+ * Examples:
+ *   index.html → /
+ *   about.html → /about
+ *   blog/index.html → /blog
+ *   blog/post-1.html → /blog/post-1
+ *   docs/api/intro.html → /docs/api/intro
+ *
+ * @param {string} htmlPath - Site-relative path of the HTML file
+ * @returns {string} Route
+ */
+export function htmlPathToRoute(htmlPath) {
+  // Normalize path separators
+  let route = "/" + htmlPath.replace(/\\/g, "/");
+
+  // Strip trailing /index.html to get directory route
+  route = route.replace(/\/index\.html$/, "") || "/";
+
+  // Strip .html extension
+  route = route.replace(/\.html$/, "");
+
+  return route;
+}
+
+/**
+ * Find the page a resolved path points at, if any
+ *
+ * @param {string} resolved - Site-relative path from resolveReference()
+ * @param {Set<string>} files - Site-relative paths of all deployed files
+ * @returns {string|null} Site-relative path of the HTML page
+ */
+function findPage(resolved, files) {
+  const candidates = resolved.endsWith("/")
+    ? [`${resolved}index.html`]
+    : [resolved, `${resolved}.html`, `${resolved}/index.html`];
+  return (
+    candidates
+      .map((candidate) => candidate.replace(/^\.\//, ""))
+      .find(
+        (candidate) => candidate.endsWith(".html") && files.has(candidate)
+      ) || null
+  );
+}
+
+/**
+ * Build the dependency graph of a site
+ *
+ * @param {Array<string>} files - Site-relative paths of all deployed files
+ * @param {Function} readFile - Reads a site-relative path, returns a Buffer
+ * @returns {Object} { references, broken } where references maps each HTML
+ *   and CSS file to the asset paths it uses or links to, and broken lists
+ *   { from, ref } for references to files outside the deploy
+ */
+export function buildDependencyGraph(files, readFile) {
+  const known = new Set(files);
+  const references = new Map();
+  const broken = [];
+
+  for (const file of files) {
+    const type = mime.getType(file);
+    if (type !== "text/html" && type !== "text/css") {
+      continue;
+    }
+
+    const source = readFile(file).toString("utf8");
+    const refs =
+      type === "text/html"
+        ? extractHtmlReferences(source)
+        : extractCssReferences(source);
+    const targets = [];
+
+    for (const ref of refs) {
+      const resolved = resolveReference(ref, file);
+      if (resolved === null || findPage(resolved, known)) {
+        continue;
+      }
+      if (!known.has(resolved)) {
+        if (!broken.some((b) => b.from === file && b.ref === ref)) {
+          broken.push({ from: file, ref });
+        }
+        continue;
+      }
+      if (!targets.includes(resolved)) {
+        targets.push(resolved);
+      }
+    }
+
+    // Downloads: links to deployed files that aren't pages
+    for (const link of type === "text/html" ? extractHtmlLinks(source) : []) {
+      const resolved = resolveReference(link, file);
+      if (
+        resolved !== null &&
+        known.has(resolved) &&
+        mime.getType(resolved) !== "text/html" &&
+        !targets.includes(resolved)
+      ) {
+        targets.push(resolved);
+      }
+    }
+    references.set(file, targets);
+  }
+
+  return { references, broken };
+}
+
+/**
+ * Order rank of an asset in a page manifest: CSS, then JS, then the rest
+ */
+function assetRank(file) {
+  const type = mime.getType(file);
+  if (type === "text/css") return 0;
+  if (type === "application/javascript" || type === "text/javascript") {
+    return 1;
+  }
+  return 2;
+}
+
+/**
+ * Work out the assets of each page
+ *
+ * A page gets every asset it references, directly or through stylesheets.
+ * Files that no page references (e.g. fetched by scripts at runtime) are
+ * given to the page of their directory, or of the nearest parent directory
+ * that has one, so they stay part of the version. Without such a page they
+ * go to the root page (the site index's default route).
+ *
+ * @param {Array<Object>} pages - { path, route } of each HTML page
+ * @param {Array<string>} files - Site-relative paths of all deployed files
+ * @param {Object} graph - From buildDependencyGraph()
+ * @returns {Object} { assets, unreferenced } where assets maps page paths
+ *   to their asset paths (CSS, JS, then others) and unreferenced lists
+ *   { file, page } for files placed by directory (page is null only if the
+ *   site has no pages)
+ */
+export function planPageAssets(pages, files, graph) {
+  const assets = new Map();
+  const used = new Set();
+
+  for (const page of pages) {
+    const seen = new Set([page.path]);
+    const ordered = [];
+    const visit = (file) => {
+      for (const target of graph.references.get(file) || []) {
+        if (seen.has(target)) continue;
+        seen.add(target);
+        ordered.push(target);
+        visit(target);
+      }
+    };
+    visit(page.path);
+
+    ordered.forEach((file) => used.add(file));
+    assets.set(
+      page.path,
+      ordered
+        .map((file, index) => ({ file, index }))
+        .sort(
+          (a, b) => assetRank(a.file) - assetRank(b.file) || a.index - b.index
+        )
+        .map(({ file }) => file)
+    );
+  }
+
+  const pageByRoute = new Map(pages.map((page) => [page.route, page.path]));
+  const rootPage =
+    pageByRoute.get("/") ||
+    pageByRoute.get([...pageByRoute.keys()].sort()[0]) ||
+    null;
+  const unreferenced = [];
+
+  for (const file of files) {
+    if (file.endsWith(".html") || used.has(file)) {
+      continue;
+    }
+    let dir = path.posix.dirname(file);
+    let owner = null;
+    while (!owner) {
+      owner = pageByRoute.get(dir === "." ? "/" : `/${dir}`) || null;
+      if (dir === ".") break;
+      dir = path.posix.dirname(dir);
+    }
+    owner = owner || rootPage;
+    if (owner) {
+      const list = assets.get(owner);
+      list.push(file);
+      list.sort((a, b) => assetRank(a) - assetRank(b));
+    }
+    unreferenced.push({ file, page: owner });
+  }
+
+  return { assets, unreferenced };
+}
@@ -0,0 +1,314 @@
+/**
+ * Local Deploy State
+ *
+ * Optional `.nweb-cache.json` in the site directory that remembers what the
+ * last deploy published (hash and path → event ID maps, manifest asset sets, site
+ * index and entrypoint). On the next deploy the state is checked against
+ * relays with cheap `ids` / `#d` / `#x` filters instead of scanning every
+ * event the author has published.
+ */
+
+import path from "node:path";
+import { EVENT_KINDS, FILES } from "./constants.mjs";
+import { connectToRelay, closeRelay, queryEvents } from "./relay.mjs";
+import {
+  getChunkIds,
+  isChunkedAsset,
+  verifyAssetIntegrity,
+} from "./assets.mjs";
+import { assetCacheKey, getAssetCacheKey } from "./events.mjs";
+import { readJSONFile, writeJSONFile, fileExists } from "../utils/fs.mjs";
+
+// 2: assets are keyed by content hash and path (see assetCacheKey())
+const STATE_FORMAT = 2;
+const FILTER_BATCH_SIZE = 200;
+
+/**
+ * Get path of the deploy state file
+ *
+ * @param {string} siteDir - Site directory path
+ * @returns {string} State file path
+ */
+export function getDeployStatePath(siteDir) {
+  return path.join(siteDir, FILES.CACHE);
+}
+
+/**
+ * Load deploy state for a pubkey
+ *
+ * @param {string} siteDir - Site directory path
+ * @param {string} pubkey - Public key (hex)
+ * @returns {Object|null} Stored state, or null if missing or not for this pubkey
+ */
+export function loadDeployState(siteDir, pubkey) {
+  const statePath = getDeployStatePath(siteDir);
+  if (!fileExists(statePath)) {
+    return null;
+  }
+
+  const state = readJSONFile(statePath, null);
+  if (!state || state.format !== STATE_FORMAT || state.pubkey !== pubkey) {
+    return null;
+  }
+
+  return {
+    assets: state.assets || {},
+    manifests: state.manifests || {},
+    siteIndex: state.siteIndex || null,
+    entrypoint: state.entrypoint || null,
+    updatedAt: state.updatedAt || null,
+  };
+}
+
+/**
+ * Save deploy state after a deploy
+ *
+ * @param {string} siteDir - Site directory path
+ * @param {string} pubkey - Public key (hex)
+ * @param {Object} cache - Deploy cache (assets, manifests, siteIndex, entrypoint)
+ * @returns {boolean} True if written
+ */
+export function saveDeployState(siteDir, pubkey, cache) {
+  return writeJSONFile(getDeployStatePath(siteDir), {
+    format: STATE_FORMAT,
+    pubkey,
+    updatedAt: new Date().toISOString(),
+    assets: cache.assets,
+    manifests: cache.manifests,
+    siteIndex: cache.siteIndex,
+    entrypoint: cache.entrypoint || null,
+  });
+}
+
+/**
+ * Split an array into batches
+ */
+function batches(items, size = FILTER_BATCH_SIZE) {
+  const result = [];
+  for (let i = 0; i < items.length; i += size) {
+    result.push(items.slice(i, i + size));
+  }
+  return result;
+}
+
+/**
+ * Query events by ID from a connected relay, in batches
+ */
+async function queryByIds(relay, kind, pubkey, ids) {
+  const events = [];
+  for (const batch of batches(ids)) {
+    events.push(
+      ...(await queryEvents(relay, [
+        { kinds: [kind], authors: [pubkey], ids: batch },
+      ]))
+    );
+  }
+  return events;
+}
+
+/**
+ * Verify stored deploy state against relays
+ *
+ * Entries that no relay still has are dropped. If the live entrypoint points
+ * somewhere else (e.g. the site was deployed from another machine) the state
+ * is considered stale and null is returned so the caller can rebuild.
+ *
+ * @param {Object} state - State from loadDeployState
+ * @param {Array<string>} relayUrls - Relay URLs
+ * @param {string} pubkey - Public key (hex)
+ * @returns {Promise<Object|null>} Verified cache, or null if stale
+ */
+export async function verifyDeployState(state, relayUrls, pubkey) {
+  const assetIds = [...new Set(Object.values(state.assets))];
+  const manifestIds = Object.values(state.manifests).map((m) => m.id);
+  const dTag = state.siteIndex?.truncatedHash || null;
+
+  const foundAssets = new Map();
+  const foundManifests = new Set();
+  let siteIndexFound = false;
+  let newestEntrypoint = null;
+  let queried = 0;
+
+  console.log(
+    `🔍 Verifying local deploy state against ${relayUrls.length} relay(s)...`
+  );
+
+  for (const url of relayUrls) {
+    try {
+      const relay = await connectToRelay(url);
+
+      const assets = await queryByIds(
+        relay,
+        EVENT_KINDS.ASSET,
+        pubkey,
+        assetIds
+      );
+      for (const event of assets) foundAssets.set(event.id, event);
+
+      const chunkIds = assets
+        .flatMap(getChunkIds)
+        .filter((id) => !foundAssets.has(id));
+      const chunks = await queryByIds(
+        relay,
+        EVENT_KINDS.ASSET,
+        pubkey,
+        chunkIds
+      );
+      for (const event of chunks) foundAssets.set(event.id, event);
+
+      const manifests = await queryByIds(
+        relay,
+        EVENT_KINDS.MANIFEST,
+        pubkey,
+        manifestIds
+      );
+      for (const event of manifests) foundManifests.add(event.id);
+
+      if (dTag) {
+        const indexes = await queryEvents(relay, [
+          { kinds: [EVENT_KINDS.SITE_INDEX], authors: [pubkey], "#d": [dTag] },
+        ]);
+        if (indexes.length > 0) siteIndexFound = true;
+      }
+
+      const entrypoints = await queryEvents(relay, [
+        { kinds: [EVENT_KINDS.ENTRYPOINT], authors: [pubkey], limit: 1 },
+      ]);
+      for (const event of entrypoints) {
+        if (
+          !newestEntrypoint ||
+          event.created_at > newestEntrypoint.created_at
+        ) {
+          newestEntrypoint = event;
+        }
+      }
+
+      console.log(
+        `  ✓ ${url}: ${assets.length}/${assetIds.length} asset(s), ${manifests.length}/${manifestIds.length} manifest(s)`
+      );
+      queried++;
+      closeRelay(relay);
+    } catch (error) {
+      console.warn(`  ⚠ ${url}: Failed to verify - ${error.message}`);
+    }
+  }
+
+  if (queried === 0) {
+    console.warn("⚠ No relay reachable, cannot verify local deploy state\n");
+    return null;
+  }
+
+  // Someone else moved the entrypoint: our view of the site is out of date
+  const liveDTag = newestEntrypoint?.tags
+    .find((t) => t[0] === "a")?.[1]
+    ?.split(":")[2];
+  if (liveDTag && liveDTag !== dTag) {
+    console.warn(
+      `⚠ Live entrypoint points to site index ${liveDTag}, local state has ${dTag}\n`
+    );
+    return null;
+  }
+
+  const assets = {};
+  let droppedAssets = 0;
+  for (const [key, id] of Object.entries(state.assets)) {
+    const event = foundAssets.get(id);
+    const complete =
+      event &&
+      (!isChunkedAsset(event) ||
+        getChunkIds(event).every((chunkId) => foundAssets.has(chunkId)));
+    if (complete) {
+      assets[key] = id;
+    } else {
+      droppedAssets++;
+    }
+  }
+
+  const manifests = {};
+  let droppedManifests = 0;
+  for (const [key, manifest] of Object.entries(state.manifests)) {
+    if (foundManifests.has(manifest.id)) {
+      manifests[key] = manifest;
+    } else {
+      droppedManifests++;
+    }
+  }
+
+  const siteIndex = siteIndexFound ? state.siteIndex : null;
+  const entrypoint =
+    siteIndex && liveDTag === dTag && newestEntrypoint
+      ? { id: newestEntrypoint.id, siteIndexHash: dTag }
+      : null;
+
+  if (droppedAssets > 0 || droppedManifests > 0) {
+    console.log(
+      `  Dropped ${droppedAssets} asset(s) and ${droppedManifests} manifest(s) no longer on any relay`
+    );
+  }
+  console.log("✓ Local deploy state verified\n");
+
+  return {
+    assets,
+    manifests,
+    siteIndex,
+    entrypoint,
+    version: { major: 0, minor: 0, patch: 0 },
+    versionHistory: [],
+  };
+}
+
+/**
+ * Look up existing asset events by content hash using `#x` filters
+ *
+ * Only events whose `path` tag matches the file are kept (see
+ * assetCacheKey()).
+ *
+ * @param {Array<string>} relayUrls - Relay URLs
+ * @param {string} pubkey - Public key (hex)
+ * @param {Array<Object>} files - { hash, path } of the files to look up
+ * @returns {Promise<Object>} Map of "kind:hash:path" -> eventId
+ */
+export async function lookupAssetsByHash(relayUrls, pubkey, files) {
+  const assetMap = {};
+  if (files.length === 0) {
+    return assetMap;
+  }
+
+  const wanted = new Set(
+    files.map((file) => assetCacheKey(file.hash, file.path))
+  );
+
+  for (const url of relayUrls) {
+    const remaining = [
+      ...new Set(
+        files
+          .filter((file) => !assetMap[assetCacheKey(file.hash, file.path)])
+          .map((file) => file.hash)
+      ),
+    ];
+    if (remaining.length === 0) break;
+
+    try {
+      const relay = await connectToRelay(url);
+
+      for (const batch of batches(remaining)) {
+        const events = await queryEvents(relay, [
+          { kinds: [EVENT_KINDS.ASSET], authors: [pubkey], "#x": batch },
+        ]);
+        for (const event of events) {
+          if (!isChunkedAsset(event) && !verifyAssetIntegrity(event)) {
+            continue;
+          }
+          const key = getAssetCacheKey(event);
+          if (key && wanted.has(key)) assetMap[key] = event.id;
+        }
+      }
+
+      closeRelay(relay);
+    } catch (error) {
+      console.warn(`  ⚠ ${url}: Failed to look up assets - ${error.message}`);
+    }
+  }
+
+  return assetMap;
+}
@@ -2,96 +2,209 @@
  * Nostr Event Utilities
  *
  * Helper functions for creating and managing Nostr events.
+ * Event builders sign through a signer (local key or NIP-46 bunker).
  */
 
-import { finalizeEvent } from "nostr-tools";
 import { sha256 } from "@noble/hashes/sha256";
 import { bytesToHex } from "@noble/hashes/utils";
 import { EVENT_KINDS } from "../lib/constants.mjs";
-import { hexToUint8Array } from "../lib/keypair.mjs";
+import { ROUTE_HEADER_TAGS } from "./headers.mjs";
 
 /**
  * Create asset event (kind 1125)
  *
- * @param {string} content - File content
- * @param {string} contentHash - SHA256 hash of content
- * @param {string} filename - Original filename
+ * @param {string} content - File content (base64 for binary files)
+ * @param {string} contentHash - SHA256 hash of the raw file bytes
+ * @param {string} filePath - Path of the file relative to the site directory
  * @param {string} mimeType - MIME type
- * @param {string} skHex - Private key in hex
- * @returns {Object} Finalized event
+ * @param {Object} signer - Event signer (see signer.mjs)
+ * @param {Array<Array<string>>} extraTags - Additional tags (e.g. encoding)
+ * @returns {Promise<Object>} Signed event
  */
 export function createAssetEvent(
   content,
   contentHash,
-  filename,
+  filePath,
   mimeType,
-  skHex
+  signer,
+  extraTags = []
 ) {
-  const SK = hexToUint8Array(skHex);
+  return signer.signEvent({
+    kind: EVENT_KINDS.ASSET,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [
+      ["m", mimeType],
+      ["x", contentHash],
+      ["path", filePath],
+      ...extraTags,
+    ],
+    content,
+  });
+}
 
-  return finalizeEvent(
-    {
-      kind: EVENT_KINDS.ASSET,
-      created_at: Math.floor(Date.now() / 1000),
-      tags: [
-        ["x", contentHash],
-        ["m", mimeType],
-        ["name", filename],
-      ],
-      content,
-    },
-    SK
-  );
+/**
+ * Create one chunk of a large asset (kind 1125)
+ *
+ * @param {string} content - Chunk content (base64 for binary files)
+ * @param {string} chunkHash - SHA256 hash of the raw chunk bytes
+ * @param {number} index - Zero-based chunk index
+ * @param {number} total - Number of chunks
+ * @param {string} mimeType - MIME type of the whole file
+ * @param {Object} signer - Event signer (see signer.mjs)
+ * @param {Array<Array<string>>} extraTags - Additional tags (e.g. encoding)
+ * @returns {Promise<Object>} Signed event
+ */
+export function createChunkEvent(
+  content,
+  chunkHash,
+  index,
+  total,
+  mimeType,
+  signer,
+  extraTags = []
+) {
+  return signer.signEvent({
+    kind: EVENT_KINDS.ASSET,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [
+      ["m", mimeType],
+      ["x", chunkHash],
+      ["chunk", String(index), String(total)],
+      ...extraTags,
+    ],
+    content,
+  });
+}
+
+/**
+ * Create the parent event of a chunked asset (kind 1125)
+ *
+ * @param {string} contentHash - SHA256 hash of the whole file
+ * @param {string} filePath - Path of the file relative to the site directory
+ * @param {string} mimeType - MIME type
+ * @param {number} size - File size in bytes
+ * @param {Array<string>} chunkIds - Chunk event IDs in order
+ * @param {string} relayHint - Relay URL hint where the chunks can be found
+ * @param {Object} signer - Event signer (see signer.mjs)
+ * @returns {Promise<Object>} Signed event
+ */
+export function createChunkedAssetEvent(
+  contentHash,
+  filePath,
+  mimeType,
+  size,
+  chunkIds,
+  relayHint,
+  signer
+) {
+  return signer.signEvent({
+    kind: EVENT_KINDS.ASSET,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [
+      ["m", mimeType],
+      ["x", contentHash],
+      ["path", filePath],
+      ["size", String(size)],
+      ["chunks", String(chunkIds.length)],
+      ...chunkIds.map((id) => ["e", id, relayHint || ""]),
+    ],
+    content: "",
+  });
 }
 
 /**
  * Create manifest event (kind 1126)
  *
+ * Page metadata lives in tags; the content is empty.
+ *
  * @param {string} route - Page route
- * @param {Object} manifest - Manifest data
- * @param {string} skHex - Private key in hex
- * @returns {Object} Finalized event
+ * @param {Array<string>} assetIds - Asset event IDs (HTML first)
+ * @param {Object} metadata - { title, description, lang, openGraph, headers }
+ *   where openGraph lists [property, content] pairs (see page-metadata.mjs)
+ *   and headers lists route header tags (see headers.mjs)
+ * @param {string} relayHint - Relay URL hint where the assets can be found
+ * @param {Object} signer - Event signer (see signer.mjs)
+ * @returns {Promise<Object>} Signed event
  */
-export function createManifestEvent(route, manifest, skHex) {
-  const SK = hexToUint8Array(skHex);
-  const content = JSON.stringify(manifest);
-  const contentHash = computeHash(content);
+export function createManifestEvent(
+  route,
+  assetIds,
+  metadata,
+  relayHint,
+  signer
+) {
+  const tags = [
+    ["route", route],
+    ...assetIds.map((id) => ["e", id, relayHint || ""]),
+  ];
+  if (metadata.title) {
+    tags.push(["title", metadata.title]);
+  }
+  if (metadata.description) {
+    tags.push(["description", metadata.description]);
+  }
+  if (metadata.lang) {
+    tags.push(["lang", metadata.lang]);
+  }
+  tags.push(...(metadata.openGraph || []));
+  tags.push(...(metadata.headers || []));
 
-  return finalizeEvent(
-    {
-      kind: EVENT_KINDS.MANIFEST,
-      created_at: Math.floor(Date.now() / 1000),
-      tags: [
-        ["x", contentHash],
-        ["route", route],
-      ],
-      content,
-    },
-    SK
-  );
+  return signer.signEvent({
+    kind: EVENT_KINDS.MANIFEST,
+    created_at: Math.floor(Date.now() / 1000),
+    tags,
+    content: "",
+  });
 }
 
 /**
- * Create site index event (kind 31126)
+ * Read the page metadata of a manifest event (kind 1126)
  *
- * @param {string} contentHash - Content hash for d tag
- * @param {Object} siteData - Site index data
- * @param {string} skHex - Private key in hex
- * @returns {Object} Finalized event
+ * The inverse of createManifestEvent(), so manifests found on relays can be
+ * compared with the metadata a deploy would write.
+ *
+ * @param {Object} event - Manifest event
+ * @returns {Object} { title, description, lang, openGraph, headers } with
+ *   null for missing values and tags in event order
  */
-export function createSiteIndexEvent(contentHash, siteData, skHex) {
-  const SK = hexToUint8Array(skHex);
-  const content = JSON.stringify(siteData);
+export function readManifestMetadata(event) {
+  const value = (name) => event.tags.find((t) => t[0] === name)?.[1] || null;
+  const headerTags = Object.values(ROUTE_HEADER_TAGS);
+  return {
+    title: value("title"),
+    description: value("description"),
+    lang: value("lang"),
+    openGraph: event.tags
+      .filter((t) => t[0].startsWith("og:"))
+      .map(([property, content]) => [property, content]),
+    headers: event.tags
+      .filter((t) => headerTags.includes(t[0]))
+      .map(([tag, content]) => [tag, content]),
+  };
+}
 
-  return finalizeEvent(
-    {
-      kind: EVENT_KINDS.SITE_INDEX,
-      created_at: Math.floor(Date.now() / 1000),
-      tags: [["d", contentHash]],
-      content,
-    },
-    SK
-  );
+/**
+ * Create site index event (kind 31126)
+ *
+ * The d tag is the first 8 characters of the content hash, so identical
+ * site indexes share an address.
+ *
+ * @param {string} content - Site index JSON
+ * @param {string} contentHash - SHA256 hash of the content
+ * @param {Object} signer - Event signer (see signer.mjs)
+ * @returns {Promise<Object>} Signed event
+ */
+export function createSiteIndexEvent(content, contentHash, signer) {
+  return signer.signEvent({
+    kind: EVENT_KINDS.SITE_INDEX,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [
+      ["d", contentHash.substring(0, 8)],
+      ["x", contentHash],
+      ["alt", "main"],
+    ],
+    content,
+  });
 }
 
 /**
@@ -100,21 +213,22 @@ export function createSiteIndexEvent(contentHash, siteData, skHex) {
  * @param {string} pubkey - Publisher public key
  * @param {string} contentHash - Site index d tag
  * @param {string} relayHint - Relay URL hint where the site index can be found
- * @param {string} skHex - Private key in hex
- * @returns {Object} Finalized event
+ * @param {Object} signer - Event signer (see signer.mjs)
+ * @returns {Promise<Object>} Signed event
  */
-export function createEntrypointEvent(pubkey, contentHash, relayHint, skHex) {
-  const SK = hexToUint8Array(skHex);
-
-  return finalizeEvent(
-    {
-      kind: EVENT_KINDS.ENTRYPOINT,
-      created_at: Math.floor(Date.now() / 1000),
-      tags: [["a", `${EVENT_KINDS.SITE_INDEX}:${pubkey}:${contentHash}`, relayHint || ""]],
-      content: "",
-    },
-    SK
-  );
+export function createEntrypointEvent(pubkey, contentHash, relayHint, signer) {
+  return signer.signEvent({
+    kind: EVENT_KINDS.ENTRYPOINT,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [
+      [
+        "a",
+        `${EVENT_KINDS.SITE_INDEX}:${pubkey}:${contentHash}`,
+        relayHint || "",
+      ],
+    ],
+    content: "",
+  });
 }
 
 /**
@@ -122,21 +236,16 @@ export function createEntrypointEvent(pubkey, contentHash, relayHint, skHex) {
  *
  * @param {Array<string>} eventIds - Event IDs to delete
  * @param {string} reason - Deletion reason
- * @param {string} skHex - Private key in hex
- * @returns {Object} Finalized event
+ * @param {Object} signer - Event signer (see signer.mjs)
+ * @returns {Promise<Object>} Signed event
  */
-export function createDeletionEvent(eventIds, reason, skHex) {
-  const SK = hexToUint8Array(skHex);
-
-  return finalizeEvent(
-    {
-      kind: EVENT_KINDS.DELETION,
-      created_at: Math.floor(Date.now() / 1000),
-      tags: eventIds.map((id) => ["e", id]),
-      content: reason,
-    },
-    SK
-  );
+export function createDeletionEvent(eventIds, reason, signer) {
+  return signer.signEvent({
+    kind: EVENT_KINDS.DELETION,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: eventIds.map((id) => ["e", id]),
+    content: reason,
+  });
 }
 
 /**
@@ -193,6 +302,48 @@ export function getRoute(event) {
   return routeTag ? routeTag[1] : null;
 }
 
+/**
+ * Extract file path from asset event
+ *
+ * Falls back to the `name` tag of assets published by older builders.
+ *
+ * @param {Object} event - Asset event
+ * @returns {string|null} Path relative to the site directory, or null
+ */
+export function getAssetPath(event) {
+  const pathTag =
+    event.tags.find((tag) => tag[0] === "path") ||
+    event.tags.find((tag) => tag[0] === "name");
+  return pathTag ? pathTag[1] : null;
+}
+
+/**
+ * Build the key an asset is reused by in the deploy state
+ *
+ * The path is part of the key because asset events carry it: a renamed file,
+ * or two files with the same content, each need their own event.
+ *
+ * @param {string} contentHash - SHA256 hash of the raw file bytes
+ * @param {string} filePath - Path relative to the site directory
+ * @returns {string} "kind:hash:path"
+ */
+export function assetCacheKey(contentHash, filePath) {
+  return `${EVENT_KINDS.ASSET}:${contentHash}:${filePath}`;
+}
+
+/**
+ * Get the reuse key of a published asset event (see assetCacheKey())
+ *
+ * @param {Object} event - Asset event
+ * @returns {string|null} Key, or null for assets without an `x` or `path`
+ *   tag, which can't be reused
+ */
+export function getAssetCacheKey(event) {
+  const hash = event.tags.find((tag) => tag[0] === "x")?.[1];
+  const filePath = event.tags.find((tag) => tag[0] === "path")?.[1];
+  return hash && filePath ? assetCacheKey(hash, filePath) : null;
+}
+
 /**
  * Extract event references from event
  *
@@ -0,0 +1,205 @@
+/**
+ * Version Export
+ *
+ * Rebuilds the file tree of a published version from its events:
+ * site index → manifests → assets (and their chunks). Each file is written at
+ * the relative path from its asset's `path` tag after its content is checked
+ * against the `x` hash.
+ *
+ * Assets published before paths were recorded have no `path` tag. Their
+ * HTML is placed by route and other files go to `_unnamed/`.
+ *
+ * Deploys used to reuse assets by content hash alone, so a `path` tag can be
+ * the path of an older file with the same content. Path tags are therefore
+ * checked against the version itself: a page's HTML must sit at its route,
+ * and every reference in the exported HTML and CSS must find its file.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import mime from "mime";
+import { decodeAssetContent, verifyAssetIntegrity } from "./assets.mjs";
+import { buildDependencyGraph, htmlPathToRoute } from "./dependencies.mjs";
+import { getAssetPath, getEventReferences } from "./events.mjs";
+import { FileSystemError } from "../utils/errors.mjs";
+
+/**
+ * Check that a relative path stays inside the export directory
+ *
+ * @param {string} relPath - Path from an asset event
+ * @returns {boolean} True if the path is safe to write
+ */
+export function isSafeExportPath(relPath) {
+  if (!relPath || relPath.includes("\0") || relPath.includes("\\")) {
+    return false;
+  }
+  if (path.posix.isAbsolute(relPath) || /^[a-zA-Z]:/.test(relPath)) {
+    return false;
+  }
+  return relPath
+    .split("/")
+    .every((part) => part !== "" && part !== "." && part !== "..");
+}
+
+/**
+ * Whether an asset is the HTML of a page
+ */
+function isPageAsset(asset) {
+  return asset.tags.some((t) => t[0] === "m" && t[1] === "text/html");
+}
+
+/**
+ * Get the path an asset is exported to
+ *
+ * @param {Object} asset - Asset event
+ * @param {string} route - Route of the manifest that references it
+ * @returns {Object} { path, tagged } where tagged is false for fallback paths
+ */
+export function getAssetExportPath(asset, route) {
+  const tagged = getAssetPath(asset);
+  if (tagged) {
+    return { path: tagged, tagged: true };
+  }
+
+  const mimeType = asset.tags.find((t) => t[0] === "m")?.[1];
+  if (mimeType === "text/html") {
+    return {
+      path: route === "/" ? "index.html" : `${route.slice(1)}.html`,
+      tagged: false,
+    };
+  }
+
+  const hash = asset.tags.find((t) => t[0] === "x")?.[1] || asset.id;
+  const extension = mime.getExtension(mimeType || "") || "bin";
+  return {
+    path: `_unnamed/${hash.substring(0, 8)}.${extension}`,
+    tagged: false,
+  };
+}
+
+/**
+ * Work out which files a version exports to
+ *
+ * @param {Object} entry - Version entry (see version-history.mjs)
+ * @param {Map<string, Object>} manifests - Manifest events by ID
+ * @param {Map<string, Object>} assets - Asset and chunk events by ID
+ * @returns {Object} { files, problems } where files are
+ *   { path, tagged, route, asset } and problems are messages, including
+ *   path tags that don't fit the version's routes and references
+ */
+export function planExport(entry, manifests, assets) {
+  const files = new Map();
+  const problems = [];
+
+  for (const route of entry.routes) {
+    const manifest = manifests.get(entry.routeManifests[route]);
+    if (!manifest) {
+      problems.push(`Manifest for ${route} not found on any relay`);
+      continue;
+    }
+
+    for (const id of getEventReferences(manifest)) {
+      const asset = assets.get(id);
+      if (!asset) {
+        problems.push(`Asset ${id.substring(0, 8)}... of ${route} not found`);
+        continue;
+      }
+
+      let target = getAssetExportPath(asset, route);
+      if (
+        isPageAsset(asset) &&
+        target.tagged &&
+        htmlPathToRoute(target.path) !== route
+      ) {
+        const fallback = getAssetExportPath(
+          { ...asset, tags: asset.tags.filter((t) => t[0] !== "path") },
+          route
+        );
+        problems.push(
+          `The page of ${route} has path tag ${target.path}, which is not that route's page; exported as ${fallback.path}`
+        );
+        target = fallback;
+      }
+      if (!isSafeExportPath(target.path)) {
+        problems.push(
+          `Asset ${id.substring(0, 8)}... has unsafe path ${target.path}`
+        );
+        continue;
+      }
+
+      const existing = files.get(target.path);
+      if (existing && existing.asset.id !== id) {
+        problems.push(
+          `${target.path} is claimed by assets ${existing.asset.id.substring(
+            0,
+            8
+          )}... and ${id.substring(0, 8)}...`
+        );
+        continue;
+      }
+      files.set(target.path, { ...target, route, asset });
+    }
+  }
+
+  // A stale or shared path tag leaves a reference without its file. Files
+  // without a path tag are in _unnamed/, so references can't be checked then.
+  const allTagged = [...files.values()].every(
+    (file) => file.tagged || isPageAsset(file.asset)
+  );
+  if (allTagged) {
+    const graph = buildDependencyGraph([...files.keys()], (filePath) => {
+      try {
+        return decodeAssetContent(files.get(filePath).asset, assets);
+      } catch {
+        return Buffer.alloc(0);
+      }
+    });
+    for (const { from, ref } of graph.broken) {
+      problems.push(
+        `${from} references ${ref}, which no asset of this version has (an asset may carry the path of an older file)`
+      );
+    }
+  }
+
+  return {
+    files: [...files.values()].sort((a, b) => a.path.localeCompare(b.path)),
+    problems,
+  };
+}
+
+/**
+ * Write the planned files of a version
+ *
+ * Files whose content doesn't match their `x` hash (or whose chunks are
+ * missing) are not written.
+ *
+ * @param {Array<Object>} files - From planExport()
+ * @param {Map<string, Object>} assets - Asset and chunk events by ID
+ * @param {string} outDir - Export directory
+ * @returns {Array<Object>} { path, size, verified } per file
+ * @throws {FileSystemError} If a file can't be written
+ */
+export function writeExport(files, assets, outDir) {
+  const results = [];
+
+  for (const file of files) {
+    if (!verifyAssetIntegrity(file.asset, assets)) {
+      results.push({ path: file.path, size: null, verified: false });
+      continue;
+    }
+
+    const bytes = decodeAssetContent(file.asset, assets);
+    const target = path.join(outDir, ...file.path.split("/"));
+    try {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, bytes);
+    } catch (error) {
+      throw new FileSystemError(
+        `Failed to write ${file.path}: ${error.message}`
+      );
+    }
+    results.push({ path: file.path, size: bytes.length, verified: true });
+  }
+
+  return results;
+}
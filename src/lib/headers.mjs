@@ -0,0 +1,334 @@
+/**
+ * Route Headers
+ *
+ * Response headers for each route, written into its page manifest
+ * (kind 1126) as tags so clients can apply them:
+ *
+ *   Content-Security-Policy → ["csp", "<policy>"]
+ *   Cache-Control           → ["cache-control", "<directives>"]
+ *   Referrer-Policy         → ["referrer-policy", "<policy>"]
+ *
+ * Rules come from the `headers` map of .nweb.config.json (or of a workspace
+ * site) and from a `_headers` file in the site directory:
+ *
+ *   "headers": { "/*": { "Content-Security-Policy": "default-src 'self'" } }
+ *
+ *   # _headers
+ *   /blog/*
+ *     Cache-Control: max-age=3600
+ *
+ * A pattern is a route ("/about") or a route prefix ending in "/*" ("/*"
+ * for every page, "/blog/*" for /blog and everything below it). Rules apply
+ * in order, config first; a later value for a header replaces an earlier one.
+ *
+ * Lint (and so deploy) checks each page against its CSP and warns about
+ * inline scripts the policy would block (see findCspViolations()).
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { FILES } from "./constants.mjs";
+import { parseAttributes } from "./dependencies.mjs";
+import { ConfigError, ValidationError } from "../utils/errors.mjs";
+
+// Supported headers (lowercase) and the manifest tag each is written as
+export const ROUTE_HEADER_TAGS = {
+  "content-security-policy": "csp",
+  "cache-control": "cache-control",
+  "referrer-policy": "referrer-policy",
+};
+
+/**
+ * Check a rule's pattern and headers
+ *
+ * @param {string} pattern - Route pattern
+ * @param {Object} headers - Header names to values
+ * @param {string} where - Location for error messages
+ * @returns {Object} { pattern, headers } with lowercase header names
+ * @throws {ValidationError} If the pattern or a header is not supported
+ */
+function makeRule(pattern, headers, where) {
+  if (!pattern.startsWith("/") || pattern.slice(0, -1).includes("*")) {
+    throw new ValidationError(
+      `${where}: invalid route pattern "${pattern}" (use /route or /prefix/*)`
+    );
+  }
+
+  const normalized = {};
+  for (const [name, value] of Object.entries(headers)) {
+    const key = name.trim().toLowerCase();
+    if (!ROUTE_HEADER_TAGS[key]) {
+      throw new ValidationError(
+        `${where}: unsupported header "${name}". Supported: Content-Security-Policy, Cache-Control, Referrer-Policy`
+      );
+    }
+    if (typeof value !== "string" || value.trim() === "") {
+      throw new ValidationError(`${where}: "${name}" needs a value`);
+    }
+    normalized[key] = value.trim().replace(/\s+/g, " ");
+  }
+  return { pattern, headers: normalized };
+}
+
+/**
+ * Parse a _headers file
+ *
+ * @param {string} text - File content
+ * @returns {Array<Object>} Rules: { pattern, headers }
+ * @throws {ValidationError} If a line can't be parsed
+ */
+export function parseHeadersFile(text) {
+  const rules = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const where = `${FILES.HEADERS} line ${index + 1}`;
+    if (line.trim() === "" || line.trim().startsWith("#")) {
+      return;
+    }
+
+    if (!/^\s/.test(line)) {
+      current = { pattern: line.trim(), headers: {}, where };
+      rules.push(current);
+      return;
+    }
+
+    const separator = line.indexOf(":");
+    if (!current || separator === -1) {
+      throw new ValidationError(
+        `${where}: expected a route pattern or an indented "Name: value"`
+      );
+    }
+    current.headers[line.slice(0, separator).trim()] = line
+      .slice(separator + 1)
+      .trim();
+  });
+
+  return rules.map(({ pattern, headers, where }) =>
+    makeRule(pattern, headers, where)
+  );
+}
+
+/**
+ * Read the header rules of a site
+ *
+ * @param {Object|undefined} configHeaders - `headers` map from the config
+ * @param {string} siteDir - Site directory (may hold a _headers file)
+ * @returns {Array<Object>} Rules: { pattern, headers }
+ * @throws {ConfigError|ValidationError} If the rules are malformed
+ */
+export function readHeaderRules(configHeaders, siteDir) {
+  const rules = [];
+
+  if (configHeaders !== undefined && configHeaders !== null) {
+    if (typeof configHeaders !== "object" || Array.isArray(configHeaders)) {
+      throw new ConfigError(
+        `"headers" in ${FILES.CONFIG} must map route patterns to headers`
+      );
+    }
+    for (const [pattern, headers] of Object.entries(configHeaders)) {
+      if (!headers || typeof headers !== "object" || Array.isArray(headers)) {
+        throw new ConfigError(
+          `"headers" in ${FILES.CONFIG}: ${pattern} must map header names to values`
+        );
+      }
+      rules.push(makeRule(pattern, headers, `${FILES.CONFIG} headers`));
+    }
+  }
+
+  const filePath = path.join(siteDir, FILES.HEADERS);
+  if (fs.existsSync(filePath)) {
+    let text;
+    try {
+      text = fs.readFileSync(filePath, "utf8");
+    } catch (error) {
+      throw new ConfigError(
+        `Failed to read ${FILES.HEADERS}: ${error.message}`
+      );
+    }
+    rules.push(...parseHeadersFile(text));
+  }
+
+  return rules;
+}
+
+/**
+ * Check whether a route pattern matches a route
+ *
+ * @param {string} pattern - "/about", "/blog/*" or "/*"
+ * @param {string} route - Page route
+ * @returns {boolean} True if the rule applies to the route
+ */
+export function matchRoutePattern(pattern, route) {
+  if (pattern.endsWith("/*")) {
+    const prefix = pattern.slice(0, -2);
+    return prefix === "" || route === prefix || route.startsWith(`${prefix}/`);
+  }
+  return pattern.replace(/(.)\/$/, "$1") === route;
+}
+
+/**
+ * Get the headers of a route
+ *
+ * @param {Array<Object>} rules - From readHeaderRules()
+ * @param {string} route - Page route
+ * @returns {Object} Lowercase header names to values
+ */
+export function resolveRouteHeaders(rules, route) {
+  const headers = {};
+  for (const rule of rules) {
+    if (matchRoutePattern(rule.pattern, route)) {
+      Object.assign(headers, rule.headers);
+    }
+  }
+  return headers;
+}
+
+/**
+ * Turn route headers into manifest tags
+ *
+ * @param {Object} headers - From resolveRouteHeaders()
+ * @returns {Array<Array<string>>} Tags in a fixed order
+ */
+export function getHeaderTags(headers) {
+  return Object.entries(ROUTE_HEADER_TAGS)
+    .filter(([name]) => headers[name])
+    .map(([name, tag]) => [tag, headers[name]]);
+}
+
+// <script> types that run as script (others are data blocks)
+const SCRIPT_TYPES =
+  /^(|module|importmap|(text|application)\/(x-)?(java|ecma)script)$/i;
+
+/**
+ * Parse a Content-Security-Policy
+ *
+ * @param {string} policy - Header value
+ * @returns {Object} Lowercase directive names to their source expressions
+ */
+export function parseCsp(policy) {
+  const directives = {};
+  for (const part of policy.split(";")) {
+    const [name, ...sources] = part.trim().split(/\s+/);
+    if (name && !directives[name.toLowerCase()]) {
+      directives[name.toLowerCase()] = sources;
+    }
+  }
+  return directives;
+}
+
+/**
+ * Check whether a CSP source list allows a piece of inline script
+ *
+ * 'unsafe-inline' is ignored when the list has a nonce or hash, as in
+ * browsers. Attributes (event handlers) only match hashes with
+ * 'unsafe-hashes'.
+ */
+function allowsInline(sources, content, { nonce = null, attribute = false }) {
+  const hasNonceOrHash = sources.some((s) =>
+    /^'(nonce|sha256|sha384|sha512)-/i.test(s)
+  );
+  if (sources.includes("'unsafe-inline'") && !hasNonceOrHash) {
+    return true;
+  }
+  if (!attribute && nonce && sources.includes(`'nonce-${nonce}'`)) {
+    return true;
+  }
+  if (attribute && !sources.includes("'unsafe-hashes'")) {
+    return false;
+  }
+  return ["sha256", "sha384", "sha512"].some((algorithm) => {
+    const digest = crypto
+      .createHash(algorithm)
+      .update(content, "utf8")
+      .digest("base64");
+    return sources.includes(`'${algorithm}-${digest}'`);
+  });
+}
+
+/**
+ * Find inline scripts a Content-Security-Policy blocks
+ *
+ * Checks inline <script> elements, on* event handler attributes and
+ * javascript: URLs against script-src-elem / script-src-attr, script-src
+ * and default-src, in that order.
+ *
+ * @param {string} html - Page source
+ * @param {string} policy - Content-Security-Policy value
+ * @returns {Array<string>} One message per blocked script, with its line
+ */
+export function findCspViolations(html, policy) {
+  const directives = parseCsp(policy);
+  const sourcesFor = (names) => {
+    const name = names.find((n) => directives[n]);
+    return name ? { name, sources: directives[name] } : null;
+  };
+  const elementPolicy = sourcesFor([
+    "script-src-elem",
+    "script-src",
+    "default-src",
+  ]);
+  const attributePolicy = sourcesFor([
+    "script-src-attr",
+    "script-src",
+    "default-src",
+  ]);
+  if (!elementPolicy && !attributePolicy) {
+    return [];
+  }
+
+  // Blank out comments, keeping line numbers
+  const source = html.replace(/<!--[\s\S]*?-->/g, (comment) =>
+    comment.replace(/[^\n]/g, " ")
+  );
+  const lineAt = (index) => source.slice(0, index).split("\n").length;
+  const violations = [];
+
+  for (const match of source.matchAll(/<([a-z][a-z0-9-]*)\b([^>]*)>/gi)) {
+    const tag = match[1].toLowerCase();
+    const attributes = parseAttributes(match[2]);
+    const line = lineAt(match.index);
+
+    if (
+      elementPolicy &&
+      tag === "script" &&
+      attributes.src === undefined &&
+      SCRIPT_TYPES.test((attributes.type || "").trim())
+    ) {
+      const start = match.index + match[0].length;
+      const end = source.toLowerCase().indexOf("</script", start);
+      const content = source.slice(start, end === -1 ? undefined : end);
+      if (
+        content.trim() !== "" &&
+        !allowsInline(elementPolicy.sources, content, {
+          nonce: attributes.nonce,
+        })
+      ) {
+        violations.push(
+          `Inline <script> on line ${line} is blocked by ${elementPolicy.name}`
+        );
+      }
+    }
+
+    if (!attributePolicy) continue;
+    for (const [name, value] of Object.entries(attributes)) {
+      const handler = name.startsWith("on") && value.trim() !== "";
+      const scriptUrl =
+        ["href", "src", "action", "formaction"].includes(name) &&
+        /^\s*javascript:/i.test(value);
+      if (
+        (handler || scriptUrl) &&
+        !allowsInline(attributePolicy.sources, value, { attribute: true })
+      ) {
+        violations.push(
+          `${
+            handler ? `${name} handler` : "javascript: URL"
+          } on <${tag}> (line ${line}) is blocked by ${attributePolicy.name}`
+        );
+      }
+    }
+  }
+
+  return violations;
+}
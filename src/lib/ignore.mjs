@@ -0,0 +1,254 @@
+/**
+ * Deploy Ignore Rules
+ *
+ * Decides which files in a site directory get published. Rules use
+ * .gitignore syntax and are applied in order, the last matching rule winning:
+ * 1. Built-in defaults (IGNORE.DEFAULT_PATTERNS: dotfiles, node_modules, ...)
+ * 2. .nwebignore in the site directory
+ * 3. --exclude=<pattern> flags
+ * 4. --include=<pattern> flags (as negated rules)
+ *
+ * Supported syntax: `#` comments, `!` negation, `*`, `?`, `**`, `[...]`,
+ * a trailing `/` for directories only and a `/` anywhere else to match
+ * relative to the site directory (the deploy root) instead of at any level.
+ * As in git, a file can't be re-included once its parent directory is
+ * excluded.
+ *
+ * Files in IGNORE.NEVER_PUBLISH (keypair, deploy state, .env files) are
+ * excluded regardless of the rules.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { FILES, IGNORE } from "./constants.mjs";
+import { ConfigError } from "../utils/errors.mjs";
+
+/**
+ * Escape a character for use in a regular expression
+ *
+ * @param {string} char - Character
+ * @returns {string} Escaped character
+ */
+function escapeRegExp(char) {
+  return char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Convert a glob to a regular expression source
+ *
+ * @param {string} glob - Glob without leading `/` or trailing `/`
+ * @returns {string} Regular expression source (unanchored)
+ */
+function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      // "**/" matches zero or more directories, any other "**" everything
+      i++;
+      if (glob[i + 1] === "/") {
+        i++;
+        source += "(?:.*/)?";
+      } else {
+        source += ".*";
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[" && glob.indexOf("]", i + 2) !== -1) {
+      const end = glob.indexOf("]", i + 2);
+      const body = glob.slice(i + 1, end).replace(/\\/g, "\\\\");
+      source += body.startsWith("!") ? `[^${body.slice(1)}]` : `[${body}]`;
+      i = end;
+    } else if (char === "\\" && i + 1 < glob.length) {
+      source += escapeRegExp(glob[++i]);
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return source;
+}
+
+/**
+ * Parse one line of an ignore file
+ *
+ * @param {string} line - Line from .nwebignore or a flag value
+ * @param {string} origin - Where the rule comes from (for messages)
+ * @returns {Object|null} Rule { pattern, negate, dirOnly, anchored, regex, origin }, or null for blank lines and comments
+ */
+export function parseIgnoreRule(line, origin = "default") {
+  let pattern = line.replace(/(?<!\\)\s+$/, "");
+  if (!pattern || pattern.startsWith("#")) {
+    return null;
+  }
+
+  let negate = false;
+  if (pattern.startsWith("!")) {
+    negate = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith("\\!") || pattern.startsWith("\\#")) {
+    pattern = pattern.slice(1);
+  }
+
+  const dirOnly = pattern.endsWith("/");
+  if (dirOnly) {
+    pattern = pattern.replace(/\/+$/, "");
+  }
+
+  const anchored = pattern.includes("/");
+  pattern = pattern.replace(/^\/+/, "");
+  if (!pattern) {
+    return null;
+  }
+
+  return {
+    pattern: line.trim(),
+    negate,
+    dirOnly,
+    anchored,
+    regex: new RegExp(`^${globToRegExp(pattern)}$`),
+    origin,
+  };
+}
+
+/**
+ * Create a matcher from ordered rules
+ *
+ * Paths are relative to the site directory with `/` separators. Callers walk
+ * the tree top-down and don't descend into ignored directories, so a path is
+ * only checked after all of its parents.
+ *
+ * @param {Array<Object>} rules - Rules from parseIgnoreRule
+ * @returns {Object} { rules, match(relPath, isDir), ignores(relPath, isDir) }
+ */
+export function createIgnoreMatcher(rules) {
+  const never = IGNORE.NEVER_PUBLISH.map((pattern) =>
+    parseIgnoreRule(pattern, "never")
+  );
+
+  // Rule that decides a path (a negated rule means it is published)
+  const match = (relPath, isDir = false) => {
+    const name = path.posix.basename(relPath);
+    if (!isDir) {
+      const secret = never.find((rule) => rule.regex.test(name));
+      if (secret) return secret;
+    }
+
+    let decided = null;
+    for (const rule of rules) {
+      if (rule.dirOnly && !isDir) continue;
+      const target = rule.anchored ? relPath : name;
+      if (rule.regex.test(target)) {
+        decided = rule;
+      }
+    }
+    return decided;
+  };
+
+  return {
+    rules,
+    match,
+    ignores(relPath, isDir = false) {
+      const rule = match(relPath, isDir);
+      return Boolean(rule && !rule.negate);
+    },
+  };
+}
+
+/**
+ * Describe where an ignore rule comes from
+ *
+ * @param {Object} rule - Rule from parseIgnoreRule
+ * @returns {string} Description, e.g. `"drafts/" in .nwebignore`
+ */
+export function describeIgnoreRule(rule) {
+  switch (rule.origin) {
+    case "default":
+      return `built-in rule "${rule.pattern}"`;
+    case "never":
+      return "never published";
+    case "--exclude":
+    case "--include":
+      return `${rule.origin}=${rule.pattern.replace(/^!/, "")}`;
+    default:
+      return `"${rule.pattern}" in ${rule.origin}`;
+  }
+}
+
+/**
+ * List the files of a site directory that will be published
+ *
+ * Walks the tree top-down, never descending into ignored directories.
+ *
+ * @param {string} siteDir - Site directory path
+ * @param {Object} matcher - Matcher from loadIgnoreMatcher
+ * @returns {Object} { files, skippedDirs } where files are absolute paths
+ *   and skippedDirs are { path, rule } with paths relative to siteDir
+ */
+export function listSiteFiles(siteDir, matcher) {
+  const files = [];
+  const skippedDirs = [];
+
+  const visit = (dir) => {
+    const entries = fs
+      .readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      const rel = path.relative(siteDir, fullPath).replace(/\\/g, "/");
+      const isDir = entry.isDirectory();
+      const rule = matcher.match(rel, isDir);
+
+      if (rule && !rule.negate) {
+        if (isDir) skippedDirs.push({ path: rel, rule });
+      } else if (isDir) {
+        visit(fullPath);
+      } else {
+        files.push(fullPath);
+      }
+    }
+  };
+
+  visit(siteDir);
+  return { files, skippedDirs };
+}
+
+/**
+ * Load the ignore rules for a site directory
+ *
+ * @param {string} siteDir - Site directory path
+ * @param {Object} options - { include, exclude } arrays of patterns from flags
+ * @returns {Object} Matcher (see createIgnoreMatcher)
+ * @throws {ConfigError} If .nwebignore exists but can't be read
+ */
+export function loadIgnoreMatcher(siteDir, options = {}) {
+  const { include = [], exclude = [] } = options;
+  const lines = IGNORE.DEFAULT_PATTERNS.map((pattern) => [pattern, "default"]);
+
+  const ignorePath = path.join(siteDir, FILES.IGNORE);
+  if (fs.existsSync(ignorePath)) {
+    let content;
+    try {
+      content = fs.readFileSync(ignorePath, "utf8");
+    } catch (error) {
+      throw new ConfigError(`Failed to read ${FILES.IGNORE}: ${error.message}`);
+    }
+    for (const line of content.split(/\r?\n/)) {
+      lines.push([line, FILES.IGNORE]);
+    }
+  }
+
+  for (const pattern of exclude) {
+    lines.push([pattern, "--exclude"]);
+  }
+  for (const pattern of include) {
+    lines.push([`!${pattern.replace(/^!/, "")}`, "--include"]);
+  }
+
+  const rules = lines
+    .map(([line, origin]) => parseIgnoreRule(line, origin))
+    .filter(Boolean);
+  return createIgnoreMatcher(rules);
+}
@@ -1,59 +1,394 @@
 /**
  * Keypair Management Utilities
  *
- * Handles loading, generating, and managing Nostr keypairs from various sources.
+ * Handles loading, generating, and managing Nostr keypairs from various sources,
+ * including NIP-49 (ncryptsec) encrypted keypair files.
  */
 
 import fs from "node:fs";
 import path from "node:path";
 import { generateSecretKey, getPublicKey, nip19 } from "nostr-tools";
-import { FILES } from "./constants.mjs";
-import { logger } from "../utils/logger.mjs";
+import {
+  encrypt as nip49Encrypt,
+  decrypt as nip49Decrypt,
+} from "nostr-tools/nip49";
+import { FILES, KEY_ENCRYPTION } from "./constants.mjs";
+import { ConfigError } from "../utils/errors.mjs";
+
+// Where a keyFile must come from to take precedence over NOSTR_SK_HEX: a
+// key file picked for this run or this site is more specific than the .env key
+const EXPLICIT_KEY_FILE_SOURCES = ["flag", "site"];
 
 /**
- * Get private key from multiple sources (in priority order)
+ * Read a keypair file
  *
- * Priority:
- * 1. Environment variable (NOSTR_SK_HEX)
- * 2. Site-specific keypair file (.nweb-keypair.json)
- * 3. Error if not found
+ * Plaintext files hold `privateKey` (hex or nsec) or a legacy `nsec` field;
+ * encrypted files hold a NIP-49 `ncryptsec` and the `publicKey`.
  *
- * @param {string} siteDir - Site directory path (optional)
+ * @param {string} keypairPath - Path to keypair file
+ * @returns {Object} File contents
+ * @throws {ConfigError} If the file can't be read or holds no private key
+ */
+export function readKeypairFile(keypairPath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(keypairPath, "utf8"));
+  } catch (error) {
+    throw new ConfigError(
+      `Failed to read keypair file ${keypairPath}: ${error.message}`
+    );
+  }
+
+  if (!data?.privateKey && !data?.nsec && !data?.ncryptsec) {
+    throw new ConfigError(`Keypair file ${keypairPath} has no private key`);
+  }
+  return data;
+}
+
+/**
+ * Check whether keypair file contents are encrypted
+ *
+ * @param {Object} data - Keypair file contents
+ * @returns {boolean} True if the private key is stored as an ncryptsec
+ */
+export function isEncryptedKeypair(data) {
+  return typeof data?.ncryptsec === "string";
+}
+
+/**
+ * Encrypt a private key with a passphrase (NIP-49)
+ *
+ * @param {string} sk - Private key (hex or nsec)
+ * @param {string} passphrase - Passphrase
+ * @returns {string} ncryptsec1... string
+ */
+export function encryptPrivateKey(sk, passphrase) {
+  return nip49Encrypt(
+    hexToUint8Array(normalizePrivateKey(sk)),
+    passphrase,
+    KEY_ENCRYPTION.LOG_N
+  );
+}
+
+/**
+ * Decrypt a NIP-49 encrypted private key
+ *
+ * @param {string} ncryptsec - ncryptsec1... string
+ * @param {string} passphrase - Passphrase
  * @returns {string} Private key in hex format
- * @throws {Error} If no private key found
- */
-export function getPrivateKey(siteDir = null) {
-  // Try environment variable first
-  if (process.env.NOSTR_SK_HEX) {
-    return process.env.NOSTR_SK_HEX;
-  }
-
-  // Try site-specific keypair file
-  if (siteDir) {
-    const keypairPath = path.join(siteDir, FILES.KEYPAIR);
-    if (fs.existsSync(keypairPath)) {
-      try {
-        const keypair = JSON.parse(fs.readFileSync(keypairPath, "utf8"));
-        return keypair.privateKey;
-      } catch (error) {
-        logger.warn(`Failed to read keypair file: ${error.message}`);
+ * @throws {ConfigError} If the passphrase is wrong or the key is damaged
+ */
+export function decryptPrivateKey(ncryptsec, passphrase) {
+  try {
+    return uint8ArrayToHex(nip49Decrypt(ncryptsec, passphrase));
+  } catch {
+    throw new ConfigError(
+      "Failed to decrypt private key: wrong passphrase or damaged ncryptsec"
+    );
+  }
+}
+
+/**
+ * Prompt for a passphrase on the terminal without echoing it
+ *
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} Entered passphrase
+ * @throws {ConfigError} If entry is cancelled with Ctrl+C
+ */
+export function promptPassphrase(question) {
+  return new Promise((resolve, reject) => {
+    const input = process.stdin;
+    let value = "";
+
+    const finish = (error) => {
+      input.setRawMode(false);
+      input.pause();
+      input.removeListener("data", onData);
+      process.stderr.write("\n");
+      if (error) reject(error);
+      else resolve(value);
+    };
+
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === "\r" || char === "\n") return finish();
+        if (char === "\u0003") {
+          return finish(new ConfigError("Passphrase entry cancelled"));
+        }
+        if (char === "\u007f" || char === "\b") {
+          value = value.slice(0, -1);
+        } else {
+          value += char;
+        }
       }
+    };
+
+    process.stderr.write(question);
+    input.setEncoding("utf8");
+    input.setRawMode(true);
+    input.resume();
+    input.on("data", onData);
+  });
+}
+
+/**
+ * Get a passphrase for a newly stored key
+ *
+ * Uses NWEB_PASSPHRASE when set, otherwise asks twice on the terminal.
+ * An empty answer (or no terminal) means the key is stored unencrypted.
+ *
+ * @param {Object} options - { env, prompt }
+ * @returns {Promise<string|null>} Passphrase, or null for plaintext storage
+ * @throws {ConfigError} If the two entries don't match
+ */
+export async function getNewPassphrase(options = {}) {
+  const {
+    env = process.env,
+    prompt = process.stdin.isTTY ? promptPassphrase : null,
+  } = options;
+
+  if (env[KEY_ENCRYPTION.PASSPHRASE_ENV]) {
+    return env[KEY_ENCRYPTION.PASSPHRASE_ENV];
+  }
+  if (!prompt) {
+    return null;
+  }
+
+  const passphrase = await prompt(
+    "New passphrase for the site key (empty to store it unencrypted): "
+  );
+  if (!passphrase) {
+    return null;
+  }
+  if ((await prompt("Repeat passphrase: ")) !== passphrase) {
+    throw new ConfigError("Passphrases do not match");
+  }
+  return passphrase;
+}
+
+/**
+ * Turn a hex or nsec private key into a full keypair
+ *
+ * @param {string} key - Private key (hex or nsec)
+ * @param {string} label - Where the key came from (for error messages)
+ * @returns {Object} { privateKey, publicKey, npub }
+ * @throws {ConfigError} If the key is not a valid private key
+ */
+function toKeypair(key, label) {
+  const trimmed = String(key).trim();
+  if (!isValidPrivateKey(trimmed)) {
+    throw new ConfigError(
+      `${label} is not a valid private key (expected nsec1... or 64-char hex)`
+    );
+  }
+
+  try {
+    const privateKey = normalizePrivateKey(trimmed).toLowerCase();
+    const publicKey = getPublicKey(hexToUint8Array(privateKey));
+    return { privateKey, publicKey, npub: nip19.npubEncode(publicKey) };
+  } catch (error) {
+    throw new ConfigError(
+      `${label} is not a valid private key: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Find where the site key is configured
+ *
+ * Priority:
+ * 1. Keypair file set via the `keyFile` config key with a --key-file flag or
+ *    a workspace site setting (`keyFileSource` "flag" or "site")
+ * 2. Environment variable (NOSTR_SK_HEX, hex or nsec)
+ * 3. Keypair file set via the `keyFile` config key elsewhere
+ * 4. Site-specific keypair file (.nweb-keypair.json in siteDir, then cwd;
+ *    only siteDir with `siteOnly`, as used for workspace sites)
+ *
+ * A source that is present but unreadable is an error, never a reason to
+ * fall through to the next one.
+ *
+ * @param {Object} options - { siteDir, keyFile, keyFileSource, env, siteOnly }
+ * @returns {Object|null} { source: "env", key } or { source: "file", path, data }
+ * @throws {ConfigError} If a configured keypair file can't be read
+ */
+function findKeySource(options) {
+  const {
+    siteDir = null,
+    keyFile = null,
+    keyFileSource = null,
+    env = process.env,
+  } = options;
+
+  const explicitKeyFile =
+    keyFile && EXPLICIT_KEY_FILE_SOURCES.includes(keyFileSource);
+  const envKey = env.NOSTR_SK_HEX?.trim();
+  if (envKey && !explicitKeyFile) {
+    return { source: "env", key: envKey };
+  }
+
+  if (keyFile) {
+    const keyPath = path.resolve(keyFile);
+    if (!fs.existsSync(keyPath)) {
+      throw new ConfigError(`Keypair file not found: ${keyPath} (keyFile)`);
+    }
+    return { source: "file", path: keyPath, data: readKeypairFile(keyPath) };
+  }
+
+  const candidates = [siteDir, options.siteOnly ? null : process.cwd()]
+    .filter(Boolean)
+    .map((dir) => path.resolve(dir, FILES.KEYPAIR));
+  for (const keyPath of [...new Set(candidates)]) {
+    if (fs.existsSync(keyPath)) {
+      return { source: "file", path: keyPath, data: readKeypairFile(keyPath) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the site's public key without unlocking the private key
+ *
+ * Encrypted keypair files store the public key next to the ncryptsec, so
+ * read-only commands never need the passphrase.
+ *
+ * @param {Object} options - { siteDir, keyFile, keyFileSource, env, siteOnly }
+ * @returns {Object|null} { publicKey, npub, source, path, encrypted } or null if no key is configured
+ * @throws {ConfigError} If a configured key can't be read or is invalid
+ */
+export function resolvePublicKey(options = {}) {
+  const found = findKeySource(options);
+  if (!found) {
+    return null;
+  }
+
+  if (found.source === "env") {
+    const { publicKey, npub } = toKeypair(found.key, "NOSTR_SK_HEX");
+    return { publicKey, npub, source: "env", path: null, encrypted: false };
+  }
+
+  if (isEncryptedKeypair(found.data)) {
+    if (!isValidPublicKey(found.data.publicKey)) {
+      throw new ConfigError(
+        `Encrypted keypair file ${found.path} has no valid publicKey`
+      );
     }
+    const publicKey = normalizePublicKey(found.data.publicKey);
+    return {
+      publicKey,
+      npub: nip19.npubEncode(publicKey),
+      source: "file",
+      path: found.path,
+      encrypted: true,
+    };
+  }
+
+  const { publicKey, npub } = toKeypair(
+    found.data.privateKey || found.data.nsec,
+    found.path
+  );
+  return {
+    publicKey,
+    npub,
+    source: "file",
+    path: found.path,
+    encrypted: false,
+  };
+}
+
+/**
+ * Resolve (and if needed unlock) the site's private key
+ *
+ * Sources are checked as in resolvePublicKey. Encrypted keypair files are
+ * unlocked with the `passphrase` option, NWEB_PASSPHRASE, or a terminal
+ * prompt, in that order.
+ *
+ * @param {Object} options - { siteDir, keyFile, keyFileSource, env, siteOnly, passphrase, prompt }
+ * @returns {Promise<Object|null>} { privateKey, publicKey, npub, source, path, encrypted } or null if no key is configured
+ * @throws {ConfigError} If a configured key can't be read, unlocked or is invalid
+ */
+export async function resolvePrivateKey(options = {}) {
+  const {
+    env = process.env,
+    prompt = process.stdin.isTTY ? promptPassphrase : null,
+  } = options;
+
+  const found = findKeySource(options);
+  if (!found) {
+    return null;
+  }
+
+  if (found.source === "env") {
+    return {
+      ...toKeypair(found.key, "NOSTR_SK_HEX"),
+      source: "env",
+      path: null,
+      encrypted: false,
+    };
+  }
+
+  if (!isEncryptedKeypair(found.data)) {
+    return {
+      ...toKeypair(found.data.privateKey || found.data.nsec, found.path),
+      source: "file",
+      path: found.path,
+      encrypted: false,
+    };
+  }
+
+  let passphrase = options.passphrase || env[KEY_ENCRYPTION.PASSPHRASE_ENV];
+  if (!passphrase && prompt) {
+    const name = path.relative(process.cwd(), found.path) || found.path;
+    passphrase = await prompt(`Passphrase for ${name}: `);
+  }
+  if (!passphrase) {
+    throw new ConfigError(
+      `${found.path} is encrypted. Set ${KEY_ENCRYPTION.PASSPHRASE_ENV} or run in a terminal to enter the passphrase`
+    );
   }
 
-  throw new Error(
-    "No private key found. Set NOSTR_SK_HEX in .env or create .nweb-keypair.json"
+  const keypair = toKeypair(
+    decryptPrivateKey(found.data.ncryptsec, passphrase),
+    found.path
   );
+  if (
+    found.data.publicKey &&
+    normalizePublicKey(found.data.publicKey) !== keypair.publicKey
+  ) {
+    throw new ConfigError(
+      `Keypair file ${found.path} is inconsistent: publicKey does not match the encrypted key`
+    );
+  }
+
+  return { ...keypair, source: "file", path: found.path, encrypted: true };
+}
+
+/**
+ * Get private key from multiple sources (see resolvePrivateKey)
+ *
+ * @param {string} siteDir - Site directory path (optional)
+ * @param {string} keyFile - Keypair file from config (optional)
+ * @returns {Promise<string>} Private key in hex format
+ * @throws {ConfigError} If no private key is found or it can't be read
+ */
+export async function getPrivateKey(siteDir = null, keyFile = null) {
+  const keypair = await resolvePrivateKey({ siteDir, keyFile });
+  if (!keypair) {
+    throw new ConfigError(
+      `No private key found. Set NOSTR_SK_HEX in .env, or create ${FILES.KEYPAIR} with 'nw-publisher config generate'`
+    );
+  }
+  return keypair.privateKey;
 }
 
 /**
  * Get public key from private key
  *
- * @param {string} skHex - Private key in hex format
+ * @param {string} skHex - Private key (hex or nsec)
  * @returns {string} Public key in hex format
  */
 export function getPublicKeyFromPrivate(skHex) {
-  const SK = hexToUint8Array(skHex);
+  const SK = hexToUint8Array(normalizePrivateKey(skHex));
   return getPublicKey(SK);
 }
 
@@ -80,17 +415,28 @@ export function generateKeypair() {
 /**
  * Save keypair to file
  *
+ * With a passphrase the private key is stored as a NIP-49 ncryptsec,
+ * otherwise in plaintext. The file is only readable by its owner.
+ *
  * @param {Object} keypair - Keypair object
  * @param {string} filePath - Path to save file
+ * @param {Object} options - { passphrase }
  */
-export function saveKeypair(keypair, filePath) {
-  const data = {
-    privateKey: keypair.privateKey,
-    publicKey: keypair.publicKey,
-    created: new Date().toISOString(),
-  };
+export function saveKeypair(keypair, filePath, options = {}) {
+  const data = options.passphrase
+    ? {
+        ncryptsec: encryptPrivateKey(keypair.privateKey, options.passphrase),
+        publicKey: keypair.publicKey,
+        created: new Date().toISOString(),
+      }
+    : {
+        privateKey: keypair.privateKey,
+        publicKey: keypair.publicKey,
+        created: new Date().toISOString(),
+      };
 
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  fs.chmodSync(filePath, 0o600);
 }
 
 /**
@@ -0,0 +1,281 @@
+/**
+ * Site Lint
+ *
+ * Checks a site before it is published:
+ *
+ *   - HTML structure, <title> and charset (see validateHTML()), and inline
+ *     scripts the route's Content-Security-Policy blocks
+ *   - references to files that are missing or ignored (error)
+ *   - links to routes that are neither pages, files, aliases nor redirect
+ *     sources (error)
+ *   - http:// subresources: scripts, stylesheets, frames and embeds are
+ *     blocked on https pages (error), other mixed content is a warning
+ *   - files above LIMITS.MAX_FILE_SIZE, which are published in chunks
+ *
+ * `nw-publisher lint` prints the problems. Deploy runs the same checks first
+ * and, with the `lint` setting at "error", stops when any problem is an error.
+ */
+
+import mime from "mime";
+import { LIMITS } from "./constants.mjs";
+import {
+  buildDependencyGraph,
+  extractCssReferences,
+  htmlPathToRoute,
+  parseAttributes,
+  resolveReference,
+} from "./dependencies.mjs";
+import { resolveRouteHeaders } from "./headers.mjs";
+import { findRoutingRule } from "./redirects.mjs";
+import { validateHTML } from "../utils/validators.mjs";
+
+export const LINT_MODES = ["off", "warn", "error"];
+
+// Elements and the attributes they load subresources from
+const RESOURCE_ATTRIBUTES = {
+  script: ["src"],
+  link: ["href"],
+  img: ["src", "srcset"],
+  source: ["src", "srcset"],
+  video: ["src", "poster"],
+  audio: ["src"],
+  track: ["src"],
+  iframe: ["src"],
+  embed: ["src"],
+  object: ["data"],
+};
+
+// Elements whose http:// loads browsers block on https pages
+const BLOCKED_ELEMENTS = ["script", "iframe", "embed", "object"];
+
+// <link rel> values that load their href
+const LOADING_RELS = ["stylesheet", "preload", "modulepreload", "icon"];
+
+/**
+ * Blank out comments and script bodies, keeping line numbers
+ */
+function blankOut(html) {
+  const blank = (text) => text.replace(/[^\n]/g, " ");
+  return html
+    .replace(/<!--[\s\S]*?-->/g, blank)
+    .replace(
+      /(<script\b[^>]*>)([\s\S]*?)(<\/script>)/gi,
+      (match, open, body, close) => open + blank(body) + close
+    );
+}
+
+/**
+ * Line number of a position in a text
+ */
+function lineAt(text, index) {
+  return text.slice(0, index).split("\n").length;
+}
+
+/**
+ * Route a resolved link target would be served under
+ */
+function linkRoute(resolved) {
+  const clean = resolved.replace(/^\.\/?$/, "").replace(/^\.\//, "");
+  return `/${clean}`
+    .replace(/(^|\/)index\.html$/, "$1")
+    .replace(/\.html$/, "")
+    .replace(/(.)\/+$/, "$1");
+}
+
+/**
+ * Lint a site
+ *
+ * @param {Object} site - What to check
+ * @param {Array<string>} site.files - Site-relative paths of the published
+ *   files
+ * @param {Function} site.readFile - Reads a site-relative path, returns a
+ *   Buffer
+ * @param {Function} site.existsOnDisk - Whether a site-relative path exists,
+ *   published or not (tells ignored files from missing ones)
+ * @param {Array<Object>} site.headerRules - From readHeaderRules()
+ * @param {Object} site.routingRules - From readRedirectRules()
+ * @returns {Array<Object>} Problems: { level, file, line, message } where
+ *   level is "error" or "warning" and line may be null, sorted by file
+ */
+export function lintSite(site) {
+  const {
+    files,
+    readFile,
+    existsOnDisk = () => false,
+    headerRules = [],
+    routingRules = { redirects: [], aliases: {} },
+  } = site;
+
+  const known = new Set(files);
+  const contents = new Map();
+  const read = (file) => {
+    if (!contents.has(file)) {
+      contents.set(file, readFile(file));
+    }
+    return contents.get(file);
+  };
+  const pages = files.filter((file) => mime.getType(file) === "text/html");
+  const routes = new Set(pages.map(htmlPathToRoute));
+  const problems = [];
+  const report = (level, file, line, message) =>
+    problems.push({ level, file, line, message });
+
+  // Missing and ignored files referenced by HTML and CSS
+  const graph = buildDependencyGraph(files, read);
+  for (const { from, ref } of graph.broken) {
+    const resolved = resolveReference(ref, from);
+    const text = read(from).toString("utf8");
+    const index = text.indexOf(ref);
+    const line = index === -1 ? null : lineAt(text, index);
+    report(
+      "error",
+      from,
+      line,
+      !resolved.startsWith("../") && existsOnDisk(resolved)
+        ? `Reference to ${ref}, which is ignored and won't be published`
+        : `Reference to ${ref}, which is not part of the deploy`
+    );
+  }
+
+  for (const file of pages) {
+    const html = read(file).toString("utf8");
+    const headers = resolveRouteHeaders(headerRules, htmlPathToRoute(file));
+    const { errors, warnings } = validateHTML(html, {
+      csp: headers["content-security-policy"],
+    });
+    errors.forEach((message) => report("error", file, null, message));
+    warnings.forEach((message) => report("warning", file, null, message));
+
+    const source = blankOut(html);
+    for (const match of source.matchAll(/<([a-z][a-z0-9-]*)\b([^>]*)>/gi)) {
+      const tag = match[1].toLowerCase();
+      const attributes = parseAttributes(match[2]);
+      const line = lineAt(source, match.index);
+
+      // Links to pages that don't exist
+      // (external URLs, fragments and mailto: resolve to null)
+      const href = (tag === "a" || tag === "area") && attributes.href?.trim();
+      const resolved = href ? resolveReference(href, file) : null;
+      if (resolved?.startsWith("../")) {
+        report("error", file, line, `Link to ${href} leaves the site`);
+      } else if (
+        resolved !== null &&
+        !known.has(resolved) &&
+        !routes.has(linkRoute(resolved)) &&
+        !findRoutingRule(routingRules, linkRoute(resolved))
+      ) {
+        report(
+          "error",
+          file,
+          line,
+          existsOnDisk(resolved)
+            ? `Link to ${href}, which is ignored and won't be published`
+            : `Link to ${href}, which is not a page or file of the site`
+        );
+      }
+
+      // Subresources loaded over plain http (<link> only for loading rels)
+      const rels = (attributes.rel || "").toLowerCase().split(/\s+/);
+      const loads =
+        tag !== "link" ||
+        rels.some((rel) => LOADING_RELS.includes(rel) || rel.endsWith("-icon"));
+      const blocked =
+        BLOCKED_ELEMENTS.includes(tag) ||
+        (tag === "link" && rels.includes("stylesheet"));
+      for (const name of loads ? RESOURCE_ATTRIBUTES[tag] || [] : []) {
+        const urls =
+          name === "srcset"
+            ? (attributes.srcset || "")
+                .split(",")
+                .map((candidate) => candidate.trim().split(/\s+/)[0])
+            : [attributes[name]?.trim()];
+        for (const url of urls.filter((u) => /^http:\/\//i.test(u || ""))) {
+          report(
+            blocked ? "error" : "warning",
+            file,
+            line,
+            blocked
+              ? `Loads ${url} over http, which browsers block on https pages`
+              : `Loads ${url} over http (mixed content)`
+          );
+        }
+      }
+      if (attributes.style) {
+        for (const url of extractCssReferences(attributes.style)) {
+          if (/^http:\/\//i.test(url)) {
+            report(
+              "warning",
+              file,
+              line,
+              `Loads ${url} over http (mixed content)`
+            );
+          }
+        }
+      }
+    }
+
+    for (const match of source.matchAll(
+      /<style\b[^>]*>([\s\S]*?)<\/style>/gi
+    )) {
+      for (const url of extractCssReferences(match[1])) {
+        if (/^http:\/\//i.test(url)) {
+          report(
+            "warning",
+            file,
+            lineAt(source, match.index),
+            `Loads ${url} over http (mixed content)`
+          );
+        }
+      }
+    }
+  }
+
+  for (const file of files) {
+    if (mime.getType(file) === "text/css") {
+      for (const url of extractCssReferences(read(file).toString("utf8"))) {
+        if (/^http:\/\//i.test(url)) {
+          report(
+            "warning",
+            file,
+            null,
+            `Loads ${url} over http (mixed content)`
+          );
+        }
+      }
+    }
+
+    // Large files are split into chunk events
+    const size = read(file).length;
+    if (size > LIMITS.MAX_FILE_SIZE) {
+      report(
+        "warning",
+        file,
+        null,
+        `${(size / 1024).toFixed(1)} KB is above the ${
+          LIMITS.MAX_FILE_SIZE / 1024
+        } KB event limit; it will be published in ${Math.ceil(
+          size / LIMITS.CHUNK_SIZE
+        )} chunks`
+      );
+    }
+  }
+
+  return problems.sort(
+    (a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0)
+  );
+}
+
+/**
+ * Format a lint problem for display
+ *
+ * @param {Object} problem - From lintSite()
+ * @returns {string} "❌ file:line: message" for errors, "⚠" for warnings
+ */
+export function formatLintProblem(problem) {
+  const location = problem.line
+    ? `${problem.file}:${problem.line}`
+    : problem.file;
+  return `${problem.level === "error" ? "❌" : "⚠"} ${location}: ${
+    problem.message
+  }`;
+}
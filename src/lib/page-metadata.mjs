@@ -0,0 +1,115 @@
+/**
+ * Page Metadata
+ *
+ * Reads what a page manifest (kind 1126) says about its page from the HTML:
+ * the <title>, <meta name="description">, Open Graph properties
+ * (<meta property="og:...">) and the lang attribute of <html>.
+ *
+ * A page can override them with a front-matter block in a comment at the
+ * very top of the file. Keys are title, description, lang and og:*:
+ *
+ *   <!--
+ *   ---
+ *   title: About us
+ *   description: Who we are and what we do
+ *   og:image: /img/team.jpg
+ *   ---
+ *   -->
+ */
+
+import { decodeEntities, parseAttributes } from "./dependencies.mjs";
+
+const FRONT_MATTER_KEYS = ["title", "description", "lang"];
+
+/**
+ * Collapse whitespace in text content
+ */
+function cleanText(text) {
+  return decodeEntities(text).replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Read the front-matter block of a page
+ *
+ * @param {string} html - Page source
+ * @returns {Object} Front-matter keys to values (empty without a block)
+ */
+export function parseFrontMatter(html) {
+  const match = html.match(
+    /^\uFEFF?\s*<!--[ \t]*\r?\n[ \t]*---[ \t]*\r?\n([\s\S]*?)\r?\n[ \t]*---[ \t]*\r?\n?\s*-->/
+  );
+  if (!match) {
+    return {};
+  }
+
+  const fields = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const field = line.match(/^\s*([a-z][\w:-]*)\s*:\s*(.*?)\s*$/i);
+    if (!field) continue;
+
+    const key = field[1].toLowerCase();
+    if (!FRONT_MATTER_KEYS.includes(key) && !key.startsWith("og:")) continue;
+
+    const quoted = field[2].match(/^(["'])(.*)\1$/);
+    fields[key] = quoted ? quoted[2] : field[2];
+  }
+  return fields;
+}
+
+/**
+ * Extract the metadata of a page
+ *
+ * Front matter wins over the HTML; the title and description fall back to
+ * og:title and og:description.
+ *
+ * @param {string} html - Page source
+ * @returns {Object} { title, description, lang, openGraph } where missing
+ *   values are null and openGraph lists [property, content] pairs in order
+ */
+export function extractPageMetadata(html) {
+  const frontMatter = parseFrontMatter(html);
+  const source = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/(<script\b[^>]*>)[\s\S]*?<\/script>/gi, "$1");
+
+  const titleMatch = source.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  const htmlMatch = source.match(/<html\b([^>]*)>/i);
+  let description = null;
+  let openGraph = [];
+
+  for (const match of source.matchAll(/<meta\b([^>]*)>/gi)) {
+    const attributes = parseAttributes(match[1]);
+    const content = cleanText(attributes.content || "");
+    if (!content) continue;
+
+    if (attributes.name?.toLowerCase() === "description") {
+      description ??= content;
+    } else if (attributes.property?.toLowerCase().startsWith("og:")) {
+      openGraph.push([attributes.property.toLowerCase(), content]);
+    }
+  }
+
+  // Front-matter og:* keys replace every value of that property
+  const overrides = Object.keys(frontMatter).filter((key) =>
+    key.startsWith("og:")
+  );
+  openGraph = [
+    ...openGraph.filter(([property]) => !overrides.includes(property)),
+    ...overrides.map((key) => [key, frontMatter[key]]),
+  ];
+  const og = (property) =>
+    openGraph.find(([name]) => name === property)?.[1] || null;
+
+  return {
+    title:
+      frontMatter.title ||
+      (titleMatch && cleanText(titleMatch[1])) ||
+      og("og:title"),
+    description: frontMatter.description || description || og("og:description"),
+    lang:
+      frontMatter.lang ||
+      (htmlMatch && parseAttributes(htmlMatch[1]).lang?.trim()) ||
+      null,
+    openGraph,
+  };
+}
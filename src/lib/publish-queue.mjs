@@ -0,0 +1,251 @@
+/**
+ * Publish Queue
+ *
+ * Publishes events to several relays in parallel. Each relay gets its own
+ * lane with a fixed number of events in flight, so a slow relay does not
+ * hold back the others. Relays that answer with a `rate-limited:` OK message
+ * pause their lane with exponential backoff before the event is retried.
+ */
+
+import { NETWORK } from "./constants.mjs";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Check whether a relay rejection is a rate limit (NIP-01 OK prefix)
+ *
+ * @param {string} reason - Rejection reason from the relay
+ * @returns {boolean} True if the relay asked us to slow down
+ */
+export function isRateLimited(reason) {
+  return typeof reason === "string" && /^rate-limited:/i.test(reason.trim());
+}
+
+/**
+ * Compute exponential backoff delay
+ *
+ * @param {number} attempt - Zero-based attempt number
+ * @param {number} baseDelay - Delay of the first attempt in ms
+ * @param {number} maxDelay - Upper bound in ms
+ * @returns {number} Delay in ms
+ */
+export function getBackoffDelay(
+  attempt,
+  baseDelay = NETWORK.RETRY_DELAY,
+  maxDelay = NETWORK.MAX_BACKOFF
+) {
+  return Math.min(
+    maxDelay,
+    baseDelay * Math.pow(NETWORK.BACKOFF_MULTIPLIER, attempt)
+  );
+}
+
+/**
+ * Format per-relay progress counts as a single line
+ *
+ * @param {Object} progress - Map of relay URL -> { total, published, failed, rateLimited }
+ * @returns {string} Progress line
+ */
+export function formatProgress(progress) {
+  return Object.entries(progress)
+    .map(([url, p]) => {
+      const extras = [];
+      if (p.failed > 0) extras.push(`${p.failed} failed`);
+      if (p.rateLimited > 0) extras.push(`${p.rateLimited} rate-limited`);
+      const host = url.replace(/^wss?:\/\//, "");
+      return `${host} ${p.published + p.failed}/${p.total}${
+        extras.length ? ` (${extras.join(", ")})` : ""
+      }`;
+    })
+    .join(" · ");
+}
+
+/**
+ * Create a publish queue over connected relays
+ *
+ * @param {Array} conns - Relay connections ({ relay, url, connected })
+ * @param {Object} options - Queue options
+ * @param {number} options.concurrency - Events in flight per relay
+ * @param {number} options.retries - Retries for failures other than rate limits
+ * @param {number} options.retryDelay - Base delay for retries and backoff in ms
+ * @param {number} options.rateLimitRetries - Maximum backoffs per event and relay
+ * @param {Object} options.relayStats - Per-relay { published, failed } counters to update
+ * @param {Object} options.publishLog - Per-relay list of published event IDs (for rollback)
+ * @param {Function} options.onProgress - Called with per-relay progress counts
+ * @param {number} options.progressInterval - Minimum ms between onProgress calls
+ * @returns {Object} Queue with publish(), drain() and getProgress()
+ */
+export function createPublishQueue(conns, options = {}) {
+  const {
+    concurrency = NETWORK.PUBLISH_CONCURRENCY,
+    retries = 2,
+    retryDelay = NETWORK.RETRY_DELAY,
+    rateLimitRetries = NETWORK.RATE_LIMIT_RETRIES,
+    relayStats = null,
+    publishLog = null,
+    onProgress = null,
+    progressInterval = 2000,
+  } = options;
+
+  const lanes = conns
+    .filter((c) => c.connected)
+    .map((conn) => ({
+      conn,
+      pending: [],
+      active: 0,
+      pausedUntil: 0,
+      timer: null,
+      progress: { total: 0, published: 0, failed: 0, rateLimited: 0 },
+    }));
+
+  const inFlight = new Set();
+  let failedEvents = [];
+  let lastProgressAt = 0;
+
+  function getProgress() {
+    const progress = {};
+    for (const lane of lanes) {
+      progress[lane.conn.url] = { ...lane.progress };
+    }
+    return progress;
+  }
+
+  function reportProgress(force = false) {
+    if (!onProgress) return;
+    const nowMs = Date.now();
+    if (!force && nowMs - lastProgressAt < progressInterval) return;
+    lastProgressAt = nowMs;
+    onProgress(getProgress());
+  }
+
+  function pump(lane) {
+    while (lane.active < concurrency && lane.pending.length > 0) {
+      const wait = lane.pausedUntil - Date.now();
+      if (wait > 0) {
+        if (!lane.timer) {
+          lane.timer = setTimeout(() => {
+            lane.timer = null;
+            pump(lane);
+          }, wait);
+        }
+        return;
+      }
+
+      const task = lane.pending.shift();
+      lane.active++;
+      attempt(lane, task).finally(() => {
+        lane.active--;
+        pump(lane);
+      });
+    }
+  }
+
+  async function attempt(lane, task) {
+    try {
+      await lane.conn.relay.publish(task.ev);
+      lane.progress.published++;
+      task.resolve({ url: lane.conn.url, status: "success" });
+    } catch (e) {
+      const reason = e?.message || String(e);
+
+      if (isRateLimited(reason) && task.rateLimitHits < rateLimitRetries) {
+        const delay = getBackoffDelay(task.rateLimitHits++, retryDelay);
+        lane.progress.rateLimited++;
+        if (lane.pausedUntil < Date.now() + delay) {
+          lane.pausedUntil = Date.now() + delay;
+          console.warn(
+            `   ⏳ ${lane.conn.url} rate-limited, backing off ${(
+              delay / 1000
+            ).toFixed(1)}s`
+          );
+        }
+        lane.pending.unshift(task);
+        return;
+      }
+
+      if (!isRateLimited(reason) && task.attempts < retries) {
+        task.attempts++;
+        await sleep(retryDelay);
+        lane.pending.unshift(task);
+        return;
+      }
+
+      lane.progress.failed++;
+      task.resolve({ url: lane.conn.url, status: "failed", reason });
+    } finally {
+      reportProgress();
+    }
+  }
+
+  /**
+   * Queue an event for all connected relays
+   *
+   * Resolves once every relay accepted or finally rejected the event.
+   * Never rejects; check `successful` in the summary.
+   */
+  function publish(ev) {
+    const results = lanes.map(
+      (lane) =>
+        new Promise((resolve) => {
+          lane.progress.total++;
+          lane.pending.push({ ev, attempts: 0, rateLimitHits: 0, resolve });
+          pump(lane);
+        })
+    );
+
+    const done = Promise.all(results).then((settled) => {
+      const successful = settled.filter((r) => r.status === "success");
+      const failed = settled.filter((r) => r.status !== "success");
+
+      for (const r of successful) {
+        if (relayStats?.[r.url]) relayStats[r.url].published++;
+        if (publishLog) (publishLog[r.url] ||= []).push(ev.id);
+      }
+      for (const r of failed) {
+        if (relayStats?.[r.url]) relayStats[r.url].failed++;
+      }
+
+      if (failed.length > 0) {
+        console.warn(
+          `   ⚠️  Warning: ${failed.length}/${
+            lanes.length
+          } relay(s) failed for event ${ev.id.substring(0, 8)}...`
+        );
+        failed.forEach((f) => console.warn(`      - ${f.url}: ${f.reason}`));
+      }
+      if (successful.length === 0) {
+        // Also covers having no connected relay at all
+        failedEvents.push(ev.id);
+      }
+
+      inFlight.delete(done);
+      return {
+        successful: successful.length,
+        failed: failed.length,
+        total: lanes.length,
+        failedRelays: failed.map((f) => f.url),
+        successfulRelays: successful.map((r) => r.url),
+      };
+    });
+
+    inFlight.add(done);
+    return done;
+  }
+
+  /**
+   * Wait for all queued events
+   *
+   * @returns {Promise<Array<string>>} IDs of events no relay accepted since the last drain
+   */
+  async function drain() {
+    while (inFlight.size > 0) {
+      await Promise.all([...inFlight]);
+    }
+    reportProgress(true);
+    const failed = failedEvents;
+    failedEvents = [];
+    return failed;
+  }
+
+  return { publish, drain, getProgress };
+}
@@ -0,0 +1,289 @@
+/**
+ * Redirects and Aliases
+ *
+ * Routing rules stored in the site index (kind 31126) next to its routes, so
+ * renamed pages keep their old links working. They come from a `_redirects`
+ * file in the site directory, one rule per line:
+ *
+ *   # _redirects
+ *   /old-about    /about
+ *   /blog/*       /posts/:splat               301
+ *   /news         https://news.example.com    302
+ *   /home         /                           200
+ *
+ * Each rule is a source route, a target and an optional status (301 unless
+ * given). A source ending in "/*" matches that route and everything below
+ * it (see matchRoutePattern()), and ":splat" in the target stands for the
+ * matched rest. Status 200 makes the source an alias: it serves the target
+ * page under its own route instead of redirecting.
+ *
+ * Pages win over rules: a redirect from a route that is also a page never
+ * applies. The `trailingSlash` setting ("strip" or "add") tells clients
+ * whether /about/ redirects to /about or the other way around.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { FILES, HTTP_STATUS } from "./constants.mjs";
+import { matchRoutePattern } from "./headers.mjs";
+import { ConfigError, ValidationError } from "../utils/errors.mjs";
+
+export const REDIRECT_STATUSES = [
+  HTTP_STATUS.MOVED_PERMANENTLY,
+  HTTP_STATUS.FOUND,
+  HTTP_STATUS.TEMPORARY_REDIRECT,
+  HTTP_STATUS.PERMANENT_REDIRECT,
+];
+
+export const TRAILING_SLASH_MODES = ["strip", "add"];
+
+/**
+ * Drop the trailing slash of a route ("/" stays "/")
+ */
+function normalizeRoute(route) {
+  return route.replace(/(.)\/+$/, "$1");
+}
+
+/**
+ * Parse a _redirects file
+ *
+ * @param {string} text - File content
+ * @returns {Object} { redirects, aliases } where redirects lists
+ *   { from, to, status } in file order and aliases maps routes to the
+ *   routes they serve
+ * @throws {ValidationError} If a line can't be parsed
+ */
+export function parseRedirectsFile(text) {
+  const redirects = [];
+  const aliases = {};
+  const seen = new Map(); // source -> line number
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const where = `${FILES.REDIRECTS} line ${index + 1}`;
+    if (line.trim() === "" || line.trim().startsWith("#")) {
+      return;
+    }
+    const fields = line.trim().split(/\s+/);
+    if (fields.length < 2 || fields.length > 3) {
+      throw new ValidationError(
+        `${where}: expected "<from> <to> [status]", got "${line.trim()}"`
+      );
+    }
+
+    const [source, to, statusField = String(HTTP_STATUS.MOVED_PERMANENTLY)] =
+      fields;
+    const status = Number(statusField);
+    const wildcard = source.endsWith("/*");
+    if (!source.startsWith("/") || source.slice(0, -1).includes("*")) {
+      throw new ValidationError(
+        `${where}: invalid source "${source}" (use /route or /prefix/*)`
+      );
+    }
+    if (status !== HTTP_STATUS.OK && !REDIRECT_STATUSES.includes(status)) {
+      throw new ValidationError(
+        `${where}: unsupported status "${statusField}". Use 200 (alias) or ${REDIRECT_STATUSES.join(
+          ", "
+        )}`
+      );
+    }
+    if (!to.startsWith("/") && !/^https?:\/\//i.test(to)) {
+      throw new ValidationError(
+        `${where}: target "${to}" must be a route or an http(s) URL`
+      );
+    }
+    if (to.includes(":splat") && !wildcard) {
+      throw new ValidationError(
+        `${where}: ":splat" needs a source ending in "/*"`
+      );
+    }
+
+    const from = wildcard ? source : normalizeRoute(source);
+    if (seen.has(from)) {
+      throw new ValidationError(
+        `${where}: ${from} already has a rule (line ${seen.get(from)})`
+      );
+    }
+    seen.set(from, index + 1);
+
+    if (status === HTTP_STATUS.OK) {
+      if (wildcard || !to.startsWith("/") || /[?#]/.test(to)) {
+        throw new ValidationError(
+          `${where}: an alias (status 200) maps one route to another route`
+        );
+      }
+      aliases[from] = normalizeRoute(to);
+    } else {
+      redirects.push({ from, to, status });
+    }
+  });
+
+  return { redirects, aliases };
+}
+
+/**
+ * Read the routing rules of a site
+ *
+ * @param {string} siteDir - Site directory (may hold a _redirects file)
+ * @returns {Object} { redirects, aliases } (empty without a file)
+ * @throws {ConfigError|ValidationError} If the file is unreadable or malformed
+ */
+export function readRedirectRules(siteDir) {
+  const filePath = path.join(siteDir, FILES.REDIRECTS);
+  if (!fs.existsSync(filePath)) {
+    return { redirects: [], aliases: {} };
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    throw new ConfigError(
+      `Failed to read ${FILES.REDIRECTS}: ${error.message}`
+    );
+  }
+  return parseRedirectsFile(text);
+}
+
+/**
+ * Find the rule that handles a route, if any
+ *
+ * @param {Object} rules - { redirects, aliases }
+ * @param {string} route - Route without a page
+ * @returns {Object|null} { from, to, status } (status 200 for aliases)
+ */
+export function findRoutingRule(rules, route) {
+  const target = normalizeRoute(route);
+  if (rules.aliases[target]) {
+    return { from: target, to: rules.aliases[target], status: HTTP_STATUS.OK };
+  }
+  return (
+    rules.redirects.find((rule) => matchRoutePattern(rule.from, target)) || null
+  );
+}
+
+/**
+ * Check routing rules against the pages of a deploy
+ *
+ * @param {Object} rules - { redirects, aliases }
+ * @param {Array<string>} routes - Page routes
+ * @returns {Array<string>} Problems worth a warning
+ */
+export function checkRoutingRules(rules, routes) {
+  const pages = new Set(routes);
+  const problems = [];
+
+  for (const [from, to] of Object.entries(rules.aliases)) {
+    if (pages.has(from)) {
+      problems.push(`Alias ${from} is a page, so the page is served instead`);
+    }
+    if (!pages.has(to)) {
+      problems.push(`Alias ${from} points at ${to}, which is not a page`);
+    }
+  }
+
+  for (const { from, to } of rules.redirects) {
+    if (pages.has(from)) {
+      problems.push(`Redirect from ${from} never applies: it is a page`);
+    }
+    const target = normalizeRoute(to.split(/[?#]/)[0]);
+    if (
+      to.startsWith("/") &&
+      !to.includes(":splat") &&
+      !pages.has(target) &&
+      !rules.aliases[target]
+    ) {
+      problems.push(
+        `Redirect ${from} → ${to} points at a route that is not a page`
+      );
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Get the site index fields for routing rules
+ *
+ * Fields without rules are left out, so sites without any keep the site
+ * index content (and hash) they had before.
+ *
+ * @param {Object} rules - { redirects, aliases }
+ * @param {string|null} trailingSlash - "strip", "add" or null
+ * @returns {Object} Some of { aliases, redirects, trailingSlash }
+ */
+export function getRoutingFields(rules, trailingSlash = null) {
+  const fields = {};
+  if (Object.keys(rules.aliases).length > 0) {
+    fields.aliases = rules.aliases;
+  }
+  if (rules.redirects.length > 0) {
+    fields.redirects = rules.redirects;
+  }
+  if (trailingSlash) {
+    fields.trailingSlash = trailingSlash;
+  }
+  return fields;
+}
+
+/**
+ * Describe a redirect target for display
+ */
+function describeRedirect(rule) {
+  return `${rule.to} (${rule.status})`;
+}
+
+/**
+ * Compare the routing rules of two versions
+ *
+ * @param {Object} before - Version entry with notFoundPage, aliases,
+ *   redirects and trailingSlash (see version-history.mjs)
+ * @param {Object} after - Same for the other version
+ * @returns {Array<Object>} { status, label, before, after } with status
+ *   added, removed or changed, and before/after as display strings
+ */
+export function diffRoutingRules(before, after) {
+  const changes = [];
+  const compare = (label, oldValue, newValue) => {
+    if (oldValue === newValue) return;
+    changes.push({
+      status:
+        oldValue === null ? "added" : newValue === null ? "removed" : "changed",
+      label,
+      before: oldValue,
+      after: newValue,
+    });
+  };
+
+  compare("404 page", before.notFoundPage || null, after.notFoundPage || null);
+  compare(
+    "trailing slash",
+    before.trailingSlash || null,
+    after.trailingSlash || null
+  );
+
+  const aliases = (entry) => entry.aliases || {};
+  for (const from of new Set([
+    ...Object.keys(aliases(before)),
+    ...Object.keys(aliases(after)),
+  ])) {
+    compare(
+      `alias ${from}`,
+      aliases(before)[from] || null,
+      aliases(after)[from] || null
+    );
+  }
+
+  const redirect = (entry, from) => {
+    const rule = (entry.redirects || []).find((r) => r.from === from);
+    return rule ? describeRedirect(rule) : null;
+  };
+  for (const from of new Set(
+    [...(before.redirects || []), ...(after.redirects || [])].map(
+      (rule) => rule.from
+    )
+  )) {
+    compare(`redirect ${from}`, redirect(before, from), redirect(after, from));
+  }
+
+  return changes;
+}
@@ -7,6 +7,9 @@
 
 import { EVENT_KINDS } from "./constants.mjs";
 import { connectToRelay, closeRelay } from "./relay.mjs";
+import { isChunkedAsset, verifyAssetIntegrity } from "./assets.mjs";
+import { getAssetCacheKey, readManifestMetadata } from "./events.mjs";
+import { buildVersionHistory, formatVersionLabel } from "./version-history.mjs";
 
 /**
  * Query events from a relay with timeout
@@ -35,11 +38,11 @@ export async function queryEvents(relay, filters, timeout = 10000) {
 
 /**
  * Query all asset events (kind 1125) for a given pubkey from relays
- * Returns a map of contentHash -> eventId for caching
+ * Returns a map of content hash and path -> eventId for caching
  *
  * @param {Array} relayUrls - Array of relay URLs
  * @param {string} pubkey - Public key (hex)
- * @returns {Promise<Object>} Map of "kind:hash" -> eventId
+ * @returns {Promise<Object>} Map of "kind:hash:path" -> eventId
  */
 export async function queryExistingAssets(relayUrls, pubkey) {
   const assetMap = {};
@@ -67,12 +70,16 @@ export async function queryExistingAssets(relayUrls, pubkey) {
 
       console.log(`  ✓ ${url}: Found ${events.length} asset(s)`);
 
-      // Build map of content hash -> event ID
+      // Build map of content hash and path -> event ID
       for (const event of events) {
-        // Find content hash tag (x tag)
-        const hashTag = event.tags.find((t) => t[0] === "x");
-        if (hashTag && hashTag[1]) {
-          const cacheKey = `${kind}:${hashTag[1]}`;
+        // Never reuse assets whose content doesn't decode to their hash
+        // (e.g. binaries published as UTF-8 by older versions)
+        if (!isChunkedAsset(event) && !verifyAssetIntegrity(event)) {
+          continue;
+        }
+
+        const cacheKey = getAssetCacheKey(event);
+        if (cacheKey) {
           assetMap[cacheKey] = event.id;
         }
       }
@@ -91,15 +98,30 @@ export async function queryExistingAssets(relayUrls, pubkey) {
 
 /**
  * Query all manifest events (kind 1126) for a given pubkey
- * Returns a map of route -> { id, assetIds }
+ * Returns a map of "manifest:<route>" -> { id, assetIds, metadata }, in the
+ * form deploy stores them, so unchanged pages reuse their manifests
+ *
+ * A route usually has several manifests on relays (one per change). The
+ * one in preferredIds (the live site index) wins, otherwise the newest.
  *
  * @param {Array} relayUrls - Array of relay URLs
  * @param {string} pubkey - Public key (hex)
+ * @param {Array<string>} preferredIds - Manifest IDs to pick when present
  * @returns {Promise<Object>} Map of route -> manifest data
  */
-export async function queryExistingManifests(relayUrls, pubkey) {
+export async function queryExistingManifests(
+  relayUrls,
+  pubkey,
+  preferredIds = []
+) {
   const manifestMap = {};
   const kind = EVENT_KINDS.MANIFEST;
+  const picked = {}; // route -> event
+  const isPreferred = (event) => preferredIds.includes(event.id);
+  const better = (a, b) =>
+    isPreferred(a) !== isPreferred(b)
+      ? isPreferred(a)
+      : a.created_at > b.created_at;
 
   console.log(`🔍 Querying relays for existing manifests...`);
 
@@ -120,23 +142,11 @@ export async function queryExistingManifests(relayUrls, pubkey) {
 
       console.log(`  ✓ ${url}: Found ${events.length} manifest(s)`);
 
-      // Build map of route -> manifest data
+      // Keep the preferred (or newest) manifest of each route
       for (const event of events) {
-        // Find d tag (route identifier)
-        const dTag = event.tags.find((t) => t[0] === "d");
-        if (dTag && dTag[1]) {
-          const route = dTag[1];
-
-          // Get asset IDs referenced by this manifest
-          const assetIds = event.tags
-            .filter((t) => t[0] === "e")
-            .map((t) => t[1])
-            .join(",");
-
-          manifestMap[`manifest:${route}`] = {
-            id: event.id,
-            assetIds,
-          };
+        const route = event.tags.find((t) => t[0] === "route")?.[1];
+        if (route && (!picked[route] || better(event, picked[route]))) {
+          picked[route] = event;
         }
       }
 
@@ -146,22 +156,35 @@ export async function queryExistingManifests(relayUrls, pubkey) {
     }
   }
 
+  // Same keys as deploy: sorted asset IDs and the metadata as JSON
+  for (const [route, event] of Object.entries(picked)) {
+    manifestMap[`manifest:${route}`] = {
+      id: event.id,
+      assetIds: event.tags
+        .filter((t) => t[0] === "e")
+        .map((t) => t[1])
+        .sort()
+        .join(","),
+      metadata: JSON.stringify(readManifestMetadata(event)),
+    };
+  }
+
   console.log(`✓ Found ${Object.keys(manifestMap).length} manifest(s)\n`);
 
   return manifestMap;
 }
 
 /**
- * Query site index events (kind 31126) and build version history
- * Site indexes are replaceable events, so we query by 'd' tag
+ * Query site index (kind 31126) and entrypoint (kind 11126) events and
+ * build the version history around the live entrypoint
  *
  * @param {Array} relayUrls - Array of relay URLs
  * @param {string} pubkey - Public key (hex)
- * @returns {Promise<Object>} Version history object
+ * @returns {Promise<Object>} Version history (see buildVersionHistory)
  */
 export async function queryVersionHistory(relayUrls, pubkey) {
   const siteIndexes = [];
-  const kind = EVENT_KINDS.SITE_INDEX;
+  const entrypoints = [];
 
   console.log(`🔍 Querying relays for version history...`);
 
@@ -169,25 +192,30 @@ export async function queryVersionHistory(relayUrls, pubkey) {
     try {
       const relay = await connectToRelay(url);
 
-      // Query all site index events (addressable kind 31126)
-      // Don't filter by d-tag to get all versions for history
+      // No #d filter - d-tags are content-addressed (truncated hashes)
+      // We want all site index versions for this author
       const events = await queryEvents(
         relay,
         [
           {
-            kinds: [kind],
+            kinds: [EVENT_KINDS.SITE_INDEX, EVENT_KINDS.ENTRYPOINT],
             authors: [pubkey],
-            // No #d filter - d-tags are content-addressed (truncated hashes)
-            // We want all site index versions for this author
           },
         ],
         15000
       );
 
-      console.log(`  ✓ ${url}: Found ${events.length} site index(es)`);
+      const indexes = events.filter((e) => e.kind === EVENT_KINDS.SITE_INDEX);
+      console.log(
+        `  ✓ ${url}: Found ${indexes.length} site index(es), ${
+          events.length - indexes.length
+        } entrypoint(s)`
+      );
 
-      // Collect all site indexes (may have multiple from different times)
-      siteIndexes.push(...events);
+      siteIndexes.push(...indexes);
+      entrypoints.push(
+        ...events.filter((e) => e.kind === EVENT_KINDS.ENTRYPOINT)
+      );
 
       closeRelay(relay);
     } catch (error) {
@@ -195,54 +223,29 @@ export async function queryVersionHistory(relayUrls, pubkey) {
     }
   }
 
-  // Sort by timestamp (newest first)
-  siteIndexes.sort((a, b) => b.created_at - a.created_at);
+  const history = buildVersionHistory(siteIndexes, entrypoints);
 
-  // Parse version history from site indexes
-  const versions = [];
-  let currentVersion = "0.1.0";
-
-  for (const siteIndex of siteIndexes) {
-    try {
-      const content = JSON.parse(siteIndex.content || "{}");
-
-      // Extract routes from content (not tags)
-      const routes = Object.keys(content.routes || {});
-
-      // Get content hash from tag
-      const hashTag = siteIndex.tags.find((t) => t[0] === "x");
-      const contentHash = hashTag ? hashTag[1].substring(0, 8) : "unknown";
-
-      // Determine version from content or use incremental
-      const version = content.version || `0.1.${versions.length}`;
-
-      versions.push({
-        version,
-        siteIndexId: siteIndex.id,
-        contentHash,
-        timestamp: new Date(siteIndex.created_at * 1000).toISOString(),
-        changeType: "patch", // Could be inferred from content changes
-        routes: [...new Set(routes)], // Deduplicate
-        entrypointId: null, // Would need to query entrypoint separately
-      });
-
-      // Set current version to the newest (first in sorted array)
-      if (versions.length === 1) {
-        currentVersion = version;
-      }
-    } catch (error) {
-      console.warn(
-        `  ⚠ Failed to parse site index ${siteIndex.id}: ${error.message}`
-      );
-    }
+  console.log(
+    `✓ Reconstructed ${history.versions.length} version(s) from relays`
+  );
+  if (history.currentEntry) {
+    console.log(
+      `  Live: ${formatVersionLabel(history.currentEntry)} (d=${
+        history.liveDTag
+      })`
+    );
+  } else if (history.liveDTag) {
+    console.warn(
+      `  ⚠ Entrypoint points to site index d=${history.liveDTag}, which no relay has`
+    );
   }
+  const neverLive = history.versions.filter((v) => v.neverLive).length;
+  if (neverLive > 0) {
+    console.log(`  ${neverLive} site index(es) were never live`);
+  }
+  console.log("");
 
-  console.log(`✓ Reconstructed ${versions.length} version(s) from relays\n`);
-
-  return {
-    current: currentVersion,
-    versions,
-  };
+  return history;
 }
 
 /**
@@ -256,21 +259,25 @@ export async function queryVersionHistory(relayUrls, pubkey) {
 export async function rebuildCacheFromRelays(relayUrls, pubkey) {
   console.log("🔄 Rebuilding cache from Nostr relays...\n");
 
-  const [assets, manifests, versionHistory] = await Promise.all([
+  // The site index the entrypoint points at, not the newest one; its
+  // manifests are the ones to reuse
+  const versionHistory = await queryVersionHistory(relayUrls, pubkey);
+  const live = versionHistory.currentEntry;
+  const [assets, manifests] = await Promise.all([
     queryExistingAssets(relayUrls, pubkey),
-    queryExistingManifests(relayUrls, pubkey),
-    queryVersionHistory(relayUrls, pubkey),
+    queryExistingManifests(
+      relayUrls,
+      pubkey,
+      Object.values(live?.routeManifests || {})
+    ),
   ]);
-
-  // Get latest site index from version history
-  const latestVersion = versionHistory.versions[0];
-  const siteIndex = latestVersion
+  const siteIndex = live
     ? {
-        id: latestVersion.siteIndexId,
-        contentHash: latestVersion.contentHash,
-        truncatedHash: latestVersion.contentHash,
-        routes: {}, // Would need to reconstruct from manifest queries
-        version: latestVersion.version,
+        id: live.siteIndexId,
+        contentHash: live.fullHash,
+        truncatedHash: live.contentHash,
+        routes: live.routeManifests,
+        version: live.version,
       }
     : null;
 
@@ -280,7 +287,10 @@ export async function rebuildCacheFromRelays(relayUrls, pubkey) {
     siteIndex,
     version: { major: 0, minor: 0, patch: 0 }, // Parsed from current version
     versionHistory: [],
-    entrypoint: null,
+    entrypoint:
+      live && versionHistory.entrypointId
+        ? { id: versionHistory.entrypointId, siteIndexHash: live.contentHash }
+        : null,
   };
 
   console.log("✅ Cache rebuilt successfully from relays\n");
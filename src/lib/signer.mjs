@@ -0,0 +1,227 @@
+/**
+ * Event Signers
+ *
+ * Commands sign events through a signer instead of handling raw keys:
+ * - Local signer: holds the site key in memory (NOSTR_SK_HEX or keypair file)
+ * - Bunker signer: asks a NIP-46 remote signer (bunker://) to sign, so the
+ *   site key never has to be present on the machine that publishes
+ * - Planning signer: computes event IDs without signing, for dry runs
+ *
+ * All expose the same interface: { type, pubkey, npub, getPublicKey(),
+ * signEvent(draft), close() }.
+ */
+
+import {
+  finalizeEvent,
+  generateSecretKey,
+  getEventHash,
+  nip19,
+} from "nostr-tools";
+import {
+  BunkerSigner,
+  BUNKER_REGEX,
+  parseBunkerInput,
+} from "nostr-tools/nip46";
+import { NETWORK } from "./constants.mjs";
+import {
+  getPublicKeyFromPrivate,
+  hexToUint8Array,
+  normalizePrivateKey,
+  resolvePrivateKey,
+} from "./keypair.mjs";
+import { ConfigError, NetworkError } from "../utils/errors.mjs";
+import { logger } from "../utils/logger.mjs";
+
+/**
+ * Check whether a string is a bunker:// URI
+ *
+ * @param {string} uri - URI to check
+ * @returns {boolean} True if valid
+ */
+export function isBunkerUri(uri) {
+  return typeof uri === "string" && BUNKER_REGEX.test(uri.trim());
+}
+
+/**
+ * Reject if a promise doesn't settle in time
+ *
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Timeout in milliseconds
+ * @param {string} message - Error message on timeout
+ * @returns {Promise} Result of the promise
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new NetworkError(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create a signer that signs with a local private key
+ *
+ * @param {string} skHex - Private key (hex or nsec)
+ * @returns {Object} Signer
+ */
+export function createLocalSigner(skHex) {
+  const SK = hexToUint8Array(normalizePrivateKey(skHex));
+  const pubkey = getPublicKeyFromPrivate(skHex);
+
+  return {
+    type: "local",
+    pubkey,
+    npub: nip19.npubEncode(pubkey),
+    getPublicKey: async () => pubkey,
+    signEvent: async (draft) => finalizeEvent({ ...draft }, SK),
+    close: async () => {},
+  };
+}
+
+/**
+ * Create a signer that only computes event IDs
+ *
+ * Used to plan a deploy (`deploy --dry-run`): events get their pubkey and ID
+ * but an empty signature, so no private key or passphrase is needed.
+ *
+ * @param {string} pubkey - Public key (hex)
+ * @returns {Object} Signer
+ */
+export function createPlanningSigner(pubkey) {
+  return {
+    type: "unsigned",
+    pubkey,
+    npub: nip19.npubEncode(pubkey),
+    getPublicKey: async () => pubkey,
+    signEvent: async (draft) => {
+      const event = { ...draft, pubkey };
+      return { ...event, id: getEventHash(event), sig: "" };
+    },
+    close: async () => {},
+  };
+}
+
+/**
+ * Create a signer backed by a NIP-46 remote signer (bunker)
+ *
+ * Connects with a throwaway client key, sends `connect` (with the secret from
+ * the URI, if any) and fetches the user's public key.
+ *
+ * @param {string} uri - bunker://<pubkey>?relay=...&secret=...
+ * @param {Object} options - { pool, clientSecretKey, timeout }
+ * @returns {Promise<Object>} Signer
+ * @throws {ConfigError} If the URI is invalid
+ * @throws {NetworkError} If the bunker doesn't answer in time
+ */
+export async function createBunkerSigner(uri, options = {}) {
+  const { timeout = NETWORK.RELAY_TIMEOUT } = options;
+
+  if (!isBunkerUri(uri)) {
+    throw new ConfigError(
+      "Invalid bunker URI. Expected bunker://<remote-signer-pubkey>?relay=wss://..."
+    );
+  }
+
+  const pointer = await parseBunkerInput(uri.trim());
+  if (!pointer || pointer.relays.length === 0) {
+    throw new ConfigError("Bunker URI must include at least one ?relay=");
+  }
+
+  const bunker = BunkerSigner.fromBunker(
+    options.clientSecretKey || generateSecretKey(),
+    pointer,
+    {
+      pool: options.pool,
+      onauth: (url) =>
+        logger.warn(`Remote signer asks you to approve this client: ${url}`),
+    }
+  );
+
+  let pubkey;
+  try {
+    await withTimeout(
+      bunker.connect(),
+      timeout,
+      `Remote signer did not answer on ${pointer.relays.join(", ")}`
+    );
+    pubkey = await withTimeout(
+      bunker.getPublicKey(),
+      timeout,
+      "Remote signer did not return a public key"
+    );
+  } catch (error) {
+    await bunker.close().catch(() => {});
+    if (error instanceof NetworkError) throw error;
+    throw new NetworkError(
+      `Remote signer refused to connect: ${error.message || error}`
+    );
+  }
+
+  return {
+    type: "bunker",
+    pubkey,
+    npub: nip19.npubEncode(pubkey),
+    getPublicKey: async () => pubkey,
+    signEvent: async (draft) => {
+      let event;
+      try {
+        event = await withTimeout(
+          bunker.signEvent({ ...draft }),
+          timeout,
+          `Remote signer did not sign kind ${draft.kind} event in time`
+        );
+      } catch (error) {
+        if (error instanceof NetworkError) throw error;
+        throw new NetworkError(
+          `Remote signer refused to sign: ${error.message || error}`
+        );
+      }
+      if (event.pubkey !== pubkey) {
+        throw new NetworkError(
+          `Remote signer signed with ${event.pubkey} instead of ${pubkey}`
+        );
+      }
+      return event;
+    },
+    close: () => bunker.close(),
+  };
+}
+
+/**
+ * Resolve the signer for the site
+ *
+ * A configured bunker URI wins over local keys, so CI runners can publish
+ * without ever holding the site key.
+ *
+ * @param {Object} options - { bunker, siteDir, keyFile, keyFileSource, env, pool }
+ * @returns {Promise<Object|null>} Signer, or null if nothing is configured
+ * @throws {ConfigError|NetworkError} If the configured signer can't be used
+ */
+export async function resolveSigner(options = {}) {
+  if (options.bunker) {
+    return createBunkerSigner(options.bunker, options);
+  }
+
+  const keypair = await resolvePrivateKey(options);
+  if (!keypair) {
+    return null;
+  }
+  return { ...createLocalSigner(keypair.privateKey), source: keypair.source };
+}
+
+/**
+ * Get the signer for the site or throw
+ *
+ * @param {Object} options - See resolveSigner
+ * @returns {Promise<Object>} Signer
+ * @throws {ConfigError} If no key or bunker is configured
+ */
+export async function getSigner(options = {}) {
+  const signer = await resolveSigner(options);
+  if (!signer) {
+    throw new ConfigError(
+      "No signer configured. Set NOSTR_SK_HEX, create .nweb-keypair.json, or set a bunker URI (NWEB_BUNKER / --bunker)"
+    );
+  }
+  return signer;
+}
@@ -0,0 +1,219 @@
+/**
+ * Version Diffs
+ *
+ * File-level comparison of two versions of a site. Each route's files come
+ * from the asset events its manifest references; files are matched by path
+ * where asset events carry one, then by content hash, then by MIME type in
+ * manifest order (the HTML first, then CSS and JS as published).
+ */
+
+import { getAssetSize } from "./assets.mjs";
+import { getAssetPath } from "./events.mjs";
+
+// Larger inputs are shown as fully replaced instead of diffed line by line
+const MAX_DIFF_CELLS = 2000 * 2000;
+
+// Types whose content `versions compare --diff` prints
+export const DIFFABLE_TYPES = [
+  "text/html",
+  "text/css",
+  "text/javascript",
+  "application/javascript",
+];
+
+/**
+ * Describe an asset of a manifest for comparison
+ *
+ * @param {string} id - Asset event ID
+ * @param {Map<string, Object>} assets - Asset and chunk events by ID
+ * @returns {Object} { id, hash, mime, size, name, missing }
+ */
+export function describeAsset(id, assets) {
+  const event = assets.get(id);
+  if (!event) {
+    return {
+      id,
+      hash: null,
+      mime: "unknown",
+      size: null,
+      name: null,
+      missing: true,
+    };
+  }
+
+  const tag = (name) => event.tags.find((t) => t[0] === name)?.[1] || null;
+  return {
+    id,
+    hash: tag("x"),
+    mime: tag("m") || "unknown",
+    size: getAssetSize(event, assets),
+    name: getAssetPath(event),
+    missing: false,
+  };
+}
+
+/**
+ * Check whether two described assets have the same content
+ */
+function sameContent(a, b) {
+  return a.id === b.id || (a.hash !== null && a.hash === b.hash);
+}
+
+/**
+ * Match the files of a route between two versions
+ *
+ * @param {Array<Object>} before - Described assets of the old manifest
+ * @param {Array<Object>} after - Described assets of the new manifest
+ * @returns {Array<Object>} { status, before, after } with status added,
+ *   removed, changed or unchanged
+ */
+export function diffRouteAssets(before, after) {
+  const remaining = [...before];
+  const take = (predicate) => {
+    const index = remaining.findIndex(predicate);
+    return index === -1 ? null : remaining.splice(index, 1)[0];
+  };
+
+  const pairs = after.map((file) => ({ before: null, after: file }));
+  for (const pair of pairs) {
+    if (pair.after.name) {
+      pair.before = take((file) => file.name === pair.after.name);
+    }
+  }
+  for (const pair of pairs.filter((p) => !p.before)) {
+    pair.before = take((file) => sameContent(file, pair.after));
+  }
+  for (const pair of pairs.filter((p) => !p.before)) {
+    pair.before = take(
+      (file) =>
+        (!file.name || !pair.after.name) && file.mime === pair.after.mime
+    );
+  }
+
+  return [
+    ...pairs.map(({ before: old, after: file }) => ({
+      status: !old ? "added" : sameContent(old, file) ? "unchanged" : "changed",
+      before: old,
+      after: file,
+    })),
+    ...remaining.map((file) => ({
+      status: "removed",
+      before: file,
+      after: null,
+    })),
+  ];
+}
+
+/**
+ * Compute line operations turning one list of lines into another
+ *
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<Object>} { type: " " | "-" | "+", line }
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const keep = (line) => ({ type: " ", line });
+  const ops = a.slice(0, start).map(keep);
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+    ops.push(...midA.map((line) => ({ type: "-", line })));
+    ops.push(...midB.map((line) => ({ type: "+", line })));
+  } else {
+    // Longest common subsequence lengths of the suffixes
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    const at = (i, j) => i * (m + 1) + j;
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[at(i, j)] =
+          midA[i] === midB[j]
+            ? lcs[at(i + 1, j + 1)] + 1
+            : Math.max(lcs[at(i + 1, j)], lcs[at(i, j + 1)]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && midA[i] === midB[j]) {
+        ops.push(keep(midA[i]));
+        i++;
+        j++;
+      } else if (i < n && (j === m || lcs[at(i + 1, j)] >= lcs[at(i, j + 1)])) {
+        ops.push({ type: "-", line: midA[i++] });
+      } else {
+        ops.push({ type: "+", line: midB[j++] });
+      }
+    }
+  }
+
+  ops.push(...a.slice(endA).map(keep));
+  return ops;
+}
+
+/**
+ * Build a unified diff of two texts
+ *
+ * @param {string} oldText - Old content
+ * @param {string} newText - New content
+ * @param {Object} options - { oldLabel, newLabel, context }
+ * @returns {string} Unified diff, or "" if the texts are equal
+ */
+export function unifiedDiff(oldText, newText, options = {}) {
+  const { oldLabel = "a", newLabel = "b", context = 3 } = options;
+  if (oldText === newText) {
+    return "";
+  }
+
+  const split = (text) => (text === "" ? [] : text.split(/\r?\n/));
+  const ops = diffLines(split(oldText), split(newText));
+  const changes = ops
+    .map((op, index) => (op.type === " " ? -1 : index))
+    .filter((index) => index !== -1);
+
+  // Group changes whose context overlaps into hunks
+  const groups = [];
+  for (const index of changes) {
+    const last = groups[groups.length - 1];
+    if (last && index - last.end <= context * 2 + 1) {
+      last.end = index;
+    } else {
+      groups.push({ start: index, end: index });
+    }
+  }
+
+  const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const group of groups) {
+    const from = Math.max(0, group.start - context);
+    const to = Math.min(ops.length, group.end + context + 1);
+    const before = ops.slice(0, from);
+    const hunk = ops.slice(from, to);
+
+    const oldStart = before.filter((op) => op.type !== "+").length;
+    const newStart = before.filter((op) => op.type !== "-").length;
+    const oldCount = hunk.filter((op) => op.type !== "+").length;
+    const newCount = hunk.filter((op) => op.type !== "-").length;
+
+    lines.push(
+      `@@ -${oldCount ? oldStart + 1 : oldStart},${oldCount} +${
+        newCount ? newStart + 1 : newStart
+      },${newCount} @@`
+    );
+    lines.push(...hunk.map((op) => `${op.type}${op.line}`));
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,202 @@
+/**
+ * Version History
+ *
+ * Builds the version history of a site from its site index (kind 31126) and
+ * entrypoint (kind 11126) events. The live version is the site index the
+ * newest entrypoint's `a` tag points at, not the newest site index: a deploy
+ * can publish a site index and then fail before moving the entrypoint.
+ *
+ * Site indexes created after the live entrypoint were never live. Older ones
+ * were live at some point unless the site was rolled back past them.
+ */
+
+import { EVENT_KINDS } from "./constants.mjs";
+import { getChunkIds } from "./assets.mjs";
+import {
+  getAddressReference,
+  getEventReferences,
+  parseAddress,
+} from "./events.mjs";
+
+/**
+ * Get the site index d tag an entrypoint points at
+ *
+ * @param {Object} entrypoint - Entrypoint event
+ * @returns {string|null} d tag, or null if the entrypoint doesn't point at
+ *   a site index of its own author
+ */
+export function getEntrypointTarget(entrypoint) {
+  const address = getAddressReference(entrypoint);
+  if (!address) {
+    return null;
+  }
+
+  const { kind, pubkey, dTag } = parseAddress(address);
+  if (kind !== EVENT_KINDS.SITE_INDEX || pubkey !== entrypoint.pubkey) {
+    return null;
+  }
+  return dTag || null;
+}
+
+/**
+ * Parse a site index event into a version entry
+ *
+ * @param {Object} event - Site index event
+ * @returns {Object|null} Version entry, or null if the event is malformed
+ */
+function parseSiteIndex(event) {
+  const dTag = event.tags.find((t) => t[0] === "d")?.[1];
+  if (!dTag) {
+    return null;
+  }
+
+  let content;
+  try {
+    content = JSON.parse(event.content || "{}");
+  } catch {
+    return null;
+  }
+
+  const routeManifests = content.routes || {};
+  return {
+    version: content.version || null,
+    siteIndexId: event.id,
+    entrypointId: null,
+    contentHash: dTag,
+    fullHash: event.tags.find((t) => t[0] === "x")?.[1] || null,
+    timestamp: new Date(event.created_at * 1000).toISOString(),
+    created_at: event.created_at,
+    routes: Object.keys(routeManifests).sort(),
+    routeManifests,
+    defaultRoute: content.defaultRoute,
+    notFoundRoute: content.notFoundRoute || null,
+    notFoundPage:
+      Object.keys(routeManifests).find(
+        (route) => routeManifests[route] === content.notFoundRoute
+      ) || null,
+    aliases: content.aliases || {},
+    redirects: content.redirects || [],
+    trailingSlash: content.trailingSlash || null,
+    live: false,
+    neverLive: false,
+  };
+}
+
+/**
+ * Build the version history of a site
+ *
+ * Events may come from several relays and include duplicates. For each d tag
+ * only the newest site index is kept, as relays do for addressable events.
+ *
+ * @param {Array<Object>} siteIndexEvents - Site index events of the site
+ * @param {Array<Object>} entrypointEvents - Entrypoint events of the site
+ * @returns {Object} { current, currentEntry, liveDTag, entrypointId, versions }
+ *   with versions sorted oldest first. current is null if no entrypoint
+ *   points at a versioned site index.
+ */
+export function buildVersionHistory(siteIndexEvents, entrypointEvents = []) {
+  const byDTag = new Map();
+  for (const event of siteIndexEvents) {
+    const entry = parseSiteIndex(event);
+    if (!entry) {
+      continue;
+    }
+    const existing = byDTag.get(entry.contentHash);
+    if (!existing || existing.created_at < entry.created_at) {
+      byDTag.set(entry.contentHash, entry);
+    }
+  }
+
+  const entrypoints = entrypointEvents
+    .filter((event) => getEntrypointTarget(event))
+    .sort((a, b) => b.created_at - a.created_at);
+  const liveEntrypoint = entrypoints[0] || null;
+  const liveDTag = liveEntrypoint ? getEntrypointTarget(liveEntrypoint) : null;
+
+  // Older entrypoints still held by some relay show what was live before
+  for (const entrypoint of [...entrypoints].reverse()) {
+    const entry = byDTag.get(getEntrypointTarget(entrypoint));
+    if (entry) {
+      entry.entrypointId = entrypoint.id;
+    }
+  }
+
+  const versions = [...byDTag.values()].sort(
+    (a, b) => a.created_at - b.created_at
+  );
+  for (const entry of versions) {
+    entry.live = entry.contentHash === liveDTag;
+    entry.neverLive =
+      !entry.live &&
+      (!liveEntrypoint || entry.created_at > liveEntrypoint.created_at);
+  }
+
+  const currentEntry = liveDTag ? byDTag.get(liveDTag) || null : null;
+  return {
+    current: currentEntry?.version || null,
+    currentEntry,
+    liveDTag,
+    entrypointId: liveEntrypoint?.id || null,
+    versions,
+    totalVersions: versions.length,
+  };
+}
+
+/**
+ * List the events a version needs to be served
+ *
+ * Asset IDs are only known once the manifests are, and chunk IDs once the
+ * assets are, so call this again after fetching the events it returned.
+ *
+ * @param {Object} entry - Version entry
+ * @param {Map<string, Object>} events - Known events by ID
+ * @returns {Object} { ids, unresolved } where unresolved lists the IDs not
+ *   in events
+ */
+export function getVersionEventIds(entry, events) {
+  const ids = new Set([entry.siteIndexId]);
+  for (const manifestId of Object.values(entry.routeManifests)) {
+    ids.add(manifestId);
+    const manifest = events.get(manifestId);
+    for (const assetId of manifest ? getEventReferences(manifest) : []) {
+      ids.add(assetId);
+      const asset = events.get(assetId);
+      for (const chunkId of asset ? getChunkIds(asset) : []) {
+        ids.add(chunkId);
+      }
+    }
+  }
+
+  return {
+    ids: [...ids],
+    unresolved: [...ids].filter((id) => !events.has(id)),
+  };
+}
+
+/**
+ * Find a version by version number or site index d tag
+ *
+ * @param {Object} history - From buildVersionHistory()
+ * @param {string} ref - Version (e.g. 1.2.0) or d tag
+ * @returns {Object|null} Version entry
+ */
+export function findVersion(history, ref) {
+  const matches = history.versions.filter((v) => v.version === ref);
+  if (matches.length > 0) {
+    // Prefer the live one, then the newest
+    return matches.find((v) => v.live) || matches[matches.length - 1];
+  }
+  return history.versions.find((v) => v.contentHash === ref) || null;
+}
+
+/**
+ * Format a version entry for display
+ *
+ * @param {Object} entry - Version entry
+ * @returns {string} e.g. "v1.2.0" or "unversioned (d=1a2b3c4d)"
+ */
+export function formatVersionLabel(entry) {
+  return entry.version
+    ? `v${entry.version}`
+    : `unversioned (d=${entry.contentHash})`;
+}
@@ -0,0 +1,241 @@
+/**
+ * Site Versioning
+ *
+ * Computes the version of a deploy from what changed since the previous
+ * site index. The strategy is set with the `versionStrategy` setting:
+ * - semver: routes added or removed bump minor, changed pages or routing
+ *   rules (redirects, aliases) bump patch
+ * - conventional: like semver, but removed routes are breaking (major)
+ * - timestamp: YYYY.MMDD.HHMMSS (UTC) whenever something changed
+ * - manual: every deploy needs --version or --bump
+ *
+ * A deploy that changes nothing keeps the current version, so the site
+ * index (whose hash includes the version) is reused instead of republished.
+ */
+
+import { VERSION } from "./constants.mjs";
+import { ValidationError } from "../utils/errors.mjs";
+
+export const VERSION_STRATEGIES = [
+  VERSION.STRATEGY_SEMVER,
+  VERSION.STRATEGY_CONVENTIONAL,
+  VERSION.STRATEGY_TIMESTAMP,
+  VERSION.STRATEGY_MANUAL,
+];
+
+export const BUMP_TYPES = ["major", "minor", "patch"];
+
+/**
+ * Parse and validate semantic version string
+ *
+ * @param {string} versionStr - Version string in format X.Y.Z
+ * @returns {string|null} Normalized version, or null if invalid
+ */
+export function parseVersion(versionStr) {
+  if (!versionStr || typeof versionStr !== "string") {
+    return null;
+  }
+
+  const parts = versionStr.split(".");
+  if (parts.length !== 3 || !parts.every((part) => /^\d+$/.test(part))) {
+    return null;
+  }
+
+  return parts.map((part) => parseInt(part)).join(".");
+}
+
+/**
+ * Increment a version
+ *
+ * @param {string} currentVersion - Version in format X.Y.Z
+ * @param {string} bump - major, minor or patch
+ * @returns {string} Next version
+ */
+export function incrementVersion(currentVersion, bump = "patch") {
+  const [major, minor, patch] = currentVersion.split(".").map(Number);
+
+  switch (bump) {
+    case "major":
+      return `${major + 1}.0.0`;
+    case "minor":
+      return `${major}.${minor + 1}.0`;
+    case "patch":
+    default:
+      return `${major}.${minor}.${patch + 1}`;
+  }
+}
+
+/**
+ * Get the highest of some versions
+ *
+ * @param {Array<string>} versions - Versions; invalid ones are skipped
+ * @returns {string|null} Highest X.Y.Z version, or null if there is none
+ */
+export function highestVersion(versions) {
+  return versions
+    .map(parseVersion)
+    .filter(Boolean)
+    .reduce((highest, version) => {
+      if (!highest) return version;
+      const a = version.split(".").map(Number);
+      const b = highest.split(".").map(Number);
+      const i = a.findIndex((part, index) => part !== b[index]);
+      return i !== -1 && a[i] > b[i] ? version : highest;
+    }, null);
+}
+
+/**
+ * Build a timestamp version (YYYY.MMDD.HHMMSS in UTC)
+ *
+ * Leading zeros are dropped so the result is still a valid X.Y.Z version
+ * that sorts in time order.
+ *
+ * @param {Date} date - Deploy time
+ * @returns {string} Version
+ */
+export function timestampVersion(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  const monthDay = `${date.getUTCMonth() + 1}${pad(date.getUTCDate())}`;
+  const time = `${date.getUTCHours()}${pad(date.getUTCMinutes())}${pad(
+    date.getUTCSeconds()
+  )}`;
+  return parseVersion(`${date.getUTCFullYear()}.${monthDay}.${time}`);
+}
+
+/**
+ * Compare the routes of two site indexes
+ *
+ * @param {Object} previousRoutes - route -> manifest ID of the previous site index
+ * @param {Object} nextRoutes - route -> manifest ID of the new site index
+ * @returns {Object} { added, removed, changed } sorted route lists
+ */
+export function classifyChanges(previousRoutes = {}, nextRoutes = {}) {
+  const before = Object.keys(previousRoutes);
+  const after = Object.keys(nextRoutes);
+
+  return {
+    added: after.filter((route) => !(route in previousRoutes)).sort(),
+    removed: before.filter((route) => !(route in nextRoutes)).sort(),
+    changed: after
+      .filter(
+        (route) =>
+          route in previousRoutes && previousRoutes[route] !== nextRoutes[route]
+      )
+      .sort(),
+  };
+}
+
+/**
+ * Get the bump a set of changes calls for
+ *
+ * @param {Object} changes - From classifyChanges(), plus `routing` when the
+ *   routing rules of the site index changed
+ * @param {string} strategy - semver or conventional
+ * @returns {string} major, minor, patch or none
+ */
+export function detectChangeType(changes, strategy = VERSION.STRATEGY_SEMVER) {
+  if (changes.removed.length > 0) {
+    return strategy === VERSION.STRATEGY_CONVENTIONAL ? "major" : "minor";
+  }
+  if (changes.added.length > 0) {
+    return "minor";
+  }
+  return changes.changed.length > 0 || changes.routing ? "patch" : "none";
+}
+
+/**
+ * Check the version flags of a deploy before anything is published
+ *
+ * @param {Object} options - { strategy, custom, bump }
+ * @throws {ValidationError} If the flags conflict or the strategy needs one
+ */
+export function validateVersionOptions({ strategy, custom, bump }) {
+  if (bump && !BUMP_TYPES.includes(bump)) {
+    throw new ValidationError(
+      `Invalid --bump "${bump}". Use ${BUMP_TYPES.join(", ")}`
+    );
+  }
+  if (bump && custom) {
+    throw new ValidationError("Use either --version or --bump, not both");
+  }
+  if (bump && strategy === VERSION.STRATEGY_TIMESTAMP) {
+    throw new ValidationError(
+      "--bump doesn't apply to the timestamp version strategy"
+    );
+  }
+  if (strategy === VERSION.STRATEGY_MANUAL && !custom && !bump) {
+    throw new ValidationError(
+      "The manual version strategy needs --version=X.Y.Z or --bump=major|minor|patch"
+    );
+  }
+}
+
+/**
+ * Compute the version of a deploy
+ *
+ * @param {Object} options - Version inputs
+ * @param {string} options.current - Current version
+ * @param {Array<string>} options.published - Versions already published;
+ *   bumps start from the highest, so a deploy after a rollback never reuses
+ *   the version of a newer site index
+ * @param {Object|null} options.previousRoutes - Routes of the previous site
+ *   index (null on the first deploy)
+ * @param {Object} options.nextRoutes - Routes of the new site index
+ * @param {boolean} options.routingChanged - Whether the redirects, aliases
+ *   or other routing rules of the site index changed
+ * @param {string} options.strategy - Version strategy
+ * @param {string} options.custom - Version from --version
+ * @param {string} options.bump - Bump from --bump
+ * @param {Date} options.date - Deploy time (timestamp strategy)
+ * @returns {Object} { version, changeType, changes }
+ */
+export function computeNextVersion(options) {
+  const {
+    current,
+    published = [],
+    previousRoutes = null,
+    nextRoutes = {},
+    routingChanged = false,
+    strategy = VERSION.STRATEGY_SEMVER,
+    custom = null,
+    bump = null,
+    date = new Date(),
+  } = options;
+  const changes = {
+    ...classifyChanges(previousRoutes || {}, nextRoutes),
+    routing: routingChanged,
+  };
+  const base = highestVersion([current, ...published]) || current;
+
+  if (custom) {
+    return { version: custom, changeType: "manual", changes };
+  }
+  if (bump) {
+    return {
+      version: incrementVersion(base, bump),
+      changeType: bump,
+      changes,
+    };
+  }
+
+  if (!previousRoutes) {
+    const version =
+      strategy === VERSION.STRATEGY_TIMESTAMP
+        ? timestampVersion(date)
+        : current;
+    return { version, changeType: "initial", changes };
+  }
+
+  const changeType = detectChangeType(changes, strategy);
+  if (changeType === "none") {
+    return { version: current, changeType, changes };
+  }
+  if (strategy === VERSION.STRATEGY_TIMESTAMP) {
+    return { version: timestampVersion(date), changeType, changes };
+  }
+  return {
+    version: incrementVersion(base, changeType),
+    changeType,
+    changes,
+  };
+}
@@ -0,0 +1,325 @@
+/**
+ * Multi-site Workspaces
+ *
+ * A project config can list several sites, each with its own directory,
+ * key source, relays and host:
+ *
+ *   "sites": {
+ *     "blog": { "dir": "sites/blog", "host": "blog.example.com" },
+ *     "docs": { "dir": "sites/docs", "keyEnv": "DOCS_SK", "relays": [...] }
+ *   }
+ *
+ * A site's "headers" map (see lib/headers.mjs) replaces the project's.
+ *
+ * Settings a site leaves out fall back to the rest of the config
+ * (flag > site > env > project config > default). The signing key never
+ * falls back: each site uses its own keyFile, bunker, keyEnv variable or the
+ * keypair file in its directory, so a shared NOSTR_SK_HEX can't end up
+ * publishing every site under one identity.
+ */
+
+import path from "node:path";
+import { nip19 } from "nostr-tools";
+import { FILES } from "./constants.mjs";
+import {
+  CONFIG_KEYS,
+  findFlagValue,
+  loadConfig,
+  readProjectConfig,
+} from "./config.mjs";
+import { resolvePublicKey } from "./keypair.mjs";
+import { logger } from "../utils/logger.mjs";
+import { ConfigError, ValidationError } from "../utils/errors.mjs";
+
+const SITE_NAME_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+
+// Settings that select the signing key and never come from outside the site
+const KEY_SETTINGS = ["keyFile", "bunker"];
+const KEY_ENV_VARS = ["NOSTR_SK_HEX", "NWEB_KEY_FILE", "NWEB_BUNKER"];
+
+/**
+ * Parse a site's public key (npub or hex)
+ *
+ * @param {string} name - Site name (for error messages)
+ * @param {string} value - npub or hex public key
+ * @returns {string} Hex public key
+ * @throws {ConfigError} If the key is invalid
+ */
+function parseSitePubkey(name, value) {
+  const str = String(value).trim();
+  if (/^[0-9a-f]{64}$/i.test(str)) {
+    return str.toLowerCase();
+  }
+  try {
+    const { type, data } = nip19.decode(str);
+    if (type === "npub") {
+      return data;
+    }
+  } catch {
+    // Fall through to the error below
+  }
+  throw new ConfigError(`Site "${name}": pubkey must be an npub or hex key`);
+}
+
+/**
+ * Read the sites listed in a project config
+ *
+ * @param {Object} projectConfig - Contents of .nweb.config.json
+ * @param {string} dir - Project directory (site dirs are relative to it)
+ * @returns {Array<Object>} Sites: { name, dir, settings, keyEnv, pubkey,
+ *   headers }
+ * @throws {ConfigError} If the sites map is malformed
+ */
+export function readWorkspaceSites(projectConfig, dir = process.cwd()) {
+  const sites = projectConfig.sites;
+  if (sites === undefined) {
+    return [];
+  }
+  if (!sites || typeof sites !== "object" || Array.isArray(sites)) {
+    throw new ConfigError(
+      `"sites" in ${FILES.CONFIG} must map site names to settings`
+    );
+  }
+
+  return Object.entries(sites).map(([name, entry]) => {
+    if (!SITE_NAME_PATTERN.test(name)) {
+      throw new ConfigError(
+        `Invalid site name "${name}". Use letters, digits, ".", "_" and "-"`
+      );
+    }
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      throw new ConfigError(`Site "${name}" must be an object`);
+    }
+    if (typeof entry.dir !== "string" || entry.dir.trim() === "") {
+      throw new ConfigError(`Site "${name}" needs a "dir"`);
+    }
+
+    const settings = {};
+    for (const [key, value] of Object.entries(entry)) {
+      if (CONFIG_KEYS[key]) {
+        settings[key] = value;
+      } else if (!["dir", "keyEnv", "pubkey", "headers"].includes(key)) {
+        throw new ConfigError(
+          `Unknown setting "${key}" for site "${name}". Known settings: dir, keyEnv, pubkey, headers, ${Object.keys(
+            CONFIG_KEYS
+          ).join(", ")}`
+        );
+      }
+    }
+
+    return {
+      name,
+      dir: path.resolve(dir, entry.dir),
+      settings,
+      keyEnv: entry.keyEnv ? String(entry.keyEnv).trim() : null,
+      pubkey:
+        entry.pubkey !== undefined ? parseSitePubkey(name, entry.pubkey) : null,
+      headers: entry.headers,
+    };
+  });
+}
+
+/**
+ * Get all sites of the workspace
+ *
+ * @param {Object} options - { dir }
+ * @returns {Array<Object>} Sites (see readWorkspaceSites)
+ * @throws {ConfigError} If the project config lists no sites
+ */
+export function getWorkspaceSites(options = {}) {
+  const dir = options.dir || process.cwd();
+  const sites = readWorkspaceSites(readProjectConfig(dir), dir);
+  if (sites.length === 0) {
+    throw new ConfigError(
+      `No sites configured. Add a "sites" map to ${FILES.CONFIG} to use a workspace`
+    );
+  }
+  return sites;
+}
+
+/**
+ * Get one site of the workspace by name
+ *
+ * @param {string} name - Site name
+ * @param {Object} options - { dir }
+ * @returns {Object} Site (see readWorkspaceSites)
+ * @throws {ValidationError} If there is no such site
+ */
+export function getWorkspaceSite(name, options = {}) {
+  const sites = getWorkspaceSites(options);
+  const site = sites.find((s) => s.name === name);
+  if (!site) {
+    throw new ValidationError(
+      `Unknown site "${name}". Sites: ${sites.map((s) => s.name).join(", ")}`
+    );
+  }
+  return site;
+}
+
+/**
+ * Build the environment a site's key is resolved with
+ *
+ * Shared key variables are blanked (not deleted, so dotenv in a child process
+ * doesn't restore them from .env); a site with `keyEnv` gets that variable as
+ * its NOSTR_SK_HEX.
+ *
+ * @param {Object} site - Site from the workspace
+ * @param {Object} env - Base environment
+ * @returns {Object} Environment for the site
+ * @throws {ConfigError} If the site's keyEnv variable is not set
+ */
+export function getSiteEnv(site, env = process.env) {
+  const siteEnv = { ...env };
+  for (const name of KEY_ENV_VARS) {
+    siteEnv[name] = "";
+  }
+
+  if (site.keyEnv) {
+    const key = env[site.keyEnv]?.trim();
+    if (!key) {
+      throw new ConfigError(
+        `Site "${site.name}" reads its key from ${site.keyEnv}, which is not set`
+      );
+    }
+    siteEnv.NOSTR_SK_HEX = key;
+  }
+
+  return siteEnv;
+}
+
+/**
+ * Load the effective config of a site
+ *
+ * @param {Object} site - Site from the workspace
+ * @param {Object} options - { argv, env, dir }
+ * @returns {Object} Config (see loadConfig)
+ * @throws {ConfigError|ValidationError} If a value is invalid
+ */
+export function loadSiteConfig(site, options = {}) {
+  const projectConfig = { ...readProjectConfig(options.dir) };
+  for (const key of KEY_SETTINGS) {
+    delete projectConfig[key];
+  }
+
+  return loadConfig({
+    ...options,
+    env: getSiteEnv(site, options.env),
+    projectConfig,
+    site: site.settings,
+  });
+}
+
+/**
+ * Get the key options of a site for resolvePublicKey / resolveSigner
+ *
+ * A site's keyFile can only come from the site or a --key-file flag, so it
+ * takes precedence over the key in its keyEnv variable.
+ *
+ * @param {Object} site - Site from the workspace
+ * @param {Object} config - Site config from loadSiteConfig
+ * @param {Object} env - Base environment
+ * @returns {Object} { siteDir, keyFile, keyFileSource, bunker, env, siteOnly }
+ */
+export function getSiteKeyOptions(site, config, env = process.env) {
+  return {
+    siteDir: site.dir,
+    keyFile: config.keyFile,
+    keyFileSource: "site",
+    bunker: config.bunker,
+    env: getSiteEnv(site, env),
+    siteOnly: true,
+  };
+}
+
+/**
+ * Resolve a site's public key without unlocking its private key
+ *
+ * @param {Object} site - Site from the workspace
+ * @param {Object} options - { argv, env, dir }
+ * @returns {Object} { pubkey, npub }
+ * @throws {ConfigError} If the site has no readable public key
+ */
+export function resolveSitePublicKey(site, options = {}) {
+  if (site.pubkey) {
+    return { pubkey: site.pubkey, npub: nip19.npubEncode(site.pubkey) };
+  }
+
+  const config = loadSiteConfig(site, options);
+  const keypair = resolvePublicKey(
+    getSiteKeyOptions(site, config, options.env)
+  );
+  if (keypair) {
+    return { pubkey: keypair.publicKey, npub: keypair.npub };
+  }
+
+  throw new ConfigError(
+    config.bunker
+      ? `Site "${site.name}" signs with a bunker. Add its "pubkey" to ${FILES.CONFIG} for read-only commands`
+      : `No key found for site "${site.name}". Set keyFile, keyEnv or bunker, or create ${FILES.KEYPAIR} in ${site.dir}`
+  );
+}
+
+/**
+ * Find the key flags of a command line
+ *
+ * --key-file and --bunker name one key, so a command run over every site
+ * must not take them: they would replace each site's own key settings.
+ *
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Array<string>} Key flags present (e.g. ["--key-file"])
+ */
+export function findKeyFlags(argv) {
+  return KEY_SETTINGS.map((key) => CONFIG_KEYS[key].flag).filter((flag) =>
+    argv.some((arg) => arg === flag || arg.startsWith(`${flag}=`))
+  );
+}
+
+/**
+ * Split workspace flags from the rest of the arguments
+ *
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Object} { site, all, args } where args has both flags removed
+ */
+export function parseWorkspaceArgs(argv) {
+  const site = findFlagValue(argv, "--site") || null;
+  const args = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--all" || argv[i].startsWith("--site=")) {
+      continue;
+    }
+    if (argv[i] === "--site") {
+      if (site && argv[i + 1] === site) i++;
+      continue;
+    }
+    args.push(argv[i]);
+  }
+  return { site, all: argv.includes("--all"), args };
+}
+
+/**
+ * Print the combined summary of a command run over several sites
+ *
+ * @param {string} title - Summary title
+ * @param {Array<Object>} results - { name, ok, detail } per site
+ */
+export function printWorkspaceSummary(title, results) {
+  const width = Math.max(...results.map((r) => r.name.length));
+
+  logger.info("");
+  logger.separator();
+  logger.info(`${title}\n`);
+  for (const result of results) {
+    const line = `${result.name.padEnd(width)}  ${result.detail}`;
+    if (result.ok) {
+      logger.success(line);
+    } else {
+      logger.error(line);
+    }
+  }
+
+  const failed = results.filter((r) => !r.ok).length;
+  logger.info(
+    `\n   ${results.length} site(s), ${results.length - failed} ok, ${failed} failed`
+  );
+  logger.separator();
+}
@@ -9,6 +9,7 @@ import path from "node:path";
 import { LIMITS, FILES } from "../lib/constants.mjs";
 import { isValidRelayUrl } from "../lib/relay.mjs";
 import { isValidPrivateKey, isValidPublicKey } from "../lib/keypair.mjs";
+import { findCspViolations } from "../lib/headers.mjs";
 
 /**
  * Validate site directory exists and has required files
@@ -185,13 +186,36 @@ export function isValidJSON(jsonString) {
   }
 }
 
+// Elements that never have an end tag
+const VOID_ELEMENTS = [
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+];
+
 /**
  * Validate HTML basic structure
  *
+ * Warns about missing <html>, <head>, <body>, <title> and charset
+ * declarations, and about many more start tags than end tags (void elements
+ * and self-closing tags aside). With a Content-Security-Policy, also warns
+ * about inline scripts the policy would block.
+ *
  * @param {string} html - HTML content
+ * @param {Object} options - { csp } policy the page is served with
  * @returns {Object} Validation result
  */
-export function validateHTML(html) {
+export function validateHTML(html, options = {}) {
   const errors = [];
   const warnings = [];
 
@@ -213,14 +237,38 @@ export function validateHTML(html) {
     warnings.push("Missing <body> tag");
   }
 
-  // Check for unclosed tags (basic check)
-  const openTags = html.match(/<[^/][^>]*>/g) || [];
-  const closeTags = html.match(/<\/[^>]*>/g) || [];
+  const source = html.replace(/<!--[\s\S]*?-->/g, "");
+  if (!/<title\b[^>]*>\s*[^<\s][\s\S]*?<\/title>/i.test(source)) {
+    warnings.push("Missing or empty <title>");
+  }
+
+  if (
+    !/<meta\b[^>]*\bcharset\s*=/i.test(source) &&
+    !/<meta\b[^>]*content\s*=\s*["']?[^"'>]*charset=/i.test(source)
+  ) {
+    warnings.push("Missing <meta charset> declaration");
+  }
+
+  // Check for unclosed tags (basic check). Script and style bodies may
+  // hold "<" that isn't markup, so only their own tags are counted.
+  const markup = source.replace(
+    /(<(script|style)\b[^>]*>)[\s\S]*?(<\/\2\s*>)/gi,
+    "$1$3"
+  );
+  const openTags = [...markup.matchAll(/<([a-z][a-z0-9-]*)\b[^>]*>/gi)].filter(
+    ([tag, name]) =>
+      !VOID_ELEMENTS.includes(name.toLowerCase()) && !tag.endsWith("/>")
+  );
+  const closeTags = markup.match(/<\/[a-z][^>]*>/gi) || [];
 
   if (Math.abs(openTags.length - closeTags.length) > 5) {
     warnings.push("Possible unclosed tags detected");
   }
 
+  if (options.csp) {
+    warnings.push(...findCspViolations(html, options.csp));
+  }
+
   return {
     valid: errors.length === 0,
     errors,
@@ -0,0 +1,193 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import {
+  isTextMimeType,
+  encodeAssetContent,
+  decodeAssetContent,
+  verifyAssetIntegrity,
+  sha256Bytes,
+  splitIntoChunks,
+  exceedsSizeLimit,
+  isChunkedAsset,
+  getChunkIds,
+  getAssetSize,
+  expandChunkReferences,
+  formatAssetLabel,
+  listAssetLabels,
+} from "../src/lib/assets.mjs";
+
+// First bytes of a PNG file (not valid UTF-8)
+const PNG_BYTES = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff, 0xfe, 0x80,
+]);
+
+function assetEvent(buf, mimeType) {
+  const { content, tags } = encodeAssetContent(buf, mimeType);
+  return {
+    kind: 1125,
+    tags: [["m", mimeType], ["x", sha256Bytes(buf)], ...tags],
+    content,
+  };
+}
+
+test("isTextMimeType recognizes text types", () => {
+  assert.ok(isTextMimeType("text/html"));
+  assert.ok(isTextMimeType("text/css"));
+  assert.ok(isTextMimeType("application/javascript"));
+  assert.ok(isTextMimeType("application/json"));
+  assert.ok(isTextMimeType("image/svg+xml"));
+  assert.ok(!isTextMimeType("image/png"));
+  assert.ok(!isTextMimeType("font/woff2"));
+  assert.ok(!isTextMimeType("application/pdf"));
+});
+
+test("encodeAssetContent keeps text assets as UTF-8", () => {
+  const buf = Buffer.from("body { color: #333; } /* ünïcödé */", "utf8");
+  const { content, encoding, tags } = encodeAssetContent(buf, "text/css");
+
+  assert.equal(encoding, "utf8");
+  assert.equal(content, buf.toString("utf8"));
+  assert.deepEqual(tags, [], "Text assets should not get an encoding tag");
+});
+
+test("encodeAssetContent base64-encodes binary assets", () => {
+  const { content, encoding, tags } = encodeAssetContent(
+    PNG_BYTES,
+    "image/png"
+  );
+
+  assert.equal(encoding, "base64");
+  assert.equal(content, PNG_BYTES.toString("base64"));
+  assert.deepEqual(tags, [["encoding", "base64"]]);
+});
+
+test("encodeAssetContent falls back to base64 for invalid UTF-8 text", () => {
+  const { encoding } = encodeAssetContent(PNG_BYTES, "text/plain");
+  assert.equal(encoding, "base64", "Bytes must survive the round trip");
+});
+
+test("decodeAssetContent round-trips binary and text assets", () => {
+  const text = Buffer.from("<h1>Hello</h1>", "utf8");
+
+  assert.ok(
+    decodeAssetContent(assetEvent(PNG_BYTES, "image/png")).equals(PNG_BYTES)
+  );
+  assert.ok(decodeAssetContent(assetEvent(text, "text/html")).equals(text));
+});
+
+test("verifyAssetIntegrity checks the x tag against original bytes", () => {
+  const event = assetEvent(PNG_BYTES, "image/png");
+  assert.ok(verifyAssetIntegrity(event), "Encoded asset should verify");
+
+  // Simulate the old behavior: binary published as UTF-8 without encoding tag
+  const corrupted = {
+    ...event,
+    tags: event.tags.filter((t) => t[0] !== "encoding"),
+    content: PNG_BYTES.toString("utf8"),
+  };
+  assert.ok(!verifyAssetIntegrity(corrupted), "Corrupted asset should fail");
+});
+
+test("splitIntoChunks splits bytes in order", () => {
+  const buf = Buffer.alloc(10, 1);
+  const chunks = splitIntoChunks(buf, 4);
+
+  assert.deepEqual(
+    chunks.map((c) => c.length),
+    [4, 4, 2]
+  );
+  assert.ok(Buffer.concat(chunks).equals(buf));
+});
+
+test("exceedsSizeLimit measures encoded content in bytes", () => {
+  assert.ok(!exceedsSizeLimit("a".repeat(10), 10));
+  assert.ok(exceedsSizeLimit("a".repeat(11), 10));
+  assert.ok(
+    exceedsSizeLimit("é".repeat(6), 10),
+    "Multi-byte chars count as bytes"
+  );
+});
+
+test("chunked assets decode and verify through their chunks", () => {
+  const original = Buffer.concat([PNG_BYTES, PNG_BYTES, PNG_BYTES]);
+  const chunkEvents = splitIntoChunks(original, 16).map((chunk, i) => ({
+    id: `chunk${i}`,
+    ...assetEvent(chunk, "image/png"),
+  }));
+  const parent = {
+    kind: 1125,
+    tags: [
+      ["m", "image/png"],
+      ["x", sha256Bytes(original)],
+      ["size", String(original.length)],
+      ["chunks", String(chunkEvents.length)],
+      ...chunkEvents.map((c) => ["e", c.id, ""]),
+    ],
+    content: "",
+  };
+  const lookup = new Map(chunkEvents.map((c) => [c.id, c]));
+
+  assert.ok(isChunkedAsset(parent));
+  assert.deepEqual(getChunkIds(parent), ["chunk0", "chunk1", "chunk2"]);
+  assert.ok(decodeAssetContent(parent, lookup).equals(original));
+  assert.ok(verifyAssetIntegrity(parent, lookup));
+  assert.equal(getAssetSize(parent), original.length);
+
+  lookup.delete("chunk1");
+  assert.throws(() => decodeAssetContent(parent, lookup), /Missing chunk/);
+  assert.ok(!verifyAssetIntegrity(parent, lookup));
+});
+
+test("expandChunkReferences adds chunk IDs of referenced parents", () => {
+  const parent = {
+    id: "parent",
+    tags: [
+      ["chunks", "2"],
+      ["e", "c1", ""],
+      ["e", "c2", ""],
+    ],
+  };
+  const lookup = new Map([["parent", parent]]);
+
+  assert.deepEqual(
+    [...expandChunkReferences(["parent", "plain"], lookup)].sort(),
+    ["c1", "c2", "parent", "plain"]
+  );
+});
+
+test("asset labels use the path and leave out covered chunks", () => {
+  const chunk = (id, index) => ({
+    id,
+    tags: [
+      ["m", "image/png"],
+      ["chunk", String(index), "2"],
+    ],
+  });
+  const parent = {
+    id: "parent",
+    tags: [
+      ["m", "image/png"],
+      ["path", "img/hero.png"],
+      ["chunks", "2"],
+      ["e", "chunk0aa", ""],
+      ["e", "chunk1bb", ""],
+    ],
+  };
+  const legacy = { id: "0123456789abcdef", tags: [["m", "text/css"]] };
+
+  assert.equal(formatAssetLabel(parent), "img/hero.png");
+  assert.equal(formatAssetLabel(legacy), "01234567... (text/css)");
+  assert.equal(
+    formatAssetLabel(chunk("chunk1bb", 1)),
+    "chunk1bb... (image/png, chunk 2/2)"
+  );
+
+  assert.deepEqual(
+    listAssetLabels([chunk("chunk0aa", 0), chunk("chunk1bb", 1), parent]),
+    ["img/hero.png"]
+  );
+  assert.deepEqual(listAssetLabels([chunk("chunk1bb", 1), legacy], 1), [
+    "01234567... (text/css)",
+    "... and 1 more",
+  ]);
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import { generateKeypair } from "../src/lib/keypair.mjs";
+import { createLocalSigner } from "../src/lib/signer.mjs";
+import { createDeletionEvent } from "../src/lib/events.mjs";
+import {
+  getPublishStages,
+  parseBundle,
+  serializeBundle,
+} from "../src/lib/bundle.mjs";
+import { ValidationError } from "../src/utils/errors.mjs";
+
+async function buildBundle(signer = createLocalSigner(generateKeypair().nsec)) {
+  const sign = (kind, content) =>
+    signer.signEvent({ kind, created_at: 1700000000, tags: [], content });
+  const events = [
+    await sign(1125, "<h1>Hi</h1>"),
+    await sign(1125, "h1 { color: red; }"),
+    await sign(1126, "manifest"),
+    await sign(31126, "index"),
+    await sign(11126, ""),
+  ];
+  const rollback = await createDeletionEvent(
+    events.map((ev) => ev.id),
+    "Rollback",
+    signer
+  );
+  return {
+    pubkey: signer.pubkey,
+    version: "1.2.3",
+    relays: ["wss://relay.example.com"],
+    events,
+    rollback,
+  };
+}
+
+test("bundles round-trip through JSON Lines", async () => {
+  const bundle = await buildBundle();
+  const content = serializeBundle(bundle);
+  assert.equal(content.trim().split("\n").length, 7);
+
+  const parsed = parseBundle(content);
+  assert.equal(parsed.header.version, "1.2.3");
+  assert.equal(parsed.header.pubkey, bundle.pubkey);
+  assert.deepEqual(parsed.header.relays, ["wss://relay.example.com"]);
+  assert.deepEqual(parsed.events, bundle.events);
+  assert.deepEqual(parsed.rollback, bundle.rollback);
+});
+
+test("parseBundle rejects tampered or incomplete bundles", async () => {
+  const signer = createLocalSigner(generateKeypair().nsec);
+  const bundle = await buildBundle(signer);
+
+  const tampered = serializeBundle(bundle).replace("<h1>Hi", "<h1>Bye");
+  assert.throws(() => parseBundle(tampered), /line 2: invalid event signature/);
+
+  const other = await buildBundle();
+  const mixed = serializeBundle({
+    ...bundle,
+    events: [...bundle.events, other.events[0]],
+  });
+  assert.throws(() => parseBundle(mixed), /not the bundle pubkey/);
+
+  const partialRollback = serializeBundle({
+    ...bundle,
+    rollback: await createDeletionEvent(
+      [bundle.events[0].id],
+      "Rollback",
+      signer
+    ),
+  });
+  assert.throws(
+    () => parseBundle(partialRollback),
+    (error) =>
+      error instanceof ValidationError && /does not cover/.test(error.message)
+  );
+
+  assert.throws(() => parseBundle('{"type":"other"}\n'), /Not a deploy bundle/);
+  assert.throws(() => parseBundle("not json\n"), /Bundle line 1/);
+});
+
+test("getPublishStages publishes assets before what references them", async () => {
+  const { events } = await buildBundle();
+  const stages = getPublishStages([...events].reverse());
+  assert.deepEqual(
+    stages.map((stage) => stage.map((ev) => ev.kind)),
+    [[1125, 1125], [1126], [31126], [11126]]
+  );
+});
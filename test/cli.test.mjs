@@ -3,6 +3,16 @@ import { strict as assert } from "node:assert";
 import { spawn } from "node:child_process";
 import { fileURLToPath } from "node:url";
 import { dirname, join } from "node:path";
+import {
+  existsSync,
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from "node:fs";
+import { tmpdir } from "node:os";
+import { RELAY_ENV, startFakeRelay } from "./fake-relay.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -15,7 +25,7 @@ const nwebPath = join(projectRoot, "nw-publisher.mjs");
 function runCLI(args, options = {}) {
   return new Promise((resolve, reject) => {
     const proc = spawn("node", [nwebPath, ...args], {
-      cwd: projectRoot,
+      cwd: options.cwd || projectRoot,
       env: { ...process.env, ...options.env },
     });
 
@@ -113,7 +123,877 @@ test("versions command shows help", async () => {
   );
 });
 
-// Removed config command test since config command was removed
+test("versions rollback needs the site key and a published version", async () => {
+  const dir = mkdtempSync(join(tmpdir(), "nweb-rollback-"));
+  try {
+    const env = { RELAYS: "wss://127.0.0.1:1", NOSTR_SK_HEX: "" };
+
+    let result = await runCLI(["versions", "rollback", "1.0.0"], {
+      cwd: dir,
+      env,
+    });
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /No signer configured/);
+
+    result = await runCLI(["versions", "rollback", "a".repeat(64), "1.0.0"], {
+      cwd: dir,
+      env,
+    });
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /can't take an npub/);
+
+    result = await runCLI(["versions", "rollback", "1.0.0", "--yes"], {
+      cwd: dir,
+      env: { ...env, NOSTR_SK_HEX: "1".repeat(64) },
+    });
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /No site indexes found/);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("init command shows help", async () => {
+  const result = await runCLI(["init", "--help"]);
+  assert.equal(result.code, 0, "Init help should exit with code 0");
+  assert.match(
+    result.stdout,
+    /Usage:\s*nw-publisher\s+init/,
+    "Should use standardized nw-publisher command format"
+  );
+  assert.match(result.stdout, /hello-world/, "Should list example templates");
+});
+
+test("init scaffolds a deployable site", async () => {
+  const tmp = mkdtempSync(join(tmpdir(), "nweb-init-"));
+  const siteDir = join(tmp, "site");
+  try {
+    const result = await runCLI(["init", siteDir, "--template=hello-world"]);
+    assert.equal(result.code, 0, "Init should exit with code 0");
+
+    for (const file of [
+      "index.html",
+      "about.html",
+      ".gitignore",
+      ".env",
+      ".env.example",
+      ".nweb-keypair.json",
+    ]) {
+      assert.ok(existsSync(join(siteDir, file)), `Should create ${file}`);
+    }
+
+    const keypair = JSON.parse(
+      readFileSync(join(siteDir, ".nweb-keypair.json"), "utf8")
+    );
+    assert.match(keypair.privateKey, /^[0-9a-f]{64}$/);
+    assert.doesNotMatch(
+      result.stdout,
+      new RegExp(keypair.privateKey),
+      "Should not print the private key"
+    );
+
+    // Running again keeps the existing keypair
+    await runCLI(["init", siteDir, "--force"]);
+    const again = JSON.parse(
+      readFileSync(join(siteDir, ".nweb-keypair.json"), "utf8")
+    );
+    assert.equal(again.privateKey, keypair.privateKey);
+  } finally {
+    rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+test("init rejects unknown templates", async () => {
+  const result = await runCLI([
+    "init",
+    join(tmpdir(), "nweb-none"),
+    "--template=nope",
+  ]);
+  assert.notEqual(result.code, 0, "Unknown template should fail");
+  assert.match(result.stderr, /Unknown template/);
+  assert.ok(!existsSync(join(tmpdir(), "nweb-none")), "Should not create dir");
+});
+
+test("config command shows help", async () => {
+  const result = await runCLI(["config", "--help"]);
+  assert.equal(result.code, 0, "Config help should exit with code 0");
+  assert.match(
+    result.stdout,
+    /Usage:\s*nw-publisher\s+config/,
+    "Should use standardized nw-publisher command format"
+  );
+  assert.match(result.stdout, /generate/, "Should document generate");
+  assert.match(result.stdout, /import/, "Should document import");
+});
+
+test("config set stores settings in the project config", async () => {
+  const tmp = mkdtempSync(join(tmpdir(), "nweb-config-cli-"));
+  try {
+    const env = { RELAYS: "" };
+    const set = await runCLI(
+      ["config", "set", "relays", "wss://a.example.com"],
+      { cwd: tmp, env }
+    );
+    assert.equal(set.code, 0, "Config set should exit with code 0");
+
+    const stored = JSON.parse(
+      readFileSync(join(tmp, ".nweb.config.json"), "utf8")
+    );
+    assert.deepEqual(stored, { relays: ["wss://a.example.com"] });
+
+    const get = await runCLI(["config", "get", "relays"], { cwd: tmp, env });
+    assert.equal(get.stdout.trim(), "wss://a.example.com");
+  } finally {
+    rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+test("config encrypts and decrypts the keypair file", async () => {
+  const tmp = mkdtempSync(join(tmpdir(), "nweb-encrypt-cli-"));
+  try {
+    const env = { NOSTR_SK_HEX: "", NWEB_PASSPHRASE: "s3cret" };
+    const keypairPath = join(tmp, ".nweb-keypair.json");
+
+    const generate = await runCLI(["config", "generate", "--no-encrypt"], {
+      cwd: tmp,
+      env,
+    });
+    assert.equal(generate.code, 0, "Config generate should exit with code 0");
+    const { privateKey } = JSON.parse(readFileSync(keypairPath, "utf8"));
+    assert.doesNotMatch(generate.stdout, /nsec1/, "Should not print the nsec");
+
+    const encrypt = await runCLI(["config", "encrypt"], { cwd: tmp, env });
+    assert.equal(encrypt.code, 0, "Config encrypt should exit with code 0");
+    const encrypted = readFileSync(keypairPath, "utf8");
+    assert.match(encrypted, /ncryptsec1/);
+    assert.ok(!encrypted.includes(privateKey), "Should drop the plaintext key");
+
+    const show = await runCLI(["config", "show-key", "--hex"], {
+      cwd: tmp,
+      env,
+    });
+    assert.equal(show.stdout.trim(), privateKey);
+
+    const decrypt = await runCLI(["config", "decrypt"], { cwd: tmp, env });
+    assert.equal(decrypt.code, 0, "Config decrypt should exit with code 0");
+    assert.equal(
+      JSON.parse(readFileSync(keypairPath, "utf8")).privateKey,
+      privateKey
+    );
+  } finally {
+    rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+test("deploy refuses to replace an unreadable key with a new one", async () => {
+  const siteDir = mkdtempSync(join(tmpdir(), "nweb-badkey-"));
+  try {
+    writeFileSync(join(siteDir, "index.html"), "<h1>Hi</h1>");
+    const result = await runCLI(["deploy", siteDir], {
+      env: { NOSTR_SK_HEX: "nsec1notakey", RELAYS: "wss://127.0.0.1:1" },
+    });
+    assert.notEqual(result.code, 0, "Deploy should fail");
+    assert.match(result.stderr, /NOSTR_SK_HEX is not a valid private key/);
+    assert.ok(
+      !existsSync(join(siteDir, ".nweb-keypair.json")),
+      "Should not generate a keypair"
+    );
+  } finally {
+    rmSync(siteDir, { recursive: true, force: true });
+  }
+});
+
+test("deploy --list-files previews the published files", async () => {
+  const siteDir = mkdtempSync(join(tmpdir(), "nweb-list-"));
+  try {
+    for (const dir of ["docs/build", "node_modules/pkg"]) {
+      mkdirSync(join(siteDir, dir), { recursive: true });
+    }
+    writeFileSync(join(siteDir, "index.html"), "<h1>Hi</h1>");
+    writeFileSync(join(siteDir, "docs/build/index.html"), "<h1>Docs</h1>");
+    writeFileSync(join(siteDir, ".env.production"), "SECRET=1");
+
+    const result = await runCLI(["deploy", siteDir, "--list-files"], {
+      env: { RELAYS: "" },
+    });
+
+    assert.equal(result.code, 0, "Preview needs no relays or keys");
+    assert.match(result.stdout, /2 file\(s\) to publish/);
+    assert.match(result.stdout, /docs\/build\/index\.html/);
+    assert.doesNotMatch(result.stdout, /\.env\.production/);
+    assert.match(result.stderr, /Skipping directory node_modules\//);
+    assert.ok(
+      !existsSync(join(siteDir, ".nweb-keypair.json")),
+      "Should not generate a keypair"
+    );
+  } finally {
+    rmSync(siteDir, { recursive: true, force: true });
+  }
+});
+
+test("deploy reads --exclude and --include values after a space", async () => {
+  const siteDir = mkdtempSync(join(tmpdir(), "nweb-exclude-"));
+  try {
+    mkdirSync(join(siteDir, "drafts"));
+    mkdirSync(join(siteDir, ".well-known"));
+    writeFileSync(join(siteDir, "index.html"), "<h1>Hi</h1>");
+    writeFileSync(join(siteDir, "notes.md"), "notes");
+    writeFileSync(join(siteDir, "drafts/post.html"), "<h1>Draft</h1>");
+    writeFileSync(join(siteDir, ".well-known/nostr.json"), "{}");
+
+    const result = await runCLI(
+      [
+        "deploy",
+        "--exclude",
+        "drafts/",
+        "--exclude=*.md",
+        "--include",
+        ".well-known/",
+        ".",
+        "--list-files",
+      ],
+      { cwd: siteDir, env: { RELAYS: "" } }
+    );
+
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(result.stdout, /2 file\(s\) to publish from .*nweb-exclude-/);
+    assert.match(result.stdout, /\.well-known\/nostr\.json/);
+    assert.doesNotMatch(result.stdout, /post\.html|notes\.md/);
+  } finally {
+    rmSync(siteDir, { recursive: true, force: true });
+  }
+});
+
+test("deploy --dry-run --json prints the plan without publishing", async () => {
+  const siteDir = mkdtempSync(join(tmpdir(), "nweb-plan-"));
+  try {
+    writeFileSync(join(siteDir, "index.html"), "<h1>Hi</h1>");
+    writeFileSync(join(siteDir, "style.css"), "h1 { color: red; }");
+
+    const result = await runCLI(["deploy", siteDir, "--dry-run", "--json"], {
+      env: {
+        RELAYS: "wss://127.0.0.1:1",
+        NOSTR_SK_HEX:
+          "0000000000000000000000000000000000000000000000000000000000000001",
+      },
+      timeout: 15000,
+    });
+
+    assert.equal(result.code, 0, result.stderr);
+    const plan = JSON.parse(result.stdout);
+    assert.deepEqual(
+      plan.assets.map((asset) => [asset.path, asset.action]),
+      [
+        ["index.html", "publish"],
+        ["style.css", "publish"],
+      ]
+    );
+    assert.deepEqual(
+      plan.manifests.map((manifest) => manifest.route),
+      ["/"]
+    );
+    assert.equal(plan.version.changeType, "initial");
+    assert.equal(plan.siteIndex.action, "publish");
+    assert.equal(plan.events.length, 5);
+    assert.ok(
+      !existsSync(join(siteDir, ".nweb-cache.json")),
+      "Should not write deploy state"
+    );
+  } finally {
+    rmSync(siteDir, { recursive: true, force: true });
+  }
+});
+
+test("deploy --dry-run lists the assets each page references", async () => {
+  const siteDir = mkdtempSync(join(tmpdir(), "nweb-deps-"));
+  try {
+    mkdirSync(join(siteDir, "blog"));
+    mkdirSync(join(siteDir, "shared"));
+    writeFileSync(
+      join(siteDir, "index.html"),
+      '<link rel="stylesheet" href="style.css"><script src="home.js"></script>'
+    );
+    writeFileSync(join(siteDir, "style.css"), "h1 { color: red; }");
+    writeFileSync(join(siteDir, "home.js"), "console.log('home');");
+    writeFileSync(
+      join(siteDir, "blog", "post.html"),
+      '<script src="../shared/app.js"></script><img src="gone.png">'
+    );
+    writeFileSync(join(siteDir, "shared", "app.js"), "console.log('app');");
+
+    const result = await runCLI(["deploy", siteDir, "--dry-run", "--json"], {
+      env: {
+        RELAYS: "wss://127.0.0.1:1",
+        NOSTR_SK_HEX:
+          "0000000000000000000000000000000000000000000000000000000000000001",
+      },
+      timeout: 15000,
+    });
+
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(
+      result.stderr,
+      /blog\/post\.html:1: Reference to gone\.png, which is not part of the deploy/
+    );
+    const plan = JSON.parse(result.stdout);
+    assert.deepEqual(
+      plan.manifests.map((manifest) => [
+        manifest.route,
+        manifest.assets.map((asset) => asset.path),
+      ]),
+      [
+        ["/blog/post", ["blog/post.html", "shared/app.js"]],
+        ["/", ["index.html", "style.css", "home.js"]],
+      ]
+    );
+  } finally {
+    rmSync(siteDir, { recursive: true, force: true });
+  }
+});
+
+test("deploy checks the version strategy before loading keys", async () => {
+  const siteDir = mkdtempSync(join(tmpdir(), "nweb-strategy-"));
+  try {
+    writeFileSync(join(siteDir, "index.html"), "<h1>Hi</h1>");
+
+    const result = await runCLI(
+      ["deploy", siteDir, "--version-strategy=manual"],
+      { env: { RELAYS: "wss://127.0.0.1:1", NOSTR_SK_HEX: "" } }
+    );
+
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /manual version strategy needs --version/);
+    assert.ok(
+      !existsSync(join(siteDir, ".nweb-keypair.json")),
+      "Should not generate a keypair"
+    );
+  } finally {
+    rmSync(siteDir, { recursive: true, force: true });
+  }
+});
+
+test("deploy --out signs a bundle offline for publish-bundle", async () => {
+  const siteDir = mkdtempSync(join(tmpdir(), "nweb-bundle-"));
+  const bundlePath = `${siteDir}.jsonl`;
+  try {
+    writeFileSync(join(siteDir, "index.html"), "<h1>Hi</h1>");
+
+    const built = await runCLI(
+      ["deploy", siteDir, "--out", bundlePath, "--version=2.0.0"],
+      {
+        env: {
+          RELAYS: "",
+          NOSTR_SK_HEX:
+            "0000000000000000000000000000000000000000000000000000000000000001",
+        },
+        timeout: 15000,
+      }
+    );
+    assert.equal(built.code, 0, built.stderr);
+    assert.match(built.stdout, /Wrote 4 signed event\(s\) for v2\.0\.0/);
+
+    const lines = readFileSync(bundlePath, "utf8").trim().split("\n");
+    const header = JSON.parse(lines[0]);
+    assert.equal(header.version, "2.0.0");
+    assert.deepEqual(
+      lines.slice(1).map((line) => JSON.parse(line).kind),
+      [1125, 1126, 31126, 11126, 5]
+    );
+    assert.deepEqual(
+      JSON.parse(lines[1]).tags.find((tag) => tag[0] === "path"),
+      ["path", "index.html"]
+    );
+    assert.ok(
+      !existsSync(join(siteDir, ".nweb-cache.json")),
+      "Should not write deploy state"
+    );
+
+    const published = await runCLI(["publish-bundle", bundlePath], {
+      env: { RELAYS: "wss://127.0.0.1:1" },
+      timeout: 15000,
+    });
+    assert.equal(published.code, 1);
+    assert.match(published.stdout, /Version: 2\.0\.0/);
+    assert.match(published.stderr, /Could not connect to any relay/);
+  } finally {
+    rmSync(siteDir, { recursive: true, force: true });
+    rmSync(bundlePath, { force: true });
+  }
+});
+
+test("deploy writes route headers into manifests and checks the CSP", async () => {
+  const siteDir = mkdtempSync(join(tmpdir(), "nweb-headers-"));
+  const bundlePath = `${siteDir}.jsonl`;
+  try {
+    writeFileSync(
+      join(siteDir, "index.html"),
+      "<h1>Hi</h1>\n<script>track()</script>"
+    );
+    writeFileSync(
+      join(siteDir, "_headers"),
+      "/*\n  Content-Security-Policy: script-src 'self'\n  Cache-Control: max-age=60\n"
+    );
+
+    const result = await runCLI(["deploy", siteDir, "--out", bundlePath], {
+      env: {
+        RELAYS: "",
+        NOSTR_SK_HEX:
+          "0000000000000000000000000000000000000000000000000000000000000001",
+      },
+      timeout: 15000,
+    });
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(
+      result.stderr,
+      /index\.html: Inline <script> on line 2 is blocked by script-src/
+    );
+
+    const events = readFileSync(bundlePath, "utf8")
+      .trim()
+      .split("\n")
+      .slice(1)
+      .map((line) => JSON.parse(line));
+    assert.equal(events.filter((event) => event.kind === 1125).length, 1);
+    const manifest = events.find((event) => event.kind === 1126);
+    assert.deepEqual(
+      manifest.tags.filter((tag) => ["csp", "cache-control"].includes(tag[0])),
+      [
+        ["csp", "script-src 'self'"],
+        ["cache-control", "max-age=60"],
+      ]
+    );
+  } finally {
+    rmSync(siteDir, { recursive: true, force: true });
+    rmSync(bundlePath, { force: true });
+  }
+});
+
+test("deploy writes redirects, aliases and the 404 route into the site index", async () => {
+  const siteDir = mkdtempSync(join(tmpdir(), "nweb-redirects-"));
+  const bundlePath = `${siteDir}.jsonl`;
+  try {
+    writeFileSync(join(siteDir, "index.html"), "<h1>Hi</h1>");
+    writeFileSync(join(siteDir, "404.html"), "<h1>Not found</h1>");
+    writeFileSync(
+      join(siteDir, "_redirects"),
+      "/old-page  /\n/home  /  200\n/gone  /missing\n"
+    );
+
+    const result = await runCLI(
+      ["deploy", siteDir, "--out", bundlePath, "--trailing-slash=strip"],
+      {
+        env: {
+          RELAYS: "",
+          NOSTR_SK_HEX:
+            "0000000000000000000000000000000000000000000000000000000000000001",
+        },
+        timeout: 15000,
+      }
+    );
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(
+      result.stderr,
+      /_redirects: Redirect \/gone → \/missing points at a route that is not a page/
+    );
+
+    const events = readFileSync(bundlePath, "utf8")
+      .trim()
+      .split("\n")
+      .slice(1)
+      .map((line) => JSON.parse(line));
+    assert.equal(events.filter((event) => event.kind === 1125).length, 2);
+    const content = JSON.parse(
+      events.find((event) => event.kind === 31126).content
+    );
+    assert.equal(content.notFoundRoute, content.routes["/404"]);
+    assert.match(content.notFoundRoute, /^[0-9a-f]{64}$/);
+    assert.deepEqual(content.aliases, { "/home": "/" });
+    assert.deepEqual(content.redirects, [
+      { from: "/old-page", to: "/", status: 301 },
+      { from: "/gone", to: "/missing", status: 301 },
+    ]);
+    assert.equal(content.trailingSlash, "strip");
+  } finally {
+    rmSync(siteDir, { recursive: true, force: true });
+    rmSync(bundlePath, { force: true });
+  }
+});
+
+test("lint reports broken links and deploy --lint=error stops on them", async () => {
+  const siteDir = mkdtempSync(join(tmpdir(), "nweb-lint-"));
+  const bundlePath = `${siteDir}.jsonl`;
+  try {
+    writeFileSync(
+      join(siteDir, "index.html"),
+      '<a href="/about">About</a>\n<a href="/missing">Gone</a>'
+    );
+    writeFileSync(join(siteDir, "about.html"), "<h1>About</h1>");
+
+    const lint = await runCLI(["lint", siteDir]);
+    assert.equal(lint.code, 1);
+    assert.match(
+      lint.stderr,
+      /index\.html:2: Link to \/missing, which is not a page or file of the site/
+    );
+    assert.doesNotMatch(lint.stderr, /Link to \/about/);
+    assert.match(lint.stdout, /1 error\(s\), \d+ warning\(s\)/);
+
+    const deploy = await runCLI(
+      ["deploy", siteDir, "--out", bundlePath, "--lint=error"],
+      {
+        env: {
+          RELAYS: "",
+          NOSTR_SK_HEX:
+            "0000000000000000000000000000000000000000000000000000000000000001",
+        },
+        timeout: 15000,
+      }
+    );
+    assert.equal(deploy.code, 1);
+    assert.match(deploy.stderr, /Lint found 1 error\(s\)/);
+    assert.equal(existsSync(bundlePath), false);
+  } finally {
+    rmSync(siteDir, { recursive: true, force: true });
+    rmSync(bundlePath, { force: true });
+  }
+});
+
+test("lint reads --exclude values after a space", async () => {
+  const siteDir = mkdtempSync(join(tmpdir(), "nweb-lint-exclude-"));
+  try {
+    mkdirSync(join(siteDir, "drafts"));
+    writeFileSync(join(siteDir, "index.html"), "<h1>Home</h1>");
+    writeFileSync(
+      join(siteDir, "drafts", "post.html"),
+      '<a href="/missing">Gone</a>'
+    );
+
+    const result = await runCLI(["lint", "--exclude", "drafts/", siteDir]);
+    assert.equal(result.code, 0, result.stderr);
+    assert.doesNotMatch(result.stderr, /Link to \/missing/);
+  } finally {
+    rmSync(siteDir, { recursive: true, force: true });
+  }
+});
+
+test("deploy options can come before the site folder", async () => {
+  const siteDir = mkdtempSync(join(tmpdir(), "nweb-order-"));
+  const bundlePath = `${siteDir}.jsonl`;
+  try {
+    writeFileSync(join(siteDir, "index.html"), "<h1>Hi</h1>");
+
+    const result = await runCLI(
+      ["deploy", "--out", bundlePath, "--bump", "minor", siteDir],
+      {
+        env: {
+          RELAYS: "",
+          NOSTR_SK_HEX:
+            "0000000000000000000000000000000000000000000000000000000000000001",
+        },
+        timeout: 15000,
+      }
+    );
+    assert.equal(result.code, 0, result.stderr);
+    assert.ok(existsSync(bundlePath), "bundle should be written");
+  } finally {
+    rmSync(siteDir, { recursive: true, force: true });
+    rmSync(bundlePath, { force: true });
+  }
+});
+
+test("deploy --all rejects key flags that would sign every site", async () => {
+  const workspace = mkdtempSync(join(tmpdir(), "nweb-workspace-"));
+  try {
+    writeFileSync(
+      join(workspace, ".nweb.config.json"),
+      JSON.stringify({ sites: { blog: { dir: "blog" } } })
+    );
+    const result = await runCLI(
+      ["deploy", "--all", "--key-file", "shared.json"],
+      { cwd: workspace }
+    );
+    assert.equal(result.code, 1);
+    assert.match(
+      result.stderr,
+      /--key-file would sign every site with one key/
+    );
+  } finally {
+    rmSync(workspace, { recursive: true, force: true });
+  }
+});
+
+test("deploy after losing the cache reuses manifests and keeps the version", async () => {
+  const relay = await startFakeRelay();
+  const siteDir = mkdtempSync(join(tmpdir(), "nweb-recache-"));
+  try {
+    writeFileSync(
+      join(siteDir, "index.html"),
+      '<html><head><meta charset="utf-8"><title>Home</title><link rel="stylesheet" href="style.css"></head><body>Hi</body></html>'
+    );
+    writeFileSync(join(siteDir, "style.css"), "body { color: red; }");
+    const options = {
+      env: {
+        ...RELAY_ENV,
+        RELAYS: relay.url,
+        NOSTR_SK_HEX:
+          "0000000000000000000000000000000000000000000000000000000000000001",
+      },
+      timeout: 30000,
+    };
+
+    const first = await runCLI(["deploy", siteDir], options);
+    assert.equal(first.code, 0, first.stderr);
+    assert.match(first.stdout, /Version: 0\.1\.0 \(initial deployment\)/);
+    const published = relay.events.length;
+
+    rmSync(join(siteDir, ".nweb-cache.json"));
+    const second = await runCLI(["deploy", siteDir], options);
+    assert.equal(second.code, 0, second.stderr);
+    assert.match(second.stdout, /\[MANIF\] \/ -> \w+ \(reused/);
+    assert.match(second.stdout, /Version: 0\.1\.0 \(no changes\)/);
+    assert.equal(relay.events.length, published, "nothing new on the relay");
+  } finally {
+    rmSync(siteDir, { recursive: true, force: true });
+    await relay.close();
+  }
+});
+
+/**
+ * Deploy a site to a fake relay and list the asset paths of its / page
+ */
+async function deployToFakeRelay(relay, siteDir) {
+  const result = await runCLI(["deploy", siteDir], {
+    env: {
+      ...RELAY_ENV,
+      RELAYS: relay.url,
+      NOSTR_SK_HEX:
+        "0000000000000000000000000000000000000000000000000000000000000001",
+    },
+    timeout: 30000,
+  });
+  assert.equal(result.code, 0, result.stderr);
+  const byId = new Map(relay.events.map((event) => [event.id, event]));
+  const tag = (event, name) => event.tags.find((t) => t[0] === name)[1];
+  const live = tag(
+    relay.events.find((event) => event.kind === 11126),
+    "a"
+  ).split(":")[2];
+  const index = relay.events.find(
+    (event) => event.kind === 31126 && tag(event, "d") === live
+  );
+  const home = byId.get(JSON.parse(index.content).routes["/"]);
+  return {
+    result,
+    homePaths: home.tags
+      .filter((t) => t[0] === "e")
+      .map((t) => tag(byId.get(t[1]), "path")),
+  };
+}
+
+test("deploy publishes a renamed file under its new path", async () => {
+  const relay = await startFakeRelay();
+  const siteDir = mkdtempSync(join(tmpdir(), "nweb-rename-"));
+  try {
+    const page = (css) =>
+      `<html><head><title>Home</title><link rel="stylesheet" href="${css}"></head><body>Hi</body></html>`;
+    mkdirSync(join(siteDir, "css"));
+    writeFileSync(join(siteDir, "index.html"), page("css/theme.css"));
+    writeFileSync(join(siteDir, "css", "theme.css"), "body { color: red; }");
+    await deployToFakeRelay(relay, siteDir);
+
+    rmSync(join(siteDir, "css", "theme.css"));
+    writeFileSync(join(siteDir, "css", "main.css"), "body { color: red; }");
+    writeFileSync(join(siteDir, "index.html"), page("css/main.css"));
+    const { result, homePaths } = await deployToFakeRelay(relay, siteDir);
+    assert.match(result.stdout, /Version: 0\.1\.0 → 0\.1\.1/);
+    assert.deepEqual(homePaths, ["index.html", "css/main.css"]);
+  } finally {
+    rmSync(siteDir, { recursive: true, force: true });
+    await relay.close();
+  }
+});
+
+test("versions export restores a renamed file at its new path", async () => {
+  const relay = await startFakeRelay();
+  const siteDir = mkdtempSync(join(tmpdir(), "nweb-export-"));
+  const outDir = `${siteDir}-restored`;
+  try {
+    const page = (css) =>
+      `<html><head><title>Home</title><link rel="stylesheet" href="${css}"></head><body>Hi</body></html>`;
+    writeFileSync(join(siteDir, "index.html"), page("theme.css"));
+    writeFileSync(join(siteDir, "theme.css"), "body { color: red; }");
+    await deployToFakeRelay(relay, siteDir);
+    rmSync(join(siteDir, "theme.css"));
+    writeFileSync(join(siteDir, "main.css"), "body { color: red; }");
+    writeFileSync(join(siteDir, "index.html"), page("main.css"));
+    await deployToFakeRelay(relay, siteDir);
+
+    const result = await runCLI(["versions", "export", "0.1.1", outDir], {
+      cwd: siteDir,
+      env: {
+        ...RELAY_ENV,
+        RELAYS: relay.url,
+        NOSTR_SK_HEX:
+          "0000000000000000000000000000000000000000000000000000000000000001",
+      },
+      timeout: 30000,
+    });
+    assert.equal(result.code, 0, result.stdout + result.stderr);
+    assert.equal(
+      readFileSync(join(outDir, "main.css"), "utf8"),
+      "body { color: red; }"
+    );
+    assert.equal(existsSync(join(outDir, "theme.css")), false);
+    assert.equal(
+      readFileSync(join(outDir, "index.html"), "utf8"),
+      page("main.css")
+    );
+  } finally {
+    rmSync(siteDir, { recursive: true, force: true });
+    rmSync(outDir, { recursive: true, force: true });
+    await relay.close();
+  }
+});
+
+test("deploy keeps files with identical content apart", async () => {
+  const relay = await startFakeRelay();
+  const siteDir = mkdtempSync(join(tmpdir(), "nweb-identical-"));
+  try {
+    writeFileSync(
+      join(siteDir, "index.html"),
+      '<html><head><title>Home</title></head><body><img src="a.png"><img src="b.png"></body></html>'
+    );
+    writeFileSync(join(siteDir, "a.png"), "same bytes");
+    writeFileSync(join(siteDir, "b.png"), "same bytes");
+    const { homePaths } = await deployToFakeRelay(relay, siteDir);
+    assert.deepEqual(homePaths, ["index.html", "a.png", "b.png"]);
+  } finally {
+    rmSync(siteDir, { recursive: true, force: true });
+    await relay.close();
+  }
+});
+
+test("deploy reports routing rule changes apart from route changes", async () => {
+  const relay = await startFakeRelay();
+  const siteDir = mkdtempSync(join(tmpdir(), "nweb-routing-"));
+  try {
+    const options = {
+      env: {
+        ...RELAY_ENV,
+        RELAYS: relay.url,
+        NOSTR_SK_HEX:
+          "0000000000000000000000000000000000000000000000000000000000000001",
+      },
+      timeout: 30000,
+    };
+    const deploy = async (files, expected, unexpected) => {
+      for (const [file, content] of Object.entries(files)) {
+        writeFileSync(join(siteDir, file), content);
+      }
+      const result = await runCLI(["deploy", siteDir], options);
+      assert.equal(result.code, 0, result.stderr);
+      const line = result.stdout.match(/Version: .*/)?.[0];
+      assert.match(line, expected);
+      if (unexpected) assert.doesNotMatch(line, unexpected);
+    };
+
+    await deploy(
+      { "index.html": "<h1>Home</h1>", _redirects: "/old  /\n" },
+      /initial deployment/
+    );
+    await deploy(
+      { "about.html": "<h1>About</h1>" },
+      /0\.1\.0 → 0\.2\.0 \(minor: 1 route\(s\) added\)/,
+      /routing rules/
+    );
+    await deploy(
+      { "team.html": "<h1>Team</h1>", _redirects: "/old  /about\n" },
+      /0\.2\.0 → 0\.3\.0 \(minor: 1 route\(s\) added, routing rules changed\)/
+    );
+  } finally {
+    rmSync(siteDir, { recursive: true, force: true });
+    await relay.close();
+  }
+});
+
+test("rollback asks before connecting and the next deploy skips its versions", async () => {
+  const relay = await startFakeRelay();
+  const siteDir = mkdtempSync(join(tmpdir(), "nweb-rollback-"));
+  try {
+    const options = {
+      cwd: siteDir,
+      env: {
+        ...RELAY_ENV,
+        RELAYS: relay.url,
+        NOSTR_SK_HEX:
+          "0000000000000000000000000000000000000000000000000000000000000001",
+      },
+      timeout: 30000,
+    };
+    const deploy = async (body, expected) => {
+      writeFileSync(
+        join(siteDir, "index.html"),
+        `<html><head><meta charset="utf-8"><title>Home</title></head><body>${body}</body></html>`
+      );
+      const result = await runCLI(["deploy", siteDir], options);
+      assert.equal(result.code, 0, result.stderr);
+      assert.match(result.stdout, expected);
+    };
+
+    await deploy("one", /Version: 0\.1\.0 \(initial deployment\)/);
+    await deploy("two", /Version: 0\.1\.0 → 0\.1\.1 /);
+    await deploy("three", /Version: 0\.1\.1 → 0\.1\.2 /);
+
+    // stdin is a pipe here, so without --yes nothing would answer the prompt
+    let result = await runCLI(["versions", "rollback", "0.1.0"], options);
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /use --yes/);
+
+    result = await runCLI(["versions", "rollback", "0.1.0", "--yes"], options);
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(result.stdout, /Rolled back to v0\.1\.0/);
+
+    await deploy("four", /Version: 0\.1\.0 → 0\.1\.3 /);
+  } finally {
+    rmSync(siteDir, { recursive: true, force: true });
+    await relay.close();
+  }
+});
+
+test("status --all reports every workspace site", async () => {
+  const workspace = mkdtempSync(join(tmpdir(), "nweb-workspace-"));
+  try {
+    writeFileSync(
+      join(workspace, ".nweb.config.json"),
+      JSON.stringify({
+        relays: ["wss://127.0.0.1:1"],
+        sites: {
+          blog: { dir: "blog", keyEnv: "BLOG_SK" },
+          docs: { dir: "docs" },
+        },
+      })
+    );
+    const result = await runCLI(["status", "--all"], {
+      cwd: workspace,
+      env: {
+        BLOG_SK:
+          "0000000000000000000000000000000000000000000000000000000000000001",
+        NOSTR_SK_HEX:
+          "0000000000000000000000000000000000000000000000000000000000000002",
+      },
+      timeout: 15000,
+    });
+    const output = result.stdout + result.stderr;
+
+    assert.notEqual(result.code, 0, "Offline sites should fail the run");
+    assert.match(output, /Workspace status summary/);
+    assert.match(output, /blog\s+0\/1 relays online/);
+    assert.match(output, /No key found for site "docs"/);
+    assert.match(output, /2 site\(s\), 0 ok, 2 failed/);
+  } finally {
+    rmSync(workspace, { recursive: true, force: true });
+  }
+});
 
 test.skip("status command shows status output (requires network)", async () => {
   // Skip: This test requires network connectivity to Nostr relays
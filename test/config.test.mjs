@@ -0,0 +1,159 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  findFlagValues,
+  findPositionalArgs,
+  getKeyOptions,
+  loadConfig,
+  parseConfigValue,
+  readProjectConfig,
+  resolveConfigValue,
+  writeProjectConfig,
+} from "../src/lib/config.mjs";
+
+function withProjectDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nweb-config-"));
+  try {
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("config precedence is flag > env > project config > default", () => {
+  withProjectDir((dir) => {
+    writeProjectConfig({ relays: ["wss://config.example.com"] }, dir);
+
+    const resolve = (argv, env) =>
+      resolveConfigValue("relays", { argv, env, dir });
+
+    assert.deepEqual(resolve([], {}), {
+      value: ["wss://config.example.com"],
+      source: "config",
+    });
+    assert.deepEqual(resolve([], { RELAYS: "wss://env.example.com" }), {
+      value: ["wss://env.example.com"],
+      source: "env",
+    });
+    assert.deepEqual(
+      resolve(["--relays=wss://flag.example.com"], {
+        RELAYS: "wss://env.example.com",
+      }),
+      { value: ["wss://flag.example.com"], source: "flag" }
+    );
+
+    assert.deepEqual(
+      resolveConfigValue("concurrency", { argv: [], env: {}, dir }),
+      {
+        value: 4,
+        source: "default",
+      }
+    );
+  });
+});
+
+test("loadConfig returns every key, null when unset", () => {
+  withProjectDir((dir) => {
+    const config = loadConfig({
+      argv: ["--host", "example.com"],
+      env: {},
+      dir,
+    });
+    assert.deepEqual(config, {
+      relays: null,
+      host: "example.com",
+      concurrency: 4,
+      keyFile: null,
+      bunker: null,
+      versionStrategy: "semver",
+      trailingSlash: null,
+      lint: "warn",
+    });
+  });
+});
+
+test("parseConfigValue validates values and keys", () => {
+  assert.deepEqual(
+    parseConfigValue("relays", "wss://a.example.com, wss://b.example.com"),
+    ["wss://a.example.com", "wss://b.example.com"]
+  );
+  assert.equal(parseConfigValue("concurrency", "8"), 8);
+  assert.throws(
+    () => parseConfigValue("relays", "https://a.example.com"),
+    /Invalid relay/
+  );
+  assert.throws(() => parseConfigValue("concurrency", "0"), /positive integer/);
+  assert.equal(parseConfigValue("versionStrategy", " Timestamp "), "timestamp");
+  assert.throws(
+    () => parseConfigValue("versionStrategy", "calver"),
+    /semver, conventional, timestamp, manual/
+  );
+  assert.equal(parseConfigValue("trailingSlash", "Strip"), "strip");
+  assert.throws(
+    () => parseConfigValue("trailingSlash", "always"),
+    /Expected one of strip, add/
+  );
+  assert.equal(parseConfigValue("lint", "ERROR"), "error");
+  assert.throws(
+    () => parseConfigValue("lint", "strict"),
+    /Expected one of off, warn, error/
+  );
+  assert.throws(() => parseConfigValue("nope", "x"), /Unknown config key/);
+});
+
+test("findPositionalArgs skips flags and their values", () => {
+  assert.deepEqual(
+    findPositionalArgs(
+      ["--out", "site.jsonl", "--relays", "wss://r.example.com", "./site"],
+      ["--out"]
+    ),
+    ["./site"]
+  );
+  assert.deepEqual(
+    findPositionalArgs(["--dry-run", "./site", "--out=site.jsonl"], ["--out"]),
+    ["./site"]
+  );
+  assert.deepEqual(findPositionalArgs(["--no-cache", "--json"]), []);
+  assert.deepEqual(
+    findPositionalArgs(["--exclude", "drafts/", "."], ["--exclude"]),
+    ["."]
+  );
+});
+
+test("findFlagValues collects every value of a repeatable flag", () => {
+  assert.deepEqual(
+    findFlagValues(
+      ["--exclude", "drafts/", ".", "--exclude=*.map", "--include", "x"],
+      "--exclude"
+    ),
+    ["drafts/", "*.map"]
+  );
+  assert.deepEqual(findFlagValues(["--exclude", "--dry-run"], "--exclude"), []);
+});
+
+test("getKeyOptions reports where keyFile came from", () => {
+  withProjectDir((dir) => {
+    writeProjectConfig({ keyFile: "keys/project.json" }, dir);
+
+    assert.deepEqual(getKeyOptions({ argv: [], env: {}, dir }), {
+      keyFile: "keys/project.json",
+      keyFileSource: "config",
+      bunker: null,
+    });
+    assert.deepEqual(
+      getKeyOptions({ argv: ["--key-file", "other.json"], env: {}, dir }),
+      { keyFile: "other.json", keyFileSource: "flag", bunker: null }
+    );
+  });
+});
+
+test("readProjectConfig rejects malformed files", () => {
+  withProjectDir((dir) => {
+    assert.deepEqual(readProjectConfig(dir), {});
+    fs.writeFileSync(path.join(dir, ".nweb.config.json"), "[1, 2]");
+    assert.throws(() => readProjectConfig(dir), /JSON object/);
+  });
+});
@@ -0,0 +1,185 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import {
+  buildDependencyGraph,
+  extractCssReferences,
+  extractHtmlLinks,
+  extractHtmlReferences,
+  planPageAssets,
+  resolveReference,
+} from "../src/lib/dependencies.mjs";
+
+function site(files) {
+  return {
+    files: Object.keys(files),
+    readFile: (relPath) => Buffer.from(files[relPath], "utf8"),
+  };
+}
+
+test("extractHtmlReferences finds links, scripts, images and inline CSS", () => {
+  const html = `
+    <link rel="stylesheet" href="css/site.css">
+    <link rel=icon href='/favicon.png'>
+    <script type="module" src="app.js?v=2"></script>
+    <script>document.write('<img src="fake.png">')</script>
+    <!-- <img src="commented.png"> -->
+    <img src="a.png" srcset="a-2x.png 2x, a-3x.png 3x" alt="A">
+    <picture><source srcset="b.webp 480w,b-large.webp 960w"></picture>
+    <video src="clip.mp4" poster="poster.jpg"></video>
+    <div style="background: url('bg.png')"></div>
+    <style>@import "print.css"; body { background: url(body.png) }</style>
+  `;
+
+  assert.deepEqual(extractHtmlReferences(html), [
+    "css/site.css",
+    "/favicon.png",
+    "app.js?v=2",
+    "a.png",
+    "a-2x.png",
+    "a-3x.png",
+    "b.webp",
+    "b-large.webp",
+    "clip.mp4",
+    "poster.jpg",
+    "bg.png",
+    "print.css",
+    "body.png",
+  ]);
+});
+
+test("extractCssReferences finds url() and @import", () => {
+  const css = `
+    @import url("base.css");
+    @import 'theme.css' screen;
+    /* url(ignored.png) */
+    .a { background: url( img/a.png ) }
+    .b { background: url("data:image/png;base64,AAAA") }
+  `;
+
+  assert.deepEqual(extractCssReferences(css), [
+    "base.css",
+    "theme.css",
+    "img/a.png",
+    "data:image/png;base64,AAAA",
+  ]);
+});
+
+test("extractHtmlLinks finds <a> and <area> links", () => {
+  const html = `
+    <a href="docs/guide.pdf">Guide</a>
+    <!-- <a href="old.zip">Old</a> -->
+    <map><area href="/maps/region.svg" alt="Region"></map>
+    <a name="top"></a><abbr title="x">X</abbr>
+  `;
+
+  assert.deepEqual(extractHtmlLinks(html), [
+    "docs/guide.pdf",
+    "/maps/region.svg",
+  ]);
+});
+
+test("resolveReference resolves against the referencing file", () => {
+  assert.equal(
+    resolveReference("../shared/app.js", "blog/post.html"),
+    "shared/app.js"
+  );
+  assert.equal(resolveReference("/img/a.png", "blog/post.html"), "img/a.png");
+  assert.equal(resolveReference("a%20b.png?x=1#y", "index.html"), "a b.png");
+  assert.equal(resolveReference("../../x.js", "blog/post.html"), "../x.js");
+  assert.equal(resolveReference("https://cdn.example/x.js", "a.html"), null);
+  assert.equal(resolveReference("//cdn.example/x.js", "a.html"), null);
+  assert.equal(resolveReference("data:image/png;base64,AA", "a.html"), null);
+  assert.equal(resolveReference("#top", "a.html"), null);
+  assert.equal(resolveReference("docs/", "index.html"), "docs/");
+});
+
+test("pages get exactly the assets they reference", () => {
+  const { files, readFile } = site({
+    "index.html": `<link href="style.css" rel="stylesheet"><script src="home.js"></script>`,
+    "style.css": `@import "fonts.css"; body { background: url(img/bg.png) }`,
+    "fonts.css": `@font-face { src: url(fonts/inter.woff2) }`,
+    "home.js": "",
+    "img/bg.png": "",
+    "fonts/inter.woff2": "",
+    "blog/post.html": `<link rel="canonical" href="/about"><script src="../shared/app.js"></script><img src="missing.png">
+      <a href="/about">About</a><a href="files/slides.pdf">Slides</a><a href="gone.zip">Gone</a>`,
+    "blog/files/slides.pdf": "",
+    "shared/app.js": "",
+    "about.html": `<p>About</p>`,
+    "blog/notes.txt": "",
+    "downloads/file.zip": "",
+  });
+
+  const graph = buildDependencyGraph(files, readFile);
+  assert.deepEqual(graph.broken, [
+    { from: "blog/post.html", ref: "missing.png" },
+  ]);
+  assert.deepEqual(graph.references.get("style.css"), [
+    "fonts.css",
+    "img/bg.png",
+  ]);
+
+  const { assets, unreferenced } = planPageAssets(
+    [
+      { path: "index.html", route: "/" },
+      { path: "blog/post.html", route: "/blog/post" },
+      { path: "about.html", route: "/about" },
+    ],
+    files,
+    graph
+  );
+
+  assert.deepEqual(assets.get("index.html"), [
+    "style.css",
+    "fonts.css",
+    "home.js",
+    "fonts/inter.woff2",
+    "img/bg.png",
+    "blog/notes.txt",
+    "downloads/file.zip",
+  ]);
+  assert.deepEqual(assets.get("blog/post.html"), [
+    "shared/app.js",
+    "blog/files/slides.pdf",
+  ]);
+  assert.deepEqual(assets.get("about.html"), []);
+  assert.deepEqual(unreferenced, [
+    { file: "blog/notes.txt", page: "index.html" },
+    { file: "downloads/file.zip", page: "index.html" },
+  ]);
+});
+
+test("unreferenced files go to the page of their own directory first", () => {
+  const { files, readFile } = site({
+    "docs/index.html": "<h1>Docs</h1>",
+    "docs/guide.pdf": "",
+    "faq.html": "<h1>FAQ</h1>",
+    "other/data.json": "",
+  });
+  const graph = buildDependencyGraph(files, readFile);
+
+  const { assets, unreferenced } = planPageAssets(
+    [
+      { path: "docs/index.html", route: "/docs" },
+      { path: "faq.html", route: "/faq" },
+    ],
+    files,
+    graph
+  );
+
+  // Without a / page, the page of the default (first) route is the root
+  assert.deepEqual(assets.get("docs/index.html"), [
+    "docs/guide.pdf",
+    "other/data.json",
+  ]);
+  assert.deepEqual(assets.get("faq.html"), []);
+  assert.deepEqual(unreferenced, [
+    { file: "docs/guide.pdf", page: "docs/index.html" },
+    { file: "other/data.json", page: "docs/index.html" },
+  ]);
+
+  assert.deepEqual(planPageAssets([], files, graph).unreferenced, [
+    { file: "docs/guide.pdf", page: null },
+    { file: "other/data.json", page: null },
+  ]);
+});
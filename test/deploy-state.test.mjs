@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  getDeployStatePath,
+  loadDeployState,
+  saveDeployState,
+} from "../src/lib/deploy-state.mjs";
+
+const PUBKEY = "a".repeat(64);
+
+function tempSiteDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "nweb-state-"));
+}
+
+const cache = {
+  assets: { "1125:abc:style.css": "event1" },
+  manifests: { "manifest:/": { id: "manifest1", assetIds: "event1" } },
+  siteIndex: {
+    id: "index1",
+    contentHash: "deadbeef".repeat(8),
+    truncatedHash: "deadbeef",
+    routes: { "/": "manifest1" },
+    version: "0.1.0",
+  },
+  entrypoint: { id: "entry1", siteIndexHash: "deadbeef" },
+};
+
+test("saveDeployState and loadDeployState round-trip", () => {
+  const dir = tempSiteDir();
+  try {
+    assert.ok(saveDeployState(dir, PUBKEY, cache));
+    assert.ok(fs.existsSync(getDeployStatePath(dir)));
+
+    const state = loadDeployState(dir, PUBKEY);
+    assert.deepEqual(state.assets, cache.assets);
+    assert.deepEqual(state.manifests, cache.manifests);
+    assert.deepEqual(state.siteIndex, cache.siteIndex);
+    assert.deepEqual(state.entrypoint, cache.entrypoint);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("loadDeployState ignores missing, foreign and unreadable state", () => {
+  const dir = tempSiteDir();
+  try {
+    assert.equal(loadDeployState(dir, PUBKEY), null, "Missing file");
+
+    saveDeployState(dir, PUBKEY, cache);
+    assert.equal(loadDeployState(dir, "b".repeat(64)), null, "Other pubkey");
+
+    fs.writeFileSync(getDeployStatePath(dir), "{ not json");
+    assert.equal(loadDeployState(dir, PUBKEY), null, "Corrupt file");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
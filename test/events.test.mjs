@@ -0,0 +1,178 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import { verifyEvent } from "nostr-tools";
+import {
+  assetCacheKey,
+  createAssetEvent,
+  createChunkEvent,
+  createChunkedAssetEvent,
+  createManifestEvent,
+  createSiteIndexEvent,
+  getAssetCacheKey,
+  getAssetPath,
+  readManifestMetadata,
+} from "../src/lib/events.mjs";
+import { createLocalSigner } from "../src/lib/signer.mjs";
+import { generateKeypair } from "../src/lib/keypair.mjs";
+
+const signer = createLocalSigner(generateKeypair().nsec);
+const HASH = "ab".repeat(32);
+const RELAY = "wss://relay.example.com";
+
+test("asset events record their path in the site", async () => {
+  const asset = await createAssetEvent(
+    "iVBORw0KGgo=",
+    HASH,
+    "img/logo.png",
+    "image/png",
+    signer,
+    [["encoding", "base64"]]
+  );
+  assert.ok(verifyEvent(asset));
+  assert.equal(asset.kind, 1125);
+  assert.deepEqual(asset.tags, [
+    ["m", "image/png"],
+    ["x", HASH],
+    ["path", "img/logo.png"],
+    ["encoding", "base64"],
+  ]);
+  assert.equal(getAssetPath(asset), "img/logo.png");
+
+  const chunk = await createChunkEvent("abc", HASH, 1, 3, "text/css", signer);
+  assert.deepEqual(chunk.tags, [
+    ["m", "text/css"],
+    ["x", HASH],
+    ["chunk", "1", "3"],
+  ]);
+  assert.equal(getAssetPath(chunk), null);
+
+  const parent = await createChunkedAssetEvent(
+    HASH,
+    "css/big.css",
+    "text/css",
+    1234,
+    ["c1", "c2"],
+    RELAY,
+    signer
+  );
+  assert.equal(parent.content, "");
+  assert.deepEqual(parent.tags, [
+    ["m", "text/css"],
+    ["x", HASH],
+    ["path", "css/big.css"],
+    ["size", "1234"],
+    ["chunks", "2"],
+    ["e", "c1", RELAY],
+    ["e", "c2", RELAY],
+  ]);
+});
+
+test("getAssetPath falls back to the name tag of older assets", () => {
+  assert.equal(getAssetPath({ tags: [["name", "style.css"]] }), "style.css");
+  assert.equal(
+    getAssetPath({
+      tags: [
+        ["name", "style.css"],
+        ["path", "css/style.css"],
+      ],
+    }),
+    "css/style.css"
+  );
+  assert.equal(getAssetPath({ tags: [["m", "text/css"]] }), null);
+});
+
+test("assets are reused by content hash and path", async () => {
+  const asset = await createAssetEvent(
+    "body{}",
+    HASH,
+    "css/main.css",
+    "text/css",
+    signer
+  );
+  assert.equal(getAssetCacheKey(asset), assetCacheKey(HASH, "css/main.css"));
+  assert.notEqual(
+    assetCacheKey(HASH, "css/main.css"),
+    assetCacheKey(HASH, "css/theme.css")
+  );
+  assert.equal(
+    getAssetCacheKey({
+      tags: [
+        ["x", HASH],
+        ["name", "main.css"],
+      ],
+    }),
+    null,
+    "older assets without a path tag are not reused"
+  );
+});
+
+test("manifest and site index events carry metadata in tags", async () => {
+  const manifest = await createManifestEvent(
+    "/about",
+    ["html", "css"],
+    {
+      title: "About",
+      description: "Who we are",
+      lang: "en",
+      openGraph: [["og:image", "/img/team.jpg"]],
+    },
+    undefined,
+    signer
+  );
+  assert.equal(manifest.kind, 1126);
+  assert.equal(manifest.content, "");
+  assert.deepEqual(manifest.tags, [
+    ["route", "/about"],
+    ["e", "html", ""],
+    ["e", "css", ""],
+    ["title", "About"],
+    ["description", "Who we are"],
+    ["lang", "en"],
+    ["og:image", "/img/team.jpg"],
+  ]);
+
+  assert.deepEqual(readManifestMetadata(manifest), {
+    title: "About",
+    description: "Who we are",
+    lang: "en",
+    openGraph: [["og:image", "/img/team.jpg"]],
+    headers: [],
+  });
+
+  const content = JSON.stringify({ routes: { "/about": manifest.id } });
+  const index = await createSiteIndexEvent(content, HASH, signer);
+  assert.equal(index.kind, 31126);
+  assert.equal(index.content, content);
+  assert.deepEqual(index.tags, [
+    ["d", HASH.substring(0, 8)],
+    ["x", HASH],
+    ["alt", "main"],
+  ]);
+});
+
+test("readManifestMetadata reads back what createManifestEvent wrote", async () => {
+  const metadata = {
+    title: "Home",
+    description: null,
+    lang: null,
+    openGraph: [
+      ["og:title", "Home"],
+      ["og:image", "/a.png"],
+    ],
+    headers: [
+      ["csp", "default-src 'self'"],
+      ["cache-control", "max-age=60"],
+    ],
+  };
+  const manifest = await createManifestEvent(
+    "/",
+    ["html"],
+    metadata,
+    RELAY,
+    signer
+  );
+  assert.equal(
+    JSON.stringify(readManifestMetadata(manifest)),
+    JSON.stringify(metadata)
+  );
+});
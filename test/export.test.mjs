@@ -0,0 +1,153 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  getAssetExportPath,
+  isSafeExportPath,
+  planExport,
+  writeExport,
+} from "../src/lib/export.mjs";
+
+function asset(id, content, mimeType, filePath = null) {
+  const hash = crypto.createHash("sha256").update(content).digest("hex");
+  return {
+    id,
+    kind: 1125,
+    tags: [
+      ["m", mimeType],
+      ["x", hash],
+      ...(filePath ? [["path", filePath]] : []),
+    ],
+    content,
+  };
+}
+
+function manifest(id, route, assetIds) {
+  return {
+    id,
+    kind: 1126,
+    tags: [["route", route], ...assetIds.map((assetId) => ["e", assetId])],
+    content: "",
+  };
+}
+
+test("isSafeExportPath rejects paths leaving the export directory", () => {
+  assert.equal(isSafeExportPath("index.html"), true);
+  assert.equal(isSafeExportPath("css/theme.css"), true);
+  assert.equal(isSafeExportPath("../etc/passwd"), false);
+  assert.equal(isSafeExportPath("css/../../x"), false);
+  assert.equal(isSafeExportPath("/etc/passwd"), false);
+  assert.equal(isSafeExportPath("C:/windows"), false);
+  assert.equal(isSafeExportPath("css\\theme.css"), false);
+  assert.equal(isSafeExportPath("css//theme.css"), false);
+  assert.equal(isSafeExportPath(""), false);
+});
+
+test("getAssetExportPath falls back for assets without a path tag", () => {
+  assert.equal(
+    getAssetExportPath(asset("a", "x", "text/css", "css/a.css"), "/").path,
+    "css/a.css"
+  );
+  assert.deepEqual(getAssetExportPath(asset("h", "<p>", "text/html"), "/"), {
+    path: "index.html",
+    tagged: false,
+  });
+  assert.equal(
+    getAssetExportPath(asset("h", "<p>", "text/html"), "/blog/post").path,
+    "blog/post.html"
+  );
+  assert.match(
+    getAssetExportPath(asset("c", "body{}", "text/css"), "/").path,
+    /^_unnamed\/[0-9a-f]{8}\.css$/
+  );
+});
+
+test("planExport and writeExport rebuild the file tree", () => {
+  const events = [
+    asset("html", "<h1>Home</h1>", "text/html", "index.html"),
+    asset("about", "<h1>About</h1>", "text/html", "about.html"),
+    asset("css", "body{}", "text/css", "css/site.css"),
+    asset("evil", "pwned", "text/plain", "../evil.txt"),
+    { ...asset("bad", "right", "text/plain", "bad.txt"), content: "wrong" },
+  ];
+  const assets = new Map(events.map((event) => [event.id, event]));
+  const manifests = new Map([
+    ["m1", manifest("m1", "/", ["html", "css", "evil", "bad"])],
+    ["m2", manifest("m2", "/about", ["about", "css", "gone"])],
+  ]);
+  const entry = {
+    routes: ["/", "/about", "/missing"],
+    routeManifests: { "/": "m1", "/about": "m2", "/missing": "m3" },
+  };
+
+  const { files, problems } = planExport(entry, manifests, assets);
+  assert.deepEqual(
+    files.map((file) => file.path),
+    ["about.html", "bad.txt", "css/site.css", "index.html"]
+  );
+  assert.equal(problems.length, 3);
+  assert.match(problems.join("\n"), /unsafe path \.\.\/evil\.txt/);
+  assert.match(problems.join("\n"), /gone/);
+  assert.match(problems.join("\n"), /Manifest for \/missing/);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nweb-export-"));
+  try {
+    const results = writeExport(files, assets, dir);
+    assert.deepEqual(
+      results.map((result) => [result.path, result.verified]),
+      [
+        ["about.html", true],
+        ["bad.txt", false],
+        ["css/site.css", true],
+        ["index.html", true],
+      ]
+    );
+    assert.equal(
+      fs.readFileSync(path.join(dir, "css", "site.css"), "utf8"),
+      "body{}"
+    );
+    assert.equal(fs.existsSync(path.join(dir, "bad.txt")), false);
+    assert.equal(fs.existsSync(path.join(dir, "..", "evil.txt")), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("planExport checks path tags against the routes and references", () => {
+  const events = [
+    asset(
+      "html",
+      '<link rel="stylesheet" href="css/main.css"><a href="about">About</a>',
+      "text/html",
+      "index.html"
+    ),
+    asset("about", "<h1>About</h1>", "text/html", "index.html"),
+    asset("css", "body{}", "text/css", "css/theme.css"),
+  ];
+  const assets = new Map(events.map((event) => [event.id, event]));
+  const manifests = new Map([
+    ["m1", manifest("m1", "/", ["html", "css"])],
+    ["m2", manifest("m2", "/about", ["about"])],
+  ]);
+  const entry = {
+    routes: ["/", "/about"],
+    routeManifests: { "/": "m1", "/about": "m2" },
+  };
+
+  const { files, problems } = planExport(entry, manifests, assets);
+  assert.deepEqual(
+    files.map((file) => [file.path, file.tagged]),
+    [
+      ["about.html", false],
+      ["css/theme.css", true],
+      ["index.html", true],
+    ]
+  );
+  assert.deepEqual(problems, [
+    "The page of /about has path tag index.html, which is not that route's page; exported as about.html",
+    "index.html references css/main.css, which no asset of this version has (an asset may carry the path of an older file)",
+  ]);
+});
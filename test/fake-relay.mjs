@@ -0,0 +1,220 @@
+/**
+ * In-memory Nostr relay for tests
+ *
+ * A minimal NIP-01 relay over a hand-rolled WebSocket server: EVENT, REQ
+ * and CLOSE, replaceable and addressable kinds, and kind 5 deletions. The
+ * CLI needs a WebSocket client to reach it; on Node 20 run it with
+ * NODE_OPTIONS=--experimental-websocket (see RELAY_ENV).
+ */
+
+import crypto from "node:crypto";
+import http from "node:http";
+
+// Environment that gives Node 20 a global WebSocket
+export const RELAY_ENV = {
+  NODE_OPTIONS: [process.env.NODE_OPTIONS, "--experimental-websocket"]
+    .filter(Boolean)
+    .join(" "),
+};
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+/**
+ * Encode a server-to-client frame (never masked)
+ */
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode the complete client frames at the start of a buffer
+ *
+ * @returns {Object} { frames: [{ opcode, payload }], rest }
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let cursor = offset + 2;
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break;
+      length = Number(buffer.readBigUInt64BE(cursor));
+      cursor += 8;
+    }
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < cursor + maskLength + length) break;
+    const mask = buffer.subarray(cursor, cursor + maskLength);
+    const payload = Buffer.from(
+      buffer.subarray(cursor + maskLength, cursor + maskLength + length)
+    );
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    frames.push({ opcode, payload });
+    offset = cursor + maskLength + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Check whether an event matches a NIP-01 filter
+ */
+function matchFilter(filter, event) {
+  if (filter.ids && !filter.ids.includes(event.id)) return false;
+  if (filter.authors && !filter.authors.includes(event.pubkey)) return false;
+  if (filter.kinds && !filter.kinds.includes(event.kind)) return false;
+  if (filter.since && event.created_at < filter.since) return false;
+  if (filter.until && event.created_at > filter.until) return false;
+  return Object.entries(filter)
+    .filter(([key]) => key.startsWith("#"))
+    .every(([key, values]) =>
+      event.tags.some(
+        (tag) => tag[0] === key.slice(1) && values.includes(tag[1])
+      )
+    );
+}
+
+/**
+ * Address of a replaceable or addressable event, null for regular events
+ */
+function addressOf(event) {
+  if (event.kind >= 10000 && event.kind < 20000) {
+    return `${event.kind}:${event.pubkey}`;
+  }
+  if (event.kind >= 30000 && event.kind < 40000) {
+    const d = event.tags.find((tag) => tag[0] === "d")?.[1] || "";
+    return `${event.kind}:${event.pubkey}:${d}`;
+  }
+  return null;
+}
+
+/**
+ * Start a relay on a free local port
+ *
+ * @returns {Promise<Object>} { url, events, close() } where events is the
+ *   live list of stored events
+ */
+export async function startFakeRelay() {
+  const events = [];
+  const sockets = new Set();
+
+  const store = (event) => {
+    if (event.kind === 5) {
+      const deleted = new Set(
+        event.tags.filter((tag) => tag[0] === "e").map((tag) => tag[1])
+      );
+      const addresses = new Set(
+        event.tags.filter((tag) => tag[0] === "a").map((tag) => tag[1])
+      );
+      for (let i = events.length - 1; i >= 0; i--) {
+        if (
+          events[i].pubkey === event.pubkey &&
+          (deleted.has(events[i].id) || addresses.has(addressOf(events[i])))
+        ) {
+          events.splice(i, 1);
+        }
+      }
+    }
+    const address = addressOf(event);
+    if (address) {
+      const index = events.findIndex((e) => addressOf(e) === address);
+      if (index !== -1) {
+        if (events[index].created_at > event.created_at) return;
+        events.splice(index, 1);
+      }
+    }
+    if (!events.some((e) => e.id === event.id)) {
+      events.push(event);
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    res.writeHead(426).end();
+  });
+
+  server.on("upgrade", (req, socket) => {
+    const accept = crypto
+      .createHash("sha1")
+      .update(req.headers["sec-websocket-key"] + WS_GUID)
+      .digest("base64");
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\nConnection: Upgrade\r\n" +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    sockets.add(socket);
+
+    const send = (message) =>
+      socket.writable &&
+      socket.write(encodeFrame(1, Buffer.from(JSON.stringify(message))));
+
+    let pending = Buffer.alloc(0);
+    socket.on("data", (chunk) => {
+      const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+      pending = rest;
+      for (const { opcode, payload } of frames) {
+        if (opcode === 8) {
+          socket.end(encodeFrame(8, Buffer.alloc(0)));
+          return;
+        }
+        if (opcode === 9) {
+          socket.write(encodeFrame(10, payload));
+          continue;
+        }
+        if (opcode !== 1) continue;
+
+        const [type, ...args] = JSON.parse(payload.toString("utf8"));
+        if (type === "EVENT") {
+          store(args[0]);
+          send(["OK", args[0].id, true, ""]);
+        } else if (type === "REQ") {
+          const [subId, ...filters] = args;
+          const matches = events
+            .filter((event) => filters.some((f) => matchFilter(f, event)))
+            .sort((a, b) => b.created_at - a.created_at);
+          const limit = Math.max(...filters.map((f) => f.limit ?? Infinity));
+          for (const event of matches.slice(0, limit)) {
+            send(["EVENT", subId, event]);
+          }
+          send(["EOSE", subId]);
+        }
+      }
+    });
+    socket.on("error", () => {});
+    socket.on("close", () => sockets.delete(socket));
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    events,
+    close: () =>
+      new Promise((resolve) => {
+        for (const socket of sockets) socket.destroy();
+        server.close(resolve);
+      }),
+  };
+}
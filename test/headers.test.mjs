@@ -0,0 +1,189 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  findCspViolations,
+  getHeaderTags,
+  matchRoutePattern,
+  parseCsp,
+  parseHeadersFile,
+  readHeaderRules,
+  resolveRouteHeaders,
+} from "../src/lib/headers.mjs";
+import { validateHTML } from "../src/utils/validators.mjs";
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("base64");
+}
+
+test("parseHeadersFile reads patterns and indented headers", () => {
+  const rules = parseHeadersFile(
+    [
+      "# Every page",
+      "/*",
+      "  Content-Security-Policy: default-src 'self';  img-src *",
+      "  Referrer-Policy: no-referrer",
+      "",
+      "/blog/*",
+      "\tcache-control: max-age=3600",
+    ].join("\n")
+  );
+
+  assert.deepEqual(rules, [
+    {
+      pattern: "/*",
+      headers: {
+        "content-security-policy": "default-src 'self'; img-src *",
+        "referrer-policy": "no-referrer",
+      },
+    },
+    { pattern: "/blog/*", headers: { "cache-control": "max-age=3600" } },
+  ]);
+});
+
+test("parseHeadersFile rejects unsupported headers and bad lines", () => {
+  assert.throws(
+    () => parseHeadersFile("/*\n  X-Frame-Options: DENY"),
+    /line 1: unsupported header "X-Frame-Options"/
+  );
+  assert.throws(
+    () => parseHeadersFile("  Cache-Control: no-cache"),
+    /line 1: expected a route pattern/
+  );
+  assert.throws(
+    () => parseHeadersFile("/blog/*/posts\n  Cache-Control: no-cache"),
+    /invalid route pattern/
+  );
+  assert.throws(
+    () => parseHeadersFile("/*\n  Cache-Control:"),
+    /"Cache-Control" needs a value/
+  );
+});
+
+test("readHeaderRules applies config rules before the _headers file", () => {
+  const siteDir = fs.mkdtempSync(path.join(os.tmpdir(), "nweb-headers-"));
+  try {
+    fs.writeFileSync(
+      path.join(siteDir, "_headers"),
+      "/blog/*\n  Cache-Control: max-age=60\n"
+    );
+    const rules = readHeaderRules(
+      {
+        "/*": { "Cache-Control": "no-cache", "Referrer-Policy": "origin" },
+      },
+      siteDir
+    );
+
+    assert.deepEqual(resolveRouteHeaders(rules, "/"), {
+      "cache-control": "no-cache",
+      "referrer-policy": "origin",
+    });
+    assert.deepEqual(resolveRouteHeaders(rules, "/blog/post"), {
+      "cache-control": "max-age=60",
+      "referrer-policy": "origin",
+    });
+    assert.deepEqual(readHeaderRules(undefined, os.tmpdir()), []);
+    assert.throws(
+      () => readHeaderRules(["/*"], siteDir),
+      /must map route patterns to headers/
+    );
+  } finally {
+    fs.rmSync(siteDir, { recursive: true, force: true });
+  }
+});
+
+test("matchRoutePattern matches routes and route prefixes", () => {
+  assert.equal(matchRoutePattern("/*", "/"), true);
+  assert.equal(matchRoutePattern("/*", "/about"), true);
+  assert.equal(matchRoutePattern("/blog/*", "/blog"), true);
+  assert.equal(matchRoutePattern("/blog/*", "/blog/post"), true);
+  assert.equal(matchRoutePattern("/blog/*", "/blogroll"), false);
+  assert.equal(matchRoutePattern("/about", "/about"), true);
+  assert.equal(matchRoutePattern("/about/", "/about"), true);
+  assert.equal(matchRoutePattern("/about", "/about/team"), false);
+});
+
+test("getHeaderTags writes headers as manifest tags", () => {
+  assert.deepEqual(
+    getHeaderTags({
+      "referrer-policy": "no-referrer",
+      "content-security-policy": "default-src 'self'",
+    }),
+    [
+      ["csp", "default-src 'self'"],
+      ["referrer-policy", "no-referrer"],
+    ]
+  );
+  assert.deepEqual(getHeaderTags({}), []);
+});
+
+test("parseCsp keeps the first of repeated directives", () => {
+  assert.deepEqual(
+    parseCsp("Default-Src 'self'; script-src 'none'; script-src *;"),
+    { "default-src": ["'self'"], "script-src": ["'none'"] }
+  );
+});
+
+test("findCspViolations reports blocked inline scripts with their line", () => {
+  const html = [
+    "<html><head>",
+    "<script>track()</script>",
+    '<script src="app.js"></script>',
+    '<script type="application/ld+json">{"@type": "Thing"}</script>',
+    "<!-- <script>old()</script> -->",
+    '<script nonce="abc">allowed()</script>',
+    "<script>hashed()</script>",
+    '</head><body><button onclick="go()">Go</button>',
+    '<a href="javascript:void(0)">x</a></body></html>',
+  ].join("\n");
+  const policy = `script-src 'self' 'nonce-abc' 'sha256-${sha256("hashed()")}'`;
+
+  assert.deepEqual(findCspViolations(html, policy), [
+    "Inline <script> on line 2 is blocked by script-src",
+    "onclick handler on <button> (line 8) is blocked by script-src",
+    "javascript: URL on <a> (line 9) is blocked by script-src",
+  ]);
+});
+
+test("findCspViolations follows unsafe-inline, unsafe-hashes and fallbacks", () => {
+  const html = '<script>a()</script><div onclick="b()"></div>';
+
+  assert.deepEqual(findCspViolations(html, "img-src *"), []);
+  assert.deepEqual(findCspViolations(html, "default-src 'unsafe-inline'"), []);
+  // A nonce or hash turns off 'unsafe-inline'
+  assert.equal(
+    findCspViolations(html, "script-src 'unsafe-inline' 'nonce-x'").length,
+    2
+  );
+  assert.deepEqual(
+    findCspViolations(
+      html,
+      `script-src 'sha256-${sha256("a()")}' 'unsafe-hashes' 'sha256-${sha256(
+        "b()"
+      )}'`
+    ),
+    []
+  );
+  assert.deepEqual(
+    findCspViolations(
+      html,
+      "script-src-attr 'none'; default-src * 'unsafe-inline'"
+    ),
+    ["onclick handler on <div> (line 1) is blocked by script-src-attr"]
+  );
+});
+
+test("validateHTML warns about inline scripts the CSP blocks", () => {
+  const html =
+    '<html><head><meta charset="utf-8"><title>Hi</title></head><body><script>x()</script></body></html>';
+
+  assert.deepEqual(validateHTML(html).warnings, []);
+  assert.deepEqual(validateHTML(html, { csp: "default-src 'self'" }), {
+    valid: true,
+    errors: [],
+    warnings: ["Inline <script> on line 1 is blocked by default-src"],
+  });
+});
@@ -0,0 +1,143 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  createIgnoreMatcher,
+  describeIgnoreRule,
+  listSiteFiles,
+  loadIgnoreMatcher,
+  parseIgnoreRule,
+} from "../src/lib/ignore.mjs";
+
+function matcherFor(lines) {
+  return createIgnoreMatcher(
+    lines.map((line) => parseIgnoreRule(line)).filter(Boolean)
+  );
+}
+
+function withSiteDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nweb-ignore-"));
+  try {
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("parseIgnoreRule skips comments and blank lines", () => {
+  assert.equal(parseIgnoreRule(""), null);
+  assert.equal(parseIgnoreRule("   "), null);
+  assert.equal(parseIgnoreRule("# comment"), null);
+  assert.equal(parseIgnoreRule("\\#hash").regex.test("#hash"), true);
+
+  const rule = parseIgnoreRule("!/docs/build/");
+  assert.equal(rule.negate, true);
+  assert.equal(rule.dirOnly, true);
+  assert.equal(rule.anchored, true);
+});
+
+test("patterns follow gitignore matching", () => {
+  const matcher = matcherFor([
+    "*.log",
+    "drafts/",
+    "/notes.txt",
+    "assets/**/*.psd",
+    "img?.png",
+    "[ab].css",
+  ]);
+
+  assert.equal(matcher.ignores("debug.log"), true);
+  assert.equal(matcher.ignores("blog/debug.log"), true);
+  assert.equal(matcher.ignores("drafts", true), true);
+  assert.equal(matcher.ignores("drafts"), false, "drafts/ only matches dirs");
+  assert.equal(matcher.ignores("notes.txt"), true);
+  assert.equal(matcher.ignores("blog/notes.txt"), false, "anchored to root");
+  assert.equal(matcher.ignores("assets/logo.psd"), true);
+  assert.equal(matcher.ignores("assets/a/b/logo.psd"), true);
+  assert.equal(matcher.ignores("logo.psd"), false);
+  assert.equal(matcher.ignores("img1.png"), true);
+  assert.equal(matcher.ignores("img10.png"), false);
+  assert.equal(matcher.ignores("a.css"), true);
+  assert.equal(matcher.ignores("c.css"), false);
+});
+
+test("the last matching rule wins", () => {
+  const matcher = matcherFor(["*.txt", "!robots.txt", "blog/robots.txt"]);
+  assert.equal(matcher.ignores("notes.txt"), true);
+  assert.equal(matcher.ignores("robots.txt"), false);
+  assert.equal(matcher.ignores("blog/robots.txt"), true);
+});
+
+test("secrets are never published, even when re-included", () => {
+  const matcher = matcherFor(["!.env", "!.env.production", "!*.json"]);
+  assert.equal(matcher.ignores(".env"), true);
+  assert.equal(matcher.ignores(".env.production"), true);
+  assert.equal(matcher.ignores(".nweb-keypair.json"), true);
+  assert.equal(matcher.ignores("sub/.nweb-cache.json"), true);
+  assert.equal(matcher.ignores("data.json"), false);
+});
+
+test("loadIgnoreMatcher applies defaults, .nwebignore, then flags", () => {
+  withSiteDir((dir) => {
+    // Defaults only
+    let matcher = loadIgnoreMatcher(dir);
+    for (const file of [
+      "package.json",
+      "README.md",
+      "app.js.map",
+      ".DS_Store",
+    ]) {
+      assert.equal(matcher.ignores(file), true, `${file} should be ignored`);
+    }
+    assert.equal(matcher.ignores("node_modules", true), true);
+    assert.equal(matcher.ignores(".well-known", true), true);
+    assert.equal(matcher.ignores("index.html"), false);
+
+    fs.writeFileSync(
+      path.join(dir, ".nwebignore"),
+      "# site rules\n*.draft.html\n!.well-known/\n!README.md\n"
+    );
+    matcher = loadIgnoreMatcher(dir, {
+      exclude: ["private/", "README.md"],
+      include: ["secret.draft.html"],
+    });
+    assert.equal(matcher.ignores("post.draft.html"), true);
+    assert.equal(matcher.ignores("secret.draft.html"), false);
+    assert.equal(matcher.ignores(".well-known", true), false);
+    assert.equal(matcher.ignores("private", true), true);
+    assert.equal(matcher.ignores("README.md"), true, "--exclude after file");
+  });
+});
+
+test("listSiteFiles applies build folder rules at the deploy root only", () => {
+  withSiteDir((dir) => {
+    const write = (rel) => {
+      fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+      fs.writeFileSync(path.join(dir, rel), rel);
+    };
+    write("index.html");
+    write("docs/build/index.html");
+    write("docs/out/app.js");
+    write("build/stale.html");
+    write(".git/HEAD");
+    write("drafts/post.html");
+    write(".nweb-keypair.json");
+    fs.writeFileSync(path.join(dir, ".nwebignore"), "drafts/\n");
+
+    const { files, skippedDirs } = listSiteFiles(dir, loadIgnoreMatcher(dir));
+    assert.deepEqual(
+      files.map((file) => path.relative(dir, file).split(path.sep).join("/")),
+      ["docs/build/index.html", "docs/out/app.js", "index.html"]
+    );
+    assert.deepEqual(
+      skippedDirs.map(({ path: rel, rule }) => [rel, describeIgnoreRule(rule)]),
+      [
+        [".git", 'built-in rule ".*"'],
+        ["build", 'built-in rule "/build/"'],
+        ["drafts", '"drafts/" in .nwebignore'],
+      ]
+    );
+  });
+});
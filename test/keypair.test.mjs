@@ -0,0 +1,245 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  decryptPrivateKey,
+  encryptPrivateKey,
+  generateKeypair,
+  getNewPassphrase,
+  getPrivateKey,
+  getPublicKeyFromPrivate,
+  isEncryptedKeypair,
+  readKeypairFile,
+  resolvePrivateKey,
+  resolvePublicKey,
+  saveKeypair,
+} from "../src/lib/keypair.mjs";
+import { ConfigError } from "../src/utils/errors.mjs";
+
+async function withSiteDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nweb-keypair-"));
+  try {
+    return await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const keypair = generateKeypair();
+
+test("resolvePrivateKey accepts hex and nsec in NOSTR_SK_HEX", async () => {
+  for (const key of [keypair.privateKey, keypair.nsec]) {
+    const resolved = await resolvePrivateKey({ env: { NOSTR_SK_HEX: key } });
+    assert.equal(resolved.privateKey, keypair.privateKey);
+    assert.equal(resolved.publicKey, keypair.publicKey);
+    assert.equal(resolved.npub, keypair.npub);
+    assert.equal(resolved.source, "env");
+  }
+});
+
+test("resolvePrivateKey rejects an unreadable env key instead of falling back", async () => {
+  await withSiteDir(async (dir) => {
+    fs.writeFileSync(
+      path.join(dir, ".nweb-keypair.json"),
+      JSON.stringify({ privateKey: keypair.privateKey })
+    );
+    await assert.rejects(
+      resolvePrivateKey({
+        siteDir: dir,
+        env: { NOSTR_SK_HEX: "nsec1notakey" },
+      }),
+      (error) =>
+        error instanceof ConfigError && /NOSTR_SK_HEX/.test(error.message)
+    );
+  });
+});
+
+test("resolvePrivateKey reads nsec keys from the keypair file", async () => {
+  await withSiteDir(async (dir) => {
+    const keyPath = path.join(dir, ".nweb-keypair.json");
+    fs.writeFileSync(keyPath, JSON.stringify({ privateKey: keypair.nsec }));
+
+    const resolved = await resolvePrivateKey({ siteDir: dir, env: {} });
+    assert.equal(resolved.privateKey, keypair.privateKey);
+    assert.equal(resolved.source, "file");
+    assert.equal(resolved.path, keyPath);
+
+    // Legacy files that only carry the nsec field
+    fs.writeFileSync(keyPath, JSON.stringify({ nsec: keypair.nsec }));
+    const legacy = await resolvePrivateKey({ siteDir: dir, env: {} });
+    assert.equal(legacy.publicKey, keypair.publicKey);
+  });
+});
+
+test("resolvePrivateKey uses the configured keyFile", async () => {
+  await withSiteDir(async (dir) => {
+    const keyPath = path.join(dir, "keys", "site.json");
+    fs.mkdirSync(path.dirname(keyPath));
+    fs.writeFileSync(
+      keyPath,
+      JSON.stringify({ privateKey: keypair.privateKey })
+    );
+
+    const resolved = await resolvePrivateKey({ keyFile: keyPath, env: {} });
+    assert.equal(resolved.publicKey, keypair.publicKey);
+
+    await assert.rejects(
+      resolvePrivateKey({ keyFile: path.join(dir, "missing.json"), env: {} }),
+      ConfigError
+    );
+  });
+});
+
+test("a keyFile from a flag or site wins over NOSTR_SK_HEX", async () => {
+  await withSiteDir(async (dir) => {
+    const other = generateKeypair();
+    const keyPath = path.join(dir, "other.json");
+    fs.writeFileSync(keyPath, JSON.stringify({ privateKey: other.privateKey }));
+    const env = { NOSTR_SK_HEX: keypair.privateKey };
+
+    for (const keyFileSource of ["flag", "site"]) {
+      const resolved = await resolvePrivateKey({
+        keyFile: keyPath,
+        keyFileSource,
+        env,
+      });
+      assert.equal(resolved.publicKey, other.publicKey);
+      assert.equal(resolved.path, keyPath);
+      assert.equal(
+        resolvePublicKey({ keyFile: keyPath, keyFileSource, env }).publicKey,
+        other.publicKey
+      );
+    }
+
+    // A keyFile from NWEB_KEY_FILE or the project config still yields to it
+    for (const keyFileSource of ["env", "config", undefined]) {
+      const resolved = await resolvePrivateKey({
+        keyFile: keyPath,
+        keyFileSource,
+        env,
+      });
+      assert.equal(resolved.publicKey, keypair.publicKey);
+      assert.equal(resolved.source, "env");
+    }
+  });
+});
+
+test("resolvePrivateKey throws ConfigError for broken keypair files", async () => {
+  await withSiteDir(async (dir) => {
+    const keyPath = path.join(dir, ".nweb-keypair.json");
+    const resolve = () => resolvePrivateKey({ siteDir: dir, env: {} });
+
+    fs.writeFileSync(keyPath, "{ not json");
+    await assert.rejects(resolve(), ConfigError);
+
+    fs.writeFileSync(keyPath, JSON.stringify({ publicKey: keypair.publicKey }));
+    await assert.rejects(resolve(), /has no private key/);
+
+    fs.writeFileSync(keyPath, JSON.stringify({ privateKey: "abc123" }));
+    await assert.rejects(resolve(), /not a valid private key/);
+  });
+});
+
+test("resolvePrivateKey returns null when no key is configured", async () => {
+  await withSiteDir(async (dir) => {
+    assert.equal(await resolvePrivateKey({ siteDir: dir, env: {} }), null);
+    assert.equal(resolvePublicKey({ siteDir: dir, env: {} }), null);
+  });
+});
+
+test("getPrivateKey and getPublicKeyFromPrivate accept nsec keys", async () => {
+  await withSiteDir(async (dir) => {
+    fs.writeFileSync(
+      path.join(dir, ".nweb-keypair.json"),
+      JSON.stringify({ privateKey: keypair.nsec })
+    );
+    const saved = process.env.NOSTR_SK_HEX;
+    delete process.env.NOSTR_SK_HEX;
+    try {
+      assert.equal(await getPrivateKey(dir), keypair.privateKey);
+    } finally {
+      if (saved !== undefined) process.env.NOSTR_SK_HEX = saved;
+    }
+  });
+
+  assert.equal(getPublicKeyFromPrivate(keypair.nsec), keypair.publicKey);
+});
+
+test("encryptPrivateKey round-trips through NIP-49", () => {
+  const ncryptsec = encryptPrivateKey(keypair.nsec, "correct horse");
+  assert.match(ncryptsec, /^ncryptsec1/);
+  assert.equal(
+    decryptPrivateKey(ncryptsec, "correct horse"),
+    keypair.privateKey
+  );
+  assert.throws(
+    () => decryptPrivateKey(ncryptsec, "wrong"),
+    (error) =>
+      error instanceof ConfigError && /wrong passphrase/.test(error.message)
+  );
+});
+
+test("saveKeypair writes encrypted files without the plaintext key", async () => {
+  await withSiteDir(async (dir) => {
+    const keyPath = path.join(dir, ".nweb-keypair.json");
+    saveKeypair(keypair, keyPath, { passphrase: "s3cret" });
+
+    const raw = fs.readFileSync(keyPath, "utf8");
+    assert.ok(!raw.includes(keypair.privateKey), "No hex key in the file");
+    assert.ok(!raw.includes(keypair.nsec), "No nsec in the file");
+    assert.ok(isEncryptedKeypair(readKeypairFile(keyPath)));
+    assert.equal(fs.statSync(keyPath).mode & 0o777, 0o600);
+
+    // The public key is readable without the passphrase
+    const pub = resolvePublicKey({ siteDir: dir, env: {} });
+    assert.equal(pub.publicKey, keypair.publicKey);
+    assert.equal(pub.encrypted, true);
+
+    // Unlocked with NWEB_PASSPHRASE, an explicit passphrase or a prompt
+    const fromEnv = await resolvePrivateKey({
+      siteDir: dir,
+      env: { NWEB_PASSPHRASE: "s3cret" },
+    });
+    assert.equal(fromEnv.privateKey, keypair.privateKey);
+    assert.equal(fromEnv.encrypted, true);
+
+    const prompted = await resolvePrivateKey({
+      siteDir: dir,
+      env: {},
+      prompt: async () => "s3cret",
+    });
+    assert.equal(prompted.privateKey, keypair.privateKey);
+
+    await assert.rejects(
+      resolvePrivateKey({ siteDir: dir, env: {}, prompt: null }),
+      /is encrypted\. Set NWEB_PASSPHRASE/
+    );
+    await assert.rejects(
+      resolvePrivateKey({ siteDir: dir, env: {}, passphrase: "nope" }),
+      /wrong passphrase/
+    );
+
+    // Migrating back to plaintext keeps the same key
+    saveKeypair(fromEnv, keyPath);
+    const plain = readKeypairFile(keyPath);
+    assert.equal(isEncryptedKeypair(plain), false);
+    assert.equal(plain.privateKey, keypair.privateKey);
+  });
+});
+
+test("getNewPassphrase uses NWEB_PASSPHRASE or confirms a prompt", async () => {
+  assert.equal(await getNewPassphrase({ env: { NWEB_PASSPHRASE: "x" } }), "x");
+  assert.equal(await getNewPassphrase({ env: {}, prompt: null }), null);
+  assert.equal(
+    await getNewPassphrase({ env: {}, prompt: async () => "" }),
+    null
+  );
+
+  const answers = ["one", "two"];
+  await assert.rejects(
+    getNewPassphrase({ env: {}, prompt: async () => answers.shift() }),
+    /do not match/
+  );
+});
@@ -0,0 +1,244 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { listSiteFiles, loadIgnoreMatcher } from "../src/lib/ignore.mjs";
+import { formatLintProblem, lintSite } from "../src/lib/lint.mjs";
+import { parseRedirectsFile } from "../src/lib/redirects.mjs";
+
+const examplesDir = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "examples"
+);
+
+const HEAD = '<html><head><meta charset="utf-8"><title>Site</title></head>';
+
+/**
+ * Lint an in-memory site
+ */
+function lint(files, options = {}) {
+  return lintSite({
+    files: Object.keys(files),
+    readFile: (file) => Buffer.from(files[file]),
+    ...options,
+  });
+}
+
+test("lintSite passes a clean site", () => {
+  const problems = lint({
+    "index.html": `${HEAD}<body><a href="/about">About</a><a href="blog/">Blog</a>
+<link rel="stylesheet" href="style.css"><a href="https://example.com/">x</a></body></html>`,
+    "about.html": `${HEAD}<body><a href="./">Home</a><a href="#top">Top</a></body></html>`,
+    "blog/index.html": `${HEAD}<body><a href="../about.html">About</a></body></html>`,
+    "style.css": "body { background: url(https://cdn.example.com/bg.png); }",
+  });
+  assert.deepEqual(problems, []);
+});
+
+test("lintSite reports missing structure, title and charset", () => {
+  const problems = lint({ "index.html": "<h1>Hi</h1>" });
+  assert.deepEqual(
+    problems.map((p) => [p.level, p.message]),
+    [
+      ["warning", "Missing <html> tag"],
+      ["warning", "Missing <head> tag"],
+      ["warning", "Missing <body> tag"],
+      ["warning", "Missing or empty <title>"],
+      ["warning", "Missing <meta charset> declaration"],
+    ]
+  );
+});
+
+test("lintSite warns about unclosed tags but not void elements", () => {
+  const voids = '<img src="a.png"><br><hr><input name="q"><br/>'.repeat(5);
+  assert.deepEqual(
+    lint({
+      "index.html": `${HEAD}<body>${voids}<script>if (a < b) {}</script></body></html>`,
+      "a.png": "",
+    }),
+    []
+  );
+
+  const problems = lint({
+    "index.html": `${HEAD}<body>${"<div><p>Text".repeat(4)}</body></html>`,
+  });
+  assert.deepEqual(
+    problems.map((p) => p.message),
+    ["Possible unclosed tags detected"]
+  );
+});
+
+test("lintSite passes the example sites", () => {
+  for (const name of fs.readdirSync(examplesDir)) {
+    const siteDir = path.join(examplesDir, name);
+    const { files } = listSiteFiles(siteDir, loadIgnoreMatcher(siteDir));
+    const problems = lintSite({
+      files: files.map((file) =>
+        path.relative(siteDir, file).replace(/\\/g, "/")
+      ),
+      readFile: (relPath) => fs.readFileSync(path.join(siteDir, relPath)),
+    });
+    assert.deepEqual(problems.map(formatLintProblem), [], name);
+  }
+});
+
+test("lintSite reports broken links, telling ignored files from missing ones", () => {
+  const problems = lint(
+    {
+      "index.html": `${HEAD}<body>
+<a href="/missing">Missing</a>
+<a href="drafts/post.html">Draft</a>
+<a href="../outside.html">Outside</a>
+<a href="/old">Old</a> <a href="/home">Home</a>
+<!-- <a href="/commented">Commented</a> -->
+</body></html>`,
+    },
+    {
+      existsOnDisk: (file) => file === "drafts/post.html",
+      routingRules: parseRedirectsFile("/old  /\n/home  /  200\n"),
+    }
+  );
+  assert.deepEqual(problems, [
+    {
+      level: "error",
+      file: "index.html",
+      line: 2,
+      message: "Link to /missing, which is not a page or file of the site",
+    },
+    {
+      level: "error",
+      file: "index.html",
+      line: 3,
+      message:
+        "Link to drafts/post.html, which is ignored and won't be published",
+    },
+    {
+      level: "error",
+      file: "index.html",
+      line: 4,
+      message: "Link to ../outside.html leaves the site",
+    },
+  ]);
+});
+
+test("lintSite reports references to ignored and missing files", () => {
+  const problems = lint(
+    {
+      "index.html": `${HEAD}<body>\n<img src="secret.png">\n<img src="gone.png"></body></html>`,
+    },
+    { existsOnDisk: (file) => file === "secret.png" }
+  );
+  assert.deepEqual(
+    problems.map((p) => [p.line, p.message]),
+    [
+      [2, "Reference to secret.png, which is ignored and won't be published"],
+      [3, "Reference to gone.png, which is not part of the deploy"],
+    ]
+  );
+});
+
+test("lintSite reports http:// subresources as mixed content", () => {
+  const problems = lint({
+    "index.html": `${HEAD}<body>
+<script src="http://cdn.example.com/app.js"></script>
+<link rel="stylesheet" href="http://cdn.example.com/site.css">
+<link rel="canonical" href="http://example.com/">
+<img src="http://cdn.example.com/a.png" srcset="http://cdn.example.com/b.png 2x">
+<div style="background: url(http://cdn.example.com/c.png)"></div>
+<a href="http://example.com/">Plain link</a>
+</body></html>`,
+    "style.css": "@import 'http://cdn.example.com/fonts.css';",
+  });
+  assert.deepEqual(
+    problems.map((p) => [p.level, p.file, p.line, p.message]),
+    [
+      [
+        "error",
+        "index.html",
+        2,
+        "Loads http://cdn.example.com/app.js over http, which browsers block on https pages",
+      ],
+      [
+        "error",
+        "index.html",
+        3,
+        "Loads http://cdn.example.com/site.css over http, which browsers block on https pages",
+      ],
+      [
+        "warning",
+        "index.html",
+        5,
+        "Loads http://cdn.example.com/a.png over http (mixed content)",
+      ],
+      [
+        "warning",
+        "index.html",
+        5,
+        "Loads http://cdn.example.com/b.png over http (mixed content)",
+      ],
+      [
+        "warning",
+        "index.html",
+        6,
+        "Loads http://cdn.example.com/c.png over http (mixed content)",
+      ],
+      [
+        "warning",
+        "style.css",
+        null,
+        "Loads http://cdn.example.com/fonts.css over http (mixed content)",
+      ],
+    ]
+  );
+});
+
+test("lintSite checks inline scripts against the route's CSP", () => {
+  const problems = lint(
+    { "index.html": `${HEAD}<body>\n<script>go()</script></body></html>` },
+    {
+      headerRules: [
+        {
+          pattern: "/*",
+          headers: { "content-security-policy": "script-src 'self'" },
+        },
+      ],
+    }
+  );
+  assert.deepEqual(
+    problems.map((p) => p.message),
+    ["Inline <script> on line 2 is blocked by script-src"]
+  );
+});
+
+test("lintSite warns about files published in chunks", () => {
+  const problems = lint({ "video.bin": "x".repeat(120 * 1024) });
+  assert.equal(problems.length, 1);
+  assert.equal(problems[0].level, "warning");
+  assert.match(
+    problems[0].message,
+    /^120\.0 KB is above the 50 KB event limit/
+  );
+});
+
+test("formatLintProblem marks errors and warnings", () => {
+  assert.equal(
+    formatLintProblem({
+      level: "error",
+      file: "a.html",
+      line: 3,
+      message: "Broken",
+    }),
+    "❌ a.html:3: Broken"
+  );
+  assert.equal(
+    formatLintProblem({
+      level: "warning",
+      file: "b.css",
+      line: null,
+      message: "Odd",
+    }),
+    "⚠ b.css: Odd"
+  );
+});
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import {
+  extractPageMetadata,
+  parseFrontMatter,
+} from "../src/lib/page-metadata.mjs";
+
+test("extractPageMetadata reads title, description, lang and Open Graph", () => {
+  const html = `<!DOCTYPE html>
+<html lang="en-GB">
+<head>
+  <title>
+    Tom &amp; Jerry &#8211; Episodes
+  </title>
+  <!-- <meta name="description" content="commented out"> -->
+  <meta name="Description" content="All   the episodes.">
+  <meta property="og:title" content="Tom and Jerry">
+  <meta property="og:image" content="/img/a.png">
+  <meta property="og:image" content="/img/b.png">
+  <meta property="og:empty" content="">
+</head>
+<body><script>document.title = "<title>Not this</title>";</script></body>
+</html>`;
+
+  assert.deepEqual(extractPageMetadata(html), {
+    title: "Tom & Jerry – Episodes",
+    description: "All the episodes.",
+    lang: "en-GB",
+    openGraph: [
+      ["og:title", "Tom and Jerry"],
+      ["og:image", "/img/a.png"],
+      ["og:image", "/img/b.png"],
+    ],
+  });
+});
+
+test("missing metadata falls back to Open Graph, then null", () => {
+  assert.deepEqual(
+    extractPageMetadata(
+      '<meta property="og:title" content="OG title"><meta property="og:description" content="OG text">'
+    ),
+    {
+      title: "OG title",
+      description: "OG text",
+      lang: null,
+      openGraph: [
+        ["og:title", "OG title"],
+        ["og:description", "OG text"],
+      ],
+    }
+  );
+  assert.deepEqual(extractPageMetadata("<h1>Hi</h1>"), {
+    title: null,
+    description: null,
+    lang: null,
+    openGraph: [],
+  });
+});
+
+test("front matter at the top of the page overrides the HTML", () => {
+  const html = `<!--
+---
+title: "About us"
+description: Who we are: a team
+og:image: /img/team.jpg
+author: ignored
+---
+-->
+<html lang="en"><title>About</title>
+<meta property="og:image" content="/img/old.jpg">
+<meta property="og:type" content="website">`;
+
+  assert.deepEqual(parseFrontMatter(html), {
+    title: "About us",
+    description: "Who we are: a team",
+    "og:image": "/img/team.jpg",
+  });
+  assert.deepEqual(extractPageMetadata(html), {
+    title: "About us",
+    description: "Who we are: a team",
+    lang: "en",
+    openGraph: [
+      ["og:type", "website"],
+      ["og:image", "/img/team.jpg"],
+    ],
+  });
+  assert.deepEqual(
+    parseFrontMatter("<h1>Hi</h1>\n<!--\n---\ntitle: Late\n---\n-->"),
+    {}
+  );
+});
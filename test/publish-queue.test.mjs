@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import {
+  createPublishQueue,
+  isRateLimited,
+  getBackoffDelay,
+  formatProgress,
+} from "../src/lib/publish-queue.mjs";
+
+/**
+ * Fake relay connection; `respond(ev, call)` returns a rejection reason or null
+ */
+function fakeConn(url, respond = () => null) {
+  const conn = {
+    url,
+    connected: true,
+    calls: 0,
+    active: 0,
+    maxActive: 0,
+    relay: {
+      async publish(ev) {
+        const call = ++conn.calls;
+        conn.active++;
+        conn.maxActive = Math.max(conn.maxActive, conn.active);
+        await new Promise((resolve) => setTimeout(resolve, 2));
+        conn.active--;
+        const reason = respond(ev, call);
+        if (reason) throw new Error(reason);
+      },
+    },
+  };
+  return conn;
+}
+
+const event = (n) => ({ id: String(n).padStart(64, "0") });
+
+test("isRateLimited matches the NIP-01 prefix only", () => {
+  assert.ok(isRateLimited("rate-limited: slow down"));
+  assert.ok(!isRateLimited("blocked: rate-limited"));
+  assert.ok(!isRateLimited(undefined));
+});
+
+test("getBackoffDelay grows exponentially up to the maximum", () => {
+  assert.equal(getBackoffDelay(0, 100, 1000), 100);
+  assert.equal(getBackoffDelay(2, 100, 1000), 400);
+  assert.equal(getBackoffDelay(10, 100, 1000), 1000);
+});
+
+test("publish queue limits events in flight per relay", async () => {
+  const conns = [fakeConn("wss://a"), fakeConn("wss://b")];
+  const relayStats = {
+    "wss://a": { published: 0, failed: 0 },
+    "wss://b": { published: 0, failed: 0 },
+  };
+  const queue = createPublishQueue(conns, { concurrency: 3, relayStats });
+
+  for (let i = 0; i < 10; i++) queue.publish(event(i));
+  assert.deepEqual(await queue.drain(), []);
+
+  for (const conn of conns) {
+    assert.equal(conn.calls, 10);
+    assert.equal(conn.maxActive, 3);
+    assert.equal(relayStats[conn.url].published, 10);
+  }
+});
+
+test("publish queue backs off and retries rate-limited events", async () => {
+  const conn = fakeConn("wss://a", (ev, call) =>
+    call <= 2 ? "rate-limited: slow down" : null
+  );
+  const queue = createPublishQueue([conn], { retryDelay: 1 });
+
+  const summary = await queue.publish(event(1));
+  assert.equal(summary.successful, 1);
+  assert.equal(conn.calls, 3);
+  assert.equal(queue.getProgress()["wss://a"].rateLimited, 2);
+});
+
+test("publish queue reports events rejected by every relay", async () => {
+  const good = fakeConn("wss://good");
+  const bad = fakeConn("wss://bad", () => "blocked: nope");
+  const queue = createPublishQueue([good, bad], { retries: 1, retryDelay: 1 });
+
+  const partial = await queue.publish(event(1));
+  assert.equal(partial.successful, 1);
+  assert.deepEqual(partial.failedRelays, ["wss://bad"]);
+  assert.equal(bad.calls, 2, "One retry after the first failure");
+  assert.deepEqual(await queue.drain(), []);
+
+  const onlyBad = createPublishQueue([bad], { retries: 0 });
+  onlyBad.publish(event(2));
+  assert.deepEqual(await onlyBad.drain(), [event(2).id]);
+});
+
+test("formatProgress shows counts per relay", () => {
+  assert.equal(
+    formatProgress({
+      "wss://a": { total: 4, published: 3, failed: 1, rateLimited: 0 },
+    }),
+    "a 4/4 (1 failed)"
+  );
+});
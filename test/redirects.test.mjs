@@ -0,0 +1,150 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  checkRoutingRules,
+  diffRoutingRules,
+  findRoutingRule,
+  getRoutingFields,
+  parseRedirectsFile,
+  readRedirectRules,
+} from "../src/lib/redirects.mjs";
+
+const RULES = parseRedirectsFile(
+  [
+    "# Renamed pages",
+    "/old-about/     /about",
+    "/blog/*         /posts/:splat          308",
+    "/news           https://news.example.com/#latest  302",
+    "",
+    "/home           /                      200",
+  ].join("\n")
+);
+
+test("parseRedirectsFile reads redirects and aliases", () => {
+  assert.deepEqual(RULES, {
+    redirects: [
+      { from: "/old-about", to: "/about", status: 301 },
+      { from: "/blog/*", to: "/posts/:splat", status: 308 },
+      { from: "/news", to: "https://news.example.com/#latest", status: 302 },
+    ],
+    aliases: { "/home": "/" },
+  });
+});
+
+test("parseRedirectsFile rejects malformed rules with their line", () => {
+  const rejects = (text, pattern) =>
+    assert.throws(() => parseRedirectsFile(text), pattern);
+
+  rejects("/a", /line 1: expected "<from> <to> \[status\]"/);
+  rejects("\nold /new", /line 2: invalid source "old"/);
+  rejects("/a/*/b /c", /invalid source/);
+  rejects("/a /b 404", /unsupported status "404"/);
+  rejects("/a /b 301!", /unsupported status "301!"/);
+  rejects("/a ftp://example.com", /must be a route or an http\(s\) URL/);
+  rejects("/a /b/:splat", /":splat" needs a source ending in "\/\*"/);
+  rejects("/a/* /b 200", /an alias \(status 200\) maps one route/);
+  rejects("/a /b\n/a/ /c", /line 2: \/a already has a rule \(line 1\)/);
+});
+
+test("readRedirectRules reads the site's _redirects file", () => {
+  const siteDir = fs.mkdtempSync(path.join(os.tmpdir(), "nweb-redirects-"));
+  try {
+    assert.deepEqual(readRedirectRules(siteDir), {
+      redirects: [],
+      aliases: {},
+    });
+    fs.writeFileSync(path.join(siteDir, "_redirects"), "/a /b\n");
+    assert.deepEqual(readRedirectRules(siteDir).redirects, [
+      { from: "/a", to: "/b", status: 301 },
+    ]);
+  } finally {
+    fs.rmSync(siteDir, { recursive: true, force: true });
+  }
+});
+
+test("findRoutingRule matches aliases, exact and wildcard sources", () => {
+  assert.deepEqual(findRoutingRule(RULES, "/home/"), {
+    from: "/home",
+    to: "/",
+    status: 200,
+  });
+  assert.equal(findRoutingRule(RULES, "/old-about").to, "/about");
+  assert.equal(findRoutingRule(RULES, "/blog").from, "/blog/*");
+  assert.equal(findRoutingRule(RULES, "/blog/2024/post").from, "/blog/*");
+  assert.equal(findRoutingRule(RULES, "/blogroll"), null);
+});
+
+test("checkRoutingRules reports rules that don't fit the pages", () => {
+  const rules = parseRedirectsFile(
+    [
+      "/about   /team",
+      "/gone    /missing",
+      "/start   /welcome?ref=old",
+      "/team    /about  200",
+      "/intro   /nope   200",
+    ].join("\n")
+  );
+
+  assert.deepEqual(checkRoutingRules(rules, ["/", "/about", "/welcome"]), [
+    "Alias /intro points at /nope, which is not a page",
+    "Redirect from /about never applies: it is a page",
+    "Redirect /gone → /missing points at a route that is not a page",
+  ]);
+  assert.deepEqual(checkRoutingRules(RULES, ["/", "/about"]), []);
+});
+
+test("getRoutingFields leaves out fields without rules", () => {
+  assert.deepEqual(getRoutingFields({ redirects: [], aliases: {} }), {});
+  assert.deepEqual(
+    getRoutingFields({ redirects: [], aliases: { "/a": "/" } }, "strip"),
+    { aliases: { "/a": "/" }, trailingSlash: "strip" }
+  );
+});
+
+test("diffRoutingRules lists added, removed and changed rules", () => {
+  const before = {
+    notFoundPage: null,
+    trailingSlash: "strip",
+    aliases: { "/home": "/" },
+    redirects: [
+      { from: "/a", to: "/b", status: 301 },
+      { from: "/c", to: "/d", status: 301 },
+    ],
+  };
+  const after = {
+    notFoundPage: "/404",
+    trailingSlash: "strip",
+    aliases: {},
+    redirects: [
+      { from: "/a", to: "/b", status: 302 },
+      { from: "/e/*", to: "/f/:splat", status: 301 },
+    ],
+  };
+
+  assert.deepEqual(diffRoutingRules(before, after), [
+    { status: "added", label: "404 page", before: null, after: "/404" },
+    { status: "removed", label: "alias /home", before: "/", after: null },
+    {
+      status: "changed",
+      label: "redirect /a",
+      before: "/b (301)",
+      after: "/b (302)",
+    },
+    {
+      status: "removed",
+      label: "redirect /c",
+      before: "/d (301)",
+      after: null,
+    },
+    {
+      status: "added",
+      label: "redirect /e/*",
+      before: null,
+      after: "/f/:splat (301)",
+    },
+  ]);
+  assert.deepEqual(diffRoutingRules(after, after), []);
+});
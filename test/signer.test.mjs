@@ -0,0 +1,242 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import {
+  finalizeEvent,
+  generateSecretKey,
+  getPublicKey,
+  matchFilter,
+  verifyEvent,
+} from "nostr-tools";
+import { getConversationKey, encrypt, decrypt } from "nostr-tools/nip44";
+import {
+  createBunkerSigner,
+  createLocalSigner,
+  createPlanningSigner,
+  isBunkerUri,
+  resolveSigner,
+} from "../src/lib/signer.mjs";
+import { createAssetEvent, createDeletionEvent } from "../src/lib/events.mjs";
+import { generateKeypair } from "../src/lib/keypair.mjs";
+import { ConfigError, NetworkError } from "../src/utils/errors.mjs";
+
+const BUNKER_RELAY = "wss://bunker.invalid";
+
+/**
+ * In-memory stand-in for a relay pool: events published by one side are
+ * delivered to matching subscriptions of the other, without any network.
+ */
+function createMemoryPool() {
+  const subs = new Set();
+  return {
+    subscribe(relays, filter, params) {
+      const sub = { filter, params };
+      subs.add(sub);
+      return { close: () => subs.delete(sub) };
+    },
+    publish(relays, event) {
+      setImmediate(() => {
+        for (const sub of [...subs]) {
+          if (matchFilter(sub.filter, event)) sub.params.onevent(event);
+        }
+      });
+      return relays.map(() => Promise.resolve(""));
+    },
+  };
+}
+
+/**
+ * Minimal NIP-46 remote signer holding the user's key
+ */
+function startBunker(pool, { userKey, secret = null, refuseKinds = [] }) {
+  const bunkerKey = generateSecretKey();
+  const bunkerPubkey = getPublicKey(bunkerKey);
+  const clients = new Set();
+  const requests = [];
+
+  pool.subscribe(
+    [BUNKER_RELAY],
+    { kinds: [24133], "#p": [bunkerPubkey] },
+    {
+      onevent: (event) => {
+        const convKey = getConversationKey(bunkerKey, event.pubkey);
+        const { id, method, params } = JSON.parse(
+          decrypt(event.content, convKey)
+        );
+        requests.push(method);
+
+        let result;
+        let error;
+        if (method === "connect") {
+          if (secret && params[1] !== secret) {
+            error = "invalid secret";
+          } else {
+            clients.add(event.pubkey);
+            result = "ack";
+          }
+        } else if (!clients.has(event.pubkey)) {
+          error = "not connected";
+        } else if (method === "get_public_key") {
+          result = getPublicKey(userKey);
+        } else if (method === "sign_event") {
+          const draft = JSON.parse(params[0]);
+          if (refuseKinds.includes(draft.kind)) {
+            error = "permission denied";
+          } else {
+            result = JSON.stringify(finalizeEvent(draft, userKey));
+          }
+        } else {
+          error = `unsupported method ${method}`;
+        }
+
+        const reply = finalizeEvent(
+          {
+            kind: 24133,
+            created_at: Math.floor(Date.now() / 1000),
+            tags: [["p", event.pubkey]],
+            content: encrypt(JSON.stringify({ id, result, error }), convKey),
+          },
+          bunkerKey
+        );
+        pool.publish([BUNKER_RELAY], reply);
+      },
+    }
+  );
+
+  const query = secret ? `&secret=${secret}` : "";
+  return {
+    uri: `bunker://${bunkerPubkey}?relay=${BUNKER_RELAY}${query}`,
+    requests,
+  };
+}
+
+test("local signer signs with the site key", async () => {
+  const keypair = generateKeypair();
+  const signer = createLocalSigner(keypair.nsec);
+
+  assert.equal(signer.type, "local");
+  assert.equal(signer.pubkey, keypair.publicKey);
+  assert.equal(await signer.getPublicKey(), keypair.publicKey);
+
+  const event = await createDeletionEvent(["a".repeat(64)], "test", signer);
+  assert.ok(verifyEvent(event));
+  assert.equal(event.pubkey, keypair.publicKey);
+});
+
+test("planning signer computes the IDs the site key would sign", async () => {
+  const keypair = generateKeypair();
+  const local = createLocalSigner(keypair.nsec);
+  const planning = createPlanningSigner(keypair.publicKey);
+  const draft = {
+    kind: 5,
+    created_at: 1700000000,
+    tags: [["e", "a".repeat(64)]],
+    content: "test",
+  };
+
+  const planned = await planning.signEvent(draft);
+  assert.equal(planned.id, (await local.signEvent(draft)).id);
+  assert.equal(planned.pubkey, keypair.publicKey);
+  assert.equal(planned.sig, "");
+  assert.equal(verifyEvent(planned), false);
+});
+
+test("bunker signer signs through a NIP-46 remote signer", async () => {
+  const userKey = generateSecretKey();
+  const pool = createMemoryPool();
+  const bunker = startBunker(pool, { userKey, secret: "s3cret" });
+
+  const signer = await createBunkerSigner(bunker.uri, { pool, timeout: 2000 });
+  try {
+    assert.equal(signer.type, "bunker");
+    assert.equal(signer.pubkey, getPublicKey(userKey));
+
+    const event = await createAssetEvent(
+      "body{}",
+      "b".repeat(64),
+      "style.css",
+      "text/css",
+      signer
+    );
+    assert.ok(verifyEvent(event));
+    assert.equal(event.pubkey, getPublicKey(userKey));
+    assert.deepEqual(bunker.requests, [
+      "connect",
+      "get_public_key",
+      "sign_event",
+    ]);
+  } finally {
+    await signer.close();
+  }
+});
+
+test("bunker signer surfaces refusals as NetworkError", async () => {
+  const userKey = generateSecretKey();
+  const pool = createMemoryPool();
+
+  const wrongSecret = startBunker(pool, { userKey, secret: "right" });
+  await assert.rejects(
+    createBunkerSigner(wrongSecret.uri.replace("right", "wrong"), {
+      pool,
+      timeout: 2000,
+    }),
+    (error) =>
+      error instanceof NetworkError && /refused to connect/.test(error.message)
+  );
+
+  const strict = startBunker(pool, { userKey, refuseKinds: [5] });
+  const signer = await createBunkerSigner(strict.uri, { pool, timeout: 2000 });
+  try {
+    await assert.rejects(
+      createDeletionEvent(["c".repeat(64)], "test", signer),
+      /refused to sign: permission denied/
+    );
+  } finally {
+    await signer.close();
+  }
+});
+
+test("bunker signer times out when the remote signer is unreachable", async () => {
+  const pool = createMemoryPool();
+  const uri = `bunker://${getPublicKey(generateSecretKey())}?relay=${BUNKER_RELAY}`;
+  await assert.rejects(
+    createBunkerSigner(uri, { pool, timeout: 50 }),
+    (error) =>
+      error instanceof NetworkError && /did not answer/.test(error.message)
+  );
+});
+
+test("bunker URIs are validated", async () => {
+  assert.equal(
+    isBunkerUri(`bunker://${"a".repeat(64)}?relay=wss://r.example`),
+    true
+  );
+  assert.equal(isBunkerUri("nsec1abc"), false);
+  await assert.rejects(createBunkerSigner("https://example.com"), ConfigError);
+  await assert.rejects(
+    createBunkerSigner(`bunker://${"a".repeat(64)}`),
+    /at least one \?relay=/
+  );
+});
+
+test("resolveSigner prefers a bunker over local keys", async () => {
+  const keypair = generateKeypair();
+  const userKey = generateSecretKey();
+  const pool = createMemoryPool();
+  const bunker = startBunker(pool, { userKey });
+  const env = { NOSTR_SK_HEX: keypair.privateKey };
+
+  const remote = await resolveSigner({
+    bunker: bunker.uri,
+    env,
+    pool,
+    timeout: 2000,
+  });
+  assert.equal(remote.type, "bunker");
+  assert.equal(remote.pubkey, getPublicKey(userKey));
+  await remote.close();
+
+  const local = await resolveSigner({ env });
+  assert.equal(local.type, "local");
+  assert.equal(local.pubkey, keypair.publicKey);
+  assert.equal(local.source, "env");
+});
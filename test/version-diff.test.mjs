@@ -0,0 +1,119 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import {
+  describeAsset,
+  diffRouteAssets,
+  unifiedDiff,
+} from "../src/lib/version-diff.mjs";
+
+function file(id, mime, hash, name = null) {
+  return { id, hash, mime, size: 10, name, missing: false };
+}
+
+test("describeAsset reads hash, type and size from the asset event", () => {
+  const assets = new Map([
+    [
+      "a1",
+      {
+        id: "a1",
+        tags: [
+          ["m", "text/css"],
+          ["x", "f".repeat(64)],
+        ],
+        content: "body{}",
+      },
+    ],
+  ]);
+
+  assert.deepEqual(describeAsset("a1", assets), {
+    id: "a1",
+    hash: "f".repeat(64),
+    mime: "text/css",
+    size: 6,
+    name: null,
+    missing: false,
+  });
+  assert.equal(describeAsset("a2", assets).missing, true);
+});
+
+test("diffRouteAssets matches files by hash, then by type in order", () => {
+  const before = [
+    file("h1", "text/html", "aaa"),
+    file("c1", "text/css", "bbb"),
+    file("c2", "text/css", "ccc"),
+    file("j1", "application/javascript", "ddd"),
+  ];
+  const after = [
+    file("h2", "text/html", "eee"),
+    file("c2", "text/css", "ccc"),
+    file("c3", "text/css", "fff"),
+    file("i1", "image/png", "ggg"),
+  ];
+
+  assert.deepEqual(
+    diffRouteAssets(before, after).map((change) => [
+      change.status,
+      change.before?.id || null,
+      change.after?.id || null,
+    ]),
+    [
+      ["changed", "h1", "h2"],
+      ["unchanged", "c2", "c2"],
+      ["changed", "c1", "c3"],
+      ["added", null, "i1"],
+      ["removed", "j1", null],
+    ]
+  );
+});
+
+test("diffRouteAssets prefers file names when assets carry them", () => {
+  const before = [
+    file("a", "text/css", "111", "base.css"),
+    file("b", "text/css", "222", "theme.css"),
+  ];
+  const after = [
+    file("c", "text/css", "333", "theme.css"),
+    file("a", "text/css", "111", "base.css"),
+  ];
+
+  assert.deepEqual(
+    diffRouteAssets(before, after).map((change) => [
+      change.status,
+      change.before.name,
+    ]),
+    [
+      ["changed", "theme.css"],
+      ["unchanged", "base.css"],
+    ]
+  );
+});
+
+test("unifiedDiff prints hunks with context", () => {
+  const oldText = ["a", "b", "c", "d", "e", "f", "g", "h", "i", "j"].join("\n");
+  const newText = ["a", "b", "C", "d", "e", "f", "g", "h", "i", "j", "k"].join(
+    "\n"
+  );
+
+  assert.equal(
+    unifiedDiff(oldText, newText, { oldLabel: "v1", newLabel: "v2" }),
+    [
+      "--- v1",
+      "+++ v2",
+      "@@ -1,6 +1,6 @@",
+      " a",
+      " b",
+      "-c",
+      "+C",
+      " d",
+      " e",
+      " f",
+      "@@ -8,3 +8,4 @@",
+      " h",
+      " i",
+      " j",
+      "+k",
+    ].join("\n")
+  );
+  assert.equal(unifiedDiff("same", "same"), "");
+  assert.equal(unifiedDiff("", "new"), "--- a\n+++ b\n@@ -0,0 +1,1 @@\n+new");
+});
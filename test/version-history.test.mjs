@@ -0,0 +1,203 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import {
+  buildVersionHistory,
+  findVersion,
+  formatVersionLabel,
+  getEntrypointTarget,
+  getVersionEventIds,
+} from "../src/lib/version-history.mjs";
+
+const PUBKEY = "a".repeat(64);
+
+function siteIndex(d, createdAt, content) {
+  return {
+    id: `index-${d}-${createdAt}`,
+    kind: 31126,
+    pubkey: PUBKEY,
+    created_at: createdAt,
+    tags: [
+      ["d", d],
+      ["x", `${d}${"0".repeat(56)}`],
+    ],
+    content: JSON.stringify(content),
+  };
+}
+
+function entrypoint(d, createdAt, pubkey = PUBKEY) {
+  return {
+    id: `entry-${d}-${createdAt}`,
+    kind: 11126,
+    pubkey,
+    created_at: createdAt,
+    tags: [["a", `31126:${pubkey}:${d}`, "wss://relay.example.com"]],
+    content: "",
+  };
+}
+
+test("getEntrypointTarget only accepts site indexes of the same author", () => {
+  assert.equal(getEntrypointTarget(entrypoint("1111aaaa", 1)), "1111aaaa");
+
+  const foreign = entrypoint("1111aaaa", 1);
+  foreign.pubkey = "b".repeat(64);
+  assert.equal(getEntrypointTarget(foreign), null);
+
+  const wrongKind = entrypoint("1111aaaa", 1);
+  wrongKind.tags[0][1] = `1126:${PUBKEY}:1111aaaa`;
+  assert.equal(getEntrypointTarget(wrongKind), null);
+  assert.equal(getEntrypointTarget({ ...wrongKind, tags: [] }), null);
+});
+
+test("the current version is the one the newest entrypoint points at", () => {
+  const history = buildVersionHistory(
+    [
+      siteIndex("1111aaaa", 100, { routes: { "/": "m1" }, version: "1.0.0" }),
+      siteIndex("2222bbbb", 200, { routes: { "/": "m2" }, version: "1.1.0" }),
+      // Published, but the deploy failed before the entrypoint moved
+      siteIndex("3333cccc", 300, { routes: { "/": "m3" }, version: "1.2.0" }),
+    ],
+    [entrypoint("1111aaaa", 101), entrypoint("2222bbbb", 201)]
+  );
+
+  assert.equal(history.current, "1.1.0");
+  assert.equal(history.liveDTag, "2222bbbb");
+  assert.equal(history.entrypointId, "entry-2222bbbb-201");
+  assert.deepEqual(
+    history.versions.map((v) => [v.version, v.live, v.neverLive]),
+    [
+      ["1.0.0", false, false],
+      ["1.1.0", true, false],
+      ["1.2.0", false, true],
+    ]
+  );
+  assert.equal(history.versions[0].entrypointId, "entry-1111aaaa-101");
+});
+
+test("a rollback keeps the newer site indexes marked as once live", () => {
+  const history = buildVersionHistory(
+    [
+      siteIndex("1111aaaa", 100, { routes: {}, version: "1.0.0" }),
+      siteIndex("2222bbbb", 200, { routes: {}, version: "1.1.0" }),
+    ],
+    [entrypoint("2222bbbb", 201), entrypoint("1111aaaa", 300)]
+  );
+
+  assert.equal(history.current, "1.0.0");
+  assert.equal(history.versions[1].live, false);
+  assert.equal(history.versions[1].neverLive, false);
+});
+
+test("versions are never invented for unversioned site indexes", () => {
+  const history = buildVersionHistory(
+    [
+      siteIndex("1111aaaa", 100, { routes: { "/": "m1" } }),
+      // Same d from another relay, republished later
+      siteIndex("1111aaaa", 150, { routes: { "/": "m1" } }),
+      { ...siteIndex("bad00000", 120, {}), content: "{not json" },
+    ],
+    [entrypoint("1111aaaa", 151)]
+  );
+
+  assert.equal(history.versions.length, 1);
+  assert.equal(history.current, null);
+  assert.equal(history.currentEntry.siteIndexId, "index-1111aaaa-150");
+  assert.equal(
+    formatVersionLabel(history.currentEntry),
+    "unversioned (d=1111aaaa)"
+  );
+  assert.equal(findVersion(history, "1111aaaa"), history.currentEntry);
+  assert.equal(findVersion(history, "0.1.0"), null);
+});
+
+test("without an entrypoint no site index is live", () => {
+  const history = buildVersionHistory([
+    siteIndex("1111aaaa", 100, { routes: {}, version: "1.0.0" }),
+  ]);
+
+  assert.equal(history.current, null);
+  assert.equal(history.currentEntry, null);
+  assert.equal(history.versions[0].neverLive, true);
+
+  const missing = buildVersionHistory(
+    [siteIndex("1111aaaa", 100, { routes: {}, version: "1.0.0" })],
+    [entrypoint("9999ffff", 200)]
+  );
+  assert.equal(missing.liveDTag, "9999ffff");
+  assert.equal(missing.currentEntry, null);
+  assert.equal(missing.versions[0].neverLive, false);
+});
+
+test("getVersionEventIds follows manifests to assets and chunks", () => {
+  const [entry] = buildVersionHistory([
+    siteIndex("1111aaaa", 100, { routes: { "/": "m1", "/about": "m2" } }),
+  ]).versions;
+  const events = new Map();
+
+  let result = getVersionEventIds(entry, events);
+  assert.deepEqual(result.ids, ["index-1111aaaa-100", "m1", "m2"]);
+  assert.deepEqual(result.unresolved, result.ids);
+
+  events.set("m1", {
+    id: "m1",
+    kind: 1126,
+    tags: [
+      ["e", "a1"],
+      ["e", "a2"],
+    ],
+  });
+  events.set("a2", {
+    id: "a2",
+    kind: 1125,
+    tags: [
+      ["chunks", "2"],
+      ["e", "c1"],
+      ["e", "c2"],
+    ],
+    content: "",
+  });
+  result = getVersionEventIds(entry, events);
+  assert.deepEqual(result.unresolved, [
+    "index-1111aaaa-100",
+    "a1",
+    "c1",
+    "c2",
+    "m2",
+  ]);
+});
+
+test("version entries carry the routing rules of their site index", () => {
+  const { versions } = buildVersionHistory([
+    siteIndex("1111aaaa", 100, { routes: { "/": "m1" }, version: "1.0.0" }),
+    siteIndex("2222bbbb", 200, {
+      routes: { "/": "m2", "/404": "m3" },
+      notFoundRoute: "m3",
+      aliases: { "/home": "/" },
+      redirects: [{ from: "/old", to: "/", status: 301 }],
+      trailingSlash: "strip",
+      version: "1.0.1",
+    }),
+  ]);
+
+  assert.deepEqual(
+    versions.map(({ aliases, redirects, trailingSlash }) => ({
+      aliases,
+      redirects,
+      trailingSlash,
+    })),
+    [
+      { aliases: {}, redirects: [], trailingSlash: null },
+      {
+        aliases: { "/home": "/" },
+        redirects: [{ from: "/old", to: "/", status: 301 }],
+        trailingSlash: "strip",
+      },
+    ]
+  );
+  assert.equal(
+    versions[1].notFoundRoute,
+    "m3",
+    "the manifest ID, as published"
+  );
+  assert.equal(versions[1].notFoundPage, "/404");
+  assert.equal(versions[0].notFoundPage, null);
+});
@@ -0,0 +1,126 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import {
+  classifyChanges,
+  computeNextVersion,
+  detectChangeType,
+  highestVersion,
+  parseVersion,
+  timestampVersion,
+  validateVersionOptions,
+} from "../src/lib/versioning.mjs";
+import { ValidationError } from "../src/utils/errors.mjs";
+
+const previous = { "/": "m1", "/about": "m2", "/blog": "m3" };
+
+test("parseVersion normalizes X.Y.Z versions", () => {
+  assert.equal(parseVersion("01.2.03"), "1.2.3");
+  assert.equal(parseVersion("1.2"), null);
+  assert.equal(parseVersion("1.2.x"), null);
+  assert.equal(parseVersion(null), null);
+});
+
+test("classifyChanges compares routes and their manifests", () => {
+  assert.deepEqual(
+    classifyChanges(previous, { "/": "m1", "/about": "m9", "/new": "m4" }),
+    { added: ["/new"], removed: ["/blog"], changed: ["/about"] }
+  );
+  assert.deepEqual(classifyChanges(previous, { ...previous }), {
+    added: [],
+    removed: [],
+    changed: [],
+  });
+});
+
+test("detectChangeType follows the strategy", () => {
+  const removed = classifyChanges(previous, { "/": "m1", "/about": "m2" });
+  const added = classifyChanges(previous, { ...previous, "/new": "m4" });
+  const changed = classifyChanges(previous, { ...previous, "/": "m9" });
+  const none = classifyChanges(previous, previous);
+
+  assert.equal(detectChangeType(removed, "semver"), "minor");
+  assert.equal(detectChangeType(removed, "conventional"), "major");
+  assert.equal(detectChangeType(added, "conventional"), "minor");
+  assert.equal(detectChangeType(changed, "semver"), "patch");
+  assert.equal(detectChangeType(none, "semver"), "none");
+});
+
+test("computeNextVersion applies strategies, --bump and --version", () => {
+  const next = (options) =>
+    computeNextVersion({
+      current: "1.4.2",
+      previousRoutes: previous,
+      nextRoutes: { "/": "m1", "/about": "m2" },
+      ...options,
+    });
+
+  assert.equal(next({ strategy: "semver" }).version, "1.5.0");
+  assert.equal(next({ strategy: "conventional" }).version, "2.0.0");
+  assert.equal(
+    next({ strategy: "timestamp", date: new Date("2025-01-05T08:03:09Z") })
+      .version,
+    "2025.105.80309"
+  );
+  assert.deepEqual(
+    next({ bump: "patch" }).changes.removed,
+    ["/blog"],
+    "changes are reported even when bumping by hand"
+  );
+  assert.equal(next({ bump: "patch" }).version, "1.4.3");
+  assert.equal(next({ custom: "3.0.0" }).changeType, "manual");
+
+  const unchanged = next({ nextRoutes: previous, strategy: "timestamp" });
+  assert.equal(unchanged.version, "1.4.2");
+  assert.equal(unchanged.changeType, "none");
+
+  const rerouted = next({ nextRoutes: previous, routingChanged: true });
+  assert.equal(rerouted.version, "1.4.3");
+  assert.equal(rerouted.changeType, "patch");
+
+  const afterRollback = next({ published: ["1.4.2", "1.5.0", "1.5.1", null] });
+  assert.equal(afterRollback.version, "1.6.0", "bumps from the newest version");
+  assert.equal(next({ published: ["1.5.1"], bump: "patch" }).version, "1.5.2");
+  assert.equal(
+    next({ published: ["1.5.1"], nextRoutes: previous }).version,
+    "1.4.2",
+    "an unchanged site keeps the live version"
+  );
+
+  const initial = next({ previousRoutes: null });
+  assert.equal(initial.version, "1.4.2");
+  assert.equal(initial.changeType, "initial");
+});
+
+test("highestVersion compares versions part by part", () => {
+  assert.equal(highestVersion(["0.9.0", "0.10.0", "0.2.5"]), "0.10.0");
+  assert.equal(highestVersion(["1.0.0", null, "latest"]), "1.0.0");
+  assert.equal(highestVersion([null]), null);
+});
+
+test("timestamp versions sort in time order", () => {
+  const versions = [
+    "2025-01-31T23:59:59Z",
+    "2025-02-01T00:00:00Z",
+    "2025-12-01T09:05:00Z",
+  ].map((iso) => timestampVersion(new Date(iso)).split(".").map(Number));
+
+  for (let i = 1; i < versions.length; i++) {
+    const [a, b] = [versions[i - 1], versions[i]];
+    assert.ok(a[1] < b[1] || (a[1] === b[1] && a[2] < b[2]));
+  }
+});
+
+test("validateVersionOptions rejects conflicting flags", () => {
+  const check = (options) => () =>
+    validateVersionOptions({ strategy: "semver", ...options });
+
+  assert.doesNotThrow(check({ bump: "minor" }));
+  assert.throws(check({ bump: "huge" }), /Invalid --bump/);
+  assert.throws(check({ bump: "minor", custom: "1.0.0" }), ValidationError);
+  assert.throws(
+    check({ bump: "minor", strategy: "timestamp" }),
+    /timestamp version strategy/
+  );
+  assert.throws(check({ strategy: "manual" }), /needs --version/);
+  assert.doesNotThrow(check({ strategy: "manual", custom: "1.0.0" }));
+});
@@ -0,0 +1,196 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { writeProjectConfig } from "../src/lib/config.mjs";
+import { generateKeypair, saveKeypair } from "../src/lib/keypair.mjs";
+import {
+  findKeyFlags,
+  getSiteEnv,
+  getWorkspaceSite,
+  loadSiteConfig,
+  parseWorkspaceArgs,
+  readWorkspaceSites,
+  resolveSitePublicKey,
+} from "../src/lib/workspace.mjs";
+import { ConfigError, ValidationError } from "../src/utils/errors.mjs";
+
+function withWorkspace(config, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nweb-workspace-"));
+  try {
+    writeProjectConfig(config, dir);
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("readWorkspaceSites resolves site dirs against the project", () => {
+  const sites = readWorkspaceSites(
+    {
+      sites: {
+        blog: { dir: "sites/blog", host: "blog.example.com" },
+        docs: {
+          dir: "/srv/docs",
+          keyEnv: "DOCS_SK",
+          headers: { "/*": { "Cache-Control": "no-cache" } },
+        },
+      },
+    },
+    "/work"
+  );
+
+  assert.deepEqual(
+    sites.map((site) => [site.name, site.dir, site.keyEnv]),
+    [
+      ["blog", path.resolve("/work/sites/blog"), null],
+      ["docs", path.resolve("/srv/docs"), "DOCS_SK"],
+    ]
+  );
+  assert.deepEqual(sites[0].settings, { host: "blog.example.com" });
+  assert.deepEqual(sites[1].headers, { "/*": { "Cache-Control": "no-cache" } });
+  assert.deepEqual(readWorkspaceSites({}), []);
+});
+
+test("readWorkspaceSites rejects malformed entries", () => {
+  const read = (sites) => () => readWorkspaceSites({ sites });
+
+  assert.throws(read([]), ConfigError);
+  assert.throws(read({ blog: {} }), /needs a "dir"/);
+  assert.throws(read({ "../x": { dir: "x" } }), /Invalid site name/);
+  assert.throws(
+    read({ blog: { dir: "x", relay: "wss://a" } }),
+    /Unknown setting "relay"/
+  );
+  assert.throws(
+    read({ blog: { dir: "x", pubkey: "npub1nope" } }),
+    /npub or hex/
+  );
+});
+
+test("site settings sit between flags and the environment", () => {
+  withWorkspace(
+    {
+      relays: ["wss://project.example.com"],
+      host: "project.example.com",
+      sites: {
+        blog: { dir: "blog", relays: ["wss://blog.example.com"] },
+        docs: { dir: "docs" },
+      },
+    },
+    (dir) => {
+      const blog = getWorkspaceSite("blog", { dir });
+      const docs = getWorkspaceSite("docs", { dir });
+      const env = { RELAYS: "wss://env.example.com" };
+
+      assert.deepEqual(loadSiteConfig(blog, { argv: [], env, dir }).relays, [
+        "wss://blog.example.com",
+      ]);
+      assert.deepEqual(loadSiteConfig(docs, { argv: [], env, dir }).relays, [
+        "wss://env.example.com",
+      ]);
+      assert.equal(
+        loadSiteConfig(docs, { argv: [], env: {}, dir }).host,
+        "project.example.com"
+      );
+      assert.deepEqual(
+        loadSiteConfig(blog, {
+          argv: ["--relays=wss://flag.example.com"],
+          env,
+          dir,
+        }).relays,
+        ["wss://flag.example.com"]
+      );
+
+      assert.throws(() => getWorkspaceSite("shop", { dir }), ValidationError);
+    }
+  );
+});
+
+test("site keys never fall back to the shared key settings", () => {
+  const shared = generateKeypair();
+  const docsKey = generateKeypair();
+
+  withWorkspace(
+    {
+      relays: ["wss://relay.example.com"],
+      keyFile: "shared.json",
+      sites: {
+        blog: { dir: "blog" },
+        docs: { dir: "docs", keyEnv: "DOCS_SK" },
+        shop: {
+          dir: "shop",
+          bunker: `bunker://${"a".repeat(64)}?relay=wss://bunker.example.com`,
+        },
+      },
+    },
+    (dir) => {
+      const env = {
+        NOSTR_SK_HEX: shared.privateKey,
+        NWEB_BUNKER: `bunker://${"b".repeat(64)}?relay=wss://b.example.com`,
+        DOCS_SK: docsKey.nsec,
+      };
+      const options = { argv: [], env, dir };
+      const [blog, docs, shop] = ["blog", "docs", "shop"].map((name) =>
+        getWorkspaceSite(name, { dir })
+      );
+
+      const blogConfig = loadSiteConfig(blog, options);
+      assert.equal(blogConfig.keyFile, null);
+      assert.equal(blogConfig.bunker, null);
+      assert.equal(getSiteEnv(blog, env).NOSTR_SK_HEX, "");
+      assert.equal(getSiteEnv(docs, env).NOSTR_SK_HEX, docsKey.nsec);
+      assert.throws(() => getSiteEnv(docs, {}), /DOCS_SK, which is not set/);
+
+      // Each site only sees its own key
+      assert.throws(
+        () => resolveSitePublicKey(blog, options),
+        /No key found for site "blog"/
+      );
+      fs.mkdirSync(blog.dir);
+      saveKeypair(shared, path.join(blog.dir, ".nweb-keypair.json"));
+      assert.equal(
+        resolveSitePublicKey(blog, options).pubkey,
+        shared.publicKey
+      );
+      assert.equal(
+        resolveSitePublicKey(docs, options).pubkey,
+        docsKey.publicKey
+      );
+      assert.throws(
+        () => resolveSitePublicKey(shop, options),
+        /signs with a bunker/
+      );
+    }
+  );
+});
+
+test("parseWorkspaceArgs splits --site and --all from other arguments", () => {
+  assert.deepEqual(parseWorkspaceArgs(["list", "--site", "blog", "1.0.0"]), {
+    site: "blog",
+    all: false,
+    args: ["list", "1.0.0"],
+  });
+  assert.deepEqual(parseWorkspaceArgs(["--site=docs", "--no-cache"]), {
+    site: "docs",
+    all: false,
+    args: ["--no-cache"],
+  });
+  assert.deepEqual(parseWorkspaceArgs(["--all", "--version=2.0.0"]), {
+    site: null,
+    all: true,
+    args: ["--version=2.0.0"],
+  });
+});
+
+test("findKeyFlags finds the flags that pick a signing key", () => {
+  assert.deepEqual(findKeyFlags(["--all", "--key-file", "k.json"]), [
+    "--key-file",
+  ]);
+  assert.deepEqual(
+    findKeyFlags(["--bunker=bunker://abc", "--key-file=k.json"]),
+    ["--key-file", "--bunker"]
+  );
+  assert.deepEqual(findKeyFlags(["--all", "--no-cache"]), []);
+});